@@ -0,0 +1,547 @@
+/**
+ * BUMBA 2.0 Architecture Design
+ * Base classes for the hierarchical agent system: department managers,
+ * specialist agents and the executive resource allocator
+ */
+
+// Lifecycle states shared by managers, specialists and the lifecycle manager
+const LIFECYCLE_STATES = {
+  INACTIVE: 'inactive',
+  SPAWNED: 'spawned',
+  ACTIVE: 'active',
+  IDLE: 'idle',
+  DISSOLVING: 'dissolving',
+  DISSOLVED: 'dissolved'
+};
+
+function describeTask(task) {
+  if (!task) return '';
+  return typeof task === 'string' ? task : (task.description || '');
+}
+
+class DepartmentManager {
+  constructor(name, type, specialists = []) {
+    this.name = name;
+    this.type = type;
+    this.specialists = new Map(specialists);
+    this.activeSpecialists = new Set();
+
+    // Wired up by BumbaFramework2.initializeFrameworkConnections
+    this.lifecycleManager = null;
+    this.consciousness = null;
+    this.router = null;
+    this.framework = null;
+
+    // Shared lifecycle state
+    this.lifecycleState = LIFECYCLE_STATES.ACTIVE;
+    this.currentStrategy = null;
+    this.strategyPreparation = null;
+    this.specialistReports = [];
+    this.departmentKnowledge = [];
+    this.guidanceLog = [];
+    this.tasksProcessed = 0;
+  }
+
+  // Contract: every department manager handles its own tasks
+  async processTask(task, context) {
+    throw new Error(`${this.name} department manager must implement processTask()`);
+  }
+
+  async executeTask(command, args = [], context = {}) {
+    return await this.processTask({
+      description: `${command} ${args.join(' ')}`.trim(),
+      command: command,
+      args: args
+    }, context);
+  }
+
+  async spawnSpecialist(specialistType, context = {}) {
+    // Prefer the shared lifecycle manager so limits, consciousness validation
+    // and performance monitoring apply to every spawn
+    if (this.lifecycleManager) {
+      return await this.lifecycleManager.spawnSpecialist(this.type, specialistType, context, this);
+    }
+
+    const SpecialistClass = this.specialists.get(specialistType);
+    if (!SpecialistClass) {
+      throw new Error(`Unknown specialist type: ${specialistType} for department: ${this.type}`);
+    }
+
+    const specialist = new SpecialistClass(this.type, context);
+    specialist.id = `${this.type}-${specialistType}-${Date.now()}-${Math.random().toString(36).substr(2, 5)}`;
+    specialist.manager = this;
+    specialist.spawnedAt = Date.now();
+    specialist.lastActivity = Date.now();
+    specialist.lifecycleState = LIFECYCLE_STATES.SPAWNED;
+
+    this.activeSpecialists.add(specialist);
+    console.log(`🏁 ${this.name} spawned ${specialistType} specialist: ${specialist.id}`);
+
+    return specialist;
+  }
+
+  async dissolveSpecialist(specialist, reason = 'task_completed') {
+    if (this.lifecycleManager && this.lifecycleManager.activeAgents.has(specialist.id)) {
+      return await this.lifecycleManager.dissolveSpecialist(specialist, reason);
+    }
+
+    if ([LIFECYCLE_STATES.DISSOLVING, LIFECYCLE_STATES.DISSOLVED].includes(specialist.lifecycleState)) {
+      return false;
+    }
+
+    specialist.lifecycleState = LIFECYCLE_STATES.DISSOLVING;
+    await this.receiveSpecialistKnowledge(specialist, {
+      specialist_type: specialist.type,
+      department: this.type,
+      insights_generated: specialist.insights || [],
+      patterns_learned: specialist.patterns || [],
+      best_practices: specialist.bestPractices || [],
+      extracted_at: new Date().toISOString()
+    });
+
+    this.activeSpecialists.delete(specialist);
+    specialist.lifecycleState = LIFECYCLE_STATES.DISSOLVED;
+    specialist.manager = null;
+    specialist.currentTask = null;
+
+    console.log(`🏁 ${this.name} dissolved ${specialist.type} specialist (${reason})`);
+
+    return true;
+  }
+
+  async receiveExecutiveStrategy(strategy) {
+    console.log(`🏁 ${this.name} received executive strategy`);
+    this.currentStrategy = strategy;
+
+    await this.prepareDepartmentForStrategy(strategy);
+  }
+
+  async prepareDepartmentForStrategy(strategy) {
+    const responsibilities = this.getStrategyResponsibilities(strategy);
+    const specialistsNeeded = new Set();
+
+    for (const task of responsibilities) {
+      const needs = await this.analyzeSpecialistNeeds(task);
+      needs.forEach(need => specialistsNeeded.add(need));
+    }
+
+    this.strategyPreparation = {
+      responsibilities: responsibilities.length,
+      specialists_needed: Array.from(specialistsNeeded),
+      prepared_at: new Date().toISOString()
+    };
+
+    return this.strategyPreparation;
+  }
+
+  async executeStrategy(strategy, context) {
+    console.log(`🏁 ${this.name} executing ${this.type} department responsibilities`);
+
+    const results = [];
+
+    for (const task of this.getStrategyResponsibilities(strategy)) {
+      try {
+        const result = await this.processTask(task, context);
+        results.push(result);
+      } catch (error) {
+        console.error(`🏁 ${this.name} task failed: ${error.message}`);
+        results.push({
+          task: task,
+          error: error.message,
+          status: 'failed'
+        });
+      }
+    }
+
+    return {
+      department: this.type,
+      completed_tasks: results.filter(r => r.status !== 'failed'),
+      failed_tasks: results.filter(r => r.status === 'failed'),
+      recommendations: await this.generateDepartmentRecommendations(results)
+    };
+  }
+
+  getStrategyResponsibilities(strategy) {
+    if (!strategy) return [];
+    return strategy[`${this.type}_responsibilities`] || strategy.responsibilities || [];
+  }
+
+  async analyzeTaskComplexity(task, context = {}) {
+    const description = describeTask(task).toLowerCase();
+    const words = description.split(/\s+/).filter(Boolean);
+    const specialistNeeds = await this.analyzeSpecialistNeeds(task);
+
+    let complexity = 0.2;
+    complexity += Math.min(words.length / 50, 0.3);
+    complexity += Math.min(specialistNeeds.length * 0.15, 0.45);
+
+    if (context && context.previousTasks) {
+      complexity += Math.min(context.previousTasks.length * 0.02, 0.1);
+    }
+
+    return Math.min(complexity, 1.0);
+  }
+
+  // Departments override this with their own keyword analysis
+  async analyzeSpecialistNeeds(task) {
+    return [];
+  }
+
+  async identifyNeededSpecialists(command, args = []) {
+    return await this.analyzeSpecialistNeeds({
+      description: `${command} ${args.join(' ')}`.trim()
+    });
+  }
+
+  async manageTask(task, complexity) {
+    console.log(`🏁 ${this.name} managing task with specialist support (complexity: ${complexity.toFixed(2)})`);
+
+    const specialistTypes = await this.analyzeSpecialistNeeds(task);
+    const specialists = [];
+
+    for (const specialistType of specialistTypes) {
+      try {
+        specialists.push(await this.spawnSpecialist(specialistType, { task: task, priority: task.priority }));
+      } catch (error) {
+        console.error(`🏁 ${this.name} could not spawn ${specialistType}: ${error.message}`);
+      }
+    }
+
+    const specialistResults = await this.runSpecialists(specialists, task, {});
+
+    return {
+      type: 'managed_task',
+      department: this.type,
+      manager: this.name,
+      task: describeTask(task),
+      complexity: complexity,
+      specialists_requested: specialistTypes,
+      specialist_results: specialistResults,
+      completed_at: new Date().toISOString()
+    };
+  }
+
+  async executeWithSpecialists(command, args = [], specialists = [], context = {}) {
+    const task = {
+      description: `${command} ${args.join(' ')}`.trim(),
+      command: command,
+      args: args
+    };
+
+    const specialistResults = await this.runSpecialists(specialists, task, context);
+
+    return {
+      type: 'department_with_specialists',
+      department: this.type,
+      manager: this.name,
+      task: task.description,
+      specialist_results: specialistResults,
+      completed_at: new Date().toISOString()
+    };
+  }
+
+  async runSpecialists(specialists, task, context) {
+    const results = [];
+
+    for (const specialist of specialists) {
+      try {
+        const result = await specialist.executeTask(task, context);
+        if (typeof specialist.reportToManager === 'function') {
+          await specialist.reportToManager(result);
+        }
+        results.push({ specialist: specialist.type, status: 'completed', result: result });
+      } catch (error) {
+        console.error(`🏁 ${specialist.type} specialist failed: ${error.message}`);
+        results.push({ specialist: specialist.type, status: 'failed', error: error.message });
+      } finally {
+        await this.dissolveSpecialist(specialist, 'task_completed');
+      }
+    }
+
+    this.tasksProcessed++;
+    return results;
+  }
+
+  // Coordination protocol hooks used by DepartmentCoordinationProtocols
+  async prepareForCoordination(task, context) {
+    return {
+      department: this.type,
+      ready: true,
+      specialists_assigned: await this.analyzeSpecialistNeeds(task)
+    };
+  }
+
+  async executeCoordinatedTask(task, sharedState, context = {}) {
+    return await this.processTask(task, { ...context, shared_state: sharedState });
+  }
+
+  async executeCollaborativeTask(task, collaborationSession, context = {}) {
+    return await this.processTask(task, { ...context, collaboration_session: collaborationSession });
+  }
+
+  async receiveSpecialistReport(specialist, result) {
+    this.specialistReports.push({
+      specialist_id: specialist.id,
+      specialist_type: specialist.type,
+      result: result,
+      received_at: new Date().toISOString()
+    });
+
+    if (this.specialistReports.length > 100) {
+      this.specialistReports.splice(0, this.specialistReports.length - 100);
+    }
+
+    if (this.lifecycleManager && specialist.id) {
+      this.lifecycleManager.updateSpecialistActivity(specialist);
+    }
+  }
+
+  async provideGuidance(specialist, issue) {
+    const guidance = {
+      issue: issue,
+      manager: this.name,
+      department: this.type,
+      strategic_context: this.currentStrategy ? this.currentStrategy.vision || null : null,
+      priorities: this.strategyPreparation ? this.strategyPreparation.specialists_needed : [],
+      provided_at: new Date().toISOString()
+    };
+
+    this.guidanceLog.push({ specialist_type: specialist.type, ...guidance });
+
+    return guidance;
+  }
+
+  async receiveSpecialistKnowledge(specialist, knowledge) {
+    this.departmentKnowledge.push(knowledge);
+
+    if (this.departmentKnowledge.length > 100) {
+      this.departmentKnowledge.splice(0, this.departmentKnowledge.length - 100);
+    }
+  }
+
+  async generateDepartmentRecommendations(results = []) {
+    const failed = results.filter(r => r && r.status === 'failed');
+    const recommendations = [];
+
+    if (failed.length > 0) {
+      recommendations.push(`Review ${failed.length} failed ${this.type} task(s) before the next iteration`);
+    }
+    if (this.activeSpecialists.size > 0) {
+      recommendations.push(`Dissolve ${this.activeSpecialists.size} idle specialist(s) once work is handed off`);
+    }
+    if (recommendations.length === 0) {
+      recommendations.push(`${this.name} department is on track`);
+    }
+
+    return recommendations;
+  }
+}
+
+class SpecialistAgent {
+  constructor(type, department, context) {
+    this.type = type;
+    this.department = department;
+    this.context = context;
+
+    // Lifecycle state, managed by AgentLifecycleManager
+    this.id = null;
+    this.manager = null;
+    this.spawnedAt = null;
+    this.lifecycleState = LIFECYCLE_STATES.INACTIVE;
+    this.lastActivity = null;
+    this.currentTask = null;
+    this.tasksCompleted = 0;
+
+    // Consciousness layer, applied on spawn
+    this.consciousness = null;
+    this.consciousnessDriven = false;
+    this.ethicalConstraints = null;
+
+    // Knowledge collected for transfer on dissolution
+    this.expertise = {};
+    this.tools = [];
+    this.insights = [];
+    this.patterns = [];
+    this.bestPractices = [];
+    this.consciousnessInsights = [];
+  }
+
+  // Persona-driven specialists share one lazily created engine
+  get personaEngine() {
+    if (!this._personaEngine) {
+      const { BumbaPersonaEngine } = require('./persona/persona-engine');
+      SpecialistAgent.sharedPersonaEngine = SpecialistAgent.sharedPersonaEngine || new BumbaPersonaEngine();
+      this._personaEngine = SpecialistAgent.sharedPersonaEngine;
+    }
+    return this._personaEngine;
+  }
+
+  set personaEngine(engine) {
+    this._personaEngine = engine;
+  }
+
+  // Persona, expertise, tools and focus areas from the specialist type's definition
+  applyProfile() {
+    const { getSpecialistProfile } = require('./persona/specialist-profiles');
+    const profile = getSpecialistProfile(this.type);
+
+    this.persona = this.personaEngine.getPersona(null, this.type) || null;
+    this.expertise = Object.fromEntries(profile.expertise.map(area => [area, true]));
+    this.tools = [...profile.tools];
+    this.focusAreas = profile.focus_areas;
+  }
+
+  /**
+   * Focus areas the task is about: those listed in task.focus_areas, else those
+   * whose keywords appear in the description, else `defaults`.
+   * @returns {Array<{area: string, practices: Array<string>}>}
+   */
+  selectFocusAreas(task, defaults = []) {
+    const { matchCatalog } = require('./persona/specialist-profiles');
+    const focusAreas = this.focusAreas || {};
+    const description = (typeof task === 'string' ? task : (task.description || '')).toLowerCase();
+
+    const listed = Array.isArray(task.focus_areas) ? task.focus_areas.filter(area => focusAreas[area]) : [];
+    const keywords = Object.fromEntries(Object.entries(focusAreas).map(([area, entry]) => [area, entry.keywords]));
+    const mentioned = matchCatalog(description, keywords);
+    const areas = listed.length > 0 ? listed : (mentioned.length > 0 ? mentioned : defaults);
+
+    return areas.map(area => ({ area: area, practices: focusAreas[area].practices }));
+  }
+
+  personalityNote(index = 0) {
+    const catchphrases = this.persona ? this.persona.personality.catchphrases : [];
+    return catchphrases.length > 0 ? catchphrases[index % catchphrases.length] : null;
+  }
+
+  getSpecialistSignature() {
+    return this.persona ? `${this.persona.name} - ${this.persona.role}` : this.type;
+  }
+
+  // Contract: specialists implement processTask, or executeTask for persona-driven ones
+  async processTask(task, context) {
+    if (this.executeTask !== SpecialistAgent.prototype.executeTask) {
+      return await this.executeTask(task, context);
+    }
+    throw new Error(`${this.type} specialist must implement processTask()`);
+  }
+
+  async executeTask(task, context) {
+    const lifecycleManager = this.getLifecycleManager();
+    const startedAt = Date.now();
+
+    this.currentTask = task;
+    this.lifecycleState = LIFECYCLE_STATES.ACTIVE;
+    this.markActivity();
+
+    if (lifecycleManager) {
+      await lifecycleManager.recordTaskStarted(this, task);
+    }
+
+    try {
+      const result = await this.processTask(task, context);
+      this.tasksCompleted++;
+      if (lifecycleManager) {
+        await lifecycleManager.recordTaskCompleted(this, task, startedAt);
+      }
+      return result;
+    } catch (error) {
+      if (lifecycleManager) {
+        await lifecycleManager.recordTaskFailed(this, task, error);
+      }
+      throw error;
+    } finally {
+      this.currentTask = null;
+      this.lifecycleState = LIFECYCLE_STATES.IDLE;
+      this.markActivity();
+    }
+  }
+
+  markActivity() {
+    this.lastActivity = Date.now();
+
+    // Keep the lifecycle manager's idle timer in step with real work
+    const lifecycleManager = this.getLifecycleManager();
+    if (lifecycleManager) {
+      lifecycleManager.updateSpecialistActivity(this);
+    }
+  }
+
+  // The lifecycle manager tracking this specialist, or null once dissolved
+  getLifecycleManager() {
+    const lifecycleManager = this.manager && this.manager.lifecycleManager;
+    return lifecycleManager && lifecycleManager.activeAgents.has(this.id) ? lifecycleManager : null;
+  }
+
+  async reportToManager(result) {
+    if (this.manager) {
+      console.log(`🏁 ${this.type} specialist reporting to ${this.manager.name}`);
+      await this.manager.receiveSpecialistReport(this, result);
+    }
+  }
+
+  async requestManagerGuidance(issue) {
+    if (this.manager) {
+      console.log(`🏁 ${this.type} specialist requesting guidance on: ${issue}`);
+      return await this.manager.provideGuidance(this, issue);
+    }
+    return null;
+  }
+}
+
+class ResourceAllocator {
+  constructor(totalSpecialistSlots = 20) {
+    this.totalSpecialistSlots = totalSpecialistSlots;
+    this.allocations = new Map();
+  }
+
+  allocate(department, requestedSlots) {
+    const current = this.allocations.get(department) || 0;
+    const granted = Math.max(0, Math.min(requestedSlots, this.getAvailableSlots()));
+
+    this.allocations.set(department, current + granted);
+
+    return {
+      department: department,
+      requested: requestedSlots,
+      granted: granted,
+      remaining: this.getAvailableSlots()
+    };
+  }
+
+  release(department, slots = null) {
+    const current = this.allocations.get(department) || 0;
+    const released = slots === null ? current : Math.min(slots, current);
+
+    if (current - released > 0) {
+      this.allocations.set(department, current - released);
+    } else {
+      this.allocations.delete(department);
+    }
+
+    return released;
+  }
+
+  getAvailableSlots() {
+    let used = 0;
+    for (const slots of this.allocations.values()) {
+      used += slots;
+    }
+    return this.totalSpecialistSlots - used;
+  }
+
+  getAllocation() {
+    return {
+      total: this.totalSpecialistSlots,
+      available: this.getAvailableSlots(),
+      departments: Object.fromEntries(this.allocations)
+    };
+  }
+}
+
+module.exports = {
+  LIFECYCLE_STATES,
+  DepartmentManager,
+  SpecialistAgent,
+  ResourceAllocator
+};
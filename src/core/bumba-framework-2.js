@@ -313,7 +313,8 @@ class BumbaFramework2 {
   async getAvailableCommands() {
     return {
       framework_commands: [
-        '/bumba:status', '/bumba:help', '/bumba:menu', '/bumba:settings'
+        '/bumba:status', '/bumba:help', '/bumba:menu', '/bumba:settings',
+        '/bumba:route-explain', '/bumba:policy', '/bumba:audit'
       ],
       strategic_commands: [
         '/bumba:implement-strategy', '/bumba:prd', '/bumba:requirements',
@@ -407,6 +408,12 @@ class BumbaFramework2 {
       }
     }
 
+    // Cancel idle timers for anything that could not be dissolved
+    this.lifecycleManager.shutdown();
+
+    // Write routing patterns still waiting for their batched save
+    await this.router.predictiveEngine.flush();
+
     // Play farewell ceremony
     await this.playSacredCeremony('framework_shutdown', {
       active_specialists_dissolved: activeSpecialists.length,
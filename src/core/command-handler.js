@@ -5,6 +5,14 @@
 
 const { createBumbaFramework } = require('./bumba-framework-2');
 
+// Commands the handler answers itself without routing; --dry-run means nothing to them
+const LOCAL_COMMANDS = new Set([
+  'route-explain', 'policy', 'audit', 'status', 'help', 'menu',
+  'predict', 'spawn', 'dissolve', 'specialists',
+  'ecosystem:discover', 'ecosystem:integrate', 'ecosystem:status',
+  'learn', 'learn:report'
+]);
+
 class BumbaCommandHandler {
   constructor() {
     this.framework = createBumbaFramework({ legacy: false });
@@ -62,6 +70,13 @@ class BumbaCommandHandler {
       'coord:collaborative': this.handleCoordCollaborative.bind(this),
       'coord:orchestrated': this.handleCoordOrchestrated.bind(this),
       
+      // Routing diagnostics
+      'route-explain': this.handleRouteExplain.bind(this),
+      
+      // Security policy
+      'policy': this.handlePolicy.bind(this),
+      'audit': this.handleAudit.bind(this),
+      
       // System commands
       'status': this.handleStatus.bind(this),
       'help': this.handleHelp.bind(this),
@@ -74,6 +89,11 @@ class BumbaCommandHandler {
     // Remove 'bumba:' prefix if present
     const cleanCommand = command.replace(/^bumba:/, '');
     
+    // --dry-run on a routed command explains the route instead of executing it
+    if (args.includes('--dry-run') && !LOCAL_COMMANDS.has(cleanCommand)) {
+      return await this.handleRouteExplain([cleanCommand, ...args.filter(arg => arg !== '--dry-run')], context);
+    }
+    
     const handler = this.commandMappings[cleanCommand];
     
     if (handler) {
@@ -110,6 +130,108 @@ class BumbaCommandHandler {
     return await this.framework.activateExecutiveMode(initiative, context);
   }
 
+  async handleRouteExplain(args, context) {
+    const [command, ...commandArgs] = args;
+    
+    if (!command) {
+      return { error: 'Usage: /bumba:route-explain [command] [args...]' };
+    }
+    
+    console.log(`🏁 BUMBA 2.0: Explaining route for ${args.join(' ')} (dry run, nothing executes)`);
+    
+    const explanation = await this.framework.router.explainRoute(command, commandArgs, context);
+    console.log(explanation.decision_tree.join('\n'));
+    
+    return explanation;
+  }
+
+  async handlePolicy(args, context) {
+    // --role is only read right after 'check' so the command's own flags pass through
+    const hasRole = args[1] === '--role';
+    const role = hasRole ? args[2] : context.role;
+    const policyArgs = hasRole ? [args[0], ...args.slice(3)] : args;
+    const [subcommand, command, ...commandArgs] = policyArgs;
+    
+    if (subcommand !== 'check' || !command) {
+      return { error: 'Usage: /bumba:policy check [--role role] [command] [args...]' };
+    }
+    
+    const CommandValidator = require('./security/command-validator');
+    const validator = new CommandValidator();
+    const decision = validator.explainCommand(command, commandArgs);
+    const permission = validator.checkPermissions(command, commandArgs, { role });
+    
+    console.log(`🏁 BUMBA Command Policy: ${[command, ...commandArgs].join(' ')}`);
+    console.log(`${decision.allowed ? '✅ ALLOWED' : '🔴 BLOCKED'} - ${decision.reason}`);
+    if (decision.rule) {
+      console.log(`   Rule: ${decision.rule.effect} '${decision.rule.id}' (${decision.rule.source})`);
+      console.log(`   ${JSON.stringify(decision.rule.definition)}`);
+    }
+    for (const candidate of decision.candidates) {
+      console.log(`   Did not match: '${candidate.id}' ${JSON.stringify(candidate.definition)}`);
+    }
+    if (decision.allowed) {
+      console.log(`${permission.allowed ? '✅ PERMITTED' : '🔴 DENIED'} for role '${permission.role}'` +
+        ` (${permission.required.join(', ') || 'unclassified'} required${permission.allowed ? '' : `: ${permission.reason}`})`);
+    }
+    console.log(`   Policy files: ${validator.policy.sources.map(source => `${source.path} (sha256 ${source.sha256.slice(0, 12)})`).join(', ')}`);
+    
+    return {
+      ...decision,
+      allowed: decision.allowed && permission.allowed,
+      permission,
+      policy_sources: validator.policy.sources,
+      policy_errors: validator.policy.errors
+    };
+  }
+
+  async handleAudit(args, context) {
+    const { getCommandAuditLog } = require('./security/command-audit-log');
+    const auditLog = getCommandAuditLog();
+    // Filters may follow 'list' or come on their own
+    const [subcommand, ...options] = args[0] && !args[0].startsWith('--') ? args : ['list', ...args];
+    
+    if (!auditLog.enabled) {
+      return { error: 'Command audit log is disabled (security.auditLog / BUMBA_AUDIT_LOG)' };
+    }
+    
+    if (subcommand === 'verify') {
+      const anchorIndex = options.indexOf('--anchor');
+      const verification = await auditLog.verify({ anchor: anchorIndex === -1 ? null : options[anchorIndex + 1] });
+      console.log(`🏁 BUMBA Command Audit: ${auditLog.filePath}`);
+      if (verification.valid) {
+        // Truncation is only detectable against a head recorded outside the log
+        console.log(`✅ Chain intact: ${verification.entries} entries, head ${verification.head}`);
+      } else if (verification.broken_at.line) {
+        console.log(`🔴 Chain broken at line ${verification.broken_at.line}: ${verification.broken_at.reason}` +
+          ` (${verification.entries} entries verified before it)`);
+      } else {
+        console.log(`🔴 ${verification.broken_at.reason}`);
+      }
+      return verification;
+    }
+    
+    if (subcommand !== 'list') {
+      return { error: 'Usage: /bumba:audit [list] [--command git] [--decision allowed|blocked] [--source name] [--role role] [--since date] [--limit n] | /bumba:audit verify [--anchor head]' };
+    }
+    
+    const filter = {};
+    for (let i = 0; i < options.length; i += 2) {
+      const key = options[i].replace(/^--/, '');
+      filter[key] = key === 'limit' ? parseInt(options[i + 1], 10) : options[i + 1];
+    }
+    
+    const entries = await auditLog.query(filter);
+    console.log(`🏁 BUMBA Command Audit: ${entries.length} entries from ${auditLog.filePath}`);
+    for (const entry of entries) {
+      const outcome = entry.decision === 'blocked' ? `🔴 blocked: ${entry.reason}` 
+        : `exit ${entry.exit_code ?? '-'}${entry.reason ? ` (${entry.reason})` : ''} in ${entry.duration_ms ?? '-'}ms`;
+      console.log(`  #${entry.seq} ${entry.timestamp} [${entry.source}] ${[entry.command, ...entry.args].join(' ')} - ${outcome}`);
+    }
+    
+    return { entries, filter };
+  }
+
   async handleStatus(args, context) {
     console.log('🏁 BUMBA 2.0 Framework Status');
     
@@ -267,6 +389,9 @@ class BumbaCommandHandler {
     
     systemTable.push(
       ['/bumba:status', 'Framework and department status'],
+      ['/bumba:route-explain [command]', 'Show routing decision without executing'],
+      ['/bumba:policy check [command]', 'Explain which policy rule allows or blocks a command'],
+      ['/bumba:audit [list|verify]', 'Query the command audit log or verify its hash chain'],
       ['/bumba:menu', 'This command menu'],
       ['/bumba:help [command]', 'Contextual help for specific commands'],
       ['/bumba:settings', 'Framework configuration']
@@ -332,6 +457,51 @@ Examples:
 
 Product-Strategist assumes CEO role with full organizational authority.`,
 
+      'route-explain': `
+🏁 /bumba:route-explain [command] [args...]
+
+Dry run of the intelligent router. Nothing is executed or spawned.
+
+Examples:
+  /bumba:route-explain implement user authentication
+  /bumba:implement payment processing --dry-run
+
+Reports the complexity score with per-factor breakdown, matched keywords
+per department, why executive mode was or wasn't triggered, the chosen
+route type and which specialists would spawn.`,
+
+      'policy': `
+🏁 /bumba:policy check [--role role] [command] [args...]
+
+Checks a system command against the command policy without running it.
+
+Examples:
+  /bumba:policy check git commit -m "fix login"
+  /bumba:policy check npm install left-pad
+  /bumba:policy check --role viewer git add .
+
+Reports whether the command is allowed, the deny or allow rule that decided
+it and the file it came from, then whether the role (a role such as viewer,
+developer or admin, or a specialist type) may run it. The policy is src/core/security/command-policy.json
+extended by ~/.claude/command-policy.json and $BUMBA_COMMAND_POLICY; a project's
+.bumba/command-policy.json can only add deny rules and disable allow rules.`,
+
+      'audit': `
+🏁 /bumba:audit [list|verify] [filters...]
+
+Reads the command audit log: every command SecureExecutor ran or blocked and
+every command the security hook checked, each entry hash-chained to the last.
+
+Examples:
+  /bumba:audit --decision blocked --limit 20
+  /bumba:audit list --command git --since 2026-01-01
+  /bumba:audit verify --anchor <head from an earlier verify>
+
+Filters: --command, --decision, --source, --role, --since, --until, --limit.
+verify recomputes the chain and reports the first entry that was edited,
+removed or reordered. Entries removed from the end leave a valid chain, so
+keep the head it prints outside the log and pass it back with --anchor.`,
+
       'status': `
 🏁 /bumba:status
 
@@ -37,7 +37,11 @@ class BumbaConfig {
         maxFileSize: 10 * 1024 * 1024, // 10MB
         maxLogSize: 10 * 1024 * 1024,
         maxErrorLogEntries: 100,
-        maxConcurrentOperations: 5
+        maxConcurrentOperations: 5,
+        maxStoredPatterns: 5000,
+        maxKnowledgeEntries: 50,
+        maxKnowledgeItems: 100,
+        maxLifecycleEvents: 1000
       },
       
       // Thresholds
@@ -59,6 +63,128 @@ class BumbaConfig {
         }
       },
       
+      // Specialist lifecycle
+      lifecycle: {
+        idleTimeoutMinutes: {
+          default: 30,
+          strategic: 30,
+          experience: 30,
+          technical: 30
+        },
+        // Share of limits.maxActiveAgents each department may hold at once
+        departmentQuotas: {
+          default: 0.5,
+          strategic: 0.5,
+          experience: 0.5,
+          technical: 0.5
+        },
+        maxQueuedSpawns: 100,
+        spawnQueueTimeoutMs: 120000,
+        // Path of a JSONL file receiving every lifecycle event; null disables it
+        eventLog: null
+      },
+      
+      // Complexity scoring (see ComplexityAnalyzer in intelligent-router.js)
+      complexity: {
+        base: 0.3,
+        maxScore: 1.0,
+        vocabularies: {
+          keywords: {
+            multiplier: 0.3,
+            terms: {
+              'implement': 0.7,
+              'create': 0.6,
+              'build': 0.8,
+              'design': 0.5,
+              'analyze': 0.4,
+              'complete': 0.9,
+              'enterprise': 0.9,
+              'platform': 0.8,
+              'system': 0.7,
+              'architecture': 0.8
+            }
+          },
+          scope: {
+            multiplier: 0.2,
+            terms: {
+              'single': 0.2,
+              'multiple': 0.6,
+              'complete': 0.9,
+              'entire': 0.9,
+              'full': 0.8,
+              'comprehensive': 0.8
+            }
+          },
+          technology: {
+            multiplier: 0.1,
+            terms: {
+              'api': 0.5,
+              'database': 0.6,
+              'microservices': 0.8,
+              'cloud': 0.7,
+              'ai': 0.7,
+              'machine-learning': 0.8,
+              'blockchain': 0.9
+            }
+          }
+        },
+        args: {
+          perArgument: 0.05,
+          max: 0.2
+        },
+        context: {
+          perPreviousTask: 0.02,
+          max: 0.1
+        }
+      },
+      
+      // MCP server resilience (see MCPCircuitBreaker in mcp-resilience-system.js)
+      mcp: {
+        circuitBreaker: {
+          windowSize: 10,
+          minimumRequests: 3,
+          failureRateThreshold: 0.5,
+          openDelayMs: 5000,
+          maxOpenDelayMs: 300000,
+          backoffFactor: 2,
+          jitter: 0.5
+        },
+        // 'off', 'record' (capture request/response pairs) or 'replay' (serve them offline)
+        recordMode: 'off',
+        fixturesDir: path.join(process.cwd(), '.bumba', 'mcp-fixtures')
+      },
+      
+      // Hook plugins (see hook-plugin-loader.js)
+      hooks: {
+        pluginDir: path.join(process.cwd(), '.bumba', 'hooks'),
+        // npm packages exporting hooks
+        plugins: [],
+        // Persisted content-addressed hook results (null keeps them in memory)
+        cacheFile: path.join(os.homedir(), '.claude', 'cache', 'hook-results.json')
+      },
+      
+      // QualityHook analysis (see code-quality-analyzer.js)
+      quality: {
+        // Which files import each analyzed file, for cache keys (null keeps it in memory)
+        importIndexFile: path.join(os.homedir(), '.claude', 'cache', 'quality-import-index.json'),
+        thresholds: {
+          maxFunctionLines: 50,
+          maxComplexity: 10,
+          maxTodoPer100Lines: 2,
+          maxImageKB: 250
+        },
+        // Score points lost per finding, doubled for findings at twice the threshold
+        weights: {
+          'function-length': 3,
+          'complexity': 5,
+          'todo-density': 2,
+          'unused-export': 2,
+          'missing-jsdoc': 1,
+          'oversized-image': 4,
+          'parse-error': 20
+        }
+      },
+      
       // Retry configuration
       retry: {
         maxAttempts: 3,
@@ -73,6 +199,9 @@ class BumbaConfig {
         installation: path.join(os.homedir(), '.claude'),
         logs: path.join(os.homedir(), '.claude', 'logs'),
         cache: path.join(os.homedir(), '.claude', 'cache'),
+        patterns: path.join(os.homedir(), '.claude', 'patterns'),
+        knowledge: path.join(os.homedir(), '.claude', 'knowledge'),
+        mcpFallbacks: path.join(os.homedir(), '.claude', 'mcp-fallbacks'),
         temp: os.tmpdir(),
         audio: path.join(os.homedir(), '.claude', 'assets', 'audio')
       },
@@ -90,7 +219,9 @@ class BumbaConfig {
           os.homedir(),
           '/tmp',
           process.cwd()
-        ]
+        ],
+        // Hash-chained record of every executed or blocked command (null disables it)
+        auditLog: path.join(os.homedir(), '.claude', 'logs', 'command-audit.jsonl')
       },
       
       // Feature flags
@@ -188,6 +319,13 @@ class BumbaConfig {
       'BUMBA_DISABLE_AUDIO': ['features', 'audioEnabled', v => v !== 'true'],
       'BUMBA_DISABLE_MONITORING': ['features', 'monitoringEnabled', v => v !== 'true'],
       'BUMBA_INSTALL_DIR': ['paths', 'installation'],
+      'BUMBA_LIFECYCLE_EVENT_LOG': ['lifecycle', 'eventLog'],
+      'BUMBA_MCP_RECORD_MODE': ['mcp', 'recordMode'],
+      'BUMBA_MCP_FIXTURES': ['mcp', 'fixturesDir'],
+      'BUMBA_AUDIT_LOG': ['security', 'auditLog'],
+      'BUMBA_HOOK_CACHE': ['hooks', 'cacheFile'],
+      'BUMBA_QUALITY_IMPORT_INDEX': ['quality', 'importIndexFile'],
+      'BUMBA_HOOK_PLUGINS': ['hooks', 'plugins', v => v.split(',').map(name => name.trim()).filter(Boolean)],
       'BUMBA_API_URL': ['api', 'baseUrl']
     };
     
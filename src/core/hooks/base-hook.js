@@ -0,0 +1,50 @@
+/**
+ * BUMBA Base Hook
+ * Base class for every hook BumbaHookSystem runs, built-in or plugin. It
+ * lives apart from bumba-hook-system.js so the plugin worker can load and
+ * validate plugin hooks without building the hook system singleton.
+ */
+
+class BaseHook {
+  /**
+   * @param {string} name
+   * @param {Object} options - { event, timeout, failurePolicy: 'open'|'closed', priority, version, cacheable }
+   */
+  constructor(name, options = {}) {
+    this.name = name;
+    this.enabled = true;
+    this.event = options.event || null;
+    this.timeout = options.timeout || null;
+    this.failurePolicy = options.failurePolicy || 'open';
+    this.priority = options.priority;
+    // Bump when the hook's logic changes so cached results are not reused
+    this.version = options.version || '1';
+    // Only hooks whose result is fully determined by the context and
+    // cacheInputs() may opt in; others (side effects, live state) always run
+    this.cacheable = options.cacheable === true;
+  }
+
+  async execute(context) {
+    throw new Error('Hook execute method must be implemented');
+  }
+
+  /**
+   * Everything a result depends on besides the context. Hooks reading
+   * configuration or other state outside the context add it here.
+   */
+  cacheInputs(context) {
+    return { hook: this.constructor.name, version: this.version };
+  }
+
+  disable() {
+    this.enabled = false;
+  }
+
+  enable() {
+    this.enabled = true;
+  }
+}
+
+module.exports = {
+  BaseHook
+};
@@ -5,104 +5,275 @@
 
 const fs = require('fs');
 const path = require('path');
-const crypto = require('crypto');
 const { BumbaError, BumbaErrorBoundary } = require('../error-handling/bumba-error-system');
+const { getCommandAuditLog } = require('../security/command-audit-log');
+const { SecretScanner } = require('../security/secret-scanner');
+const { getInstance } = require('../config/bumba-config');
+const { BaseHook } = require('./base-hook');
+const { loadHookPlugins } = require('./hook-plugin-loader');
+const { CodeQualityAnalyzer } = require('./code-quality-analyzer');
+const { HookResultCache, hashFile } = require('./hook-result-cache');
+const { ImportIndex } = require('./quality-import-index');
+
+// Fields of the aggregated chain result that handler results cannot set
+const AGGREGATE_FIELDS = ['allow', 'hook_type', 'handlers', 'results', 'denied_by'];
 
 /**
  * Core Hook System with caching and fallback
  */
 class BumbaHookSystem {
-  constructor() {
+  /**
+   * @param {Object} options - { pluginDir, plugins: npm package names, loadPlugins, cacheFile }
+   */
+  constructor(options = {}) {
+    // Hook type -> ordered chain of { name, hook, priority, enabled, source, order }
     this.hooks = new Map();
-    this.cache = new Map();
     this.config = {
-      cacheTimeout: 5 * 60 * 1000, // 5 minutes
+      cacheMaxEntries: 1000,
       hookTimeout: 10000, // 10 seconds
       failureThreshold: 3,
-      failureWindow: 60000 // 1 minute
+      failureWindow: 60000, // 1 minute
+      defaultPriority: 100
     };
+    this.cache = new HookResultCache(
+      options.cacheFile !== undefined ? options.cacheFile : getInstance().get('hooks.cacheFile'),
+      { maxEntries: this.config.cacheMaxEntries }
+    );
     this.failureTracker = new Map();
+    this.registrations = 0;
+    this.pluginOptions = {
+      pluginDir: options.pluginDir || getInstance().get('hooks.pluginDir'),
+      packages: options.plugins || getInstance().get('hooks.plugins', [])
+    };
+    this.plugins = [];
+    // Plugins load on the first executeHook(), not when the module is required
+    this.pluginsLoaded = options.loadPlugins === false ? Promise.resolve([]) : null;
     
     this.initializeDefaultHooks();
   }
 
+  /**
+   * Load plugins once, before the first hook runs
+   */
+  ensurePluginsLoaded() {
+    if (!this.pluginsLoaded) {
+      this.pluginsLoaded = this.loadPlugins();
+    }
+    return this.pluginsLoaded;
+  }
+
+  /**
+   * Register hooks from .bumba/hooks/ and the configured npm packages,
+   * replacing any loaded before. Broken plugins are reported and skipped.
+   */
+  async loadPlugins() {
+    const plugins = await loadHookPlugins({ ...this.pluginOptions, BaseHook, timeout: this.config.hookTimeout });
+
+    for (const [hookType, chain] of this.hooks) {
+      this.hooks.set(hookType, chain.filter(handler => !handler.source));
+    }
+    this.plugins = plugins;
+    this.pluginsLoaded = Promise.resolve(plugins);
+
+    for (const plugin of this.plugins) {
+      const registered = [];
+      for (const hook of plugin.hooks) {
+        // Plugins add to the chains; they never replace built-in or registered handlers
+        if (this.getChain(hook.event).some(handler => handler.name === hook.name)) {
+          plugin.error = `hook ${hook.name} is already registered for ${hook.event}`;
+          continue;
+        }
+        this.addToChain(hook.event, hook, { priority: hook.priority, source: plugin.source, sourceHash: hashFile(plugin.path) });
+        registered.push(hook);
+      }
+      plugin.hooks = registered;
+
+      if (plugin.error) {
+        console.warn(`⚠️ Skipped hook plugin ${plugin.source}: ${plugin.error}`);
+      }
+    }
+
+    const loaded = this.plugins.reduce((count, plugin) => count + plugin.hooks.length, 0);
+    if (loaded > 0) {
+      console.log(`🔌 Loaded ${loaded} plugin hook(s) from ${this.plugins.length} plugin(s)`);
+    }
+    return this.plugins;
+  }
+
   /**
    * Initialize default BUMBA hooks
    */
   initializeDefaultHooks() {
     // Pre-execution security hook
-    this.hooks.set('pre-execution', new SecurityHook());
+    this.addToChain('pre-execution', new SecurityHook());
     
     // Post-execution quality hook
-    this.hooks.set('post-execution', new QualityHook());
+    this.addToChain('post-execution', new QualityHook());
     
     // Completion notification hook
-    this.hooks.set('completion', new CompletionHook());
+    this.addToChain('completion', new CompletionHook());
     
     // Consciousness validation hook
-    this.hooks.set('consciousness-check', new ConsciousnessHook());
+    this.addToChain('consciousness-check', new ConsciousnessHook());
     
     // Resource monitoring hook
-    this.hooks.set('resource-monitor', new ResourceHook());
+    this.addToChain('resource-monitor', new ResourceHook());
   }
 
   /**
-   * Execute hook with caching and error handling
+   * Run every enabled handler for a hook type in priority order. The first
+   * handler returning allow:false stops the chain; the aggregated result names
+   * it in `denied_by` with its `reason`.
+   *
+   * Each handler's full result is kept in `results[name]`. Handler fields are
+   * also available at the top level, as with a single hook: array fields
+   * (violations, findings, warnings, ...) are concatenated across handlers,
+   * and other fields keep the value of the first handler that set them.
    */
   async executeHook(hookType, context) {
-    const hook = this.hooks.get(hookType);
-    if (!hook) {
+    await this.ensurePluginsLoaded();
+
+    const chain = this.getChain(hookType).filter(handler => handler.enabled && handler.hook.enabled);
+    if (chain.length === 0) {
       return { allow: true, message: `Hook ${hookType} not found` };
     }
 
+    const aggregated = { allow: true, hook_type: hookType, handlers: [], results: {} };
+
+    for (const handler of chain) {
+      const result = await this.executeHandler(hookType, handler, context);
+
+      aggregated.results[handler.name] = result;
+      this.mergeHandlerResult(aggregated, result);
+      aggregated.handlers.push({
+        name: handler.name,
+        priority: handler.priority,
+        allow: result.allow !== false,
+        cached: Boolean(result.cached),
+        warning: result.warning || null
+      });
+
+      if (result.allow === false) {
+        aggregated.allow = false;
+        aggregated.denied_by = handler.name;
+        aggregated.reason = this.describeDenial(result);
+        break;
+      }
+    }
+
+    return aggregated;
+  }
+
+  mergeHandlerResult(aggregated, result) {
+    for (const [field, value] of Object.entries(result || {})) {
+      if (AGGREGATE_FIELDS.includes(field)) continue;
+
+      if (Array.isArray(value)) {
+        aggregated[field] = [...(Array.isArray(aggregated[field]) ? aggregated[field] : []), ...value];
+      } else if (aggregated[field] === undefined) {
+        aggregated[field] = value;
+      }
+    }
+  }
+
+  /**
+   * Execute one handler with caching and error handling. A failing handler
+   * allows the operation unless its failure policy is 'closed'.
+   */
+  async executeHandler(hookType, handler, context) {
+    const { hook } = handler;
+    const handlerKey = `${hookType}:${handler.name}`;
+
     // Check failure threshold
-    if (this.isHookDisabled(hookType)) {
-      console.warn(`⚠️ Hook ${hookType} disabled due to repeated failures`);
-      return { allow: true, warning: 'Hook disabled due to failures' };
+    if (this.isHookDisabled(handlerKey)) {
+      console.warn(`⚠️ Hook ${handlerKey} disabled due to repeated failures`);
+      return this.auditHookDecision(hookType, hook, context,
+        this.failureResult(handler, 'Hook disabled due to failures'));
     }
 
     try {
       // Check cache first
-      const cacheKey = this.generateCacheKey(hookType, context);
-      const cached = this.getFromCache(cacheKey);
+      const cacheKey = hook.cacheable ? this.generateCacheKey(hookType, handler, context) : null;
+      const cached = cacheKey && this.getFromCache(cacheKey.key);
       if (cached) {
-        return cached;
+        return this.auditHookDecision(hookType, hook, context, { ...cached, cached: true });
       }
 
-      // Execute hook with timeout
+      // Execute hook with timeout; the boundary swallows errors, so keep hold of them
+      let failure = null;
       const result = await BumbaErrorBoundary.wrap(
-        () => this.executeWithTimeout(hook, context),
+        () => this.executeWithTimeout(hook, context).catch(error => {
+          failure = error;
+          throw error;
+        }),
         () => ({ allow: true, fallback: true })
       );
+      if (failure) {
+        throw failure;
+      }
 
-      // Cache successful results
-      if (result.allow && !result.fallback) {
-        this.setCache(cacheKey, result);
+      // Cache results unless they depend on state the key does not cover
+      if (cacheKey && !result.fallback && result.cacheable !== false) {
+        this.setCache(cacheKey, result, { hookType, handler: handler.name });
       }
 
       // Reset failure count on success
-      this.resetFailureCount(hookType);
+      this.resetFailureCount(handlerKey);
 
-      return result;
+      return this.auditHookDecision(hookType, hook, context, result);
       
     } catch (error) {
       // Track failure
-      this.trackFailure(hookType);
+      this.trackFailure(handlerKey);
       
-      // Hooks fail open for reliability
-      console.warn(`Hook ${hookType} failed, allowing operation: ${error.message}`);
-      return { allow: true, warning: error.message, failed: true };
+      console.warn(`Hook ${handlerKey} failed (failure policy ${hook.failurePolicy}): ${error.message}`);
+      return this.auditHookDecision(hookType, hook, context, this.failureResult(handler, error.message));
+    }
+  }
+
+  failureResult(handler, message) {
+    if (handler.hook.failurePolicy === 'closed') {
+      return { allow: false, reason: `Hook ${handler.name} failed: ${message}`, failed: true };
     }
+    return { allow: true, warning: message, failed: true };
+  }
+
+  describeDenial(result) {
+    if (result.reason) {
+      return result.reason;
+    }
+    const violations = (result.violations || []).map(violation => violation.details || violation.type);
+    return violations.join('; ') || result.message || 'Denied without a reason';
+  }
+
+  /**
+   * Record decisions of command-checking hooks in the command audit log
+   */
+  auditHookDecision(hookType, hook, context, result) {
+    if (hook.auditsCommands && context && typeof context.command === 'string') {
+      const violations = (result.violations || []).map(violation => violation.details);
+
+      getCommandAuditLog().record({
+        source: `hook:${hookType}`,
+        command: context.command,
+        // The checked content may itself hold secrets, so only the remaining scalars are kept
+        context: { ...context, command: undefined, content: undefined },
+        decision: result.allow ? 'allowed' : 'blocked',
+        reason: violations.join('; ') || result.warning || null
+      });
+    }
+    return result;
   }
 
   /**
    * Execute hook with timeout protection
    */
   async executeWithTimeout(hook, context) {
+    const timeoutMs = hook.timeout || this.config.hookTimeout;
     return new Promise(async (resolve, reject) => {
       const timeout = setTimeout(() => {
-        reject(new BumbaError('HOOK_TIMEOUT', `Hook execution timed out after ${this.config.hookTimeout}ms`));
-      }, this.config.hookTimeout);
+        reject(new BumbaError('HOOK_TIMEOUT', `Hook execution timed out after ${timeoutMs}ms`));
+      }, timeoutMs);
 
       try {
         const result = await hook.execute(context);
@@ -116,37 +287,32 @@ class BumbaHookSystem {
   }
 
   /**
-   * Generate cache key for context
+   * Content-addressed cache key: the handler, its version and configuration
+   * (hook.cacheInputs) and the context with files replaced by content hashes
+   * @returns {Object|null} { key, files }
    */
-  generateCacheKey(hookType, context) {
-    const contextString = JSON.stringify(context, Object.keys(context).sort());
-    const hash = crypto.createHash('sha256').update(contextString).digest('hex').substring(0, 16);
-    return `${hookType}:${hash}`;
+  generateCacheKey(hookType, handler, context) {
+    const inputs = { ...handler.hook.cacheInputs(context), source: handler.sourceHash };
+    return this.cache.createKey(hookType, handler.name, inputs, context);
   }
 
-  /**
-   * Get result from cache if valid
-   */
   getFromCache(key) {
-    const cached = this.cache.get(key);
-    if (!cached) return null;
-    
-    if (Date.now() - cached.timestamp > this.config.cacheTimeout) {
-      this.cache.delete(key);
-      return null;
-    }
-    
-    return cached.result;
+    return this.cache.get(key);
+  }
+
+  setCache(cacheKey, result, metadata = {}) {
+    this.cache.set(cacheKey.key, result, { ...metadata, files: cacheKey.files });
   }
 
   /**
-   * Set cache with timestamp
+   * Drop cached results for a hook type, a handler and/or a file
+   * @param {Object} filter - { hookType, handler, file }
+   * @returns {number} entries removed
    */
-  setCache(key, result) {
-    this.cache.set(key, {
-      result: result,
-      timestamp: Date.now()
-    });
+  invalidateCache(filter = {}) {
+    const removed = this.cache.invalidate(filter);
+    console.log(`🧹 Invalidated ${removed} cached hook result(s)`);
+    return removed;
   }
 
   /**
@@ -180,16 +346,74 @@ class BumbaHookSystem {
     }
   }
 
+  getChain(hookType) {
+    return this.hooks.get(hookType) || [];
+  }
+
+  addToChain(hookType, hook, options = {}) {
+    const name = options.name || hook.name;
+    const handler = {
+      name,
+      hook,
+      priority: options.priority ?? this.config.defaultPriority,
+      enabled: options.enabled !== false,
+      source: options.source || null,
+      // Cached results of a plugin hook are dropped when its code changes
+      sourceHash: options.sourceHash || null,
+      order: this.registrations++
+    };
+
+    // A handler with the same name is replaced in place of being duplicated
+    const chain = this.getChain(hookType).filter(existing => existing.name !== name);
+    chain.push(handler);
+    // Lower priority runs first; equal priorities run in registration order
+    chain.sort((a, b) => a.priority - b.priority || a.order - b.order);
+    this.hooks.set(hookType, chain);
+    return handler;
+  }
+
   /**
-   * Register custom hook
+   * Add a handler to a hook type's chain, alongside the built-in ones.
+   * Registering a name that is already in the chain replaces that handler.
+   * @param {Object} options - { priority: lower runs first (default 100), name, enabled }
    */
-  registerHook(name, hook) {
+  registerHook(hookType, hook, options = {}) {
     if (!(hook instanceof BaseHook)) {
       throw new BumbaError('INVALID_HOOK', 'Hook must extend BaseHook class');
     }
     
-    this.hooks.set(name, hook);
-    console.log(`📎 Registered custom hook: ${name}`);
+    const name = options.name || hook.name;
+    if (this.getChain(hookType).some(existing => existing.name === name)) {
+      // The replacement may judge differently under the same name
+      this.cache.invalidate({ hookType, handler: name });
+    }
+
+    const handler = this.addToChain(hookType, hook, options);
+    console.log(`📎 Registered hook ${handler.name} for ${hookType} (priority ${handler.priority})`);
+    return handler;
+  }
+
+  unregisterHook(hookType, name) {
+    const chain = this.getChain(hookType);
+    const remaining = chain.filter(handler => handler.name !== name);
+    this.hooks.set(hookType, remaining);
+    return remaining.length < chain.length;
+  }
+
+  getHandler(hookType, name) {
+    const handler = this.getChain(hookType).find(candidate => candidate.name === name);
+    if (!handler) {
+      throw new BumbaError('HOOK_NOT_FOUND', `No hook ${name} registered for ${hookType}`);
+    }
+    return handler;
+  }
+
+  enableHook(hookType, name) {
+    this.getHandler(hookType, name).enabled = true;
+  }
+
+  disableHook(hookType, name) {
+    this.getHandler(hookType, name).enabled = false;
   }
 
   /**
@@ -197,22 +421,38 @@ class BumbaHookSystem {
    */
   getStatus() {
     const hookStatus = {};
+    let totalHandlers = 0;
     
-    for (const [name, hook] of this.hooks) {
-      const failures = this.failureTracker.get(name) || [];
-      hookStatus[name] = {
-        registered: true,
-        type: hook.constructor.name,
-        recent_failures: failures.length,
-        disabled: this.isHookDisabled(name),
-        last_failure: failures.length > 0 ? new Date(Math.max(...failures)).toISOString() : null
-      };
+    for (const [hookType, chain] of this.hooks) {
+      hookStatus[hookType] = chain.map(handler => {
+        const handlerKey = `${hookType}:${handler.name}`;
+        const failures = this.failureTracker.get(handlerKey) || [];
+        return {
+          name: handler.name,
+          type: handler.hook.className || handler.hook.constructor.name,
+          priority: handler.priority,
+          source: handler.source,
+          timeout: handler.hook.timeout || this.config.hookTimeout,
+          failure_policy: handler.hook.failurePolicy,
+          enabled: handler.enabled && handler.hook.enabled,
+          recent_failures: failures.length,
+          disabled: this.isHookDisabled(handlerKey),
+          last_failure: failures.length > 0 ? new Date(Math.max(...failures)).toISOString() : null
+        };
+      });
+      totalHandlers += chain.length;
     }
     
     return {
       total_hooks: this.hooks.size,
+      total_handlers: totalHandlers,
       cache_entries: this.cache.size,
       hook_status: hookStatus,
+      plugins: this.plugins.map(plugin => ({
+        source: plugin.source,
+        hooks: plugin.hooks.map(hook => `${hook.event}:${hook.name}`),
+        error: plugin.error
+      })),
       config: this.config
     };
   }
@@ -226,26 +466,124 @@ class BumbaHookSystem {
   }
 }
 
+// git options that take the next word as their value
+const GIT_OPTIONS_WITH_VALUE = ['-C', '-c', '--git-dir', '--work-tree', '--namespace', '--config-env'];
+// git commit short options whose value may follow as the next word
+const COMMIT_SHORT_OPTIONS_WITH_VALUE = ['m', 'F', 'c', 'C', 't'];
+
 /**
- * Base Hook class for all implementations
+ * Split a shell command line into simple commands (on ;, &&, ||, | and
+ * newlines) of words, honouring quotes and backslash escapes
  */
-class BaseHook {
-  constructor(name) {
-    this.name = name;
-    this.enabled = true;
+function splitShellCommands(commandLine) {
+  const commands = [];
+  let words = [];
+  let word = null;
+  let quote = null;
+
+  const endWord = () => {
+    if (word !== null) words.push(word);
+    word = null;
+  };
+  const endCommand = () => {
+    endWord();
+    if (words.length > 0) commands.push(words);
+    words = [];
+  };
+
+  for (let i = 0; i < commandLine.length; i++) {
+    const char = commandLine[i];
+
+    if (quote) {
+      if (char === quote) {
+        quote = null;
+      } else if (char === '\\' && quote === '"' && i + 1 < commandLine.length) {
+        word += commandLine[++i];
+      } else {
+        word += char;
+      }
+    } else if (char === '"' || char === "'") {
+      quote = char;
+      word = word || '';
+    } else if (char === '\\' && i + 1 < commandLine.length) {
+      word = (word || '') + commandLine[++i];
+    } else if (/\s/.test(char) && char !== '\n') {
+      endWord();
+    } else if (';&|\n'.includes(char)) {
+      endCommand();
+    } else {
+      word = (word || '') + char;
+    }
   }
+  endCommand();
 
-  async execute(context) {
-    throw new Error('Hook execute method must be implemented');
-  }
+  return commands;
+}
 
-  disable() {
-    this.enabled = false;
+/**
+ * Find a `git commit` in a command line
+ * @returns {Object|null} { cwd, all } where the commit runs and whether it
+ *   also commits unstaged changes (-a, --all, --include or pathspecs)
+ */
+function parseGitCommit(commandLine, cwd = process.cwd()) {
+  if (typeof commandLine !== 'string') {
+    return null;
   }
 
-  enable() {
-    this.enabled = true;
+  let directory = cwd;
+  for (const words of splitShellCommands(commandLine)) {
+    let i = 0;
+    // Leading variable assignments (GIT_DIR=... git commit)
+    while (i < words.length && /^[A-Za-z_][A-Za-z0-9_]*=/.test(words[i])) i++;
+
+    if (words[i] === 'cd') {
+      directory = words[i + 1] ? path.resolve(directory, words[i + 1]) : directory;
+      continue;
+    }
+    if (words[i] !== 'git') {
+      continue;
+    }
+
+    let gitDirectory = directory;
+    for (i++; i < words.length && words[i].startsWith('-'); i++) {
+      if (words[i] === '-C') {
+        gitDirectory = path.resolve(gitDirectory, words[i + 1] || '.');
+      }
+      if (GIT_OPTIONS_WITH_VALUE.includes(words[i])) i++;
+    }
+    if (words[i] !== 'commit') {
+      continue;
+    }
+
+    let all = false;
+    for (i++; i < words.length; i++) {
+      const word = words[i];
+      if (word === '--') {
+        all = all || i + 1 < words.length;
+        break;
+      }
+      if (['--all', '--include', '--only'].includes(word)) {
+        all = true;
+      } else if (/^--(message|file|reuse-message|reedit-message|template)$/.test(word)) {
+        i++;
+      } else if (/^-[^-]/.test(word)) {
+        for (let j = 1; j < word.length; j++) {
+          if ('aio'.includes(word[j])) all = true;
+          if (COMMIT_SHORT_OPTIONS_WITH_VALUE.includes(word[j])) {
+            if (j === word.length - 1) i++;
+            break;
+          }
+        }
+      } else if (!word.startsWith('-')) {
+        // Pathspecs commit their working tree contents
+        all = true;
+      }
+    }
+
+    return { cwd: gitDirectory, all };
   }
+
+  return null;
 }
 
 /**
@@ -253,15 +591,10 @@ class BaseHook {
  */
 class SecurityHook extends BaseHook {
   constructor() {
-    super('security');
+    // A check that cannot run must not let the operation through
+    super('security', { cacheable: true, failurePolicy: 'closed' });
+    this.auditsCommands = true;
     this.patterns = {
-      secrets: [
-        /api[_-]?key/i,
-        /secret/i,
-        /password/i,
-        /token/i,
-        /auth/i
-      ],
       suspicious: [
         /rm\s+-rf/,
         /sudo/,
@@ -276,7 +609,7 @@ class SecurityHook extends BaseHook {
     const validations = await Promise.all([
       this.validateCommand(context.command),
       this.validatePaths(context.paths || []),
-      this.scanForSecrets(context.content || ''),
+      this.scanForSecrets(context.content || '', context),
       this.checkPermissions(context.permissions || [])
     ]);
 
@@ -287,10 +620,22 @@ class SecurityHook extends BaseHook {
       allow: allow,
       violations: violations,
       security_check: true,
+      // A commit's staged changes are not part of the context, so its result must not be reused
+      cacheable: !this.isGitCommit(context.command),
       timestamp: new Date().toISOString()
     };
   }
 
+  cacheInputs(context) {
+    const scanner = new SecretScanner({ cwd: context.cwd });
+    return {
+      ...super.cacheInputs(context),
+      suspicious: this.patterns.suspicious,
+      secret_rules: scanner.rules,
+      secrets_baseline: hashFile(scanner.baselinePath)
+    };
+  }
+
   async validateCommand(command) {
     if (!command) return { safe: true };
 
@@ -316,16 +661,74 @@ class SecurityHook extends BaseHook {
     };
   }
 
-  async scanForSecrets(content) {
-    const hasSecrets = this.patterns.secrets.some(pattern => pattern.test(content));
+  /**
+   * Scan `content`, `context.files` (paths or { path, content }), `context.diff`
+   * and, for a git commit without either, the changes the commit records
+   */
+  async scanForSecrets(content, context = {}) {
+    const scanner = new SecretScanner({ cwd: context.cwd });
+    const findings = [];
+
+    if (content) {
+      findings.push(...scanner.scan(content, { file: context.file || '<content>' }));
+    }
+
+    for (const file of context.files || []) {
+      try {
+        findings.push(...(typeof file === 'string' ? scanner.scanFile(file) : scanner.scan(file.content || '', { file: file.path })));
+      } catch (error) {
+        console.warn(`⚠️ Secret scan skipped ${file.path || file}: ${error.message}`);
+      }
+    }
+
+    const commit = parseGitCommit(context.command, context.cwd);
+    const diff = context.diff || (commit && !context.files ? await this.getCommitDiff(commit) : null);
+    if (diff) {
+      findings.push(...scanner.scanDiff(diff));
+    }
 
     return {
-      safe: !hasSecrets,
+      safe: findings.length === 0,
       type: 'secret_scan',
-      details: hasSecrets ? 'Potential secrets detected' : 'No secrets found'
+      details: findings.length > 0
+        ? `Potential secrets detected: ${findings.map(finding => `${finding.file}:${finding.line} ${finding.description} (${finding.match})`).join(', ')}`
+        : 'No secrets found',
+      findings: findings
     };
   }
 
+  isGitCommit(command) {
+    return parseGitCommit(command) !== null;
+  }
+
+  /**
+   * Changes a commit will record: the staged diff, or for -a and pathspecs
+   * everything that differs from HEAD
+   */
+  async getCommitDiff(commit) {
+    const executor = require('../security/secure-executor').getInstance();
+    const run = args => executor.execute('git', [...args, '--no-color', '--unified=1'], {
+      // Framework-internal read of a repository the command itself names
+      profile: 'trusted',
+      cwd: commit.cwd,
+      context: { source: 'security-hook' }
+    });
+
+    try {
+      if (commit.all) {
+        try {
+          return (await run(['diff', 'HEAD'])).stdout;
+        } catch (error) {
+          // No HEAD yet: the first commit only has staged changes
+        }
+      }
+      return (await run(['diff', '--cached'])).stdout;
+    } catch (error) {
+      console.warn(`⚠️ Could not read changes to commit for secret scan: ${error.message}`);
+      return null;
+    }
+  }
+
   async checkPermissions(permissions) {
     const dangerous = permissions.includes('sudo') || permissions.includes('admin');
 
@@ -338,71 +741,84 @@ class SecurityHook extends BaseHook {
 }
 
 /**
- * Quality assurance hook
+ * Quality assurance hook. Analyzes `context.files` (and `context.assets`)
+ * with CodeQualityAnalyzer; `context.code` is analyzed when no files are given.
  */
 class QualityHook extends BaseHook {
-  constructor() {
-    super('quality');
+  /**
+   * @param {Object} options - { thresholds, weights } overriding quality.* config,
+   *   importIndexFile overriding quality.importIndexFile
+   */
+  constructor(options = {}) {
+    super('quality', { cacheable: true });
+    const { importIndexFile, ...analyzerOptions } = options;
+    this.options = analyzerOptions;
+    this.importIndex = new ImportIndex(
+      importIndexFile !== undefined ? importIndexFile : getInstance().get('quality.importIndexFile')
+    );
+  }
+
+  createAnalyzer(context) {
+    return new CodeQualityAnalyzer({ ...this.options, cwd: context.cwd, importIndex: this.importIndex });
   }
 
   async execute(context) {
-    const checks = await Promise.all([
-      this.checkCodeQuality(context.code || ''),
-      this.checkAssetOptimization(context.assets || []),
-      this.checkDocumentation(context.docs || '')
-    ]);
+    const analyzer = this.createAnalyzer(context);
+    const files = context.files || [];
+    const report = analyzer.analyze([...files, ...(context.assets || [])]);
+
+    if (files.length === 0 && context.code) {
+      const findings = analyzer.analyzeCode(context.code, context.file || '<code>.js');
+      findings.forEach(finding => { finding.file = context.file || '<code>'; });
+      report.files.push({ file: context.file || '<code>', score: analyzer.score(findings), findings });
+      report.findings.push(...findings);
+      report.score = analyzer.score(report.findings);
+    }
 
-    const issues = checks.filter(check => check.issues > 0);
-    
     return {
       allow: true, // Quality issues don't block execution
-      quality_score: this.calculateQualityScore(checks),
-      issues: issues,
-      recommendations: this.generateRecommendations(issues),
+      quality_score: report.score,
+      findings: report.findings,
+      files: report.files,
+      thresholds: analyzer.thresholds,
+      recommendations: this.generateRecommendations(report.findings),
       quality_check: true
     };
   }
 
-  async checkCodeQuality(code) {
-    if (!code) return { issues: 0, type: 'code_quality' };
-
-    const issues = [];
-    
-    // Simple quality checks
-    if (code.includes('console.log')) issues.push('Debug statements present');
-    if (code.includes('TODO')) issues.push('TODO comments found');
-    if (code.length > 10000) issues.push('File too large');
-
-    return {
-      issues: issues.length,
-      type: 'code_quality',
-      details: issues
-    };
-  }
+  /**
+   * The analyzed files are hashed through the context. Unused-export findings
+   * also depend on the files importing each of them and on the manifest's
+   * entry points, so their hashes are part of the key.
+   */
+  cacheInputs(context) {
+    const analyzer = this.createAnalyzer(context);
+    const importers = {};
+    for (const file of (context.files || []).filter(file => typeof file === 'string')) {
+      importers[file] = analyzer.exportDependencies(file).map(importer => ({ path: importer, sha256: hashFile(importer) }));
+    }
 
-  async checkAssetOptimization(assets) {
     return {
-      issues: 0,
-      type: 'asset_optimization',
-      details: 'Assets checked'
+      ...super.cacheInputs(context),
+      thresholds: analyzer.thresholds,
+      weights: analyzer.weights,
+      parser: Boolean(analyzer.parser),
+      importers,
+      manifest: hashFile(path.join(analyzer.cwd, 'package.json'))
     };
   }
 
-  async checkDocumentation(docs) {
-    return {
-      issues: docs.length === 0 ? 1 : 0,
-      type: 'documentation',
-      details: docs.length === 0 ? 'No documentation provided' : 'Documentation present'
+  generateRecommendations(findings) {
+    const advice = {
+      'function-length': 'Split long functions into smaller ones',
+      'complexity': 'Reduce branching in complex functions',
+      'todo-density': 'Resolve or track outstanding TODO/FIXME markers',
+      'unused-export': 'Remove exports nothing imports',
+      'missing-jsdoc': 'Document exported functions and classes',
+      'oversized-image': 'Compress or resize large images',
+      'parse-error': 'Fix syntax errors'
     };
-  }
-
-  calculateQualityScore(checks) {
-    const totalIssues = checks.reduce((sum, check) => sum + check.issues, 0);
-    return Math.max(0, 100 - (totalIssues * 10));
-  }
-
-  generateRecommendations(issues) {
-    return issues.map(issue => `Consider addressing: ${issue.type}`);
+    return [...new Set(findings.map(finding => finding.rule))].map(rule => advice[rule]).filter(Boolean);
   }
 }
 
@@ -537,5 +953,6 @@ module.exports = {
   CompletionHook,
   ConsciousnessHook,
   ResourceHook,
+  parseGitCommit,
   bumbaHookSystem
 };
\ No newline at end of file
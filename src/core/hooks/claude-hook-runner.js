@@ -0,0 +1,163 @@
+#!/usr/bin/env node
+
+/**
+ * BUMBA Claude Hook Runner
+ * Entry point for the generated Claude Code hooks. Reads the hook payload
+ * ({ cwd, tool_name, tool_input, ... }) from stdin and runs the matching
+ * BumbaHookSystem chain:
+ *
+ *   pre-execution   SecurityHook (and plugins) on the pending tool input
+ *   post-execution  QualityHook (and plugins) on the files the tool changed
+ *
+ * Exits 2 with the reason on stderr when a hook denies the tool call, which
+ * Claude Code treats as blocking. A runner failure also exits 2 for
+ * pre-execution, so the security check fails closed; for post-execution it
+ * exits 1, which Claude Code reports without blocking.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const EXIT_ALLOW = 0;
+const EXIT_ERROR = 1;
+const EXIT_BLOCK = 2;
+const EVENTS = ['pre-execution', 'post-execution'];
+
+/**
+ * Paths a file tool call touches
+ */
+function toolFiles(toolInput = {}) {
+  return [toolInput.file_path, toolInput.notebook_path].filter(Boolean);
+}
+
+/**
+ * Text a file tool call is about to write
+ */
+function toolContent(toolName, toolInput = {}) {
+  switch (toolName) {
+    case 'Write':
+      return toolInput.content || '';
+    case 'Edit':
+      return toolInput.new_string || '';
+    case 'MultiEdit':
+      return (toolInput.edits || []).map(edit => edit.new_string || '').join('\n');
+    case 'NotebookEdit':
+      return toolInput.new_source || '';
+    default:
+      return '';
+  }
+}
+
+/**
+ * Hook context for a Claude Code payload
+ */
+function buildHookContext(event, input) {
+  const toolInput = input.tool_input || {};
+  const files = toolFiles(toolInput).map(file => path.resolve(input.cwd || process.cwd(), file));
+  const context = {
+    tool: input.tool_name || null,
+    cwd: input.cwd || process.cwd()
+  };
+
+  if (event === 'pre-execution') {
+    if (typeof toolInput.command === 'string') {
+      context.command = toolInput.command;
+    }
+    context.paths = files;
+    context.content = toolContent(input.tool_name, toolInput);
+    context.file = files[0] || null;
+    return context;
+  }
+
+  context.files = files;
+  return context;
+}
+
+function describeResult(event, input, result) {
+  const target = input.tool_name || 'operation';
+  if (!result.allow) {
+    return `BUMBA blocked ${target}: ${result.reason} (hook: ${result.denied_by})`;
+  }
+  if (event === 'post-execution' && (result.findings || []).length > 0) {
+    const details = result.findings.map(finding => `${finding.file}:${finding.line} ${finding.message} [${finding.rule}]`);
+    return `BUMBA quality score ${result.quality_score}:\n  ${details.join('\n  ')}`;
+  }
+  return null;
+}
+
+/**
+ * Exit code and message for a runner that could not complete
+ */
+function runnerFailure(event, error) {
+  const blocks = event === 'pre-execution';
+  return {
+    code: blocks ? EXIT_BLOCK : EXIT_ERROR,
+    message: `BUMBA ${event || ''} hook failed${blocks ? ', tool call blocked' : ''}: ${error.message}`
+  };
+}
+
+/**
+ * Run a hook chain for a payload
+ * @returns {Promise<Object>} { code, message, result }
+ */
+async function runClaudeHook(event, input) {
+  if (!EVENTS.includes(event)) {
+    return { code: EXIT_ERROR, message: `Unknown BUMBA hook event '${event}' (expected ${EVENTS.join(' or ')})` };
+  }
+
+  try {
+    // Project config and plugins resolve against the project Claude Code is working in
+    if (input.cwd && fs.existsSync(input.cwd)) {
+      process.chdir(input.cwd);
+    }
+
+    const { bumbaHookSystem } = require('./bumba-hook-system');
+    const result = await bumbaHookSystem.executeHook(event, buildHookContext(event, input));
+
+    return {
+      code: result.allow ? EXIT_ALLOW : EXIT_BLOCK,
+      message: describeResult(event, input, result),
+      result
+    };
+  } catch (error) {
+    return runnerFailure(event, error);
+  }
+}
+
+function readStdin() {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    process.stdin.setEncoding('utf8');
+    process.stdin.on('data', chunk => { data += chunk; });
+    process.stdin.on('end', () => resolve(data));
+    process.stdin.on('error', reject);
+  });
+}
+
+// CLI interface
+if (require.main === module) {
+  const event = process.argv[2];
+
+  // Framework logging would drown out the reason Claude Code shows
+  if (process.env.BUMBA_DEBUG !== 'true') {
+    console.log = console.info = console.debug = console.warn = () => {};
+  }
+
+  readStdin()
+    .then(data => runClaudeHook(event, data.trim() ? JSON.parse(data) : {}))
+    .catch(error => runnerFailure(event, error))
+    .then(({ code, message }) => {
+      if (message) {
+        process.stderr.write(message + '\n');
+      }
+      process.exit(code);
+    });
+}
+
+module.exports = {
+  runClaudeHook,
+  buildHookContext,
+  EXIT_ALLOW,
+  EXIT_ERROR,
+  EXIT_BLOCK
+};
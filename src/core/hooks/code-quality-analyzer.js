@@ -0,0 +1,594 @@
+/**
+ * BUMBA Code Quality Analyzer
+ * Parses changed JS/TS files with @babel/parser and reports per-file findings
+ * with line numbers:
+ *
+ *   function-length   functions longer than maxFunctionLines
+ *   complexity        cyclomatic complexity above maxComplexity
+ *   todo-density      TODO/FIXME/HACK/XXX markers per 100 lines above maxTodoPer100Lines
+ *   unused-export     exports no other project file imports
+ *   missing-jsdoc     exported functions and classes without a /** *\/ comment
+ *   oversized-image   image assets larger than maxImageKB
+ *   parse-error       syntax the parser could not recover from
+ *
+ * The score starts at 100 and loses the rule's weight for each finding, twice
+ * over when the measured value is at least double its threshold.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getInstance } = require('../config/bumba-config');
+
+const CODE_EXTENSIONS = ['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx', '.mts', '.cts'];
+const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.gif', '.webp', '.avif', '.svg', '.bmp', '.tif', '.tiff', '.ico'];
+const RESOLVE_SUFFIXES = ['', ...CODE_EXTENSIONS, ...CODE_EXTENSIONS.map(ext => `/index${ext}`)];
+const IGNORED_DIRS = new Set(['node_modules', '.git', 'dist', 'build', 'coverage', '.next', '.cache']);
+const TEST_FILE = /(\.(test|spec)\.[cm]?[jt]sx?$)|(^|[\\/])__tests__[\\/]/;
+const TODO_MARKER = /\b(TODO|FIXME|HACK|XXX)\b/;
+const MAX_FILE_BYTES = 1024 * 1024;
+const MAX_PROJECT_FILES = 5000;
+// AST keys that hold positions or comments rather than child nodes
+const NON_CHILD_KEYS = new Set(['loc', 'start', 'end', 'range', 'extra', 'leadingComments', 'trailingComments', 'innerComments', 'comments', 'tokens']);
+const FUNCTION_TYPES = new Set([
+  'FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression',
+  'ObjectMethod', 'ClassMethod', 'ClassPrivateMethod'
+]);
+const BRANCH_TYPES = new Set([
+  'IfStatement', 'ConditionalExpression', 'ForStatement', 'ForInStatement', 'ForOfStatement',
+  'WhileStatement', 'DoWhileStatement', 'CatchClause'
+]);
+
+const DEFAULT_THRESHOLDS = {
+  maxFunctionLines: 50,
+  maxComplexity: 10,
+  maxTodoPer100Lines: 2,
+  maxImageKB: 250
+};
+
+const DEFAULT_WEIGHTS = {
+  'function-length': 3,
+  'complexity': 5,
+  'todo-density': 2,
+  'unused-export': 2,
+  'missing-jsdoc': 1,
+  'oversized-image': 4,
+  'parse-error': 20
+};
+
+function loadParser() {
+  try {
+    return require('@babel/parser');
+  } catch (error) {
+    return null;
+  }
+}
+
+function parse(parser, code, file) {
+  const extension = path.extname(file);
+  const typescript = ['.ts', '.tsx', '.mts', '.cts'].includes(extension);
+  const plugins = ['decorators-legacy'];
+  if (typescript) plugins.push('typescript');
+  if (!typescript || extension === '.tsx') plugins.push('jsx');
+
+  return parser.parse(code, {
+    sourceType: 'unambiguous',
+    allowReturnOutsideFunction: true,
+    errorRecovery: true,
+    plugins
+  });
+}
+
+function walk(node, visit, parent = null) {
+  if (!node || typeof node.type !== 'string') return;
+  if (visit(node, parent) === false) return;
+
+  for (const key of Object.keys(node)) {
+    if (NON_CHILD_KEYS.has(key)) continue;
+    const child = node[key];
+    if (Array.isArray(child)) {
+      child.forEach(item => walk(item, visit, node));
+    } else if (child && typeof child.type === 'string') {
+      walk(child, visit, node);
+    }
+  }
+}
+
+function keyName(key) {
+  if (!key) return null;
+  return key.name || (key.id && key.id.name) || (typeof key.value === 'string' ? key.value : null);
+}
+
+function functionName(node, parent) {
+  if (node.id) return node.id.name;
+  if (node.key) return keyName(node.key);
+  if (!parent) return '<anonymous>';
+  if (parent.type === 'VariableDeclarator') return keyName(parent.id) || '<anonymous>';
+  if (parent.type === 'AssignmentExpression') return keyName(parent.left.property || parent.left) || '<anonymous>';
+  if (['ObjectProperty', 'ClassProperty', 'ClassPrivateProperty'].includes(parent.type)) return keyName(parent.key) || '<anonymous>';
+  return '<anonymous>';
+}
+
+/**
+ * 1 + one per branch point, not counting nested functions
+ */
+function cyclomaticComplexity(fn) {
+  let complexity = 1;
+  walk(fn.body, node => {
+    if (FUNCTION_TYPES.has(node.type)) return false;
+    if (BRANCH_TYPES.has(node.type)) complexity++;
+    else if (node.type === 'SwitchCase' && node.test) complexity++;
+    else if (node.type === 'LogicalExpression') complexity++;
+    else if (node.type === 'AssignmentExpression' && ['&&=', '||=', '??='].includes(node.operator)) complexity++;
+    return true;
+  });
+  return complexity;
+}
+
+function hasJsDoc(node) {
+  return (node.leadingComments || []).some(comment => comment.type === 'CommentBlock' && comment.value.startsWith('*'));
+}
+
+function isModuleExports(node) {
+  return node && node.type === 'MemberExpression' && !node.computed &&
+    node.object.type === 'Identifier' && node.object.name === 'module' && keyName(node.property) === 'exports';
+}
+
+/**
+ * Top-level declarations by name, with the statement their comments attach to
+ */
+function topLevelDeclarations(program) {
+  const declarations = new Map();
+  const add = (declaration, statement) => {
+    if (['FunctionDeclaration', 'ClassDeclaration'].includes(declaration.type) && declaration.id) {
+      declarations.set(declaration.id.name, { statement, value: declaration });
+    } else if (declaration.type === 'VariableDeclaration') {
+      for (const declarator of declaration.declarations) {
+        if (declarator.id.type === 'Identifier') {
+          declarations.set(declarator.id.name, { statement, value: declarator.init });
+        }
+      }
+    }
+  };
+
+  for (const statement of program.body) {
+    add(statement, statement);
+    if (statement.type === 'ExportNamedDeclaration' && statement.declaration) {
+      add(statement.declaration, statement);
+    }
+  }
+  return declarations;
+}
+
+/**
+ * Exported names with the line they are exported on and, for functions and
+ * classes, the node their JSDoc should be attached to
+ */
+function collectExports(program) {
+  const declarations = topLevelDeclarations(program);
+  const isApi = value => value && (FUNCTION_TYPES.has(value.type) || ['ClassDeclaration', 'ClassExpression'].includes(value.type));
+  const exports = [];
+  let commonJs = false;
+
+  const addLocal = (name, localName, line) => {
+    const local = declarations.get(localName);
+    exports.push({ name, line, docNode: local && isApi(local.value) ? local.statement : null });
+  };
+
+  for (const statement of program.body) {
+    const line = statement.loc.start.line;
+
+    if (statement.type === 'ExportNamedDeclaration' && !statement.source) {
+      const declaration = statement.declaration;
+      if (declaration && declaration.id) {
+        exports.push({ name: declaration.id.name, line, docNode: isApi(declaration) ? statement : null });
+      } else if (declaration && declaration.type === 'VariableDeclaration') {
+        declaration.declarations
+          .filter(declarator => declarator.id.type === 'Identifier')
+          .forEach(declarator => exports.push({ name: declarator.id.name, line, docNode: isApi(declarator.init) ? statement : null }));
+      }
+      for (const specifier of statement.specifiers || []) {
+        addLocal(keyName(specifier.exported), specifier.local.name, specifier.loc.start.line);
+      }
+    } else if (statement.type === 'ExportDefaultDeclaration') {
+      exports.push({ name: 'default', line, docNode: isApi(statement.declaration) ? statement : null });
+    } else if (statement.type === 'ExpressionStatement' && statement.expression.type === 'AssignmentExpression') {
+      const { left, right } = statement.expression;
+
+      if (isModuleExports(left)) {
+        commonJs = true;
+        if (right.type === 'ObjectExpression') {
+          for (const property of right.properties.filter(prop => prop.type === 'ObjectProperty' || prop.type === 'ObjectMethod')) {
+            const name = keyName(property.key);
+            if (property.value && property.value.type === 'Identifier') {
+              addLocal(name, property.value.name, property.loc.start.line);
+            } else {
+              exports.push({ name, line: property.loc.start.line, docNode: isApi(property.value || property) ? property : null });
+            }
+          }
+        } else {
+          exports.push({ name: 'default', line, docNode: null });
+        }
+      } else if (left.type === 'MemberExpression' && !left.computed &&
+        (isModuleExports(left.object) || (left.object.type === 'Identifier' && left.object.name === 'exports'))) {
+        commonJs = true;
+        exports.push({ name: keyName(left.property), line, docNode: isApi(right) ? statement : null });
+      }
+    }
+  }
+
+  return { exports, commonJs };
+}
+
+/**
+ * Modules a file imports, with the names it takes from each (`all` when the
+ * whole module object is used)
+ */
+function collectImports(program) {
+  const imports = [];
+  const use = (source, names) => imports.push({ source, names });
+
+  walk(program, (node, parent) => {
+    if (node.type === 'ImportDeclaration' && node.specifiers.length > 0) {
+      use(node.source.value, node.specifiers.map(specifier => {
+        if (specifier.type === 'ImportNamespaceSpecifier') return 'all';
+        if (specifier.type === 'ImportDefaultSpecifier') return 'default';
+        return keyName(specifier.imported);
+      }));
+    } else if (node.type === 'ExportNamedDeclaration' && node.source) {
+      use(node.source.value, node.specifiers.map(specifier => specifier.type === 'ExportNamespaceSpecifier' ? 'all' : keyName(specifier.local)));
+    } else if (node.type === 'ExportAllDeclaration') {
+      use(node.source.value, ['all']);
+    } else if (node.type === 'CallExpression' && node.arguments[0] && node.arguments[0].type === 'StringLiteral' &&
+      ((node.callee.type === 'Identifier' && node.callee.name === 'require') || node.callee.type === 'Import')) {
+      const source = node.arguments[0].value;
+      if (parent && parent.type === 'VariableDeclarator' && parent.id.type === 'ObjectPattern') {
+        use(source, parent.id.properties.map(property => property.type === 'RestElement' ? 'all' : keyName(property.key)));
+      } else if (parent && parent.type === 'MemberExpression' && parent.object === node && !parent.computed) {
+        use(source, [keyName(parent.property)]);
+      } else {
+        use(source, ['all']);
+      }
+    }
+    return true;
+  });
+
+  return imports;
+}
+
+class CodeQualityAnalyzer {
+  /**
+   * @param {Object} options - { cwd, thresholds, weights, importIndex: ImportIndex to record importers in }
+   */
+  constructor(options = {}) {
+    this.cwd = path.resolve(options.cwd || process.cwd());
+    this.thresholds = { ...DEFAULT_THRESHOLDS, ...getInstance().get('quality.thresholds', {}), ...options.thresholds };
+    this.weights = { ...DEFAULT_WEIGHTS, ...getInstance().get('quality.weights', {}), ...options.weights };
+    this.parser = loadParser();
+    this.projectFiles = null;
+    this.importsByFile = new Map();
+    this.importIndex = options.importIndex || null;
+  }
+
+  /**
+   * Analyze code files and image assets
+   * @param {Array<string>} files - paths, relative to cwd or absolute
+   * @returns {Object} { score, findings, files: [{ file, score, findings }] }
+   */
+  analyze(files) {
+    const results = [];
+
+    for (const file of files) {
+      const absolute = path.resolve(this.cwd, file);
+      const extension = path.extname(absolute).toLowerCase();
+      let findings;
+
+      if (IMAGE_EXTENSIONS.includes(extension)) {
+        findings = this.checkImage(absolute);
+      } else if (CODE_EXTENSIONS.includes(extension)) {
+        findings = this.analyzeFile(absolute);
+      } else {
+        continue;
+      }
+
+      const relative = path.relative(this.cwd, absolute) || absolute;
+      findings.forEach(finding => { finding.file = relative; });
+      results.push({ file: relative, score: this.score(findings), findings });
+    }
+
+    const findings = results.flatMap(result => result.findings);
+    return { score: this.score(findings), findings, files: results };
+  }
+
+  analyzeFile(file) {
+    let code;
+    try {
+      if (fs.statSync(file).size > MAX_FILE_BYTES) return [];
+      code = fs.readFileSync(file, 'utf8');
+    } catch (error) {
+      return [];
+    }
+    return this.analyzeCode(code, file);
+  }
+
+  /**
+   * Analyze source text; `file` picks the parser plugins and resolves imports
+   */
+  analyzeCode(code, file = '<code>.js') {
+    if (!this.parser) {
+      return [this.finding('parse-error', 1, 'Code analysis unavailable: @babel/parser is not installed')];
+    }
+
+    let ast;
+    try {
+      ast = parse(this.parser, code, file);
+    } catch (error) {
+      return [this.finding('parse-error', error.loc ? error.loc.line : 1, `Could not parse: ${error.message}`)];
+    }
+
+    if (this.importIndex && path.isAbsolute(file)) {
+      const imported = collectImports(ast.program)
+        .filter(({ source }) => source.startsWith('.'))
+        .map(({ source }) => this.resolveImport(file, source));
+      this.importIndex.recordImports(file, imported.filter(Boolean));
+    }
+
+    return [
+      ...(ast.errors || []).map(error => this.finding('parse-error', error.loc ? error.loc.line : 1, error.message)),
+      ...this.checkFunctions(ast.program),
+      ...this.checkTodoDensity(ast.comments || [], code),
+      ...this.checkExports(ast.program, file)
+    ];
+  }
+
+  checkFunctions(program) {
+    const findings = [];
+
+    walk(program, (node, parent) => {
+      if (!FUNCTION_TYPES.has(node.type)) return true;
+
+      const name = functionName(node, parent);
+      const line = node.loc.start.line;
+      const length = node.loc.end.line - line + 1;
+      const complexity = cyclomaticComplexity(node);
+
+      if (length > this.thresholds.maxFunctionLines) {
+        findings.push(this.finding('function-length', line, `${name} is ${length} lines long`, length, this.thresholds.maxFunctionLines));
+      }
+      if (complexity > this.thresholds.maxComplexity) {
+        findings.push(this.finding('complexity', line, `${name} has cyclomatic complexity ${complexity}`, complexity, this.thresholds.maxComplexity));
+      }
+      return true;
+    });
+
+    return findings;
+  }
+
+  checkTodoDensity(comments, code) {
+    const markerLines = comments
+      .filter(comment => TODO_MARKER.test(comment.value))
+      .map(comment => comment.loc.start.line);
+    const lines = code.split('\n').filter(line => line.trim()).length;
+    if (markerLines.length === 0 || lines === 0) return [];
+
+    const density = Math.round((markerLines.length / lines) * 10000) / 100;
+    if (density <= this.thresholds.maxTodoPer100Lines) return [];
+
+    const finding = this.finding('todo-density', markerLines[0],
+      `${markerLines.length} TODO/FIXME markers in ${lines} lines (${density} per 100 lines)`,
+      density, this.thresholds.maxTodoPer100Lines);
+    finding.lines = markerLines;
+    return [finding];
+  }
+
+  checkExports(program, file) {
+    const { exports, commonJs } = collectExports(program);
+    const findings = exports
+      .filter(exported => exported.docNode && !hasJsDoc(exported.docNode))
+      .map(exported => this.finding('missing-jsdoc', exported.docNode.loc.start.line, `Exported ${exported.name} has no JSDoc comment`));
+
+    const usage = this.exportUsage(file, commonJs);
+    if (usage && !usage.all) {
+      exports
+        .filter(exported => !usage.names.has(exported.name))
+        .forEach(exported => findings.push(this.finding('unused-export', exported.line, `Export ${exported.name} is not imported anywhere in the project`)));
+    }
+
+    return findings;
+  }
+
+  checkImage(file) {
+    let size;
+    try {
+      size = fs.statSync(file).size;
+    } catch (error) {
+      return [];
+    }
+
+    const sizeKB = Math.round(size / 1024);
+    if (sizeKB <= this.thresholds.maxImageKB) return [];
+    return [this.finding('oversized-image', 1, `Image is ${sizeKB}KB`, sizeKB, this.thresholds.maxImageKB)];
+  }
+
+  /**
+   * Names other project files import from `file`, or null when the check does
+   * not apply (entry points, tests, files outside the project, huge projects)
+   */
+  exportUsage(file, commonJs) {
+    const importers = this.checksExportUsage(file) ? this.findImporters(file) : null;
+    if (!importers) return null;
+
+    const usage = { all: false, names: new Set() };
+    for (const names of importers.values()) {
+      for (const name of names) {
+        // Importing a CommonJS module's default is taking the whole exports object
+        if (name === 'all' || (commonJs && name === 'default')) {
+          usage.all = true;
+        }
+        usage.names.add(name);
+      }
+    }
+    return usage;
+  }
+
+  checksExportUsage(file) {
+    return path.isAbsolute(file) && file.startsWith(this.cwd + path.sep) && !TEST_FILE.test(file) && !this.isEntryPoint(file);
+  }
+
+  /**
+   * Scan the project for files importing `file`, recording them in the import index
+   * @returns {Map<string, Array<string>>|null} importer -> names it imports, or
+   *   null when the project is too large to scan
+   */
+  findImporters(file) {
+    const projectFiles = this.listProjectFiles();
+    if (!projectFiles) return null;
+
+    const target = path.basename(file).replace(/\.[^.]+$/, '');
+    const hint = target === 'index' ? path.basename(path.dirname(file)) : target;
+    const importers = new Map();
+
+    for (const importer of projectFiles) {
+      if (importer === file) continue;
+
+      for (const imported of this.importsOf(importer, hint)) {
+        if (!imported.source.startsWith('.') || this.resolveImport(importer, imported.source) !== file) continue;
+        importers.set(importer, [...(importers.get(importer) || []), ...imported.names]);
+      }
+    }
+
+    if (this.importIndex) {
+      this.importIndex.setImporters(file, [...importers.keys()]);
+    }
+    return importers;
+  }
+
+  /**
+   * Files whose contents the unused-export findings for `file` depend on: the
+   * project files importing it, taken from the import index and found by a
+   * project scan only when the index has no entry for it
+   * @returns {Array<string>} sorted importers; empty when the check does not apply
+   */
+  exportDependencies(file) {
+    const absolute = path.resolve(this.cwd, file);
+    if (!CODE_EXTENSIONS.includes(path.extname(absolute).toLowerCase()) || !this.checksExportUsage(absolute)) {
+      return [];
+    }
+
+    const indexed = this.importIndex && this.importIndex.importersOf(absolute);
+    if (indexed) return indexed;
+
+    const importers = this.findImporters(absolute);
+    return importers ? [...importers.keys()].sort() : [];
+  }
+
+  importsOf(file, hint) {
+    if (!this.importsByFile.has(file)) {
+      this.importsByFile.set(file, { text: null, imports: null });
+    }
+    const entry = this.importsByFile.get(file);
+
+    if (entry.text === null) {
+      try {
+        entry.text = fs.statSync(file).size > MAX_FILE_BYTES ? '' : fs.readFileSync(file, 'utf8');
+      } catch (error) {
+        entry.text = '';
+      }
+    }
+    // Only parse files that could mention the module
+    if (!entry.text.includes(hint)) return [];
+
+    if (entry.imports === null) {
+      try {
+        entry.imports = collectImports(parse(this.parser, entry.text, file).program);
+      } catch (error) {
+        entry.imports = [];
+      }
+    }
+    return entry.imports;
+  }
+
+  resolveImport(importer, source) {
+    const base = path.resolve(path.dirname(importer), source);
+    for (const suffix of RESOLVE_SUFFIXES) {
+      const candidate = base + suffix;
+      if (fs.existsSync(candidate) && fs.statSync(candidate).isFile()) {
+        return candidate;
+      }
+    }
+    return null;
+  }
+
+  isEntryPoint(file) {
+    try {
+      const manifest = JSON.parse(fs.readFileSync(path.join(this.cwd, 'package.json'), 'utf8'));
+      const bins = typeof manifest.bin === 'string' ? [manifest.bin] : Object.values(manifest.bin || {});
+      return [manifest.main || 'index.js', manifest.module, ...bins]
+        .filter(Boolean)
+        .some(entry => path.resolve(this.cwd, entry) === file);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  listProjectFiles() {
+    if (this.projectFiles !== null) {
+      return this.projectFiles || null;
+    }
+
+    const files = [];
+    const pending = [this.cwd];
+    while (pending.length > 0) {
+      const dir = pending.pop();
+      let entries;
+      try {
+        entries = fs.readdirSync(dir, { withFileTypes: true });
+      } catch (error) {
+        continue;
+      }
+
+      for (const entry of entries) {
+        if (entry.isDirectory()) {
+          if (!IGNORED_DIRS.has(entry.name) && !entry.name.startsWith('.')) {
+            pending.push(path.join(dir, entry.name));
+          }
+        } else if (CODE_EXTENSIONS.includes(path.extname(entry.name))) {
+          files.push(path.join(dir, entry.name));
+          if (files.length > MAX_PROJECT_FILES) {
+            // Too large to scan on every edit; skip the unused-export check
+            this.projectFiles = false;
+            return null;
+          }
+        }
+      }
+    }
+
+    this.projectFiles = files;
+    return files;
+  }
+
+  finding(rule, line, message, value = null, threshold = null) {
+    return {
+      file: null,
+      line,
+      rule,
+      severity: rule === 'parse-error' || (threshold && value >= threshold * 2) ? 'error' : 'warning',
+      message,
+      value,
+      threshold
+    };
+  }
+
+  score(findings) {
+    const penalty = findings.reduce((total, finding) =>
+      total + (this.weights[finding.rule] || 0) * (finding.severity === 'error' ? 2 : 1), 0);
+    return Math.max(0, 100 - penalty);
+  }
+}
+
+module.exports = {
+  CodeQualityAnalyzer,
+  DEFAULT_THRESHOLDS,
+  DEFAULT_WEIGHTS,
+  CODE_EXTENSIONS,
+  IMAGE_EXTENSIONS
+};
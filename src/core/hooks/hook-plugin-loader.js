@@ -0,0 +1,216 @@
+/**
+ * BUMBA Hook Plugin Loader
+ * Discovers hook modules in the project's .bumba/hooks/ directory and in npm
+ * packages listed in hooks.plugins. A plugin module exports BaseHook
+ * subclasses (one, an array or an object of them), or a function that is
+ * given { BaseHook } and returns them:
+ *
+ *   module.exports = ({ BaseHook }) => class NoCurlHook extends BaseHook {
+ *     constructor() {
+ *       super('no-curl', { event: 'pre-execution', timeout: 2000, failurePolicy: 'closed' });
+ *     }
+ *     async execute(context) { ... }
+ *   };
+ *
+ * Plugin code never runs in the host process. Each plugin is loaded and
+ * validated in a child process (hook-plugin-worker.js), and every execute()
+ * runs in a fresh child that is killed when the hook's timeout expires. A
+ * plugin that throws, rejects asynchronously or hangs therefore fails only
+ * its own hook, under its failure policy. The child is not a security
+ * boundary: it runs with the user's permissions, so plugins are trusted code.
+ *
+ * execute() receives a copy of the context and keeps no state between runs.
+ * Results are only cached for hooks constructed with { cacheable: true }; a
+ * plugin's key covers the context, its version and the plugin file, so a
+ * cacheable plugin may depend on nothing else.
+ *
+ * A plugin that fails to load or declares an invalid hook is reported in the
+ * results and skipped.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { fork } = require('child_process');
+
+const WORKER_PATH = path.join(__dirname, 'hook-plugin-worker.js');
+const PLUGIN_EXTENSIONS = ['.js', '.cjs'];
+const FAILURE_POLICIES = ['open', 'closed'];
+// Hook types BumbaHookSystem runs
+const HOOK_EVENTS = ['pre-execution', 'post-execution', 'completion', 'consciousness-check', 'resource-monitor'];
+const MAX_TIMEOUT_MS = 60000;
+const LOAD_TIMEOUT_MS = 10000;
+
+/**
+ * @param {Object} options - { pluginDir, packages, cwd, BaseHook, timeout: execute timeout for hooks without one }
+ * @returns {Promise<Array<Object>>} one entry per plugin: { source, path, hooks, error }
+ */
+async function loadHookPlugins({ pluginDir, packages = [], cwd = process.cwd(), BaseHook, timeout = MAX_TIMEOUT_MS }) {
+  const PluginHook = createPluginHookClass(BaseHook, timeout);
+  const plugins = [];
+
+  for (const file of listPluginFiles(pluginDir)) {
+    plugins.push(await loadPlugin(`file:${path.relative(cwd, file) || file}`, () => resolveInside(pluginDir, file), PluginHook));
+  }
+
+  for (const packageName of packages) {
+    plugins.push(await loadPlugin(`npm:${packageName}`, () => require.resolve(packageName, { paths: [cwd] }), PluginHook));
+  }
+
+  return plugins;
+}
+
+function listPluginFiles(pluginDir) {
+  if (!pluginDir || !fs.existsSync(pluginDir)) {
+    return [];
+  }
+
+  return fs.readdirSync(pluginDir, { withFileTypes: true })
+    .filter(entry => !entry.isDirectory() && PLUGIN_EXTENSIONS.includes(path.extname(entry.name)))
+    .map(entry => path.join(pluginDir, entry.name))
+    .sort();
+}
+
+// A symlink in the hooks directory must not pull in code from elsewhere
+function resolveInside(pluginDir, file) {
+  const root = fs.realpathSync(pluginDir);
+  const resolved = fs.realpathSync(file);
+  if (!resolved.startsWith(root + path.sep)) {
+    throw new Error(`resolves outside ${pluginDir}`);
+  }
+  return resolved;
+}
+
+async function loadPlugin(source, resolve, PluginHook) {
+  const plugin = { source, path: null, hooks: [], error: null };
+
+  try {
+    plugin.path = resolve();
+    const { hooks } = await runInWorker({ action: 'describe', modulePath: plugin.path }, LOAD_TIMEOUT_MS);
+    plugin.hooks = hooks.map(descriptor => new PluginHook(descriptor, plugin.path));
+  } catch (error) {
+    plugin.hooks = [];
+    // Module resolution errors append the whole require stack
+    plugin.error = error.message.split('\n')[0];
+  }
+
+  return plugin;
+}
+
+/**
+ * Host-side stand-in for a hook declared by a plugin module
+ */
+function createPluginHookClass(BaseHook, defaultTimeout) {
+  return class PluginHook extends BaseHook {
+    constructor(descriptor, modulePath) {
+      super(descriptor.name, descriptor);
+      this.className = descriptor.className;
+      this.index = descriptor.index;
+      this.modulePath = modulePath;
+    }
+
+    async execute(context) {
+      const { result } = await runInWorker(
+        { action: 'execute', modulePath: this.modulePath, index: this.index, context: toMessage(context) },
+        this.timeout || defaultTimeout
+      );
+      return result;
+    }
+
+    cacheInputs() {
+      return { hook: this.className, version: this.version };
+    }
+  };
+}
+
+// Contexts can hold values a child process cannot receive, such as functions
+function toMessage(context) {
+  try {
+    return structuredClone(context);
+  } catch (error) {
+    return JSON.parse(JSON.stringify(context));
+  }
+}
+
+/**
+ * Send one request to a new worker process and wait for its reply. The
+ * worker is killed once it replies, fails or runs out of time.
+ */
+function runInWorker(message, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const worker = fork(WORKER_PATH, [], { serialization: 'advanced', stdio: ['ignore', 'ignore', 'ignore', 'ipc'] });
+    let settled = false;
+
+    const settle = (error, reply) => {
+      if (settled) {
+        return;
+      }
+      settled = true;
+      clearTimeout(timer);
+      worker.kill('SIGKILL');
+      if (error) {
+        reject(error);
+      } else {
+        resolve(reply);
+      }
+    };
+
+    const timer = setTimeout(() => settle(new Error(`plugin timed out after ${timeoutMs}ms`)), timeoutMs);
+    worker.on('message', reply => settle(reply.error ? new Error(reply.error) : null, reply));
+    worker.on('error', error => settle(error));
+    worker.on('exit', (code, signal) => settle(new Error(`plugin process exited (${signal || `code ${code}`}) without a result`)));
+    worker.send(message);
+  });
+}
+
+function collectHookClasses(exported, BaseHook) {
+  const isHookClass = value => typeof value === 'function' && value.prototype instanceof BaseHook;
+
+  if (isHookClass(exported)) {
+    return [exported];
+  }
+  if (typeof exported === 'function') {
+    return collectHookClasses(exported({ BaseHook }), BaseHook);
+  }
+  if (exported && typeof exported === 'object') {
+    const values = Array.isArray(exported) ? exported : Object.values(exported);
+    const invalid = values.filter(value => !isHookClass(value));
+    if (invalid.length > 0) {
+      throw new Error('every export must be a BaseHook subclass');
+    }
+    return values;
+  }
+  return [];
+}
+
+function validateHook(hook, BaseHook) {
+  const label = hook.constructor.name;
+
+  if (typeof hook.name !== 'string' || !hook.name) {
+    throw new Error(`${label} has no name`);
+  }
+  if (!HOOK_EVENTS.includes(hook.event)) {
+    throw new Error(`${hook.name} event must be one of ${HOOK_EVENTS.join(', ')}`);
+  }
+  if (hook.execute === BaseHook.prototype.execute) {
+    throw new Error(`${hook.name} does not implement execute()`);
+  }
+  if (hook.timeout !== null && !(Number.isInteger(hook.timeout) && hook.timeout > 0 && hook.timeout <= MAX_TIMEOUT_MS)) {
+    throw new Error(`${hook.name} timeout must be between 1 and ${MAX_TIMEOUT_MS}ms`);
+  }
+  if (!FAILURE_POLICIES.includes(hook.failurePolicy)) {
+    throw new Error(`${hook.name} failurePolicy must be one of ${FAILURE_POLICIES.join(', ')}`);
+  }
+  if (hook.priority !== undefined && !Number.isFinite(hook.priority)) {
+    throw new Error(`${hook.name} priority must be a number`);
+  }
+
+  return hook;
+}
+
+module.exports = {
+  loadHookPlugins,
+  collectHookClasses,
+  validateHook,
+  FAILURE_POLICIES,
+  HOOK_EVENTS
+};
@@ -0,0 +1,79 @@
+/**
+ * BUMBA Hook Plugin Worker
+ * Child process that loads one hook plugin module for hook-plugin-loader.js.
+ * It answers a single request and exits:
+ *
+ *   { action: 'describe', modulePath }                  -> { hooks: [descriptor] }
+ *   { action: 'execute', modulePath, index, context }   -> { result }
+ *
+ * Failures, including errors thrown later from timers or rejected promises,
+ * are reported as { error }.
+ *
+ * A worker is forked for every request, so it loads only BaseHook and the
+ * loader's validation, never bumba-hook-system.js with its singleton,
+ * configuration and result cache.
+ */
+
+const { BaseHook } = require('./base-hook');
+const { collectHookClasses, validateHook } = require('./hook-plugin-loader');
+
+function loadHooks(modulePath) {
+  const classes = collectHookClasses(require(modulePath), BaseHook);
+  if (classes.length === 0) {
+    throw new Error('exports no BaseHook subclasses');
+  }
+  return classes;
+}
+
+async function handle(message) {
+  const classes = loadHooks(message.modulePath);
+
+  if (message.action === 'describe') {
+    return {
+      hooks: classes.map((HookClass, index) => {
+        const hook = validateHook(new HookClass(), BaseHook);
+        return {
+          index,
+          className: HookClass.name,
+          name: hook.name,
+          event: hook.event,
+          timeout: hook.timeout,
+          failurePolicy: hook.failurePolicy,
+          priority: hook.priority,
+          version: hook.version,
+          cacheable: hook.cacheable
+        };
+      })
+    };
+  }
+
+  if (message.action === 'execute') {
+    const HookClass = classes[message.index];
+    if (!HookClass) {
+      throw new Error(`plugin no longer exports hook #${message.index}`);
+    }
+    return { result: await new HookClass().execute(message.context) };
+  }
+
+  throw new Error(`unknown action '${message.action}'`);
+}
+
+function reply(response) {
+  process.send(response, () => process.exit(0));
+}
+
+const fail = error => reply({ error: (error && error.message) || String(error) });
+process.on('uncaughtException', fail);
+process.on('unhandledRejection', fail);
+
+// The listener stays registered so the IPC channel keeps the process alive:
+// a hook awaiting a promise that never settles must hang until the host's
+// timeout kills it, not exit quietly without a result
+let handled = false;
+process.on('message', message => {
+  if (handled) {
+    return;
+  }
+  handled = true;
+  handle(message).then(reply, fail);
+});
@@ -0,0 +1,217 @@
+/**
+ * BUMBA Hook Result Cache
+ * Content-addressed store for hook results. Keys hash the hook's version and
+ * configuration together with the context, where every file the context
+ * names is replaced by the hash of its current contents, so an edited file
+ * always misses and unchanged content hits no matter how old the entry is.
+ *
+ * Entries persist to a JSON file so separate hook processes share them.
+ * Writes are atomic; when two processes write at once the last one wins,
+ * which only loses cache entries.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createHash } = require('crypto');
+
+const CACHE_VERSION = 1;
+// Context keys holding paths (or { path, content }) whose contents a hook checks
+const FILE_KEYS = ['file', 'files', 'paths', 'assets'];
+// Larger files are identified by size and mtime instead of being hashed
+const MAX_HASH_BYTES = 16 * 1024 * 1024;
+
+const sha256 = data => createHash('sha256').update(data).digest('hex');
+
+function hashFile(file) {
+  try {
+    const stat = fs.statSync(file);
+    if (!stat.isFile()) {
+      return 'not-a-file';
+    }
+    return stat.size > MAX_HASH_BYTES
+      ? `size:${stat.size}:mtime:${stat.mtimeMs}`
+      : sha256(fs.readFileSync(file));
+  } catch (error) {
+    return 'missing';
+  }
+}
+
+/**
+ * JSON with sorted keys at every level, so equal values give equal strings
+ */
+function canonicalize(value) {
+  if (Array.isArray(value)) {
+    return value.map(canonicalize);
+  }
+  if (value instanceof RegExp) {
+    return value.toString();
+  }
+  if (value && typeof value === 'object') {
+    return Object.keys(value).sort().reduce((sorted, key) => {
+      if (value[key] !== undefined && typeof value[key] !== 'function') {
+        sorted[key] = canonicalize(value[key]);
+      }
+      return sorted;
+    }, {});
+  }
+  return value;
+}
+
+class HookResultCache {
+  /**
+   * @param {string|null} filePath - where entries persist; null keeps them in memory
+   * @param {Object} options - { maxEntries }
+   */
+  constructor(filePath, options = {}) {
+    this.filePath = filePath || null;
+    this.maxEntries = options.maxEntries || 1000;
+    this.entries = null;
+  }
+
+  get size() {
+    return this.load().size;
+  }
+
+  /**
+   * Cache key for a handler run, plus the files it depends on
+   * @param {Object} inputs - the hook's cacheInputs(): version, config, other state
+   * @returns {Object|null} { key, files }, or null when the context cannot be serialized
+   */
+  createKey(hookType, handlerName, inputs, context) {
+    const cwd = (context && context.cwd) || process.cwd();
+    const files = [];
+
+    const fingerprint = (value, key) => {
+      if (FILE_KEYS.includes(key)) {
+        return [].concat(value).filter(Boolean).map(file => {
+          if (typeof file === 'object') {
+            return { path: file.path, sha256: sha256(String(file.content || '')) };
+          }
+          const absolute = path.resolve(cwd, file);
+          files.push(absolute);
+          return { path: absolute, sha256: hashFile(absolute) };
+        });
+      }
+      return value;
+    };
+
+    try {
+      const contextFingerprint = {};
+      for (const [key, value] of Object.entries(context || {})) {
+        contextFingerprint[key] = fingerprint(value, key);
+      }
+
+      const key = sha256(JSON.stringify(canonicalize({
+        hook_type: hookType,
+        handler: handlerName,
+        inputs,
+        context: contextFingerprint
+      })));
+      return { key, files };
+    } catch (error) {
+      // Circular or otherwise unserializable contexts are not cached
+      return null;
+    }
+  }
+
+  get(key) {
+    const entry = this.load().get(key);
+    if (!entry) {
+      return null;
+    }
+
+    // Most recently used entries are evicted last
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.result;
+  }
+
+  set(key, result, metadata = {}) {
+    const entries = this.load();
+    entries.delete(key);
+    entries.set(key, {
+      hook_type: metadata.hookType || null,
+      handler: metadata.handler || null,
+      files: metadata.files || [],
+      created_at: new Date().toISOString(),
+      result
+    });
+
+    while (entries.size > this.maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+    this.save();
+  }
+
+  /**
+   * Drop entries matching every given field
+   * @param {Object} filter - { hookType, handler, file }
+   * @returns {number} entries removed
+   */
+  invalidate(filter = {}) {
+    const entries = this.load();
+    const file = filter.file ? path.resolve(filter.file) : null;
+    let removed = 0;
+
+    for (const [key, entry] of entries) {
+      if (filter.hookType && entry.hook_type !== filter.hookType) continue;
+      if (filter.handler && entry.handler !== filter.handler) continue;
+      if (file && !entry.files.includes(file)) continue;
+
+      entries.delete(key);
+      removed++;
+    }
+
+    if (removed > 0) {
+      this.save();
+    }
+    return removed;
+  }
+
+  clear() {
+    this.entries = new Map();
+    this.save();
+  }
+
+  load() {
+    if (this.entries) {
+      return this.entries;
+    }
+
+    this.entries = new Map();
+    if (this.filePath && fs.existsSync(this.filePath)) {
+      try {
+        const stored = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        if (stored.version !== CACHE_VERSION || !stored.entries) {
+          throw new Error(`expected version ${CACHE_VERSION}`);
+        }
+        this.entries = new Map(Object.entries(stored.entries));
+      } catch (error) {
+        console.warn(`⚠️ Ignoring hook cache ${this.filePath}: ${error.message}`);
+      }
+    }
+    return this.entries;
+  }
+
+  save() {
+    if (!this.filePath) {
+      return;
+    }
+
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+      const stored = { version: CACHE_VERSION, entries: Object.fromEntries(this.entries) };
+      fs.writeFileSync(tmpPath, JSON.stringify(stored), { mode: 0o600 });
+      fs.renameSync(tmpPath, this.filePath);
+    } catch (error) {
+      console.warn(`⚠️ Could not save hook cache ${this.filePath}: ${error.message}`);
+    }
+  }
+}
+
+module.exports = {
+  HookResultCache,
+  hashFile,
+  canonicalize
+};
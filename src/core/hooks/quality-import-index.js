@@ -0,0 +1,116 @@
+/**
+ * BUMBA Quality Import Index
+ * Remembers which project files import each file CodeQualityAnalyzer has
+ * checked for unused exports. QualityHook keys its cached results on the
+ * hashes of a file's importers from this index, so a cache lookup reads a
+ * handful of files instead of scanning the project.
+ *
+ * A file's importers are found by a full project scan the first time it is
+ * checked, and whenever its cached result misses. Every file the analyzer
+ * parses updates its own entries, so a new import made through a hooked edit
+ * is seen at once; one made outside the hooks is seen when the imported file
+ * next misses the cache.
+ *
+ * Entries persist to a JSON file so separate hook processes share them.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const INDEX_VERSION = 1;
+
+class ImportIndex {
+  /**
+   * @param {string|null} filePath - where the index persists; null keeps it in memory
+   */
+  constructor(filePath) {
+    this.filePath = filePath || null;
+    // Imported file -> Set of files importing it
+    this.entries = null;
+  }
+
+  /**
+   * @returns {Array<string>|null} sorted importers, or null when the file has not been scanned
+   */
+  importersOf(file) {
+    const importers = this.load().get(file);
+    return importers ? [...importers].sort() : null;
+  }
+
+  /**
+   * Record the result of a project scan for `file`
+   */
+  setImporters(file, importers) {
+    const current = this.importersOf(file);
+    const next = [...new Set(importers)].sort();
+    if (current && current.join('\n') === next.join('\n')) {
+      return;
+    }
+
+    this.entries.set(file, new Set(next));
+    this.save();
+  }
+
+  /**
+   * Record what `importer` imports now, for files already in the index
+   */
+  recordImports(importer, imported) {
+    let changed = false;
+
+    for (const [file, importers] of this.load()) {
+      const imports = imported.includes(file);
+      if (imports !== importers.has(importer)) {
+        if (imports) {
+          importers.add(importer);
+        } else {
+          importers.delete(importer);
+        }
+        changed = true;
+      }
+    }
+
+    if (changed) {
+      this.save();
+    }
+  }
+
+  load() {
+    if (this.entries) {
+      return this.entries;
+    }
+
+    this.entries = new Map();
+    if (this.filePath && fs.existsSync(this.filePath)) {
+      try {
+        const stored = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        if (stored.version !== INDEX_VERSION || !stored.importers) {
+          throw new Error(`expected version ${INDEX_VERSION}`);
+        }
+        this.entries = new Map(Object.entries(stored.importers).map(([file, importers]) => [file, new Set(importers)]));
+      } catch (error) {
+        console.warn(`⚠️ Ignoring import index ${this.filePath}: ${error.message}`);
+      }
+    }
+    return this.entries;
+  }
+
+  save() {
+    if (!this.filePath) {
+      return;
+    }
+
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+      const importers = Object.fromEntries([...this.entries].map(([file, files]) => [file, [...files]]));
+      fs.writeFileSync(tmpPath, JSON.stringify({ version: INDEX_VERSION, importers }), { mode: 0o600 });
+      fs.renameSync(tmpPath, this.filePath);
+    } catch (error) {
+      console.warn(`⚠️ Could not save import index ${this.filePath}: ${error.message}`);
+    }
+  }
+}
+
+module.exports = {
+  ImportIndex
+};
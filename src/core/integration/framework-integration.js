@@ -273,7 +273,7 @@ class BumbaFrameworkIntegration {
         });
         
         if (!preHookResult.allow) {
-          throw new BumbaError('OPERATION_BLOCKED', 'Operation blocked by pre-execution hook');
+          throw new BumbaError('OPERATION_BLOCKED', `Operation blocked by pre-execution hook ${preHookResult.denied_by}: ${preHookResult.reason}`);
         }
       }
 
@@ -419,7 +419,7 @@ class BumbaMasterIntegration {
       });
       
       if (!preHookResult.allow) {
-        throw new BumbaError('COMMAND_BLOCKED', 'Command blocked by pre-execution hook');
+        throw new BumbaError('COMMAND_BLOCKED', `Command blocked by pre-execution hook ${preHookResult.denied_by}: ${preHookResult.reason}`);
       }
       
       // Execute with simplified agent system
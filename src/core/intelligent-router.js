@@ -3,7 +3,11 @@
  * Routes tasks to appropriate agents and manages specialist spawning
  */
 
+const fs = require('fs').promises;
+const path = require('path');
 const { PredictiveOrchestrationEngine } = require('./intelligence/predictive-orchestration');
+const { getInstance } = require('./config/bumba-config');
+const { BumbaTeamMemory } = require('../utils/teamMemory');
 const ProductStrategistManager = require('./departments/product-strategist-manager');
 const DesignEngineerManager = require('./departments/design-engineer-manager');
 const BackendEngineerManager = require('./departments/backend-engineer-manager');
@@ -13,7 +17,6 @@ class BumbaIntelligentRouter {
     this.departments = new Map();
     this.complexityAnalyzer = new ComplexityAnalyzer();
     this.predictiveEngine = new PredictiveEngine();
-    this.spawningController = new SpecialistSpawningController();
     this.executiveController = new ExecutiveController();
     this.predictiveOrchestration = new PredictiveOrchestrationEngine();
     
@@ -57,6 +60,10 @@ class BumbaIntelligentRouter {
   }
 
   async routeCommand(command, args, context) {
+    if (context && context.dryRun) {
+      return await this.explainRoute(command, args, context);
+    }
+
     console.log(`🏁 BUMBA Router analyzing command: ${command}`);
     
     // Analyze task complexity and requirements
@@ -65,12 +72,119 @@ class BumbaIntelligentRouter {
     // Determine routing strategy
     const route = await this.determineRoute(analysis);
     
-    // Execute routing strategy
-    return await this.executeRoute(route, command, args, context);
+    // Execute routing strategy, recording the outcome for future predictions
+    let result;
+    try {
+      result = await this.executeRoute(route, command, args, context);
+    } catch (error) {
+      await this.recordOutcome(command, args, error, context);
+      throw error;
+    }
+
+    await this.recordOutcome(command, args, result, context);
+    return result;
+  }
+
+  /**
+   * Learning from an outcome must never change the outcome itself
+   */
+  async recordOutcome(command, args, outcome, context) {
+    try {
+      await this.predictiveEngine.recordOutcome(command, args, outcome, context);
+    } catch (error) {
+      console.log(`🏁 Could not record routing outcome for ${command}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Dry run: analyze and choose a route without executing it or spawning
+   * anything, and report why the router made that decision.
+   */
+  async explainRoute(command, args = [], context = {}) {
+    const analysis = await this.analyzeTask(command, args, context);
+    const route = await this.determineRoute(analysis);
+    const executive = this.explainExecutiveNeed(command, args, analysis.complexity);
+
+    const explanation = {
+      dry_run: true,
+      command,
+      args,
+      complexity: analysis.complexity,
+      complexity_breakdown: analysis.complexityBreakdown,
+      thresholds: {
+        moderate: this.routingRules.moderate,
+        complex: this.routingRules.complex,
+        enterprise: this.routingRules.enterprise
+      },
+      matched_keywords: this.matchDepartmentKeywords(command, args),
+      departments: analysis.departments,
+      executive_need: executive,
+      route_type: route.type,
+      specialists_to_spawn: this.getRouteSpecialists(route),
+      predicted_next_commands: analysis.predictions.nextCommands
+    };
+
+    explanation.decision_tree = this.buildDecisionTree(explanation);
+    return explanation;
+  }
+
+  getRouteSpecialists(route) {
+    switch (route.type) {
+      case 'executive':
+      case 'multi-department':
+        return route.specialists;
+      case 'department-with-specialists':
+        return { [route.primaryDepartment]: route.specialists };
+      default:
+        return {};
+    }
+  }
+
+  buildDecisionTree(explanation) {
+    const { complexity, complexity_breakdown, thresholds, matched_keywords, executive_need } = explanation;
+    const lines = [`${explanation.command} ${explanation.args.join(' ')}`.trim()];
+
+    lines.push(`├─ complexity ${complexity} (base ${complexity_breakdown.base}${complexity_breakdown.capped ? `, capped from ${complexity_breakdown.raw_score}` : ''})`);
+    for (const factor of complexity_breakdown.factors) {
+      const label = factor.term ? `${factor.term} ← "${factor.matched}"` : factor.detail;
+      lines.push(`│  ├─ +${factor.contribution} ${factor.factor}: ${label}`);
+    }
+
+    lines.push('├─ departments');
+    for (const [department, keywords] of Object.entries(matched_keywords)) {
+      const selected = explanation.departments.includes(department);
+      const reason = keywords.length > 0 ? keywords.join(', ') : (selected ? 'no keywords, ambiguous task default' : 'no keywords');
+      lines.push(`│  ├─ ${selected ? '✓' : '✗'} ${department}: ${reason}`);
+    }
+
+    lines.push(`├─ executive need: ${executive_need.needed ? 'yes' : 'no'}`);
+    if (executive_need.executive_keywords.length > 0) {
+      lines.push(`│  ├─ executive keywords: ${executive_need.executive_keywords.join(', ')}`);
+    }
+    if (executive_need.high_complexity) {
+      lines.push(`│  ├─ complexity ${complexity} > ${thresholds.complex}`);
+    }
+    if (executive_need.coordination_terms.length > 0) {
+      lines.push(`│  ├─ coordination terms: ${executive_need.coordination_terms.join(', ')}`);
+    }
+
+    lines.push(`├─ route: ${explanation.route_type}`);
+    const spawns = Object.entries(explanation.specialists_to_spawn).filter(([, types]) => types.length > 0);
+    if (spawns.length === 0) {
+      lines.push('└─ specialists: none');
+    } else {
+      lines.push('└─ specialists that would spawn');
+      spawns.forEach(([department, types], index) => {
+        lines.push(`   ${index === spawns.length - 1 ? '└─' : '├─'} ${department}: ${types.join(', ')}`);
+      });
+    }
+
+    return lines;
   }
 
   async analyzeTask(command, args, context) {
-    const complexity = await this.complexityAnalyzer.analyze(command, args, context);
+    const complexityBreakdown = await this.complexityAnalyzer.explain(command, args, context);
+    const complexity = complexityBreakdown.score;
     const departments = await this.identifyRequiredDepartments(command, args);
     const specialists = await this.identifyPotentialSpecialists(command, args, departments);
     const executiveNeed = await this.assessExecutiveNeed(command, args, complexity);
@@ -80,6 +194,7 @@ class BumbaIntelligentRouter {
     
     return {
       complexity,
+      complexityBreakdown,
       departments,
       specialists,
       executiveNeed,
@@ -90,35 +205,24 @@ class BumbaIntelligentRouter {
   }
 
   async identifyRequiredDepartments(command, args) {
-    const requiredDepartments = new Set();
-    const taskDescription = `${command} ${args.join(' ')}`.toLowerCase();
-    
-    // Check strategic department keywords
-    if (this.routingRules.strategic_keywords.some(keyword => 
-        taskDescription.includes(keyword))) {
-      requiredDepartments.add('strategic');
-    }
-    
-    // Check experience department keywords  
-    if (this.routingRules.experience_keywords.some(keyword => 
-        taskDescription.includes(keyword))) {
-      requiredDepartments.add('experience');
-    }
-    
-    // Check technical department keywords
-    if (this.routingRules.technical_keywords.some(keyword => 
-        taskDescription.includes(keyword))) {
-      requiredDepartments.add('technical');
-    }
+    const matches = this.matchDepartmentKeywords(command, args);
+    const requiredDepartments = Object.keys(matches).filter(dept => matches[dept].length > 0);
     
     // Default to all departments for complex or ambiguous tasks
-    if (requiredDepartments.size === 0) {
-      requiredDepartments.add('strategic');
-      requiredDepartments.add('experience'); 
-      requiredDepartments.add('technical');
-    }
+    return requiredDepartments.length > 0
+      ? requiredDepartments
+      : ['strategic', 'experience', 'technical'];
+  }
+
+  matchDepartmentKeywords(command, args) {
+    const taskDescription = `${command} ${args.join(' ')}`.toLowerCase();
+    const matching = keywords => keywords.filter(keyword => taskDescription.includes(keyword));
     
-    return Array.from(requiredDepartments);
+    return {
+      strategic: matching(this.routingRules.strategic_keywords),
+      experience: matching(this.routingRules.experience_keywords),
+      technical: matching(this.routingRules.technical_keywords)
+    };
   }
 
   async identifyPotentialSpecialists(command, args, departments) {
@@ -134,21 +238,29 @@ class BumbaIntelligentRouter {
   }
 
   async assessExecutiveNeed(command, args, complexity) {
+    return this.explainExecutiveNeed(command, args, complexity).needed;
+  }
+
+  explainExecutiveNeed(command, args, complexity) {
     const taskDescription = `${command} ${args.join(' ')}`.toLowerCase();
     
-    // Check for executive-level keywords
-    const hasExecutiveKeywords = this.routingRules.executive_keywords.some(keyword => 
+    // Executive-level keywords
+    const executiveKeywords = this.routingRules.executive_keywords.filter(keyword => 
       taskDescription.includes(keyword));
     
     // High complexity automatically triggers executive consideration
     const highComplexity = complexity > this.routingRules.complex;
     
     // Multi-department coordination needs
-    const needsCoordination = taskDescription.includes('platform') || 
-                             taskDescription.includes('system') ||
-                             taskDescription.includes('complete');
+    const coordinationTerms = ['platform', 'system', 'complete'].filter(term =>
+      taskDescription.includes(term));
     
-    return hasExecutiveKeywords || highComplexity || needsCoordination;
+    return {
+      needed: executiveKeywords.length > 0 || highComplexity || coordinationTerms.length > 0,
+      executive_keywords: executiveKeywords,
+      high_complexity: highComplexity,
+      coordination_terms: coordinationTerms
+    };
   }
 
   async determineRoute(analysis) {
@@ -319,80 +431,158 @@ class BumbaIntelligentRouter {
   }
 }
 
+/**
+ * Scores task complexity from weighted vocabularies loaded from BumbaConfig.
+ * Terms match on whole, stemmed words ("designing" matches "design" but
+ * "redesign" does not). explain() returns the per-factor breakdown.
+ */
 class ComplexityAnalyzer {
-  constructor() {
-    this.complexityFactors = {
-      // Command complexity indicators
-      keywords: {
-        'implement': 0.7,
-        'create': 0.6,
-        'build': 0.8,
-        'design': 0.5,
-        'analyze': 0.4,
-        'complete': 0.9,
-        'enterprise': 0.9,
-        'platform': 0.8,
-        'system': 0.7,
-        'architecture': 0.8
-      },
-      
-      // Scope indicators
-      scope: {
-        'single': 0.2,
-        'multiple': 0.6,
-        'complete': 0.9,
-        'entire': 0.9,
-        'full': 0.8,
-        'comprehensive': 0.8
-      },
-      
-      // Technology complexity
-      technology: {
-        'api': 0.5,
-        'database': 0.6,
-        'microservices': 0.8,
-        'cloud': 0.7,
-        'ai': 0.7,
-        'machine-learning': 0.8,
-        'blockchain': 0.9
-      }
-    };
+  constructor(options = {}) {
+    this.settings = options.settings || getInstance().get('complexity');
+    this.scorers = new Map();
+
+    // Kept for callers that read the raw vocabularies
+    this.complexityFactors = {};
+    for (const [name, vocabulary] of Object.entries(this.settings.vocabularies)) {
+      this.complexityFactors[name] = vocabulary.terms;
+    }
+
+    this.initializeScorers();
+  }
+
+  initializeScorers() {
+    for (const [name, vocabulary] of Object.entries(this.settings.vocabularies)) {
+      this.addScorer(name, input => this.scoreVocabulary(name, vocabulary, input.stems));
+    }
+
+    this.addScorer('arguments', ({ args }) => {
+      const { perArgument, max } = this.settings.args;
+      const contribution = Math.min(args.length * perArgument, max);
+
+      return contribution > 0
+        ? [{ detail: `${args.length} argument(s)`, contribution }]
+        : [];
+    });
+
+    this.addScorer('context', ({ context }) => {
+      const previousTasks = (context && context.previousTasks) || [];
+      const { perPreviousTask, max } = this.settings.context;
+      const contribution = Math.min(previousTasks.length * perPreviousTask, max);
+
+      return contribution > 0
+        ? [{ detail: `${previousTasks.length} previous task(s) in session`, contribution }]
+        : [];
+    });
+  }
+
+  /**
+   * Register a scorer. It receives { command, args, context, text, stems }
+   * and returns a list of { contribution, term?, detail? } entries.
+   */
+  addScorer(name, scorer) {
+    this.scorers.set(name, scorer);
+  }
+
+  removeScorer(name) {
+    return this.scorers.delete(name);
   }
 
   async analyze(command, args, context) {
-    const taskText = `${command} ${args.join(' ')}`.toLowerCase();
-    let complexity = 0.3; // Base complexity
-    
-    // Analyze keywords
-    for (const [keyword, weight] of Object.entries(this.complexityFactors.keywords)) {
-      if (taskText.includes(keyword)) {
-        complexity += weight * 0.3;
+    const breakdown = await this.explain(command, args, context);
+    return breakdown.score;
+  }
+
+  async explain(command, args = [], context = {}) {
+    const text = `${command} ${args.join(' ')}`;
+    const input = { command, args, context, text, stems: this.stemWords(text) };
+
+    const factors = [];
+    const totals = {};
+
+    for (const [name, scorer] of this.scorers) {
+      const contributions = await scorer(input) || [];
+      totals[name] = 0;
+
+      for (const entry of contributions) {
+        factors.push({ factor: name, ...entry, contribution: this.round(entry.contribution) });
+        totals[name] += entry.contribution;
       }
+      totals[name] = this.round(totals[name]);
     }
-    
-    // Analyze scope
-    for (const [scope, weight] of Object.entries(this.complexityFactors.scope)) {
-      if (taskText.includes(scope)) {
-        complexity += weight * 0.2;
+
+    const rawScore = this.settings.base + factors.reduce((sum, factor) => sum + factor.contribution, 0);
+
+    return {
+      score: this.round(Math.min(rawScore, this.settings.maxScore)),
+      raw_score: this.round(rawScore),
+      base: this.settings.base,
+      capped: rawScore > this.settings.maxScore,
+      totals,
+      factors: factors.sort((a, b) => b.contribution - a.contribution)
+    };
+  }
+
+  scoreVocabulary(name, vocabulary, stems) {
+    const contributions = [];
+
+    for (const [term, weight] of Object.entries(vocabulary.terms)) {
+      const matched = this.findTerm(term, stems);
+      if (matched) {
+        contributions.push({
+          term,
+          matched,
+          weight,
+          multiplier: vocabulary.multiplier,
+          contribution: weight * vocabulary.multiplier
+        });
       }
     }
-    
-    // Analyze technology complexity
-    for (const [tech, weight] of Object.entries(this.complexityFactors.technology)) {
-      if (taskText.includes(tech)) {
-        complexity += weight * 0.1;
+
+    return contributions;
+  }
+
+  // Returns the matched source words when the term's stems appear consecutively
+  findTerm(term, stems) {
+    const termStems = this.stemWords(term).map(entry => entry.stem);
+
+    for (let i = 0; i + termStems.length <= stems.length; i++) {
+      if (termStems.every((stem, offset) => stems[i + offset].stem === stem)) {
+        return stems.slice(i, i + termStems.length).map(entry => entry.word).join(' ');
       }
     }
-    
-    // Analyze argument count and detail
-    complexity += Math.min(args.length * 0.05, 0.2);
-    
-    // Context complexity (previous tasks, session history)
-    if (context && context.previousTasks) {
-      complexity += Math.min(context.previousTasks.length * 0.02, 0.1);
+
+    return null;
+  }
+
+  stemWords(text) {
+    return text.toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter(Boolean)
+      .map(word => ({ word, stem: this.stem(word) }));
+  }
+
+  // Light suffix stripping; enough to fold plurals and verb forms together
+  stem(word) {
+    if (word.length <= 3) {
+      return word;
     }
-    
-    return Math.min(complexity, 1.0); // Cap at 1.0
+
+    let stem = word;
+    for (const suffix of ['ations', 'ation', 'ings', 'ing', 'ed', 'es', 's']) {
+      if (stem.endsWith(suffix) && stem.length - suffix.length >= 3) {
+        if (suffix === 's' && stem.endsWith('ss')) {
+          break;
+        }
+        stem = stem.slice(0, -suffix.length);
+        break;
+      }
+    }
+
+    return stem.length > 3 && stem.endsWith('e') ? stem.slice(0, -1) : stem;
+  }
+
+  round(value) {
+    return Math.round(value * 1000) / 1000;
   }
 }
 
@@ -407,117 +597,517 @@ class PredictiveEngine {
     const patterns = await this.patternDatabase.findSimilarPatterns(command, args);
     
     // Generate predictions based on patterns
-    const predictions = await this.workflowPredictor.predict(patterns, context);
+    const predictions = await this.workflowPredictor.predict(command, patterns, context);
     
     return {
       nextCommands: predictions.likely_next_commands,
+      rankedCommands: predictions.ranked_predictions,
       requiredTools: predictions.required_tools,
       potentialIssues: predictions.potential_issues,
       optimizations: predictions.suggested_optimizations,
       confidence: predictions.confidence_score
     };
   }
-}
 
-class SpecialistSpawningController {
-  constructor() {
-    this.activeSpecialists = new Map();
-    this.spawningQueue = [];
-    this.dissolutionScheduler = new DissolutionScheduler();
-  }
+  async recordOutcome(command, args, result, context = {}) {
+    const success = this.patternDatabase.isSuccessfulResult(result);
 
-  async spawnSpecialist(department, type, context) {
-    const specialist = await department.spawnSpecialist(type, context);
-    
-    // Track active specialist
-    this.activeSpecialists.set(specialist.id, specialist);
-    
-    // Schedule automatic dissolution if no activity
-    this.dissolutionScheduler.scheduleAutoDissolution(specialist);
-    
-    return specialist;
+    await this.workflowPredictor.recordCommand(command, args, context, success);
+    return await this.patternDatabase.storePattern(command, args, result);
   }
 
-  async dissolveSpecialist(specialist) {
-    await specialist.department.dissolveSpecialist(specialist);
-    this.activeSpecialists.delete(specialist.id);
-    
-    console.log(`🏁 Specialist ${specialist.type} dissolved and knowledge transferred`);
+  flush() {
+    return this.patternDatabase.flush();
   }
 }
 
+/**
+ * Persistent store of previously routed commands, indexed by token similarity.
+ * Patterns are aggregated per command+args and saved under ~/.claude/patterns
+ * so frequency and success rates survive across sessions. Writes are batched:
+ * a store schedules one save for the next saveDelayMs, and pending changes
+ * are flushed before the process exits.
+ */
 class PatternDatabase {
-  constructor() {
+  constructor(options = {}) {
+    const config = getInstance();
+
+    this.storePath = options.storePath
+      || path.join(config.get('paths.patterns'), 'routing-patterns.json');
+    this.maxPatterns = options.maxPatterns || config.get('limits.maxStoredPatterns', 5000);
+    this.similarityThreshold = options.similarityThreshold || 0.3;
+    this.maxResults = options.maxResults || 10;
+    this.saveDelayMs = options.saveDelayMs ?? 2000;
+
     this.patterns = new Map();
+    this.tokenIndex = new Map();
     this.patternHistory = [];
+    this.maxHistory = 100;
+
+    this.loading = null;
+    this.writeQueue = Promise.resolve();
+    this.saveTimer = null;
+    this.flushOnExit = () => this.flush();
   }
 
-  async findSimilarPatterns(command, args) {
-    // Mock pattern matching
+  async findSimilarPatterns(command, args = []) {
+    await this.load();
+
+    const tokens = this.tokenize(command, args);
+    const matches = [];
+
+    for (const key of this.getCandidateKeys(tokens)) {
+      const pattern = this.patterns.get(key);
+      const similarity = this.calculateSimilarity(tokens, pattern.tokens);
+
+      if (similarity >= this.similarityThreshold) {
+        matches.push({ pattern, similarity });
+      }
+    }
+
+    matches.sort((a, b) => b.similarity - a.similarity || b.pattern.count - a.pattern.count);
+    const topMatches = matches.slice(0, this.maxResults);
+
     return {
-      similar_commands: [command],
-      frequency: Math.random(),
-      success_rate: 0.8 + Math.random() * 0.2,
-      patterns: []
+      similar_commands: [...new Set(topMatches.map(match => match.pattern.command))],
+      frequency: this.calculateFrequency(topMatches),
+      success_rate: this.calculateSuccessRate(topMatches),
+      total_runs: topMatches.reduce((sum, match) => sum + match.pattern.count, 0),
+      patterns: topMatches.map(({ pattern, similarity }) => ({
+        command: pattern.command,
+        args: pattern.args,
+        similarity: Math.round(similarity * 100) / 100,
+        count: pattern.count,
+        success_rate: pattern.count > 0 ? pattern.successes / pattern.count : null,
+        last_used: pattern.last_used
+      }))
     };
   }
 
-  async storePattern(command, args, result) {
-    const pattern = {
-      command,
-      args,
-      result,
-      timestamp: Date.now()
-    };
-    
-    const key = `${command}-${args.join('-')}`;
-    if (!this.patterns.has(key)) {
-      this.patterns.set(key, []);
+  async storePattern(command, args = [], result) {
+    await this.load();
+
+    const key = this.getPatternKey(command, args);
+    const succeeded = this.isSuccessfulResult(result);
+    let pattern = this.patterns.get(key);
+
+    if (!pattern) {
+      pattern = {
+        key,
+        command,
+        args: [...args],
+        tokens: this.tokenize(command, args),
+        count: 0,
+        successes: 0,
+        failures: 0,
+        first_used: Date.now(),
+        last_used: null
+      };
+      this.addPattern(pattern);
     }
-    this.patterns.get(key).push(pattern);
-    this.patternHistory.push(pattern);
-    
+
+    pattern.count++;
+    pattern[succeeded ? 'successes' : 'failures']++;
+    pattern.last_used = Date.now();
+
+    this.patternHistory.push({ command, args, success: succeeded, timestamp: pattern.last_used });
+    if (this.patternHistory.length > this.maxHistory) {
+      this.patternHistory.shift();
+    }
+
+    this.prunePatterns();
+    this.scheduleSave();
+
     return true;
   }
+
+  async load() {
+    if (!this.loading) {
+      this.loading = this.readStore();
+    }
+    return this.loading;
+  }
+
+  async readStore() {
+    try {
+      const data = JSON.parse(await fs.readFile(this.storePath, 'utf8'));
+
+      for (const pattern of data.patterns || []) {
+        const args = pattern.args || [];
+        // Keys are recomputed, so patterns stored under an older key scheme still match
+        const existing = this.patterns.get(this.getPatternKey(pattern.command, args));
+        if (existing) {
+          existing.count += pattern.count || 0;
+          existing.successes += pattern.successes || 0;
+          existing.failures += pattern.failures || 0;
+          existing.last_used = Math.max(existing.last_used || 0, pattern.last_used || 0) || null;
+          continue;
+        }
+
+        pattern.key = this.getPatternKey(pattern.command, args);
+        pattern.tokens = this.tokenize(pattern.command, args);
+        this.addPattern(pattern);
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.log(`🏁 Pattern store unreadable, starting fresh: ${error.message}`);
+      }
+    }
+  }
+
+  scheduleSave() {
+    if (this.saveTimer) {
+      return;
+    }
+
+    this.saveTimer = setTimeout(() => this.flush(), this.saveDelayMs);
+    // A pending save must not keep the process alive; beforeExit writes it instead
+    this.saveTimer.unref();
+    process.once('beforeExit', this.flushOnExit);
+  }
+
+  /**
+   * Write pending changes now
+   */
+  async flush() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+      process.removeListener('beforeExit', this.flushOnExit);
+      return this.save();
+    }
+    return this.writeQueue;
+  }
+
+  async save() {
+    // Chain writes so concurrent stores never interleave on disk
+    this.writeQueue = this.writeQueue.then(async () => {
+      const patterns = Array.from(this.patterns.values()).map(({ tokens, ...pattern }) => pattern);
+      const tempPath = `${this.storePath}.${process.pid}.tmp`;
+
+      try {
+        await fs.mkdir(path.dirname(this.storePath), { recursive: true });
+        await fs.writeFile(tempPath, JSON.stringify({ version: 1, patterns }));
+        await fs.rename(tempPath, this.storePath);
+      } catch (error) {
+        console.log(`🏁 Failed to persist routing patterns: ${error.message}`);
+      }
+    });
+
+    return this.writeQueue;
+  }
+
+  addPattern(pattern) {
+    this.patterns.set(pattern.key, pattern);
+
+    for (const token of pattern.tokens) {
+      if (!this.tokenIndex.has(token)) {
+        this.tokenIndex.set(token, new Set());
+      }
+      this.tokenIndex.get(token).add(pattern.key);
+    }
+  }
+
+  removePattern(key) {
+    const pattern = this.patterns.get(key);
+    if (!pattern) {
+      return;
+    }
+
+    for (const token of pattern.tokens) {
+      const keys = this.tokenIndex.get(token);
+      keys.delete(key);
+      if (keys.size === 0) {
+        this.tokenIndex.delete(token);
+      }
+    }
+    this.patterns.delete(key);
+  }
+
+  prunePatterns() {
+    if (this.patterns.size <= this.maxPatterns) {
+      return;
+    }
+
+    // Drop the least recently used patterns first
+    const byAge = Array.from(this.patterns.values())
+      .sort((a, b) => (a.last_used || 0) - (b.last_used || 0));
+
+    for (const pattern of byAge.slice(0, this.patterns.size - this.maxPatterns)) {
+      this.removePattern(pattern.key);
+    }
+  }
+
+  getCandidateKeys(tokens) {
+    const candidates = new Set();
+
+    for (const token of tokens) {
+      for (const key of this.tokenIndex.get(token) || []) {
+        candidates.add(key);
+      }
+    }
+
+    return candidates;
+  }
+
+  getPatternKey(command, args) {
+    return JSON.stringify([command, ...args]);
+  }
+
+  tokenize(command, args) {
+    const text = `${command} ${args.join(' ')}`.toLowerCase();
+    return [...new Set(text.split(/[^a-z0-9]+/).filter(token => token.length > 1))];
+  }
+
+  // Jaccard similarity between token sets
+  calculateSimilarity(tokensA, tokensB) {
+    if (tokensA.length === 0 || tokensB.length === 0) {
+      return 0;
+    }
+
+    const setB = new Set(tokensB);
+    const shared = tokensA.filter(token => setB.has(token)).length;
+
+    return shared / (tokensA.length + tokensB.length - shared);
+  }
+
+  // Share of all recorded runs that the matching patterns account for
+  calculateFrequency(matches) {
+    let totalRuns = 0;
+    for (const pattern of this.patterns.values()) {
+      totalRuns += pattern.count;
+    }
+
+    if (totalRuns === 0) {
+      return 0;
+    }
+
+    const matchedRuns = matches.reduce((sum, match) => sum + match.pattern.count, 0);
+    return matchedRuns / totalRuns;
+  }
+
+  // Similarity-weighted success rate, or null when there is no history
+  calculateSuccessRate(matches) {
+    let weightedRuns = 0;
+    let weightedSuccesses = 0;
+
+    for (const { pattern, similarity } of matches) {
+      weightedRuns += pattern.count * similarity;
+      weightedSuccesses += pattern.successes * similarity;
+    }
+
+    return weightedRuns > 0 ? weightedSuccesses / weightedRuns : null;
+  }
+
+  isSuccessfulResult(result) {
+    if (result instanceof Error) {
+      return false;
+    }
+    if (result && typeof result === 'object') {
+      return result.success !== false && !result.error;
+    }
+    return result !== undefined && result !== null && result !== false;
+  }
 }
 
+/**
+ * Learns transition probabilities between commands from the session history
+ * recorded by BumbaTeamMemory. A prediction's confidence is the relative
+ * frequency of the transition: after the previous two commands when that
+ * context has been seen, backing off to the bigram as its observations run
+ * out. A sequence that always continues the same way predicts it with
+ * confidence 1; the explanation and evidence give the counts behind it.
+ */
 class WorkflowPredictor {
-  constructor() {
-    this.models = new Map();
+  constructor(options = {}) {
+    this.teamMemory = options.teamMemory || null;
+    this.sessionId = options.sessionId || `session_${process.pid}_${Date.now()}`;
+    this.sessionGapMs = options.sessionGapMs || 30 * 60 * 1000;
+    this.maxSuggestions = options.maxSuggestions || 3;
+
+    this.model = null;
+    this.modelSignature = null;
   }
 
-  async predict(patterns, context) {
-    // Mock prediction
+  async predict(command, patterns, context = {}) {
+    const sessionId = context.sessionId || this.sessionId;
+    const history = this.loadHistory();
+    const model = this.getModel(history);
+    const previous = context.previousCommand || this.getLastCommand(history, sessionId);
+    const ranked = this.rankNextCommands(model, previous, command);
+
     return {
-      likely_next_commands: ['status', 'analyze'],
+      likely_next_commands: ranked.map(prediction => prediction.command),
+      ranked_predictions: ranked,
       required_tools: ['consciousness', 'coordination'],
       potential_issues: [],
       suggested_optimizations: ['parallel_execution'],
-      confidence_score: 0.85
+      confidence_score: ranked.length > 0 ? ranked[0].confidence : 0
     };
   }
-}
 
-class DissolutionScheduler {
-  constructor() {
-    this.scheduledDissolutions = new Map();
+  async recordCommand(command, args = [], context = {}, success = true) {
+    try {
+      return this.getTeamMemory().recordCommandExecution(command, args, {
+        session: context.sessionId || this.sessionId,
+        success
+      });
+    } catch (error) {
+      console.log(`🏁 Failed to record command history: ${error.message}`);
+      return false;
+    }
   }
 
-  scheduleAutoDissolution(specialist) {
-    // Mock scheduling
-    const timeout = setTimeout(() => {
-      console.log(`🏁 Auto-dissolving idle specialist: ${specialist.type}`);
-    }, 30 * 60 * 1000); // 30 minutes
-    
-    this.scheduledDissolutions.set(specialist.id, timeout);
+  getTeamMemory() {
+    if (!this.teamMemory) {
+      this.teamMemory = new BumbaTeamMemory();
+    }
+    return this.teamMemory;
+  }
+
+  loadHistory() {
+    try {
+      return this.getTeamMemory().getCommandHistory();
+    } catch (error) {
+      console.log(`🏁 Command history unavailable: ${error.message}`);
+      return [];
+    }
+  }
+
+  getModel(history) {
+    const last = history[history.length - 1];
+    const signature = `${history.length}:${last ? last.timestamp : ''}`;
+
+    if (signature !== this.modelSignature) {
+      this.model = this.train(this.splitSessions(history));
+      this.modelSignature = signature;
+    }
+
+    return this.model;
+  }
+
+  // Group history into per-session sequences, splitting on long idle gaps
+  splitSessions(history) {
+    const bySession = new Map();
+
+    for (const entry of history) {
+      const key = entry.session || 'unknown';
+      if (!bySession.has(key)) {
+        bySession.set(key, []);
+      }
+      bySession.get(key).push(entry);
+    }
+
+    const sequences = [];
+    for (const entries of bySession.values()) {
+      let current = [];
+      let lastTime = null;
+
+      for (const entry of entries) {
+        const time = new Date(entry.timestamp).getTime();
+        if (lastTime !== null && time - lastTime > this.sessionGapMs) {
+          sequences.push(current);
+          current = [];
+        }
+        current.push(entry.command);
+        lastTime = time;
+      }
+
+      sequences.push(current);
+    }
+
+    return sequences.filter(sequence => sequence.length > 1);
+  }
+
+  train(sequences) {
+    const model = {
+      bigrams: new Map(),
+      trigrams: new Map()
+    };
+
+    for (const sequence of sequences) {
+      for (let i = 1; i < sequence.length; i++) {
+        this.incrementTransition(model.bigrams, sequence[i - 1], sequence[i]);
+
+        if (i > 1) {
+          this.incrementTransition(model.trigrams, this.getTrigramKey(sequence[i - 2], sequence[i - 1]), sequence[i]);
+        }
+      }
+    }
+
+    return model;
+  }
+
+  rankNextCommands(model, previous, command) {
+    const bigram = model.bigrams.get(command);
+    if (!bigram) {
+      return [];
+    }
+
+    const trigram = previous ? model.trigrams.get(this.getTrigramKey(previous, command)) : null;
+    const biTotal = this.sumCounts(bigram);
+    const triTotal = trigram ? this.sumCounts(trigram) : 0;
+
+    // Trust the longer context more as it accumulates observations
+    const trigramWeight = triTotal / (triTotal + 2);
+
+    const ranked = [];
+    for (const [next, biCount] of bigram) {
+      const triCount = trigram ? trigram.get(next) || 0 : 0;
+      const biProbability = biCount / biTotal;
+      const triProbability = triTotal > 0 ? triCount / triTotal : 0;
+      const probability = trigramWeight * triProbability + (1 - trigramWeight) * biProbability;
+
+      const evidence = [{ sequence: [command, next], count: biCount, out_of: biTotal }];
+      let explanation = `"${next}" followed "${command}" ${biCount} of ${biTotal} times`;
+
+      if (triCount > 0) {
+        evidence.push({ sequence: [previous, command, next], count: triCount, out_of: triTotal });
+        explanation += `, including ${triCount} of ${triTotal} times after "${previous} → ${command}"`;
+      }
+
+      ranked.push({
+        command: next,
+        confidence: Math.round(probability * 100) / 100,
+        explanation,
+        evidence
+      });
+    }
+
+    return ranked
+      .sort((a, b) => b.confidence - a.confidence || b.evidence[0].count - a.evidence[0].count)
+      .slice(0, this.maxSuggestions);
+  }
+
+  getLastCommand(history, sessionId) {
+    for (let i = history.length - 1; i >= 0; i--) {
+      const entry = history[i];
+      if (entry.session === sessionId) {
+        const age = Date.now() - new Date(entry.timestamp).getTime();
+        return age <= this.sessionGapMs ? entry.command : null;
+      }
+    }
+    return null;
+  }
+
+  incrementTransition(table, from, to) {
+    if (!table.has(from)) {
+      table.set(from, new Map());
+    }
+    const counts = table.get(from);
+    counts.set(to, (counts.get(to) || 0) + 1);
+  }
+
+  getTrigramKey(first, second) {
+    return `${first}\u0000${second}`;
   }
 
-  cancelAutoDissolution(specialist) {
-    const timeout = this.scheduledDissolutions.get(specialist.id);
-    if (timeout) {
-      clearTimeout(timeout);
-      this.scheduledDissolutions.delete(specialist.id);
+  sumCounts(counts) {
+    let total = 0;
+    for (const count of counts.values()) {
+      total += count;
     }
+    return total;
   }
 }
 
@@ -587,9 +1177,7 @@ module.exports = {
   BumbaIntelligentRouter,
   ComplexityAnalyzer,
   PredictiveEngine,
-  SpecialistSpawningController,
   PatternDatabase,
   WorkflowPredictor,
-  DissolutionScheduler,
   ExecutiveController
 };
\ No newline at end of file
@@ -0,0 +1,831 @@
+/**
+ * BUMBA MCP Local Fallbacks
+ * Working offline implementations behind NullMCPServer, so work continues
+ * when an MCP server is down. Operation names follow the tools of the server
+ * each one stands in for.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const vm = require('vm');
+const { randomUUID } = require('crypto');
+const { getInstance } = require('../config/bumba-config');
+
+const FALLBACK_STORE_VERSION = 1;
+const MAX_REGEX_LENGTH = 512;
+const REGEX_TIMEOUT_MS = 100;
+
+// Database and collection names become directory and file names
+const storeName = value => String(value).replace(/[^a-zA-Z0-9_-]/g, '_');
+
+// $regex patterns come from callers, so each test runs under a timeout;
+// a catastrophically backtracking pattern fails the query instead of hanging
+const regexContext = vm.createContext({});
+const regexTest = new vm.Script('pattern.test(value)');
+
+function testRegex(pattern, value) {
+  Object.assign(regexContext, { pattern, value });
+  try {
+    return regexTest.runInContext(regexContext, { timeout: REGEX_TIMEOUT_MS });
+  } catch (error) {
+    if (error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+      throw new Error(`$regex ${pattern} took longer than ${REGEX_TIMEOUT_MS}ms; simplify the pattern`);
+    }
+    throw error;
+  } finally {
+    Object.assign(regexContext, { pattern: null, value: null });
+  }
+}
+
+function compileRegex(pattern, flags = '') {
+  if (typeof pattern !== 'string' || pattern.length > MAX_REGEX_LENGTH) {
+    throw new Error(`$regex must be a string of at most ${MAX_REGEX_LENGTH} characters`);
+  }
+  return new RegExp(pattern, flags);
+}
+
+/**
+ * One JSON document on disk. Updates run one at a time through a queue and
+ * are written to a temp file first, so a crash never leaves half a file.
+ */
+class JsonFileStore {
+  constructor(filePath, createEmpty) {
+    this.filePath = filePath;
+    this.createEmpty = createEmpty;
+    this.queue = Promise.resolve();
+  }
+
+  async read() {
+    try {
+      return JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.log(`🏁 Could not read ${this.filePath}, starting empty: ${error.message}`);
+      }
+      return this.createEmpty();
+    }
+  }
+
+  // Runs mutate(data) and persists the result; resolves with what mutate returned
+  update(mutate) {
+    const run = this.queue.then(async () => {
+      const data = await this.read();
+      const result = await mutate(data);
+
+      const tempPath = `${this.filePath}.${process.pid}.tmp`;
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.writeFile(tempPath, JSON.stringify(data, null, 2));
+      await fs.rename(tempPath, this.filePath);
+
+      return result;
+    });
+
+    // Keep the queue alive after a failed update
+    this.queue = run.catch(() => {});
+    return run;
+  }
+}
+
+/**
+ * Base for fallbacks: dispatches an operation name to a handler method.
+ */
+class LocalFallback {
+  constructor(method, operations) {
+    this.method = method;
+    this.operations = operations;
+  }
+
+  async execute(operation, params = {}) {
+    const handler = this.operations[operation];
+    if (!handler) {
+      throw new Error(`Unsupported ${this.method} operation: ${operation} (available: ${Object.keys(this.operations).join(', ')})`);
+    }
+    return await handler.call(this, params || {});
+  }
+}
+
+/**
+ * Knowledge graph of entities, observations and relations, compatible with
+ * the memory server's tools and persisted to a single JSON file.
+ */
+class LocalMemoryGraph extends LocalFallback {
+  constructor(options = {}) {
+    super('local_memory', {
+      create_entities: LocalMemoryGraph.prototype.createEntities,
+      create_relations: LocalMemoryGraph.prototype.createRelations,
+      add_observations: LocalMemoryGraph.prototype.addObservations,
+      delete_entities: LocalMemoryGraph.prototype.deleteEntities,
+      delete_observations: LocalMemoryGraph.prototype.deleteObservations,
+      delete_relations: LocalMemoryGraph.prototype.deleteRelations,
+      read_graph: LocalMemoryGraph.prototype.readGraph,
+      search_nodes: LocalMemoryGraph.prototype.searchNodes,
+      open_nodes: LocalMemoryGraph.prototype.openNodes
+    });
+
+    const storeDir = options.storeDir || getInstance().get('paths.mcpFallbacks');
+    this.store = new JsonFileStore(path.join(storeDir, 'memory-graph.json'), () => ({
+      version: FALLBACK_STORE_VERSION,
+      entities: [],
+      relations: []
+    }));
+  }
+
+  async createEntities({ entities = [] }) {
+    return await this.store.update(graph => {
+      // Names are unique across the graph and within the batch; the first definition wins
+      const names = new Set(graph.entities.map(entity => entity.name));
+      const created = [];
+      for (const entity of entities) {
+        if (entity.name && !names.has(entity.name)) {
+          names.add(entity.name);
+          created.push({
+            name: entity.name,
+            entityType: entity.entityType || 'entity',
+            observations: [...new Set(entity.observations || [])]
+          });
+        }
+      }
+
+      graph.entities.push(...created);
+      return created;
+    });
+  }
+
+  async createRelations({ relations = [] }) {
+    return await this.store.update(graph => {
+      const created = [];
+      for (const { from, to, relationType } of relations) {
+        const relation = { from, to, relationType };
+        if (from && to && relationType
+          && ![...graph.relations, ...created].some(existing => this.sameRelation(existing, relation))) {
+          created.push(relation);
+        }
+      }
+
+      graph.relations.push(...created);
+      return created;
+    });
+  }
+
+  async addObservations({ observations = [] }) {
+    return await this.store.update(graph => observations.map(({ entityName, contents = [] }) => {
+      const entity = graph.entities.find(existing => existing.name === entityName);
+      if (!entity) {
+        throw new Error(`Entity not found: ${entityName}`);
+      }
+
+      const added = [...new Set(contents)].filter(content => !entity.observations.includes(content));
+      entity.observations.push(...added);
+      return { entityName, addedObservations: added };
+    }));
+  }
+
+  async deleteEntities({ entityNames = [] }) {
+    return await this.store.update(graph => {
+      const before = graph.entities.length;
+      graph.entities = graph.entities.filter(entity => !entityNames.includes(entity.name));
+      graph.relations = graph.relations.filter(relation =>
+        !entityNames.includes(relation.from) && !entityNames.includes(relation.to));
+      return { deleted: before - graph.entities.length };
+    });
+  }
+
+  async deleteObservations({ deletions = [] }) {
+    return await this.store.update(graph => {
+      for (const { entityName, observations = [] } of deletions) {
+        const entity = graph.entities.find(existing => existing.name === entityName);
+        if (entity) {
+          entity.observations = entity.observations.filter(observation => !observations.includes(observation));
+        }
+      }
+      return { updated: deletions.length };
+    });
+  }
+
+  async deleteRelations({ relations = [] }) {
+    return await this.store.update(graph => {
+      const before = graph.relations.length;
+      graph.relations = graph.relations.filter(existing =>
+        !relations.some(relation => this.sameRelation(existing, relation)));
+      return { deleted: before - graph.relations.length };
+    });
+  }
+
+  async readGraph() {
+    const { entities, relations } = await this.store.read();
+    return { entities, relations };
+  }
+
+  async searchNodes({ query = '' }) {
+    const needle = query.toLowerCase();
+    const graph = await this.store.read();
+
+    return this.subgraph(graph, graph.entities.filter(entity =>
+      entity.name.toLowerCase().includes(needle)
+      || entity.entityType.toLowerCase().includes(needle)
+      || entity.observations.some(observation => observation.toLowerCase().includes(needle))));
+  }
+
+  async openNodes({ names = [] }) {
+    const graph = await this.store.read();
+    return this.subgraph(graph, graph.entities.filter(entity => names.includes(entity.name)));
+  }
+
+  // The given entities plus the relations between them
+  subgraph(graph, entities) {
+    const names = new Set(entities.map(entity => entity.name));
+    return {
+      entities,
+      relations: graph.relations.filter(relation => names.has(relation.from) && names.has(relation.to))
+    };
+  }
+
+  sameRelation(a, b) {
+    return a.from === b.from && a.to === b.to && a.relationType === b.relationType;
+  }
+}
+
+/**
+ * Native fs confined to a root directory. Paths resolve against the root and
+ * anything that escapes it, including through symlinks, is rejected.
+ */
+class SandboxedFileSystem extends LocalFallback {
+  constructor(options = {}) {
+    super('native_fs', {
+      read_file: SandboxedFileSystem.prototype.readFile,
+      read_multiple_files: SandboxedFileSystem.prototype.readMultipleFiles,
+      write_file: SandboxedFileSystem.prototype.writeFile,
+      create_directory: SandboxedFileSystem.prototype.createDirectory,
+      list_directory: SandboxedFileSystem.prototype.listDirectory,
+      move_file: SandboxedFileSystem.prototype.moveFile,
+      search_files: SandboxedFileSystem.prototype.searchFiles,
+      get_file_info: SandboxedFileSystem.prototype.getFileInfo,
+      list_allowed_directories: SandboxedFileSystem.prototype.listAllowedDirectories
+    });
+
+    this.root = path.resolve(options.root || process.cwd());
+    this.maxFileSize = options.maxFileSize || getInstance().get('limits.maxFileSize', 10 * 1024 * 1024);
+    this.maxSearchResults = options.maxSearchResults || 200;
+  }
+
+  async resolvePath(requestedPath = '.') {
+    const resolved = path.resolve(this.root, requestedPath);
+    this.assertInsideRoot(resolved, requestedPath);
+
+    // Follow symlinks on the deepest existing ancestor to catch escapes
+    let existing = resolved;
+    while (existing !== this.root) {
+      try {
+        const real = await fs.realpath(existing);
+        this.assertInsideRoot(real, requestedPath, await fs.realpath(this.root));
+        break;
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        existing = path.dirname(existing);
+      }
+    }
+
+    return resolved;
+  }
+
+  assertInsideRoot(candidate, requestedPath, root = this.root) {
+    if (candidate !== root && !candidate.startsWith(root + path.sep)) {
+      throw new Error(`Access denied: ${requestedPath} is outside ${this.root}`);
+    }
+  }
+
+  async readFile({ path: filePath }) {
+    const resolved = await this.resolvePath(filePath);
+    const stats = await fs.stat(resolved);
+
+    if (stats.size > this.maxFileSize) {
+      throw new Error(`File too large: ${filePath} (${stats.size} bytes)`);
+    }
+
+    return { path: this.relative(resolved), content: await fs.readFile(resolved, 'utf8') };
+  }
+
+  async readMultipleFiles({ paths = [] }) {
+    const results = [];
+    for (const filePath of paths) {
+      try {
+        results.push(await this.readFile({ path: filePath }));
+      } catch (error) {
+        results.push({ path: filePath, error: error.message });
+      }
+    }
+    return results;
+  }
+
+  async writeFile({ path: filePath, content = '' }) {
+    const resolved = await this.resolvePath(filePath);
+
+    await fs.mkdir(path.dirname(resolved), { recursive: true });
+    await fs.writeFile(resolved, content, 'utf8');
+
+    return { path: this.relative(resolved), bytes: Buffer.byteLength(content) };
+  }
+
+  async createDirectory({ path: dirPath }) {
+    const resolved = await this.resolvePath(dirPath);
+    await fs.mkdir(resolved, { recursive: true });
+    return { path: this.relative(resolved) };
+  }
+
+  async listDirectory({ path: dirPath = '.' }) {
+    const resolved = await this.resolvePath(dirPath);
+    const entries = await fs.readdir(resolved, { withFileTypes: true });
+
+    return entries.map(entry => ({
+      name: entry.name,
+      type: entry.isDirectory() ? 'directory' : 'file'
+    }));
+  }
+
+  async moveFile({ source, destination }) {
+    const from = await this.resolvePath(source);
+    const to = await this.resolvePath(destination);
+
+    await fs.mkdir(path.dirname(to), { recursive: true });
+    await fs.rename(from, to);
+
+    return { source: this.relative(from), destination: this.relative(to) };
+  }
+
+  async searchFiles({ path: dirPath = '.', pattern = '', excludePatterns = [] }) {
+    const start = await this.resolvePath(dirPath);
+    const needle = pattern.toLowerCase();
+    const matches = [];
+
+    const walk = async (directory) => {
+      const entries = await fs.readdir(directory, { withFileTypes: true });
+
+      for (const entry of entries) {
+        if (matches.length >= this.maxSearchResults) return;
+
+        const fullPath = path.join(directory, entry.name);
+        const relativePath = this.relative(fullPath);
+        if (excludePatterns.some(exclude => relativePath.includes(exclude))) continue;
+
+        if (entry.name.toLowerCase().includes(needle)) {
+          matches.push(relativePath);
+        }
+        // Symlinked directories are not followed, so the walk stays in the sandbox
+        if (entry.isDirectory()) {
+          await walk(fullPath);
+        }
+      }
+    };
+
+    await walk(start);
+    return matches;
+  }
+
+  async getFileInfo({ path: filePath }) {
+    const resolved = await this.resolvePath(filePath);
+    const stats = await fs.stat(resolved);
+
+    return {
+      path: this.relative(resolved),
+      type: stats.isDirectory() ? 'directory' : 'file',
+      size: stats.size,
+      created: stats.birthtime.toISOString(),
+      modified: stats.mtime.toISOString()
+    };
+  }
+
+  async listAllowedDirectories() {
+    return [this.root];
+  }
+
+  relative(resolved) {
+    return path.relative(this.root, resolved) || '.';
+  }
+}
+
+/**
+ * Document collections stored as JSON files, with MongoDB-style filters
+ * ($eq, $ne, $gt, $gte, $lt, $lte, $in, $nin, $exists, $regex) and updates
+ * ($set, $unset, $inc). Field names may use dot paths.
+ */
+class JsonFileDatabase extends LocalFallback {
+  constructor(options = {}) {
+    super('json_file_db', {
+      'list-databases': JsonFileDatabase.prototype.listDatabases,
+      'list-collections': JsonFileDatabase.prototype.listCollections,
+      'insert-many': JsonFileDatabase.prototype.insertMany,
+      find: JsonFileDatabase.prototype.find,
+      count: JsonFileDatabase.prototype.count,
+      'update-many': JsonFileDatabase.prototype.updateMany,
+      'delete-many': JsonFileDatabase.prototype.deleteMany
+    });
+
+    this.storeDir = path.join(options.storeDir || getInstance().get('paths.mcpFallbacks'), 'db');
+    this.stores = new Map();
+  }
+
+  getStore(database = 'default', collection) {
+    if (!collection) {
+      throw new Error('A collection name is required');
+    }
+
+    const filePath = path.join(this.storeDir, storeName(database), `${storeName(collection)}.json`);
+
+    if (!this.stores.has(filePath)) {
+      this.stores.set(filePath, new JsonFileStore(filePath, () => ({ version: FALLBACK_STORE_VERSION, documents: [] })));
+    }
+    return this.stores.get(filePath);
+  }
+
+  async listDatabases() {
+    try {
+      const entries = await fs.readdir(this.storeDir, { withFileTypes: true });
+      return entries.filter(entry => entry.isDirectory()).map(entry => entry.name);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  async listCollections({ database = 'default' }) {
+    try {
+      const files = await fs.readdir(path.join(this.storeDir, storeName(database)));
+      return files.filter(file => file.endsWith('.json')).map(file => file.slice(0, -5));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  async insertMany({ database, collection, documents = [] }) {
+    return await this.getStore(database, collection).update(data => {
+      const inserted = documents.map(document => ({ _id: randomUUID(), ...document }));
+      data.documents.push(...inserted);
+      return { inserted_count: inserted.length, inserted_ids: inserted.map(document => document._id) };
+    });
+  }
+
+  async find({ database, collection, filter = {}, sort = null, limit = 0 }) {
+    const { documents } = await this.getStore(database, collection).read();
+    let results = documents.filter(document => this.matches(document, filter));
+
+    if (sort) {
+      const fields = Object.entries(sort);
+      results.sort((a, b) => {
+        for (const [field, direction] of fields) {
+          const left = this.getField(a, field);
+          const right = this.getField(b, field);
+          if (left < right) return -direction;
+          if (left > right) return direction;
+        }
+        return 0;
+      });
+    }
+
+    return limit > 0 ? results.slice(0, limit) : results;
+  }
+
+  async count({ database, collection, query = {} }) {
+    return (await this.find({ database, collection, filter: query })).length;
+  }
+
+  async updateMany({ database, collection, filter = {}, update = {} }) {
+    return await this.getStore(database, collection).update(data => {
+      const matched = data.documents.filter(document => this.matches(document, filter));
+      matched.forEach(document => this.applyUpdate(document, update));
+      return { matched_count: matched.length, modified_count: matched.length };
+    });
+  }
+
+  async deleteMany({ database, collection, filter = {} }) {
+    return await this.getStore(database, collection).update(data => {
+      const before = data.documents.length;
+      data.documents = data.documents.filter(document => !this.matches(document, filter));
+      return { deleted_count: before - data.documents.length };
+    });
+  }
+
+  matches(document, filter) {
+    return Object.entries(filter).every(([field, condition]) => {
+      const value = this.getField(document, field);
+
+      const isOperatorObject = condition && typeof condition === 'object' && !Array.isArray(condition)
+        && Object.keys(condition).every(key => key.startsWith('$'));
+      if (!isOperatorObject) {
+        return this.equals(value, condition);
+      }
+
+      return Object.entries(condition).every(([operator, operand]) => {
+        switch (operator) {
+          case '$eq': return this.equals(value, operand);
+          case '$ne': return !this.equals(value, operand);
+          case '$gt': return value !== undefined && value > operand;
+          case '$gte': return value !== undefined && value >= operand;
+          case '$lt': return value !== undefined && value < operand;
+          case '$lte': return value !== undefined && value <= operand;
+          case '$in': return operand.some(candidate => this.equals(value, candidate));
+          case '$nin': return !operand.some(candidate => this.equals(value, candidate));
+          case '$exists': return (value !== undefined) === Boolean(operand);
+          case '$regex': return typeof value === 'string' && testRegex(compileRegex(operand, condition.$options), value);
+          case '$options': return true;
+          default: throw new Error(`Unsupported query operator: ${operator}`);
+        }
+      });
+    });
+  }
+
+  equals(value, expected) {
+    // Array fields match when any element does, as in MongoDB
+    if (Array.isArray(value) && !Array.isArray(expected)) {
+      return value.some(item => this.equals(item, expected));
+    }
+    return JSON.stringify(value) === JSON.stringify(expected);
+  }
+
+  applyUpdate(document, update) {
+    const hasOperators = Object.keys(update).some(key => key.startsWith('$'));
+    const operations = hasOperators ? update : { $set: update };
+
+    for (const [operator, fields] of Object.entries(operations)) {
+      for (const [field, value] of Object.entries(fields)) {
+        switch (operator) {
+          case '$set':
+            this.setField(document, field, value);
+            break;
+          case '$unset':
+            this.setField(document, field, undefined);
+            break;
+          case '$inc':
+            this.setField(document, field, (this.getField(document, field) || 0) + value);
+            break;
+          default:
+            throw new Error(`Unsupported update operator: ${operator}`);
+        }
+      }
+    }
+  }
+
+  getField(document, field) {
+    return field.split('.').reduce((value, key) => (value == null ? undefined : value[key]), document);
+  }
+
+  setField(document, field, value) {
+    const keys = field.split('.');
+    const last = keys.pop();
+    const parent = keys.reduce((target, key) => {
+      if (target[key] === null || typeof target[key] !== 'object') {
+        target[key] = {};
+      }
+      return target[key];
+    }, document);
+
+    if (value === undefined) {
+      delete parent[last];
+    } else {
+      parent[last] = value;
+    }
+  }
+}
+
+/**
+ * Pages kept as markdown files with a small front matter block
+ * (title, tags, created, updated); the file name is the page id.
+ */
+class LocalNotes extends LocalFallback {
+  constructor(options = {}) {
+    super('local_notes', {
+      create_page: LocalNotes.prototype.createPage,
+      get_page: LocalNotes.prototype.getPage,
+      update_page: LocalNotes.prototype.updatePage,
+      delete_page: LocalNotes.prototype.deletePage,
+      list_pages: LocalNotes.prototype.listPages,
+      search: LocalNotes.prototype.search
+    });
+
+    this.notesDir = path.join(options.storeDir || getInstance().get('paths.mcpFallbacks'), 'notes');
+  }
+
+  async createPage({ title, content = '', tags = [] }) {
+    if (!title) {
+      throw new Error('A page title is required');
+    }
+
+    const slug = title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 60) || 'page';
+    const id = `${slug}-${Date.now().toString(36)}`;
+    const now = new Date().toISOString();
+    const page = { id, title, tags, created: now, updated: now, content };
+
+    await this.writePage(page);
+    return page;
+  }
+
+  async getPage({ id }) {
+    const raw = await fs.readFile(this.getPagePath(id), 'utf8');
+    return { id, ...this.parsePage(raw) };
+  }
+
+  async updatePage({ id, title, content, tags, append = false }) {
+    const page = await this.getPage({ id });
+
+    if (title !== undefined) page.title = title;
+    if (tags !== undefined) page.tags = tags;
+    if (content !== undefined) {
+      page.content = append ? `${page.content.trimEnd()}\n\n${content}` : content;
+    }
+    page.updated = new Date().toISOString();
+
+    await this.writePage(page);
+    return page;
+  }
+
+  async deletePage({ id }) {
+    await fs.unlink(this.getPagePath(id));
+    return { id, deleted: true };
+  }
+
+  async listPages() {
+    let files;
+    try {
+      files = await fs.readdir(this.notesDir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const pages = [];
+    for (const file of files.filter(name => name.endsWith('.md'))) {
+      const { content, ...summary } = await this.getPage({ id: file.slice(0, -3) });
+      pages.push(summary);
+    }
+    return pages.sort((a, b) => b.updated.localeCompare(a.updated));
+  }
+
+  async search({ query = '' }) {
+    const needle = query.toLowerCase();
+    const results = [];
+
+    for (const summary of await this.listPages()) {
+      const page = await this.getPage({ id: summary.id });
+      const haystack = `${page.title}\n${page.tags.join(' ')}\n${page.content}`.toLowerCase();
+      if (haystack.includes(needle)) {
+        results.push(page);
+      }
+    }
+    return results;
+  }
+
+  getPagePath(id) {
+    if (!id || !/^[a-z0-9-]+$/.test(id)) {
+      throw new Error(`Invalid page id: ${id}`);
+    }
+    return path.join(this.notesDir, `${id}.md`);
+  }
+
+  async writePage({ id, title, tags, created, updated, content }) {
+    const frontMatter = [
+      '---',
+      `title: ${JSON.stringify(title)}`,
+      `tags: ${JSON.stringify(tags)}`,
+      `created: ${created}`,
+      `updated: ${updated}`,
+      '---',
+      ''
+    ].join('\n');
+
+    await fs.mkdir(this.notesDir, { recursive: true });
+    await fs.writeFile(this.getPagePath(id), `${frontMatter}\n${content}\n`, 'utf8');
+  }
+
+  parsePage(raw) {
+    const match = raw.match(/^---\n([\s\S]*?)\n---\n\n?([\s\S]*)$/);
+    if (!match) {
+      return { title: '', tags: [], created: null, updated: null, content: raw };
+    }
+
+    const meta = {};
+    for (const line of match[1].split('\n')) {
+      const separator = line.indexOf(':');
+      if (separator !== -1) {
+        meta[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+      }
+    }
+
+    return {
+      title: meta.title ? JSON.parse(meta.title) : '',
+      tags: meta.tags ? JSON.parse(meta.tags) : [],
+      created: meta.created || null,
+      updated: meta.updated || null,
+      content: match[2].replace(/\n$/, '')
+    };
+  }
+}
+
+/**
+ * Local git through SecureExecutor, covering what the GitHub server is
+ * mostly used for day to day. Remote-only operations are not available.
+ */
+class LocalGit extends LocalFallback {
+  constructor(options = {}) {
+    super('manual_git', {
+      git_status: LocalGit.prototype.status,
+      git_log: LocalGit.prototype.log,
+      git_diff: LocalGit.prototype.diff,
+      git_branch: LocalGit.prototype.branch,
+      git_add: LocalGit.prototype.add,
+      git_commit: LocalGit.prototype.commit
+    });
+
+    this.cwd = options.cwd || process.cwd();
+    this.executor = options.executor || null;
+  }
+
+  getExecutor() {
+    if (!this.executor) {
+      this.executor = require('../security/secure-executor').getInstance();
+    }
+    return this.executor;
+  }
+
+  async git(args) {
+    const result = await this.getExecutor().execute('git', args, {
+      cwd: this.cwd,
+      profile: 'agent',
+      context: { source: 'mcp-fallback' }
+    });
+    return result.stdout;
+  }
+
+  async status() {
+    const output = await this.git(['status', '--porcelain=v1', '--branch']);
+    const [branchLine, ...fileLines] = output.split('\n');
+
+    return {
+      branch: branchLine ? branchLine.replace(/^## /, '') : null,
+      files: fileLines.filter(Boolean).map(line => ({ status: line.slice(0, 2).trim(), path: line.slice(3) }))
+    };
+  }
+
+  async log({ max_count: maxCount = 10 }) {
+    const output = await this.git(['log', `--max-count=${parseInt(maxCount, 10) || 10}`, '--pretty=format:%H%x09%an%x09%aI%x09%s']);
+
+    return output.split('\n').filter(Boolean).map(line => {
+      const [hash, author, date, subject] = line.split('\t');
+      return { hash, author, date, subject };
+    });
+  }
+
+  async diff({ staged = false, path: filePath }) {
+    const args = ['diff'];
+    if (staged) args.push('--cached');
+    if (filePath) args.push('--', filePath);
+    return { diff: await this.git(args) };
+  }
+
+  async branch() {
+    const output = await this.git(['branch', '--list']);
+    return output.split('\n').filter(Boolean).map(line => ({
+      name: line.slice(2),
+      current: line.startsWith('*')
+    }));
+  }
+
+  async add({ files = [] }) {
+    if (files.length === 0) {
+      throw new Error('No files given to add');
+    }
+    await this.git(['add', '--', ...files]);
+    return { added: files };
+  }
+
+  async commit({ message }) {
+    if (!message) {
+      throw new Error('A commit message is required');
+    }
+    return { output: await this.git(['commit', '-m', message]) };
+  }
+}
+
+// Fallback types from MCPServerManager's server definitions
+const FALLBACK_IMPLEMENTATIONS = {
+  'local-memory': LocalMemoryGraph,
+  'native-fs': SandboxedFileSystem,
+  'json-file-db': JsonFileDatabase,
+  'local-notes': LocalNotes,
+  'manual-git': LocalGit
+};
+
+function createFallback(fallbackType, options = {}) {
+  const Implementation = FALLBACK_IMPLEMENTATIONS[fallbackType];
+  return Implementation ? new Implementation(options) : null;
+}
+
+module.exports = {
+  createFallback,
+  JsonFileStore,
+  LocalMemoryGraph,
+  SandboxedFileSystem,
+  JsonFileDatabase,
+  LocalNotes,
+  LocalGit,
+  FALLBACK_IMPLEMENTATIONS
+};
@@ -0,0 +1,114 @@
+/**
+ * BUMBA MCP Fixtures
+ * Recorded JSON-RPC request/response pairs for one MCP server, stored as
+ * <fixturesDir>/<server>.json so flows touching MCP servers can be replayed
+ * offline and deterministically.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const FIXTURE_VERSION = 1;
+
+// Requests whose params change between runs without changing the answer
+const MATCH_BY_METHOD_ONLY = new Set(['initialize']);
+
+class MCPFixtureStore {
+  constructor(fixturesDir, serverName) {
+    this.serverName = serverName;
+    this.filePath = path.join(fixturesDir, `${String(serverName).replace(/[^a-zA-Z0-9_-]/g, '_')}.json`);
+    this.interactions = [];
+    this.replayCursors = new Map();
+    this.writeQueue = Promise.resolve();
+  }
+
+  exists() {
+    return fs.existsSync(this.filePath);
+  }
+
+  load() {
+    const fixture = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+
+    if (fixture.version !== FIXTURE_VERSION || !Array.isArray(fixture.interactions)) {
+      throw new Error(`Unsupported MCP fixture format in ${this.filePath}`);
+    }
+
+    this.interactions = fixture.interactions;
+    this.replayCursors.clear();
+    return this;
+  }
+
+  /**
+   * Stable key for matching a request: method plus params with sorted keys
+   */
+  getKey(method, params = {}) {
+    if (MATCH_BY_METHOD_ONLY.has(method)) {
+      return method;
+    }
+    return `${method} ${canonicalJson(params)}`;
+  }
+
+  record(method, params, outcome) {
+    this.interactions.push({ key: this.getKey(method, params), method, params, ...outcome });
+    return this.save();
+  }
+
+  /**
+   * Recorded outcome for a request. Identical requests get their recorded
+   * answers in order; once those run out the last one repeats.
+   */
+  match(method, params) {
+    const key = this.getKey(method, params);
+    const candidates = this.interactions.filter(interaction => interaction.key === key);
+
+    if (candidates.length === 0) {
+      return null;
+    }
+
+    const cursor = this.replayCursors.get(key) || 0;
+    this.replayCursors.set(key, cursor + 1);
+    return candidates[Math.min(cursor, candidates.length - 1)];
+  }
+
+  save() {
+    const fixture = {
+      version: FIXTURE_VERSION,
+      server: this.serverName,
+      recorded_at: new Date().toISOString(),
+      interactions: this.interactions
+    };
+
+    this.writeQueue = this.writeQueue.then(async () => {
+      const tempPath = `${this.filePath}.${process.pid}.tmp`;
+      try {
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.promises.writeFile(tempPath, JSON.stringify(fixture, null, 2));
+        await fs.promises.rename(tempPath, this.filePath);
+      } catch (error) {
+        console.error(`🏁 Could not write MCP fixture ${this.filePath}: ${error.message}`);
+      }
+    });
+
+    return this.writeQueue;
+  }
+
+  async flush() {
+    await this.writeQueue;
+  }
+}
+
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+module.exports = {
+  MCPFixtureStore,
+  FIXTURE_VERSION,
+  canonicalJson
+};
@@ -0,0 +1,290 @@
+/**
+ * BUMBA MCP Server Registry
+ * Server definitions merged from built-in defaults, the user's
+ * ~/.claude/mcp-servers.{json,yaml,yml}, the project's
+ * .bumba/mcp-servers.{json,yaml,yml} and $BUMBA_MCP_CONFIG, in that order.
+ *
+ * File format:
+ *   {
+ *     "servers": {
+ *       "jira": {
+ *         "package": "jira-mcp-server",
+ *         "args": ["--readonly"],
+ *         "requiredEnv": ["JIRA_API_TOKEN"],
+ *         "essential": false,
+ *         "fallback": "local-notes",
+ *         "healthCheck": "list-tools"
+ *       },
+ *       "notion": { "enabled": false }
+ *     }
+ *   }
+ *
+ * An entry for an existing server is merged over it, so a file only needs
+ * the fields it changes. `"enabled": false` removes a server.
+ *
+ * Only the user's files ($BUMBA_MCP_CONFIG counts as one) decide what gets
+ * spawned. A project file comes with the repository, so its package,
+ * command, args, env, cwd and tool health checks are ignored and reported:
+ * it can disable servers and tune descriptions, fallbacks, timeouts and
+ * breakers, and servers it needs go in ~/.claude/mcp-servers.json.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { BumbaError } = require('../error-handling/bumba-error-system');
+const { getInstance } = require('../config/bumba-config');
+const { FALLBACK_IMPLEMENTATIONS } = require('./mcp-fallbacks');
+
+const DEFAULT_MCP_SERVERS = {
+  memory: {
+    package: '@modelcontextprotocol/server-memory',
+    description: 'Enhanced context preservation',
+    essential: true,
+    fallback: 'local-memory'
+  },
+  filesystem: {
+    package: '@modelcontextprotocol/server-filesystem',
+    args: [process.cwd()],
+    description: 'File operations with validation',
+    essential: true,
+    fallback: 'native-fs'
+  },
+  'sequential-thinking': {
+    package: '@modelcontextprotocol/server-sequential-thinking',
+    description: 'Complex multi-step reasoning',
+    essential: false,
+    fallback: 'standard-reasoning'
+  },
+  github: {
+    package: '@modelcontextprotocol/server-github',
+    description: 'GitHub integration',
+    requiredEnv: ['GITHUB_PERSONAL_ACCESS_TOKEN'],
+    essential: false,
+    fallback: 'manual-git'
+  },
+  notion: {
+    package: '@modelcontextprotocol/server-notion',
+    description: 'Project management with timeline integration',
+    requiredEnv: ['NOTION_API_KEY'],
+    essential: false,
+    fallback: 'local-notes'
+  },
+  mongodb: {
+    package: 'mongodb-mcp-server',
+    description: 'MongoDB NoSQL database integration',
+    requiredEnv: ['MDB_MCP_CONNECTION_STRING'],
+    essential: false,
+    fallback: 'json-file-db'
+  },
+  supabase: {
+    package: '@supabase/mcp-server',
+    description: 'Supabase backend-as-a-service integration',
+    requiredEnv: ['SUPABASE_ACCESS_TOKEN'],
+    essential: false,
+    fallback: 'local-backend'
+  }
+};
+
+const FALLBACK_TYPES = [...Object.keys(FALLBACK_IMPLEMENTATIONS), 'standard-reasoning', 'local-backend', 'none'];
+const HEALTH_CHECK_METHODS = ['ping', 'list-tools'];
+const CONFIG_FILE_NAMES = ['mcp-servers.json', 'mcp-servers.yaml', 'mcp-servers.yml'];
+const SERVER_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+// Fields that decide which process runs and what it is asked to do
+const LAUNCH_FIELDS = ['package', 'command', 'args', 'env', 'cwd'];
+
+const isStringArray = value => Array.isArray(value) && value.every(item => typeof item === 'string');
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Field name -> [check, expectation] for every supported definition field
+const FIELD_SCHEMA = {
+  package: [value => typeof value === 'string' && value.length > 0, 'a non-empty string'],
+  command: [value => typeof value === 'string' && value.length > 0, 'a non-empty string'],
+  args: [isStringArray, 'an array of strings'],
+  env: [value => isPlainObject(value) && Object.values(value).every(item => typeof item === 'string'), 'an object of string values'],
+  cwd: [value => typeof value === 'string', 'a string'],
+  requiredEnv: [isStringArray, 'an array of environment variable names'],
+  description: [value => typeof value === 'string', 'a string'],
+  essential: [value => typeof value === 'boolean', 'true or false'],
+  enabled: [value => typeof value === 'boolean', 'true or false'],
+  fallback: [value => FALLBACK_TYPES.includes(value), `one of: ${FALLBACK_TYPES.join(', ')}`],
+  healthCheck: [
+    value => HEALTH_CHECK_METHODS.includes(value)
+      || (isPlainObject(value) && typeof value.tool === 'string' && (value.arguments === undefined || isPlainObject(value.arguments))),
+    `one of: ${HEALTH_CHECK_METHODS.join(', ')}, or { "tool": "<name>", "arguments": { ... } }`
+  ],
+  connectTimeout: [value => Number.isInteger(value) && value > 0, 'a positive number of milliseconds'],
+  requestTimeout: [value => Number.isInteger(value) && value > 0, 'a positive number of milliseconds'],
+  circuitBreaker: [isPlainObject, 'an object of circuit breaker settings']
+};
+
+/**
+ * Check one merged server definition. Returns a list of readable errors,
+ * each naming the source file and field.
+ */
+function validateServerDefinition(name, definition, source = 'definition') {
+  const where = `${source}: servers.${name}`;
+  const errors = [];
+
+  if (!SERVER_NAME_PATTERN.test(name)) {
+    errors.push(`${where}: server names may only contain lowercase letters, digits, '-' and '_'`);
+  }
+
+  if (!isPlainObject(definition)) {
+    return [...errors, `${where}: expected an object`];
+  }
+
+  for (const [field, value] of Object.entries(definition)) {
+    const schema = FIELD_SCHEMA[field];
+    if (!schema) {
+      errors.push(`${where}.${field}: unknown field (supported: ${Object.keys(FIELD_SCHEMA).join(', ')})`);
+    } else if (!schema[0](value)) {
+      errors.push(`${where}.${field}: expected ${schema[1]}, got ${JSON.stringify(value)}`);
+    }
+  }
+
+  if (definition.enabled !== false && !definition.package && !definition.command) {
+    errors.push(`${where}: needs a "package" to run with npx or a "command" to spawn`);
+  }
+
+  return errors;
+}
+
+function parseConfigFile(filePath) {
+  const content = fs.readFileSync(filePath, 'utf8');
+
+  if (filePath.endsWith('.json')) {
+    return JSON.parse(content);
+  }
+
+  let yaml;
+  try {
+    yaml = require('js-yaml');
+  } catch (error) {
+    throw new Error('YAML server definitions need the js-yaml package (npm install js-yaml), or use mcp-servers.json');
+  }
+  return yaml.load(content);
+}
+
+/**
+ * Config files in merge order; `options.files` entries given as plain paths
+ * are user files
+ * @returns {Array<{path: string, scope: 'project'|'user'}>}
+ */
+function getConfigFiles(options = {}) {
+  if (options.files) {
+    return options.files.map(file => (typeof file === 'string' ? { path: file, scope: 'user' } : file));
+  }
+
+  const userDir = getInstance().get('paths.installation');
+  const projectDir = path.join(options.cwd || process.cwd(), '.bumba');
+  const files = [
+    ...CONFIG_FILE_NAMES.map(name => ({ path: path.join(userDir, name), scope: 'user' })),
+    ...CONFIG_FILE_NAMES.map(name => ({ path: path.join(projectDir, name), scope: 'project' }))
+  ];
+
+  if (process.env.BUMBA_MCP_CONFIG) {
+    files.push({ path: path.resolve(process.env.BUMBA_MCP_CONFIG), scope: 'user' });
+  }
+
+  return files;
+}
+
+/**
+ * Drop the fields a project file may not set, reporting each server they
+ * were dropped from
+ */
+function restrictProjectDefinition(name, definition, filePath, errors) {
+  if (!isPlainObject(definition)) {
+    return definition;
+  }
+
+  const ignored = Object.keys(definition).filter(field =>
+    LAUNCH_FIELDS.includes(field) || (field === 'healthCheck' && isPlainObject(definition.healthCheck)));
+  if (ignored.length === 0) {
+    return definition;
+  }
+
+  errors.push(`${filePath}: servers.${name}: ignored ${ignored.join(', ')}; a project file cannot change what is spawned or called, define the server in ~/.claude/mcp-servers.json`);
+  return Object.fromEntries(Object.entries(definition).filter(([field]) => !ignored.includes(field)));
+}
+
+/**
+ * Build the server registry. Invalid files and servers are skipped and
+ * reported in `errors`; everything valid is still loaded, so one typo does
+ * not take down the MCP layer.
+ *
+ * @returns {{ servers: Object, errors: string[], sources: string[] }}
+ */
+function loadServerDefinitions(options = {}) {
+  const merged = {};
+  const origins = {};
+  const errors = [];
+  const sources = ['defaults'];
+
+  for (const [name, definition] of Object.entries(options.defaults || DEFAULT_MCP_SERVERS)) {
+    merged[name] = { ...definition };
+    origins[name] = 'defaults';
+  }
+
+  for (const { path: filePath, scope } of getConfigFiles(options)) {
+    if (!fs.existsSync(filePath)) continue;
+
+    let fileConfig;
+    try {
+      fileConfig = parseConfigFile(filePath);
+    } catch (error) {
+      errors.push(`${filePath}: could not be read: ${error.message}`);
+      continue;
+    }
+
+    if (!isPlainObject(fileConfig) || !isPlainObject(fileConfig.servers)) {
+      errors.push(`${filePath}: expected a top-level "servers" object`);
+      continue;
+    }
+
+    sources.push(filePath);
+    for (const [name, entry] of Object.entries(fileConfig.servers)) {
+      const definition = scope === 'project' ? restrictProjectDefinition(name, entry, filePath, errors) : entry;
+      merged[name] = isPlainObject(definition) ? { ...merged[name], ...definition } : definition;
+      origins[name] = filePath;
+    }
+  }
+
+  const servers = {};
+  for (const [name, definition] of Object.entries(merged)) {
+    const definitionErrors = validateServerDefinition(name, definition, origins[name]);
+    if (definitionErrors.length > 0) {
+      errors.push(...definitionErrors);
+      continue;
+    }
+    if (definition.enabled === false) continue;
+
+    servers[name] = { name, essential: false, fallback: 'none', ...definition, source: origins[name] };
+  }
+
+  return { servers, errors, sources };
+}
+
+/**
+ * Throwing variant for programmatic registration
+ */
+function assertValidServerDefinition(name, definition, source) {
+  const errors = validateServerDefinition(name, definition, source);
+  if (errors.length > 0) {
+    throw new BumbaError('MCP_CONFIG_INVALID', `Invalid MCP server definition:\n  ${errors.join('\n  ')}`, { server: name, errors });
+  }
+}
+
+function getMissingEnv(definition, env = process.env) {
+  return (definition.requiredEnv || []).filter(variable => !env[variable] && !(definition.env && definition.env[variable]));
+}
+
+module.exports = {
+  DEFAULT_MCP_SERVERS,
+  FALLBACK_TYPES,
+  HEALTH_CHECK_METHODS,
+  loadServerDefinitions,
+  validateServerDefinition,
+  assertValidServerDefinition,
+  getMissingEnv
+};
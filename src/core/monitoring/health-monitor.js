@@ -233,8 +233,9 @@ class BumbaHealthMonitor {
     try {
       const hookStatus = bumbaHookSystem.getStatus();
       
-      const totalHooks = hookStatus.total_hooks;
+      const totalHooks = hookStatus.total_handlers;
       const disabledHooks = Object.values(hookStatus.hook_status)
+        .flat()
         .filter(hook => hook.disabled).length;
       
       const status = disabledHooks === 0 ? 'healthy' :
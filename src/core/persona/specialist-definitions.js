@@ -5,6 +5,21 @@
 
 const { SpecialistAgent } = require('../architecture-design');
 const { BumbaPersonaEngine } = require('./persona-engine');
+const { matchCatalog } = require('./specialist-profiles');
+
+function describe(task) {
+  if (!task) return '';
+  return (typeof task === 'string' ? task : (task.description || '')).toLowerCase();
+}
+
+// "Name - Role" from the specialist's persona
+function signature(specialist) {
+  return specialist.persona ? `${specialist.persona.name} - ${specialist.persona.role}` : specialist.type;
+}
+
+function capitalize(word) {
+  return word.charAt(0).toUpperCase() + word.slice(1);
+}
 
 class BumbaSpecialistDefinitions {
   constructor() {
@@ -31,22 +46,7 @@ class BumbaSpecialistDefinitions {
       }
 
       initializeExpertise() {
-        this.expertise = {
-          market_analysis: true,
-          competitive_intelligence: true,
-          industry_trends: true,
-          customer_segmentation: true,
-          behavioral_economics: true,
-          statistical_analysis: true,
-          survey_design: true,
-          focus_group_facilitation: true,
-          data_visualization: true
-        };
-
-        this.tools = [
-          'survey_platforms', 'analytics_tools', 'industry_databases',
-          'statistical_software', 'visualization_tools', 'interview_platforms'
-        ];
+        this.applyProfile();
 
         this.methodologies = [
           'primary_research', 'secondary_research', 'quantitative_analysis',
@@ -100,7 +100,7 @@ class BumbaSpecialistDefinitions {
             market_size: await this.calculateMarketSize(task),
             growth_trends: await this.analyzeGrowthTrends(task),
             segmentation: await this.performSegmentation(task),
-            competitive_landscape: await this.mapCompetetiveLandscape(task)
+            competitive_landscape: await this.mapCompetitiveLandscape(task)
           },
           insights: await this.generateMarketInsights(task),
           narrative: await this.createMarketStory(task),
@@ -123,6 +123,162 @@ class BumbaSpecialistDefinitions {
         }
         return 'general_research';
       }
+
+      async performCompetitiveResearch(task, personality) {
+        const competitors = this.listCompetitors(task);
+
+        return {
+          type: 'competitive_research',
+          specialist: signature(this),
+          personality_note: personality.opening,
+          competitors: competitors,
+          research_plan: competitors.length > 0
+            ? competitors.map(competitor => `Profile ${competitor}: positioning, pricing, recent launches and customer reviews`)
+            : ['List direct and substitute competitors from customer interviews and industry databases'],
+          sources: this.tools.filter(tool => ['industry_databases', 'analytics_tools', 'interview_platforms'].includes(tool)),
+          validation_questions: personality.questions,
+          consciousness_check: await this.validateResearchEthics(task)
+        };
+      }
+
+      async executeCustomerResearch(task, personality) {
+        const segmentation = await this.performSegmentation(task);
+
+        return {
+          type: 'customer_research',
+          specialist: signature(this),
+          personality_note: personality.opening,
+          segments: segmentation.segments,
+          methods: segmentation.segments.length > 1
+            ? ['survey_design', 'focus_group_facilitation', 'statistical_analysis']
+            : ['survey_design', 'focus_group_facilitation'],
+          interview_guide: segmentation.segments.map(segment =>
+            `What problem were ${segment} customers solving when they last looked for a product like this?`),
+          validation_questions: personality.questions,
+          consciousness_check: await this.validateResearchEthics(task),
+          next_steps: await this.recommendNextResearch(task)
+        };
+      }
+
+      async generalResearchTask(task, personality) {
+        return {
+          type: 'general_research',
+          specialist: signature(this),
+          personality_note: personality.opening,
+          approach: personality.approach,
+          methodology: personality.methodology,
+          research_questions: personality.questions,
+          next_steps: await this.recommendNextResearch(task)
+        };
+      }
+
+      // Market size from task.market_data: { total_addressable, serviceable_share, obtainable_share }
+      async calculateMarketSize(task) {
+        const data = task.market_data;
+        if (!data || !Number.isFinite(data.total_addressable)) {
+          return {
+            status: 'requires_data',
+            inputs_needed: ['total_addressable', 'serviceable_share', 'obtainable_share'],
+            method: describe(task).includes('bottom-up') ? 'bottom_up' : 'top_down'
+          };
+        }
+
+        const serviceable = data.total_addressable * (data.serviceable_share ?? 1);
+        return {
+          status: 'estimated',
+          tam: data.total_addressable,
+          sam: serviceable,
+          som: serviceable * (data.obtainable_share ?? 0)
+        };
+      }
+
+      async analyzeGrowthTrends(task) {
+        return matchCatalog(describe(task), {
+          'AI-assisted workflows': ['ai', 'machine learning', 'automation'],
+          'mobile-first usage': ['mobile'],
+          'subscription pricing': ['subscription', 'saas', 'recurring'],
+          'remote and distributed work': ['remote', 'distributed', 'hybrid'],
+          'privacy regulation': ['privacy', 'gdpr', 'data protection'],
+          'sustainability expectations': ['sustainab', 'climate', 'green']
+        });
+      }
+
+      async performSegmentation(task) {
+        const segments = matchCatalog(describe(task), {
+          enterprise: ['enterprise', 'large compan'],
+          smb: ['small business', 'smb', 'startup'],
+          consumer: ['consumer', 'b2c', 'personal'],
+          developer: ['developer', 'api', 'engineer'],
+          education: ['education', 'student', 'school'],
+          healthcare: ['health', 'clinic', 'patient']
+        });
+
+        return {
+          segments: segments,
+          basis: segments.some(segment => ['enterprise', 'smb'].includes(segment)) ? 'firmographic' : 'behavioral',
+          status: segments.length > 0 ? 'identified' : 'requires_customer_research'
+        };
+      }
+
+      async mapCompetitiveLandscape(task) {
+        const competitors = this.listCompetitors(task);
+        return {
+          competitors: competitors,
+          status: competitors.length > 0 ? 'mapped' : 'requires_data'
+        };
+      }
+
+      listCompetitors(task) {
+        return Array.isArray(task.competitors) ? task.competitors : [];
+      }
+
+      async generateMarketInsights(task) {
+        const trends = await this.analyzeGrowthTrends(task);
+        const { segments } = await this.performSegmentation(task);
+
+        return [
+          ...trends.map(trend => `Demand is shaped by ${trend}; size the opportunity with and without it`),
+          ...segments.map(segment => `Validate willingness to pay in the ${segment} segment before committing to it`)
+        ];
+      }
+
+      async createMarketStory(task) {
+        const trends = await this.analyzeGrowthTrends(task);
+        const { segments } = await this.performSegmentation(task);
+        const audience = segments.length > 0 ? segments.join(' and ') : 'an as yet unsegmented audience';
+        const drivers = trends.length > 0 ? trends.join(', ') : 'no trend the brief names yet';
+
+        return `${task.description}: a market serving ${audience}, driven by ${drivers}.`;
+      }
+
+      async validateResearchEthics(task) {
+        const desc = describe(task);
+        const concerns = matchCatalog(desc, {
+          'Collect consent before using personal data': ['personal data', 'pii', 'tracking'],
+          'Use only public sources; scraping must respect terms of service': ['scrap', 'crawl'],
+          'Recruit participants beyond existing customers to avoid sampling bias': ['survey', 'interview', 'focus group']
+        });
+
+        return {
+          principles: Object.keys(this.consciousnessAlignment),
+          concerns: concerns,
+          approved: concerns.length === 0
+        };
+      }
+
+      async recommendNextResearch(task) {
+        const steps = [];
+        if (!task.market_data) {
+          steps.push('secondary_research: gather market size data from industry reports');
+        }
+        if ((await this.performSegmentation(task)).segments.length === 0) {
+          steps.push('primary_research: interview prospects to find the segments worth serving');
+        }
+        if (this.listCompetitors(task).length === 0) {
+          steps.push('trend_analysis: identify competitors and substitutes');
+        }
+        return steps.length > 0 ? steps : ['quantitative_analysis: test the sizing assumptions against early sales data'];
+      }
     });
 
     // Competitive Analysis Specialist - "Marcus Chen"
@@ -134,17 +290,7 @@ class BumbaSpecialistDefinitions {
       }
 
       initializeExpertise() {
-        this.expertise = {
-          competitive_mapping: true,
-          strategic_frameworks: true,
-          market_positioning: true,
-          swot_analysis: true,
-          scenario_planning: true,
-          business_intelligence: true,
-          strategic_consulting: true,
-          game_theory: true,
-          differentiation_strategy: true
-        };
+        this.applyProfile();
 
         this.frameworks = [
           'porters_five_forces', 'strategic_group_mapping', 'competitive_positioning',
@@ -198,6 +344,86 @@ class BumbaSpecialistDefinitions {
         }
         return 'general_competitive';
       }
+
+      async createCompetitiveMap(task, personality) {
+        const competitors = Array.isArray(task.competitors) ? task.competitors : [];
+        const dimensions = this.identifyCompetitiveDimensions(task);
+
+        return {
+          type: 'competitive_mapping',
+          specialist: signature(this),
+          personality_note: personality.opening,
+          framework: 'strategic_group_mapping',
+          axes: dimensions.slice(0, 2),
+          competitors: competitors.map(competitor => ({
+            name: competitor,
+            to_assess: dimensions
+          })),
+          gaps_to_explore: personality.strategic_questions,
+          ethical_boundaries: this.consciousnessAlignment.ethical_intelligence
+        };
+      }
+
+      async analyzePositioning(task, personality) {
+        const dimensions = this.identifyCompetitiveDimensions(task);
+
+        return {
+          type: 'positioning_analysis',
+          specialist: signature(this),
+          personality_note: personality.opening,
+          frameworks: ['competitive_positioning', 'blue_ocean_strategy'],
+          differentiators: dimensions.map(dimension => `Lead on ${dimension} where competitors are weakest`),
+          positioning_statement: `For customers who value ${dimensions[0]}, ${task.product || 'our product'} is the option that competes on it fairly and transparently`,
+          ethical_boundaries: this.consciousnessAlignment.fair_competition
+        };
+      }
+
+      async developScenarios(task, personality) {
+        const competitors = Array.isArray(task.competitors) && task.competitors.length > 0
+          ? task.competitors
+          : ['the market leader'];
+
+        return {
+          type: 'strategic_scenarios',
+          specialist: signature(this),
+          personality_note: personality.opening,
+          framework: 'game_theory',
+          scenarios: competitors.flatMap(competitor => [
+            { trigger: `${competitor} cuts prices`, response: 'Hold price and compete on differentiation' },
+            { trigger: `${competitor} copies the feature`, response: 'Ship the next improvement before theirs lands' }
+          ]),
+          questions: personality.strategic_questions
+        };
+      }
+
+      async generalCompetitiveAnalysis(task, personality) {
+        return {
+          type: 'general_competitive',
+          specialist: signature(this),
+          personality_note: personality.opening,
+          approach: personality.approach,
+          frameworks: this.frameworks.filter(framework => ['porters_five_forces', 'value_chain_analysis'].includes(framework)),
+          dimensions: this.identifyCompetitiveDimensions(task),
+          questions: personality.strategic_questions
+        };
+      }
+
+      // What competitors are compared on, from the task or the description
+      identifyCompetitiveDimensions(task) {
+        if (Array.isArray(task.dimensions) && task.dimensions.length > 0) {
+          return task.dimensions;
+        }
+
+        const dimensions = matchCatalog(describe(task), {
+          price: ['price', 'pricing', 'cost'],
+          features: ['feature', 'capabilit'],
+          user_experience: ['ux', 'experience', 'usability'],
+          performance: ['performance', 'speed'],
+          integrations: ['integrat', 'ecosystem'],
+          support: ['support', 'service']
+        });
+        return dimensions.length > 0 ? dimensions : ['price', 'features'];
+      }
     });
 
     // Business Model Specialist - "Priya Patel"
@@ -209,18 +435,7 @@ class BumbaSpecialistDefinitions {
       }
 
       initializeExpertise() {
-        this.expertise = {
-          business_model_design: true,
-          value_proposition_design: true,
-          revenue_models: true,
-          cost_structure_optimization: true,
-          customer_segments: true,
-          distribution_channels: true,
-          partnership_strategy: true,
-          financial_modeling: true,
-          unit_economics: true,
-          scalability_analysis: true
-        };
+        this.applyProfile();
 
         this.canvases = [
           'business_model_canvas', 'value_proposition_canvas', 'lean_canvas',
@@ -261,6 +476,125 @@ class BumbaSpecialistDefinitions {
             return await this.generalBusinessModelTask(task, personalityResponse);
         }
       }
+
+      identifyBusinessModelTask(description) {
+        const desc = description.toLowerCase();
+        if (desc.includes('business model') || desc.includes('canvas') || desc.includes('value proposition')) {
+          return 'model_design';
+        }
+        if (desc.includes('revenue') || desc.includes('pricing') || desc.includes('monetiz')) {
+          return 'revenue_optimization';
+        }
+        if (desc.includes('scal') || desc.includes('growth') || desc.includes('unit economics')) {
+          return 'scalability_analysis';
+        }
+        return 'general_business_model';
+      }
+
+      async designBusinessModel(task, personality) {
+        const revenueModels = this.identifyRevenueModels(task);
+
+        return {
+          type: 'model_design',
+          specialist: signature(this),
+          personality_note: personality.opening,
+          canvas: describe(task).includes('lean') ? 'lean_canvas' : 'business_model_canvas',
+          building_blocks: {
+            customer_segments: task.segments || 'to validate with customer interviews',
+            value_proposition: task.value_proposition || `What ${task.product || 'the product'} lets customers do that they cannot today`,
+            revenue_streams: revenueModels,
+            key_partners: task.partners || []
+          },
+          assumptions_to_validate: personality.key_questions,
+          consciousness_check: this.consciousnessAlignment.ethical_monetization
+        };
+      }
+
+      async optimizeRevenue(task, personality) {
+        const economics = this.calculateUnitEconomics(task);
+        const levers = [];
+
+        if (economics.status === 'calculated') {
+          if (economics.ltv_to_cac < 3) {
+            levers.push('Lower acquisition cost or raise retention: LTV/CAC is below 3');
+          }
+          if (economics.gross_margin < 0.6) {
+            levers.push('Reduce cost to serve: gross margin is below 60%');
+          }
+        }
+
+        return {
+          type: 'revenue_optimization',
+          specialist: signature(this),
+          personality_note: personality.opening,
+          revenue_models: this.identifyRevenueModels(task),
+          unit_economics: economics,
+          levers: levers.length > 0 ? levers : ['Test a higher-priced tier with the most engaged customers'],
+          consciousness_check: this.consciousnessAlignment.ethical_monetization
+        };
+      }
+
+      async analyzeScalability(task, personality) {
+        const economics = this.calculateUnitEconomics(task);
+
+        return {
+          type: 'scalability_analysis',
+          specialist: signature(this),
+          personality_note: personality.opening,
+          unit_economics: economics,
+          scales: economics.status === 'calculated' ? economics.ltv_to_cac >= 3 && economics.gross_margin >= 0.6 : null,
+          constraints: matchCatalog(describe(task), {
+            'Headcount grows with customers': ['service', 'consulting', 'manual'],
+            'Infrastructure cost grows with usage': ['usage', 'compute', 'storage'],
+            'Sales cycle limits growth': ['enterprise', 'sales']
+          }),
+          questions: personality.key_questions
+        };
+      }
+
+      async generalBusinessModelTask(task, personality) {
+        return {
+          type: 'general_business_model',
+          specialist: signature(this),
+          personality_note: personality.opening,
+          approach: personality.approach,
+          canvases: this.canvases,
+          revenue_models: this.identifyRevenueModels(task),
+          questions: personality.key_questions
+        };
+      }
+
+      identifyRevenueModels(task) {
+        const models = matchCatalog(describe(task), {
+          subscription: ['subscription', 'saas', 'recurring'],
+          usage_based: ['usage', 'metered', 'pay as you go'],
+          transaction_fee: ['marketplace', 'transaction', 'commission'],
+          freemium: ['freemium', 'free tier'],
+          licensing: ['license', 'licensing'],
+          advertising: ['advertis', 'ads']
+        });
+        return models.length > 0 ? models : ['subscription'];
+      }
+
+      // From task.unit_economics: { price, cost_to_serve, acquisition_cost, monthly_churn }
+      calculateUnitEconomics(task) {
+        const data = task.unit_economics;
+        const required = ['price', 'cost_to_serve', 'acquisition_cost', 'monthly_churn'];
+        if (!data || required.some(field => !Number.isFinite(data[field])) || data.monthly_churn <= 0) {
+          return { status: 'requires_data', inputs_needed: required };
+        }
+
+        const margin = data.price - data.cost_to_serve;
+        const lifetimeValue = margin / data.monthly_churn;
+        return {
+          status: 'calculated',
+          gross_margin: margin / data.price,
+          lifetime_months: 1 / data.monthly_churn,
+          ltv: lifetimeValue,
+          ltv_to_cac: lifetimeValue / data.acquisition_cost,
+          payback_months: data.acquisition_cost / margin
+        };
+      }
     });
   }
 
@@ -274,18 +608,7 @@ class BumbaSpecialistDefinitions {
       }
 
       initializeExpertise() {
-        this.expertise = {
-          user_research: true,
-          usability_testing: true,
-          accessibility_research: true,
-          inclusive_design: true,
-          ethnographic_research: true,
-          cognitive_psychology: true,
-          behavioral_research: true,
-          journey_mapping: true,
-          persona_development: true,
-          research_methodology: true
-        };
+        this.applyProfile();
 
         this.methods = [
           'interviews', 'surveys', 'usability_tests', 'card_sorting',
@@ -326,6 +649,93 @@ class BumbaSpecialistDefinitions {
             return await this.generalUXResearch(task, personalityResponse);
         }
       }
+
+      identifyUXResearchTask(description) {
+        const desc = description.toLowerCase();
+        if (desc.includes('interview') || desc.includes('persona')) {
+          return 'user_interviews';
+        }
+        if (desc.includes('usability') || desc.includes('user test')) {
+          return 'usability_testing';
+        }
+        if (desc.includes('accessib') || desc.includes('disabilit')) {
+          return 'accessibility_research';
+        }
+        return 'general_ux_research';
+      }
+
+      async conductUserInterviews(task, personality) {
+        const participants = this.identifyParticipants(task);
+
+        return {
+          type: 'user_interviews',
+          specialist: signature(this),
+          personality_note: personality.opening,
+          participants: participants.map(group => ({ group: group, sessions: 5 })),
+          discussion_guide: personality.research_questions,
+          synthesis: describe(task).includes('persona') ? 'persona_development' : 'journey_mapping',
+          consent: this.consciousnessAlignment.ethical_research
+        };
+      }
+
+      async runUsabilityTests(task, personality) {
+        const flows = Array.isArray(task.flows) && task.flows.length > 0 ? task.flows : [task.description];
+
+        return {
+          type: 'usability_testing',
+          specialist: signature(this),
+          personality_note: personality.opening,
+          method: describe(task).includes('remote') ? 'remote_unmoderated' : 'moderated',
+          tasks: flows.map(flow => ({ flow: flow, success_metric: 'completion without assistance', time_metric: 'time on task' })),
+          participants: this.identifyParticipants(task).map(group => ({ group: group, sessions: 5 })),
+          includes_assistive_technology_users: true
+        };
+      }
+
+      async performAccessibilityResearch(task, personality) {
+        const needs = matchCatalog(describe(task), {
+          screen_reader_users: ['screen reader', 'blind', 'visual'],
+          keyboard_only_users: ['keyboard', 'motor'],
+          low_vision_users: ['contrast', 'low vision', 'zoom'],
+          cognitive_accessibility: ['cognitive', 'dyslexia', 'plain language'],
+          deaf_and_hard_of_hearing_users: ['caption', 'deaf', 'audio']
+        });
+
+        return {
+          type: 'accessibility_research',
+          specialist: signature(this),
+          personality_note: personality.opening,
+          participant_groups: needs.length > 0 ? needs : ['screen_reader_users', 'keyboard_only_users', 'low_vision_users'],
+          methods: this.methods.filter(method => ['interviews', 'usability_tests', 'accessibility_audits'].includes(method)),
+          consciousness_check: this.consciousnessAlignment.accessibility_first
+        };
+      }
+
+      async generalUXResearch(task, personality) {
+        return {
+          type: 'general_ux_research',
+          specialist: signature(this),
+          personality_note: personality.opening,
+          approach: personality.approach,
+          methodology: personality.methodology,
+          participants: this.identifyParticipants(task),
+          research_questions: personality.research_questions
+        };
+      }
+
+      identifyParticipants(task) {
+        if (Array.isArray(task.participants) && task.participants.length > 0) {
+          return task.participants;
+        }
+
+        const groups = matchCatalog(describe(task), {
+          new_users: ['onboarding', 'signup', 'first'],
+          power_users: ['power user', 'advanced', 'admin'],
+          mobile_users: ['mobile', 'phone'],
+          churned_users: ['churn', 'cancel']
+        });
+        return groups.length > 0 ? groups : ['current_users'];
+      }
     });
 
     // UI Design Specialist - "Kai Nakamura"
@@ -337,23 +747,7 @@ class BumbaSpecialistDefinitions {
       }
 
       initializeExpertise() {
-        this.expertise = {
-          interface_design: true,
-          visual_design: true,
-          interaction_design: true,
-          design_systems: true,
-          component_design: true,
-          responsive_design: true,
-          typography: true,
-          color_theory: true,
-          layout_principles: true,
-          micro_interactions: true
-        };
-
-        this.tools = [
-          'figma', 'sketch', 'principle', 'framer', 'after_effects',
-          'design_tokens', 'component_libraries'
-        ];
+        this.applyProfile();
 
         this.consciousnessAlignment = {
           accessible_design: 'Every interface works for users with diverse abilities',
@@ -389,6 +783,98 @@ class BumbaSpecialistDefinitions {
             return await this.generalUIDesign(task, personalityResponse);
         }
       }
+
+      identifyUIDesignTask(description) {
+        const desc = description.toLowerCase();
+        if (desc.includes('design system') || desc.includes('token')) {
+          return 'design_system';
+        }
+        if (desc.includes('component')) {
+          return 'component_design';
+        }
+        if (desc.includes('visual') || desc.includes('color') || desc.includes('typography') || desc.includes('layout')) {
+          return 'visual_design';
+        }
+        return 'general_ui_design';
+      }
+
+      async designComponents(task, personality) {
+        const components = this.identifyComponents(task);
+
+        return {
+          type: 'component_design',
+          specialist: signature(this),
+          personality_note: personality.opening,
+          components: components.map(component => ({
+            name: component,
+            states: ['default', 'hover', 'focus', 'active', 'disabled'],
+            variants: component === 'Button' ? ['primary', 'secondary', 'ghost'] : ['default'],
+            accessibility: 'Visible focus ring and an accessible name'
+          })),
+          principles: personality.design_principles,
+          tools: this.tools.filter(tool => ['figma', 'component_libraries'].includes(tool))
+        };
+      }
+
+      async buildDesignSystem(task, personality) {
+        const components = this.identifyComponents(task);
+
+        return {
+          type: 'design_system',
+          specialist: signature(this),
+          personality_note: personality.opening,
+          tokens: ['color', 'typography', 'spacing', 'radius', 'elevation', 'motion'],
+          foundations: components.length > 0 ? components : ['Button', 'Input', 'Card'],
+          documentation: 'Usage, do and do not examples, and accessibility notes per component',
+          tools: this.tools.filter(tool => ['figma', 'design_tokens', 'component_libraries'].includes(tool))
+        };
+      }
+
+      async createVisualDesign(task, personality) {
+        const areas = matchCatalog(describe(task), {
+          color: ['color', 'palette', 'theme'],
+          typography: ['typography', 'font', 'type scale'],
+          layout: ['layout', 'grid', 'spacing'],
+          iconography: ['icon'],
+          motion: ['animation', 'motion', 'micro-interaction']
+        });
+
+        return {
+          type: 'visual_design',
+          specialist: signature(this),
+          personality_note: personality.opening,
+          focus_areas: areas.length > 0 ? areas : ['color', 'typography', 'layout'],
+          constraints: ['WCAG AA contrast for text and controls', 'Respect prefers-reduced-motion'],
+          quality_focus: personality.quality_focus
+        };
+      }
+
+      async generalUIDesign(task, personality) {
+        return {
+          type: 'general_ui_design',
+          specialist: signature(this),
+          personality_note: personality.opening,
+          approach: personality.approach,
+          components: this.identifyComponents(task),
+          principles: personality.design_principles
+        };
+      }
+
+      identifyComponents(task) {
+        if (Array.isArray(task.components) && task.components.length > 0) {
+          return task.components;
+        }
+
+        return matchCatalog(describe(task), {
+          Button: ['button', 'cta'],
+          Input: ['input', 'form', 'field'],
+          Modal: ['modal', 'dialog'],
+          Navigation: ['nav', 'menu', 'header'],
+          Card: ['card'],
+          Table: ['table', 'grid', 'list'],
+          Toast: ['toast', 'notification', 'alert']
+        });
+      }
     });
 
     // Accessibility Specialist - "Taylor Washington"
@@ -400,18 +886,7 @@ class BumbaSpecialistDefinitions {
       }
 
       initializeExpertise() {
-        this.expertise = {
-          wcag_compliance: true,
-          screen_reader_optimization: true,
-          keyboard_navigation: true,
-          color_contrast: true,
-          cognitive_accessibility: true,
-          motor_accessibility: true,
-          assistive_technology: true,
-          inclusive_design: true,
-          accessibility_testing: true,
-          legal_compliance: true
-        };
+        this.applyProfile();
 
         this.standards = [
           'wcag_2_1', 'section_508', 'ada_compliance', 'en_301_549',
@@ -453,6 +928,99 @@ class BumbaSpecialistDefinitions {
             return await this.generalAccessibilityTask(task, personalityResponse);
         }
       }
+
+      identifyAccessibilityTask(description) {
+        const desc = description.toLowerCase();
+        if (desc.includes('audit') || desc.includes('wcag') || desc.includes('compliance')) {
+          return 'accessibility_audit';
+        }
+        if (desc.includes('fix') || desc.includes('remediat')) {
+          return 'remediation';
+        }
+        if (desc.includes('inclusive') || desc.includes('design')) {
+          return 'inclusive_design';
+        }
+        return 'general_accessibility';
+      }
+
+      async performAccessibilityAudit(task, personality) {
+        const criteria = this.identifyCriteria(task);
+
+        return {
+          type: 'accessibility_audit',
+          specialist: signature(this),
+          personality_note: personality.opening,
+          standard: this.identifyStandard(task),
+          criteria: criteria,
+          checks: personality.accessibility_checks,
+          testing: ['automated scan with axe-core', 'keyboard-only walkthrough', 'NVDA and VoiceOver walkthrough'],
+          methodology: personality.testing_methodology
+        };
+      }
+
+      async remediateAccessibilityIssues(task, personality) {
+        const issues = Array.isArray(task.issues) && task.issues.length > 0
+          ? task.issues
+          : this.identifyCriteria(task).map(criterion => criterion.name);
+
+        return {
+          type: 'remediation',
+          specialist: signature(this),
+          personality_note: personality.opening,
+          fixes: issues.map(issue => ({
+            issue: issue,
+            verify_with: ['keyboard', 'screen reader', 'automated scan']
+          })),
+          standard: this.identifyStandard(task),
+          regression_guard: 'Add an automated accessibility check to CI for every fixed page'
+        };
+      }
+
+      async designInclusiveExperience(task, personality) {
+        return {
+          type: 'inclusive_design',
+          specialist: signature(this),
+          personality_note: personality.opening,
+          considerations: this.identifyCriteria(task).map(criterion => criterion.name),
+          principles: Object.values(this.consciousnessAlignment),
+          validation: personality.testing_methodology
+        };
+      }
+
+      async generalAccessibilityTask(task, personality) {
+        return {
+          type: 'general_accessibility',
+          specialist: signature(this),
+          personality_note: personality.opening,
+          approach: personality.approach,
+          standard: this.identifyStandard(task),
+          checks: personality.accessibility_checks
+        };
+      }
+
+      identifyStandard(task) {
+        const desc = describe(task);
+        if (desc.includes('508')) return 'section_508';
+        if (desc.includes('en 301') || desc.includes('european')) return 'en_301_549';
+        return desc.includes('2.2') ? 'wcag_2_2' : 'wcag_2_1';
+      }
+
+      // WCAG success criteria the task touches
+      identifyCriteria(task) {
+        const catalog = {
+          '1.1.1 Non-text Content': ['image', 'icon', 'chart'],
+          '1.3.1 Info and Relationships': ['form', 'table', 'heading'],
+          '1.4.3 Contrast (Minimum)': ['color', 'contrast', 'theme'],
+          '2.1.1 Keyboard': ['keyboard', 'modal', 'menu', 'dropdown'],
+          '2.4.7 Focus Visible': ['focus', 'keyboard', 'button'],
+          '3.3.1 Error Identification': ['form', 'validation', 'error'],
+          '4.1.2 Name, Role, Value': ['component', 'custom', 'widget', 'button']
+        };
+        const names = matchCatalog(describe(task), catalog);
+        const levelAA = ['1.4.3 Contrast (Minimum)', '2.4.7 Focus Visible'];
+        return (names.length > 0 ? names : Object.keys(catalog))
+          .map(name => ({ name: name, level: levelAA.includes(name) ? 'AA' : 'A' }));
+      }
     });
   }
 
@@ -466,20 +1034,7 @@ class BumbaSpecialistDefinitions {
       }
 
       initializeExpertise() {
-        this.expertise = {
-          security_architecture: true,
-          threat_modeling: true,
-          penetration_testing: true,
-          vulnerability_assessment: true,
-          cryptography: true,
-          authentication_systems: true,
-          authorization_frameworks: true,
-          secure_coding: true,
-          incident_response: true,
-          compliance_frameworks: true,
-          ai_security: true,
-          privacy_engineering: true
-        };
+        this.applyProfile();
 
         this.frameworks = [
           'owasp', 'nist_cybersecurity', 'iso_27001', 'soc_2',
@@ -520,6 +1075,102 @@ class BumbaSpecialistDefinitions {
             return await this.generalSecurityTask(task, personalityResponse);
         }
       }
+
+      identifySecurityTask(description) {
+        const desc = description.toLowerCase();
+        if (desc.includes('threat')) {
+          return 'threat_modeling';
+        }
+        if (desc.includes('audit') || desc.includes('vulnerab') || desc.includes('scan')) {
+          return 'security_audit';
+        }
+        if (desc.includes('architecture') || desc.includes('review')) {
+          return 'architecture_review';
+        }
+        return 'general_security';
+      }
+
+      async performThreatModeling(task, personality) {
+        const assets = this.identifyAssets(task);
+
+        return {
+          type: 'threat_modeling',
+          specialist: signature(this),
+          personality_note: personality.opening,
+          framework: 'stride',
+          assets: assets,
+          threats: assets.flatMap(asset => [
+            { asset: asset, category: 'information_disclosure', question: `Who could read ${asset} without authorization?` },
+            { asset: asset, category: 'tampering', question: `Who could change ${asset} without it being detected?` }
+          ]),
+          questions: personality.threat_questions
+        };
+      }
+
+      async conductSecurityAudit(task, personality) {
+        const frameworks = this.identifyComplianceFrameworks(task);
+
+        return {
+          type: 'security_audit',
+          specialist: signature(this),
+          personality_note: personality.opening,
+          scope: this.identifyAssets(task),
+          checks: ['dependency vulnerabilities', 'secrets in source', 'authentication and session handling', 'input validation', 'access control'],
+          frameworks: frameworks,
+          methodology: personality.methodology
+        };
+      }
+
+      async reviewSecurityArchitecture(task, personality) {
+        return {
+          type: 'architecture_review',
+          specialist: signature(this),
+          personality_note: personality.opening,
+          approach: personality.approach,
+          trust_boundaries: matchCatalog(describe(task), {
+            'client to API': ['api', 'frontend', 'client', 'mobile'],
+            'service to service': ['microservice', 'service', 'queue'],
+            'application to database': ['database', 'storage', 'data'],
+            'application to third parties': ['third-party', 'integration', 'webhook', 'payment']
+          }),
+          assets: this.identifyAssets(task),
+          privacy: this.consciousnessAlignment.privacy_respect
+        };
+      }
+
+      async generalSecurityTask(task, personality) {
+        return {
+          type: 'general_security',
+          specialist: signature(this),
+          personality_note: personality.opening,
+          approach: personality.approach,
+          assets: this.identifyAssets(task),
+          frameworks: this.identifyComplianceFrameworks(task),
+          questions: personality.threat_questions
+        };
+      }
+
+      identifyAssets(task) {
+        const assets = matchCatalog(describe(task), {
+          credentials: ['login', 'password', 'auth', 'credential'],
+          payment_data: ['payment', 'card', 'billing'],
+          personal_data: ['user', 'profile', 'personal', 'customer'],
+          health_data: ['health', 'medical', 'patient'],
+          api_keys: ['api key', 'token', 'secret'],
+          source_code: ['repository', 'source code', 'ci/cd']
+        });
+        return assets.length > 0 ? assets : ['application_data'];
+      }
+
+      identifyComplianceFrameworks(task) {
+        const assets = this.identifyAssets(task);
+        const frameworks = ['owasp'];
+        if (assets.includes('personal_data')) frameworks.push('gdpr');
+        if (assets.includes('health_data')) frameworks.push('hipaa');
+        if (assets.includes('payment_data')) frameworks.push('pci_dss');
+        if (describe(task).includes('soc')) frameworks.push('soc_2');
+        return frameworks;
+      }
     });
 
     // Database Specialist - "Dr. Liu Zhang"
@@ -531,20 +1182,7 @@ class BumbaSpecialistDefinitions {
       }
 
       initializeExpertise() {
-        this.expertise = {
-          database_design: true,
-          query_optimization: true,
-          indexing_strategies: true,
-          transaction_management: true,
-          replication_strategies: true,
-          sharding_patterns: true,
-          caching_strategies: true,
-          data_modeling: true,
-          performance_tuning: true,
-          backup_recovery: true,
-          nosql_design: true,
-          distributed_databases: true
-        };
+        this.applyProfile();
 
         this.technologies = [
           'postgresql', 'mysql', 'mongodb', 'redis', 'elasticsearch',
@@ -585,6 +1223,98 @@ class BumbaSpecialistDefinitions {
             return await this.generalDatabaseTask(task, personalityResponse);
         }
       }
+
+      identifyDatabaseTask(description) {
+        const desc = description.toLowerCase();
+        if (desc.includes('schema') || desc.includes('model')) {
+          return 'schema_design';
+        }
+        if (desc.includes('performance') || desc.includes('slow') || desc.includes('index') || desc.includes('query')) {
+          return 'performance_optimization';
+        }
+        if (desc.includes('scal') || desc.includes('shard') || desc.includes('replica')) {
+          return 'scaling_strategy';
+        }
+        return 'general_database';
+      }
+
+      async designDatabaseSchema(task, personality) {
+        const entities = this.identifyEntities(task);
+
+        return {
+          type: 'schema_design',
+          specialist: signature(this),
+          personality_note: personality.opening,
+          engine: this.identifyEngine(task),
+          tables: entities.map(entity => ({
+            name: entity,
+            columns: ['id', ...(task.fields && task.fields[entity] || []), 'created_at', 'updated_at'],
+            primary_key: 'id'
+          })),
+          access_patterns: personality.performance_questions,
+          privacy: this.consciousnessAlignment.privacy_protection
+        };
+      }
+
+      async optimizePerformance(task, personality) {
+        const queries = Array.isArray(task.queries) ? task.queries : [];
+
+        return {
+          type: 'performance_optimization',
+          specialist: signature(this),
+          personality_note: personality.opening,
+          engine: this.identifyEngine(task),
+          steps: [
+            queries.length > 0 ? `Run EXPLAIN ANALYZE on ${queries.length} reported queries` : 'Find the slowest queries in the query log',
+            'Add indexes that match the filter and sort columns of those queries',
+            describe(task).includes('read') ? 'Cache hot reads in redis' : 'Batch writes that run in loops'
+          ],
+          queries: queries,
+          questions: personality.performance_questions
+        };
+      }
+
+      async developScalingStrategy(task, personality) {
+        const desc = describe(task);
+        const writeHeavy = desc.includes('write') || desc.includes('ingest') || desc.includes('event');
+
+        return {
+          type: 'scaling_strategy',
+          specialist: signature(this),
+          personality_note: personality.opening,
+          engine: this.identifyEngine(task),
+          strategy: writeHeavy ? 'sharding' : 'read_replicas',
+          shard_key: writeHeavy ? task.shard_key || 'tenant_id' : null,
+          steps: writeHeavy
+            ? ['Choose a shard key with even distribution', 'Route queries through a shard-aware layer']
+            : ['Add read replicas', 'Route read-only queries to replicas', 'Cache hot reads'],
+          principle: this.consciousnessAlignment.sustainable_scaling
+        };
+      }
+
+      async generalDatabaseTask(task, personality) {
+        return {
+          type: 'general_database',
+          specialist: signature(this),
+          personality_note: personality.opening,
+          approach: personality.approach,
+          engine: this.identifyEngine(task),
+          entities: this.identifyEntities(task),
+          philosophy: personality.philosophy
+        };
+      }
+
+      identifyEngine(task) {
+        const engine = this.technologies.find(technology => describe(task).includes(technology));
+        return engine || 'postgresql';
+      }
+
+      identifyEntities(task) {
+        if (Array.isArray(task.entities) && task.entities.length > 0) {
+          return task.entities;
+        }
+        return task.fields ? Object.keys(task.fields) : [];
+      }
     });
 
     // API Architecture Specialist - "Morgan Foster"
@@ -596,20 +1326,7 @@ class BumbaSpecialistDefinitions {
       }
 
       initializeExpertise() {
-        this.expertise = {
-          api_design: true,
-          restful_architecture: true,
-          graphql_design: true,
-          api_documentation: true,
-          versioning_strategies: true,
-          authentication_design: true,
-          rate_limiting: true,
-          caching_strategies: true,
-          error_handling: true,
-          testing_strategies: true,
-          developer_experience: true,
-          api_governance: true
-        };
+        this.applyProfile();
 
         this.patterns = [
           'rest', 'graphql', 'grpc', 'websockets', 'webhooks',
@@ -650,6 +1367,93 @@ class BumbaSpecialistDefinitions {
             return await this.generalAPITask(task, personalityResponse);
         }
       }
+
+      identifyAPITask(description) {
+        const desc = description.toLowerCase();
+        if (desc.includes('doc') || desc.includes('openapi')) {
+          return 'documentation';
+        }
+        if (desc.includes('integrat') || desc.includes('webhook')) {
+          return 'integration_strategy';
+        }
+        if (desc.includes('design') || desc.includes('endpoint') || desc.includes('rest') || desc.includes('graphql')) {
+          return 'api_design';
+        }
+        return 'general_api';
+      }
+
+      async designAPI(task, personality) {
+        const style = this.identifyStyle(task);
+        const resources = this.identifyResources(task);
+
+        return {
+          type: 'api_design',
+          specialist: signature(this),
+          personality_note: personality.opening,
+          style: style,
+          operations: style === 'graphql'
+            ? resources.flatMap(resource => [`query ${resource}`, `mutation create${capitalize(resource)}`])
+            : resources.flatMap(resource => [`GET /${resource}`, `POST /${resource}`, `GET /${resource}/{id}`, `PATCH /${resource}/{id}`]),
+          versioning: style === 'graphql' ? 'schema evolution with @deprecated' : 'URL prefix /v1',
+          errors: 'Problem details (RFC 9457) with a stable error code',
+          questions: personality.developer_questions
+        };
+      }
+
+      async createAPIDocumentation(task, personality) {
+        const resources = this.identifyResources(task);
+
+        return {
+          type: 'documentation',
+          specialist: signature(this),
+          personality_note: personality.opening,
+          format: this.identifyStyle(task) === 'graphql' ? 'graphql_schema_docs' : 'openapi_3_1',
+          sections: ['Getting started', 'Authentication', ...resources.map(resource => `${capitalize(resource)} reference`), 'Errors', 'Changelog'],
+          examples: resources.map(resource => `curl request and response for each ${resource} operation`),
+          principle: this.consciousnessAlignment.documentation_excellence
+        };
+      }
+
+      async developIntegrationStrategy(task, personality) {
+        const desc = describe(task);
+        const patterns = this.patterns.filter(pattern => desc.includes(pattern.replace('_', ' ')) || desc.includes(pattern));
+
+        return {
+          type: 'integration_strategy',
+          specialist: signature(this),
+          personality_note: personality.opening,
+          patterns: patterns.length > 0 ? patterns : ['rest', 'webhooks'],
+          delivery: desc.includes('webhook') ? 'Signed webhooks with retries and exponential backoff' : 'Polling with ETags',
+          compatibility: this.consciousnessAlignment.backward_compatibility,
+          questions: personality.developer_questions
+        };
+      }
+
+      async generalAPITask(task, personality) {
+        return {
+          type: 'general_api',
+          specialist: signature(this),
+          personality_note: personality.opening,
+          approach: personality.approach,
+          style: this.identifyStyle(task),
+          resources: this.identifyResources(task),
+          quality_focus: personality.quality_focus
+        };
+      }
+
+      identifyStyle(task) {
+        const desc = describe(task);
+        if (desc.includes('graphql')) return 'graphql';
+        if (desc.includes('grpc')) return 'grpc';
+        return 'rest';
+      }
+
+      identifyResources(task) {
+        if (Array.isArray(task.resources) && task.resources.length > 0) {
+          return task.resources;
+        }
+        return task.resource ? [task.resource] : ['resources'];
+      }
     });
   }
 
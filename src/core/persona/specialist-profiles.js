@@ -0,0 +1,814 @@
+/**
+ * BUMBA Specialist Profiles
+ * Expertise, tools and focus areas for every specialist type in the spawning
+ * registry. Specialists read their profile through SpecialistAgent.applyProfile()
+ * and pick the focus areas a task touches with selectFocusAreas().
+ */
+
+/**
+ * Catalog entries with a keyword in the description. Keywords match at the
+ * start of a word, so 'scal' finds "scaling" but 'ai' does not find "email".
+ * @param {Object} catalog - entry => keywords
+ * @returns {Array<string>}
+ */
+function matchCatalog(description, catalog) {
+  const mentions = keyword => new RegExp(`(^|[^a-z0-9])${keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`).test(description);
+  return Object.keys(catalog).filter(entry => catalog[entry].some(mentions));
+}
+
+const SPECIALIST_PROFILES = {
+  // Strategic Department
+  'market-research': {
+    expertise: [
+      'market_analysis', 'competitive_intelligence', 'industry_trends', 'customer_segmentation',
+      'behavioral_economics', 'statistical_analysis', 'survey_design', 'focus_group_facilitation',
+      'data_visualization'
+    ],
+    tools: [
+      'exa-mcp', 'brave-search-mcp', 'web-fetch', 'ref-mcp',
+      'survey_platforms', 'analytics_tools', 'industry_databases',
+      'statistical_software', 'visualization_tools', 'interview_platforms'
+    ],
+    focus_areas: {
+      market_sizing: {
+        keywords: ['size', 'sizing', 'tam', 'sam', 'som', 'addressable'],
+        practices: ['Size bottom-up from customer counts and price, then sanity-check top-down', 'State TAM, SAM and SOM with their sources']
+      },
+      segmentation: {
+        keywords: ['segment', 'persona', 'cohort', 'audience'],
+        practices: ['Segment on needs and behavior before demographics', 'Estimate each segment\'s size and willingness to pay']
+      },
+      trends: {
+        keywords: ['trend', 'growth', 'forecast', 'emerging'],
+        practices: ['Separate durable shifts from hype with at least two independent signals', 'Track leading indicators such as search volume and funding']
+      },
+      competition: {
+        keywords: ['competit', 'rival', 'alternative', 'incumbent'],
+        practices: ['List direct, indirect and do-nothing alternatives', 'Compare on the jobs customers hire each alternative for']
+      },
+      customer_insight: {
+        keywords: ['customer', 'user', 'interview', 'survey', 'buyer'],
+        practices: ['Interview at least ten customers per segment', 'Triangulate interviews with behavioral data']
+      }
+    }
+  },
+
+  'competitive-analysis': {
+    expertise: [
+      'competitive_mapping', 'strategic_frameworks', 'market_positioning', 'swot_analysis',
+      'scenario_planning', 'business_intelligence', 'strategic_consulting', 'game_theory',
+      'differentiation_strategy'
+    ],
+    tools: ['exa-mcp', 'notion-mcp', 'airtable-mcp', 'sequential-thinking-mcp'],
+    focus_areas: {
+      pricing: {
+        keywords: ['price', 'pricing', 'cost', 'cheap', 'discount'],
+        practices: ['Compare price per unit of delivered value, not list price', 'Watch competitor pricing pages for packaging changes']
+      },
+      positioning: {
+        keywords: ['position', 'brand', 'message', 'differentiat'],
+        practices: ['Back every positioning claim with a verifiable proof point', 'Find the axis where competitors cluster and stand apart from it']
+      },
+      product_depth: {
+        keywords: ['feature', 'product', 'capabilit', 'roadmap'],
+        practices: ['Compete on depth in the core workflow rather than feature count', 'Track competitor changelogs for direction, not parity']
+      },
+      distribution: {
+        keywords: ['channel', 'distribution', 'partner', 'sales', 'marketplace'],
+        practices: ['Map how each competitor acquires customers', 'Look for channels incumbents underinvest in']
+      },
+      trust: {
+        keywords: ['trust', 'privacy', 'transparen', 'security'],
+        practices: ['Make pricing and data practices visible as product features', 'Publish security and privacy commitments competitors avoid']
+      },
+      new_entrants: {
+        keywords: ['entrant', 'startup', 'disrupt', 'funded'],
+        practices: ['Monitor funding and hiring in adjacent startups', 'Deepen community and partner ties before entrants arrive']
+      }
+    }
+  },
+
+  'business-model': {
+    expertise: [
+      'business_model_design', 'value_proposition_design', 'revenue_models', 'cost_structure_optimization',
+      'customer_segments', 'distribution_channels', 'partnership_strategy', 'financial_modeling',
+      'unit_economics', 'scalability_analysis'
+    ],
+    tools: ['notion-mcp', 'airtable-mcp', 'sequential-thinking-mcp'],
+    focus_areas: {
+      subscription: {
+        keywords: ['subscription', 'recurring', 'saas', 'plan'],
+        practices: ['Match billing cadence to how often value is delivered', 'Watch logo and revenue churn separately']
+      },
+      usage_based: {
+        keywords: ['usage', 'consumption', 'metered', 'api call'],
+        practices: ['Charge on a metric customers can predict', 'Offer spend caps and alerts to avoid bill shock']
+      },
+      freemium: {
+        keywords: ['free', 'freemium', 'trial'],
+        practices: ['Define the upgrade trigger before the free tier', 'Keep the free tier useful but bounded']
+      },
+      marketplace: {
+        keywords: ['marketplace', 'platform', 'commission', 'two-sided'],
+        practices: ['Solve the chicken-and-egg problem for the harder side first', 'Set take rate below the value of the matching the platform provides']
+      },
+      cost_structure: {
+        keywords: ['cost', 'margin', 'infrastructure', 'expense'],
+        practices: ['Separate fixed from variable cost per customer', 'Keep gross margin above 70% for software revenue']
+      },
+      partnerships: {
+        keywords: ['partner', 'channel', 'reseller', 'integration'],
+        practices: ['Partner where it reduces acquisition cost or risk', 'Agree revenue share against measurable referrals']
+      }
+    }
+  },
+
+  'stakeholder-comms': {
+    expertise: [
+      'stakeholder_mapping', 'executive_communication', 'change_management',
+      'approval_workflows', 'presentation_design', 'expectation_management'
+    ],
+    tools: ['notion-mcp', 'airtable-mcp', 'memory-mcp'],
+    focus_areas: {
+      executives: {
+        keywords: ['executive', 'leadership', 'board', 'ceo', 'sponsor'],
+        practices: ['Lead with the decision needed, then cost, risk and outcome', 'Fit the summary on one page']
+      },
+      engineering: {
+        keywords: ['engineering', 'developer', 'technical', 'team'],
+        practices: ['Share scope, constraints, dependencies and timeline', 'Give engineers the reasoning behind priorities']
+      },
+      customers: {
+        keywords: ['customer', 'user', 'client', 'public'],
+        practices: ['Explain what changes for them and when', 'Give notice before changes that need their action']
+      },
+      change_management: {
+        keywords: ['change', 'migration', 'reorg', 'transition', 'rollout'],
+        practices: ['Announce the why before the what', 'Name a contact for questions during the transition']
+      },
+      risk_escalation: {
+        keywords: ['risk', 'delay', 'incident', 'escalat', 'blocker'],
+        practices: ['Raise risks early with a proposed mitigation', 'State the decision deadline with every escalation']
+      }
+    }
+  },
+
+  'roi-analysis': {
+    expertise: [
+      'return_on_investment', 'cost_benefit_analysis', 'net_present_value',
+      'payback_analysis', 'sensitivity_analysis', 'benefit_realization'
+    ],
+    tools: ['airtable-mcp', 'notion-mcp', 'sequential-thinking-mcp'],
+    focus_areas: {
+      revenue_uplift: {
+        keywords: ['revenue', 'conversion', 'upsell', 'pricing', 'sales'],
+        practices: ['Attribute uplift with a holdout group or a controlled rollout', 'Count only incremental revenue over the baseline']
+      },
+      cost_reduction: {
+        keywords: ['cost', 'saving', 'efficien', 'automat', 'headcount'],
+        practices: ['Count savings only when spend actually stops', 'Include the cost of running the new process']
+      },
+      retention: {
+        keywords: ['churn', 'retention', 'renewal', 'loyalty'],
+        practices: ['Value retention as the margin of the revenue kept', 'Measure retention by cohort before and after launch']
+      },
+      risk_reduction: {
+        keywords: ['risk', 'compliance', 'security', 'outage', 'fine'],
+        practices: ['Value risk reduction as probability times impact', 'Use incident history to ground the probability']
+      },
+      productivity: {
+        keywords: ['productivity', 'time', 'velocity', 'developer'],
+        practices: ['Convert hours saved to value only when the time is redeployed', 'Measure cycle time before and after']
+      }
+    }
+  },
+
+  'requirements-engineering': {
+    expertise: [
+      'requirements_elicitation', 'user_story_writing', 'acceptance_criteria',
+      'non_functional_requirements', 'traceability', 'prioritization'
+    ],
+    tools: ['notion-mcp', 'airtable-mcp', 'memory-mcp', 'sequential-thinking-mcp'],
+    focus_areas: {
+      performance: {
+        keywords: ['fast', 'performance', 'latency', 'speed', 'load'],
+        practices: ['p95 response time under 300ms for primary interactions', 'State the load the target holds at']
+      },
+      availability: {
+        keywords: ['uptime', 'availab', 'reliab', 'outage'],
+        practices: ['99.9% monthly uptime for user-facing services', 'Define planned maintenance windows']
+      },
+      security: {
+        keywords: ['auth', 'login', 'secure', 'security', 'permission', 'payment'],
+        practices: ['Authentication required for all non-public data', 'Secrets and personal data never logged']
+      },
+      accessibility: {
+        keywords: ['accessib', 'a11y', 'wcag', 'screen reader'],
+        practices: ['WCAG 2.1 AA conformance', 'Every flow usable with keyboard only']
+      },
+      privacy: {
+        keywords: ['privacy', 'personal', 'gdpr', 'consent', 'data'],
+        practices: ['Personal data minimized and deletable on request', 'Consent recorded with its purpose']
+      },
+      observability: {
+        keywords: ['monitor', 'log', 'metric', 'observab', 'alert'],
+        practices: ['Errors and latency visible on a shared dashboard', 'Every requirement names the metric that proves it']
+      }
+    }
+  },
+
+  'product-strategy': {
+    expertise: [
+      'product_vision', 'roadmap_planning', 'okr_design',
+      'product_market_fit', 'go_to_market', 'portfolio_strategy'
+    ],
+    tools: ['notion-mcp', 'airtable-mcp', 'sequential-thinking-mcp', 'memory-mcp'],
+    focus_areas: {
+      activation: {
+        keywords: ['onboard', 'activation', 'signup', 'first'],
+        practices: ['Define the first meaningful outcome a new user reaches', 'Track median time-to-value for new signups']
+      },
+      retention: {
+        keywords: ['retention', 'churn', 'engagement', 'habit'],
+        practices: ['Track week-4 retention by signup cohort', 'Find the action retained users take in their first week']
+      },
+      monetization: {
+        keywords: ['pricing', 'revenue', 'monetiz', 'upgrade', 'paid'],
+        practices: ['Tie packaging to the value metric users recognize', 'Measure free-to-paid conversion by cohort']
+      },
+      expansion: {
+        keywords: ['expansion', 'enterprise', 'new market', 'international', 'segment'],
+        practices: ['Validate the problem in the new segment before adapting the product', 'Name the segment you will not serve']
+      },
+      platform: {
+        keywords: ['platform', 'api', 'ecosystem', 'integration', 'partner'],
+        practices: ['Invest in integrations that make the product the hub of the workflow', 'Measure partner-sourced usage']
+      }
+    }
+  },
+
+  // Experience Department
+  'ux-research': {
+    expertise: [
+      'user_research', 'usability_testing', 'accessibility_research', 'inclusive_design',
+      'ethnographic_research', 'cognitive_psychology', 'behavioral_research', 'journey_mapping',
+      'persona_development', 'research_methodology'
+    ],
+    tools: ['figma-context-mcp', 'playwright-mcp', 'ref-mcp', 'memory-mcp', 'notion-mcp'],
+    focus_areas: {
+      discovery: {
+        keywords: ['discover', 'explore', 'need', 'problem', 'why'],
+        practices: ['Interview users about recent behavior, not hypothetical preferences', 'Observe the task in its real context where possible']
+      },
+      usability: {
+        keywords: ['usability', 'usable', 'task', 'prototype', 'test'],
+        practices: ['Five participants per segment find most usability problems', 'Measure task success, time on task and errors']
+      },
+      personas: {
+        keywords: ['persona', 'segment', 'archetype', 'audience'],
+        practices: ['Build personas from observed behavior patterns, not demographics', 'Revisit personas when new research contradicts them']
+      },
+      journeys: {
+        keywords: ['journey', 'flow', 'onboarding', 'touchpoint', 'experience'],
+        practices: ['Map actions, thoughts and emotions at every step', 'Mark the moments where users drop out']
+      },
+      accessibility: {
+        keywords: ['accessib', 'disabilit', 'assistive', 'screen reader', 'inclusive'],
+        practices: ['Recruit participants who use assistive technology', 'Test with screen readers, magnification and keyboard only']
+      }
+    }
+  },
+
+  'ui-design': {
+    expertise: [
+      'interface_design', 'visual_design', 'interaction_design', 'design_systems', 'component_design',
+      'responsive_design', 'typography', 'color_theory', 'layout_principles', 'micro_interactions'
+    ],
+    tools: [
+      'figma-devmode-mcp', 'figma-context-mcp', 'magic-ui-mcp', 'ref-mcp',
+      'figma', 'design_tokens', 'component_libraries'
+    ],
+    focus_areas: {
+      typography: {
+        keywords: ['type', 'typography', 'font', 'text', 'heading'],
+        practices: ['Modular scale (1.25) from 12px to 48px', '16px body text with 1.5 line height', 'No more than three type sizes per screen']
+      },
+      color: {
+        keywords: ['color', 'colour', 'palette', 'theme', 'dark'],
+        practices: ['Neutral ramp plus one primary and semantic success, warning and danger colors', 'Text contrast at least 4.5:1, UI components at least 3:1', 'Dark mode defined as a token theme']
+      },
+      spacing: {
+        keywords: ['spacing', 'density', 'whitespace', 'padding'],
+        practices: ['Spacing on a 4px base grid', 'Group related elements with tighter spacing than unrelated ones']
+      },
+      forms: {
+        keywords: ['form', 'input', 'field', 'validation'],
+        practices: ['Visible labels above fields, never placeholder-only', 'Inline validation after the field loses focus', 'Error text explains how to fix the input']
+      },
+      responsive: {
+        keywords: ['responsive', 'mobile', 'tablet', 'breakpoint', 'layout', 'grid'],
+        practices: ['4 columns on mobile, 8 on tablet, 12 on desktop', 'Primary action visible without scrolling at every breakpoint', 'Visual order matches DOM order']
+      },
+      states: {
+        keywords: ['state', 'hover', 'focus', 'loading', 'error', 'empty'],
+        practices: ['Design default, hover, focus-visible, active, disabled, loading and error states', 'Visible focus indicator with at least 3:1 contrast']
+      }
+    }
+  },
+
+  'accessibility': {
+    expertise: [
+      'wcag_compliance', 'screen_reader_optimization', 'keyboard_navigation', 'color_contrast',
+      'cognitive_accessibility', 'motor_accessibility', 'assistive_technology', 'inclusive_design',
+      'accessibility_testing', 'legal_compliance'
+    ],
+    tools: ['playwright-mcp', 'figma-context-mcp', 'ref-mcp'],
+    focus_areas: {
+      keyboard: {
+        keywords: ['keyboard', 'focus', 'tab', 'shortcut'],
+        practices: ['2.1.1 Keyboard: all functionality available from a keyboard', '2.4.7 Focus Visible: the focus indicator is always visible', 'Overlays trap focus and close with Escape']
+      },
+      screen_readers: {
+        keywords: ['screen reader', 'aria', 'voiceover', 'nvda', 'semantic'],
+        practices: ['4.1.2 Name, Role, Value: custom controls expose correct semantics', 'Status changes announced through live regions', 'Test with VoiceOver and NVDA']
+      },
+      visual: {
+        keywords: ['contrast', 'color', 'colour', 'zoom', 'low vision'],
+        practices: ['1.4.3 Contrast: text at least 4.5:1', 'Never rely on color alone to convey meaning', '200% zoom and 320px reflow without horizontal scrolling']
+      },
+      media: {
+        keywords: ['image', 'video', 'audio', 'media', 'caption', 'alt'],
+        practices: ['1.1.1 Non-text Content: informative images have text alternatives', 'Captions and transcripts for all media']
+      },
+      forms: {
+        keywords: ['form', 'input', 'error', 'validation', 'checkout'],
+        practices: ['3.3.1 Error Identification: input errors are described in text', 'Every field has a visible, programmatically associated label']
+      },
+      cognitive: {
+        keywords: ['cognitive', 'plain language', 'reading', 'timeout', 'dyslexia'],
+        practices: ['Plain language and consistent navigation', 'No time limits without a way to extend them']
+      },
+      motor: {
+        keywords: ['motor', 'touch', 'target', 'gesture', 'mobile'],
+        practices: ['Touch targets at least 44x44px', 'Every gesture has a single-pointer alternative']
+      }
+    }
+  },
+
+  'performance-optimization': {
+    expertise: [
+      'core_web_vitals', 'bundle_optimization', 'image_optimization',
+      'rendering_performance', 'caching_strategies', 'performance_budgets'
+    ],
+    tools: ['playwright-mcp', 'filesystem-mcp', 'ref-mcp'],
+    focus_areas: {
+      loading: {
+        keywords: ['lcp', 'load', 'slow', 'hero', 'server response'],
+        practices: ['Preload the LCP image and inline critical CSS', 'Remove render-blocking scripts from the head', 'Serve HTML from a CDN edge where possible']
+      },
+      interactivity: {
+        keywords: ['inp', 'interaction', 'click', 'input delay', 'hydration', 'main thread'],
+        practices: ['Break long tasks with scheduler yields', 'Move heavy work off the main thread', 'Hydrate interactive islands only']
+      },
+      layout_stability: {
+        keywords: ['cls', 'layout shift', 'jump', 'banner'],
+        practices: ['Set width and height on every image and embed', 'Reserve space for late-loading content', 'Use font-display: optional or size-adjusted fallbacks']
+      },
+      javascript: {
+        keywords: ['bundle', 'javascript', 'code split', 'dependenc', 'tree-shak'],
+        practices: ['Route-level code splitting', 'Lazy-load interaction-only components', 'Replace heavy dependencies with lighter alternatives']
+      },
+      images: {
+        keywords: ['image', 'photo', 'picture', 'avif', 'webp'],
+        practices: ['AVIF or WebP with JPEG fallback', 'Responsive srcset sized to the rendered size', 'Lazy-load offscreen images']
+      },
+      fonts: {
+        keywords: ['font', 'typeface', 'webfont'],
+        practices: ['Preload the primary font weights', 'Subset fonts to the character ranges used']
+      }
+    }
+  },
+
+  'design-system': {
+    expertise: ['design_tokens', 'component_libraries', 'documentation', 'theming', 'versioning', 'governance'],
+    tools: ['figma-devmode-mcp', 'figma-context-mcp', 'magic-ui-mcp', 'pieces-mcp'],
+    focus_areas: {
+      tokens: {
+        keywords: ['token', 'variable', 'color', 'spacing'],
+        practices: ['Primitive, semantic and component token tiers', 'Name tokens category.property.variant.state', 'Components reference semantic tokens, never primitives']
+      },
+      theming: {
+        keywords: ['theme', 'dark', 'brand', 'white-label'],
+        practices: ['Themes override semantic tokens only', 'Check contrast for every theme in CI']
+      },
+      components: {
+        keywords: ['component', 'button', 'input', 'dialog', 'library'],
+        practices: ['Every component documents its props API and all states', 'Each coded component maps to one Figma component with matching variants', 'Visual regression tests per component']
+      },
+      documentation: {
+        keywords: ['doc', 'guideline', 'usage', 'storybook'],
+        practices: ['Document when to use and when not to use each component', 'Live, copyable examples for every variant']
+      },
+      adoption: {
+        keywords: ['adoption', 'migrat', 'legacy', 'coverage'],
+        practices: ['Track coverage of product screens and one-off component count', 'Ship codemods with breaking changes']
+      },
+      governance: {
+        keywords: ['governance', 'contribut', 'version', 'deprecat', 'release'],
+        practices: ['Contribution flow: proposal, design review, implementation with docs, release', 'Semantic versioning with one major of deprecation warnings before removal']
+      }
+    }
+  },
+
+  'frontend-architecture': {
+    expertise: [
+      'application_structure', 'state_management', 'rendering_strategies',
+      'data_fetching', 'testing_strategy', 'build_tooling'
+    ],
+    tools: ['filesystem-mcp', 'github-mcp', 'ref-mcp', 'playwright-mcp'],
+    focus_areas: {
+      server_state: {
+        keywords: ['fetch', 'api', 'server', 'cache', 'query'],
+        practices: ['Server state lives in a query cache, never copied into global stores', 'Invalidate queries after mutations instead of patching stores']
+      },
+      client_state: {
+        keywords: ['state', 'store', 'redux', 'context', 'global'],
+        practices: ['Local component state by default', 'A small global store only for cross-route client state', 'Derive values instead of duplicating them']
+      },
+      url_state: {
+        keywords: ['filter', 'pagination', 'tab', 'search', 'url'],
+        practices: ['Filters, pagination and selected tabs live in the URL', 'Back and forward restore the same view']
+      },
+      rendering: {
+        keywords: ['ssr', 'render', 'static', 'hydration', 'seo', 'stream'],
+        practices: ['Choose rendering per route, not per application', 'Static for shared content, server rendering for personalized or SEO-critical pages']
+      },
+      structure: {
+        keywords: ['structure', 'folder', 'module', 'monorepo', 'boundar'],
+        practices: ['Feature modules own their components, hooks and API calls', 'Features never import from other features', 'Enforce import boundaries with a lint rule']
+      },
+      testing: {
+        keywords: ['test', 'e2e', 'coverage', 'quality'],
+        practices: ['Unit tests for pure logic and hooks', 'Component tests through accessible queries', 'End-to-end tests for critical journeys only']
+      }
+    }
+  },
+
+  'user-testing': {
+    expertise: [
+      'moderated_testing', 'unmoderated_testing', 'ab_testing',
+      'task_analysis', 'survey_design', 'accessibility_testing'
+    ],
+    tools: ['playwright-mcp', 'figma-context-mcp', 'memory-mcp'],
+    focus_areas: {
+      recruiting: {
+        keywords: ['participant', 'recruit', 'screen', 'sample'],
+        practices: ['Screen on behavior, not demographics', 'Include at least one participant using assistive technology']
+      },
+      task_design: {
+        keywords: ['task', 'scenario', 'prototype', 'flow'],
+        practices: ['Three to five realistic scenarios written without interface vocabulary', 'Pilot the tasks with one internal participant']
+      },
+      experimentation: {
+        keywords: ['experiment', 'variant', 'a/b', 'conversion', 'hypothesis'],
+        practices: ['Pre-register one primary metric and the guardrails', 'Run to the planned sample size without early stopping', 'Randomize at the user level']
+      },
+      surveys: {
+        keywords: ['survey', 'questionnaire', 'nps', 'sus', 'feedback'],
+        practices: ['One idea per question on a balanced scale', 'Ask about past behavior, not hypothetical future behavior', 'Keep completion under five minutes']
+      },
+      synthesis: {
+        keywords: ['synthes', 'finding', 'report', 'insight', 'analys'],
+        practices: ['Affinity map within 48 hours of the last session', 'Rate findings by severity and frequency']
+      }
+    }
+  },
+
+  'interaction-design': {
+    expertise: ['user_flows', 'micro_interactions', 'motion_design', 'feedback_patterns', 'error_prevention', 'prototyping'],
+    tools: ['figma-devmode-mcp', 'figma-context-mcp', 'magic-ui-mcp', 'playwright-mcp'],
+    focus_areas: {
+      navigation: {
+        keywords: ['navigat', 'menu', 'back', 'wizard', 'step'],
+        practices: ['Every step has one primary action', 'Users can go back without losing input', 'Progress is visible in multi-step flows']
+      },
+      feedback: {
+        keywords: ['feedback', 'toast', 'loading', 'progress', 'confirm'],
+        practices: ['Under 100ms: direct manipulation feedback', 'Under 1s: show a progress indicator', 'Over 1s: determinate progress with cancel']
+      },
+      errors: {
+        keywords: ['error', 'validation', 'undo', 'destructive', 'delete'],
+        practices: ['Prevent errors with constraints before showing messages', 'Offer undo instead of confirmation dialogs for reversible actions']
+      },
+      motion: {
+        keywords: ['animation', 'motion', 'transition', 'easing'],
+        practices: ['Durations of 100-150ms for small, 200-300ms for medium and 300-500ms for large changes', 'Ease out on enter, ease in on exit', 'Respect prefers-reduced-motion']
+      },
+      gestures: {
+        keywords: ['gesture', 'swipe', 'drag', 'touch', 'mobile'],
+        practices: ['Every gesture has a visible control alternative', 'Drag interactions show a drop preview']
+      },
+      empty_states: {
+        keywords: ['empty', 'first run', 'onboarding', 'zero'],
+        practices: ['Empty states explain what will appear and offer the first action', 'Seed first-run screens with an example']
+      }
+    }
+  },
+
+  // Technical Department
+  'database': {
+    expertise: [
+      'database_design', 'query_optimization', 'indexing_strategies', 'transaction_management',
+      'replication_strategies', 'sharding_patterns', 'caching_strategies', 'data_modeling',
+      'performance_tuning', 'backup_recovery', 'nosql_design', 'distributed_databases'
+    ],
+    tools: ['postgres-mcp', 'mongodb-mcp', 'supabase-mcp', 'filesystem-mcp'],
+    focus_areas: {
+      modeling: {
+        keywords: ['schema', 'model', 'table', 'entit', 'relation'],
+        practices: ['List access patterns before drawing tables', 'Normalize to 3NF and denormalize only for measured hot paths', 'Foreign keys and NOT NULL by default']
+      },
+      indexing: {
+        keywords: ['index', 'slow', 'query', 'scan', 'explain'],
+        practices: ['Capture the plan with EXPLAIN (ANALYZE, BUFFERS)', 'Composite indexes with equality columns first, then range columns', 'Drop indexes unused in the usage statistics']
+      },
+      migrations: {
+        keywords: ['migrat', 'alter', 'backfill', 'rename', 'column'],
+        practices: ['Expand and contract: add, dual-write, backfill, switch reads, drop', 'Create indexes concurrently on large tables', 'Every migration has a tested rollback']
+      },
+      scaling: {
+        keywords: ['scal', 'shard', 'replica', 'partition', 'traffic'],
+        practices: ['Scale vertically, then read replicas, then caching, then partitioning, then sharding', 'Move to the next stage only when the current one is measured to be insufficient']
+      },
+      transactions: {
+        keywords: ['transaction', 'lock', 'concurren', 'deadlock', 'consisten'],
+        practices: ['Keep transactions short and never wait on the network inside one', 'Use optimistic locking for user-edited records']
+      },
+      backups: {
+        keywords: ['backup', 'restore', 'recovery', 'disaster'],
+        practices: ['Point-in-time recovery enabled', 'Restore drills on a schedule']
+      }
+    }
+  },
+
+  'api-architecture': {
+    expertise: [
+      'api_design', 'restful_architecture', 'graphql_design', 'api_documentation', 'versioning_strategies',
+      'authentication_design', 'rate_limiting', 'caching_strategies', 'error_handling', 'testing_strategies',
+      'developer_experience', 'api_governance'
+    ],
+    tools: ['github-mcp', 'filesystem-mcp', 'semgrep-mcp'],
+    focus_areas: {
+      pagination: {
+        keywords: ['list', 'pagina', 'search', 'feed'],
+        practices: ['Cursor-based pagination with limit and next_cursor', 'Stable sort order for every list endpoint']
+      },
+      errors: {
+        keywords: ['error', 'validation', 'status code'],
+        practices: ['Errors shaped { error: { code, message, details } }', 'Stable machine-readable codes; messages are for humans only']
+      },
+      authentication: {
+        keywords: ['auth', 'token', 'oauth', 'login', 'permission'],
+        practices: ['OAuth 2.0 bearer tokens over TLS', 'Scopes per resource and action']
+      },
+      rate_limiting: {
+        keywords: ['rate', 'limit', 'quota', 'abuse', 'public'],
+        practices: ['Per-client rate limits with 429 and Retry-After', 'Publish limits in the documentation']
+      },
+      idempotency: {
+        keywords: ['payment', 'order', 'retry', 'idempoten'],
+        practices: ['Idempotency keys on unsafe operations', 'Return the original response for a repeated key']
+      },
+      realtime: {
+        keywords: ['realtime', 'real-time', 'webhook', 'websocket', 'stream', 'event'],
+        practices: ['Signed webhooks with retries and exponential backoff', 'Event payloads carry an id and a version']
+      },
+      documentation: {
+        keywords: ['doc', 'openapi', 'sdk', 'developer'],
+        practices: ['The OpenAPI or schema file is the source of truth and is linted in CI', 'Runnable examples for every operation']
+      }
+    }
+  },
+
+  'security': {
+    expertise: [
+      'security_architecture', 'threat_modeling', 'penetration_testing', 'vulnerability_assessment',
+      'cryptography', 'authentication_systems', 'authorization_frameworks', 'secure_coding',
+      'incident_response', 'compliance_frameworks', 'ai_security', 'privacy_engineering'
+    ],
+    tools: ['semgrep-mcp', 'github-mcp', 'filesystem-mcp', 'playwright-mcp', 'sequential-thinking-mcp'],
+    focus_areas: {
+      authentication: {
+        keywords: ['auth', 'login', 'password', 'session', 'mfa', 'sso'],
+        practices: ['Hash passwords with argon2id or bcrypt', 'Offer MFA and rate-limit login attempts', 'Rotate session identifiers on login']
+      },
+      authorization: {
+        keywords: ['permission', 'role', 'access', 'admin', 'tenant'],
+        practices: ['Check authorization on every request at the server', 'Deny by default and test for horizontal privilege escalation']
+      },
+      injection: {
+        keywords: ['input', 'sql', 'query', 'form', 'upload', 'xss'],
+        practices: ['Parameterized queries only', 'Encode output for its context', 'Validate uploads by content, not extension']
+      },
+      data_protection: {
+        keywords: ['payment', 'card', 'personal', 'pii', 'encrypt', 'privacy', 'health'],
+        practices: ['Encrypt sensitive data in transit and at rest', 'Keep secrets in a secrets manager, never in code or logs', 'Minimize the personal data collected']
+      },
+      dependencies: {
+        keywords: ['dependenc', 'package', 'npm', 'supply chain', 'library'],
+        practices: ['Scan dependencies in CI and pin lockfiles', 'Patch critical vulnerabilities within seven days']
+      },
+      ai_security: {
+        keywords: ['ai', 'llm', 'model', 'prompt', 'agent'],
+        practices: ['Treat model output as untrusted input', 'Separate system instructions from user content to limit prompt injection', 'Give agents least-privilege tool access']
+      },
+      compliance: {
+        keywords: ['compliance', 'gdpr', 'soc', 'hipaa', 'pci', 'audit'],
+        practices: ['Map each control to the framework requirement it satisfies', 'Keep audit logs immutable and reviewed']
+      }
+    }
+  },
+
+  'devops': {
+    expertise: ['ci_cd', 'containerization', 'orchestration', 'monitoring', 'incident_management', 'release_engineering'],
+    tools: ['github-mcp', 'docker-mcp', 'kubernetes-mcp', 'filesystem-mcp'],
+    focus_areas: {
+      pipeline: {
+        keywords: ['pipeline', 'ci', 'build', 'test', 'merge'],
+        practices: ['Build once and deploy the same artifact everywhere', 'Pipeline defined as code', 'Keep the pipeline under 15 minutes']
+      },
+      releases: {
+        keywords: ['deploy', 'release', 'rollout', 'canary', 'rollback'],
+        practices: ['Progressive rollout with automated health checks', 'Automatic rollback on failed checks', 'Main branch always deployable']
+      },
+      containers: {
+        keywords: ['docker', 'container', 'image', 'kubernetes', 'k8s'],
+        practices: ['Multi-stage builds with base images pinned by digest', 'Run as a non-root user', 'CPU and memory requests and limits on every workload']
+      },
+      observability: {
+        keywords: ['monitor', 'alert', 'log', 'trace', 'observab', 'metric'],
+        practices: ['RED metrics per service', 'Structured logs with request ids', 'Alert on SLO burn rate with a runbook per alert']
+      },
+      incidents: {
+        keywords: ['incident', 'outage', 'on-call', 'postmortem', 'pager'],
+        practices: ['Page only for user-facing impact', 'Blameless postmortems with tracked action items']
+      },
+      secrets: {
+        keywords: ['secret', 'credential', 'config', 'environment'],
+        practices: ['Configuration from environment and mounted secrets, never baked into images', 'Short-lived credentials for CI']
+      }
+    }
+  },
+
+  'performance-engineering': {
+    expertise: ['profiling', 'load_testing', 'capacity_planning', 'caching', 'concurrency', 'memory_management'],
+    tools: ['github-mcp', 'filesystem-mcp', 'postgres-mcp', 'playwright-mcp'],
+    focus_areas: {
+      cpu: {
+        keywords: ['cpu', 'compute', 'hot path', 'serializ'],
+        practices: ['CPU profile with flame graphs under production-like load', 'Move serialization of large payloads off the hot path']
+      },
+      memory: {
+        keywords: ['memory', 'leak', 'heap', 'gc', 'oom'],
+        practices: ['Compare heap snapshots to find retained objects', 'Bound every in-memory cache']
+      },
+      database: {
+        keywords: ['database', 'query', 'sql', 'n+1', 'orm'],
+        practices: ['Find N+1 queries in traces', 'Batch related lookups']
+      },
+      io: {
+        keywords: ['io', 'network', 'downstream', 'external', 'latency'],
+        practices: ['Trace downstream calls to separate own time from waiting time', 'Remove synchronous I/O from hot paths', 'Set timeouts on every remote call']
+      },
+      concurrency: {
+        keywords: ['concurren', 'thread', 'pool', 'async', 'lock'],
+        practices: ['Size connection pools from measured concurrency', 'Avoid lock contention on shared state']
+      },
+      caching: {
+        keywords: ['cache', 'caching', 'cdn', 'redis'],
+        practices: ['Event-driven invalidation with TTL as the safety net', 'Request coalescing against stampedes', 'Remove caches below a 50% hit ratio']
+      }
+    }
+  },
+
+  'infrastructure': {
+    expertise: [
+      'infrastructure_as_code', 'networking', 'high_availability',
+      'disaster_recovery', 'secrets_management', 'configuration_management'
+    ],
+    tools: ['terraform-mcp', 'kubernetes-mcp', 'docker-mcp', 'github-mcp'],
+    focus_areas: {
+      iac: {
+        keywords: ['terraform', 'iac', 'provision', 'module', 'drift'],
+        practices: ['Reusable modules composed per environment', 'Remote state with locking, one state per environment', 'Plan on every pull request and apply from CI only']
+      },
+      networking: {
+        keywords: ['network', 'vpc', 'dns', 'subnet', 'load balancer', 'firewall'],
+        practices: ['Public subnets for load balancers only', 'Databases in isolated subnets with no internet route', 'Deny-by-default security groups']
+      },
+      availability: {
+        keywords: ['availab', 'uptime', 'zone', 'redundan', 'failover'],
+        practices: ['Spread every tier across at least two availability zones', 'Remove single points of failure found in review']
+      },
+      recovery: {
+        keywords: ['backup', 'disaster', 'recovery', 'restore', 'rpo', 'rto'],
+        practices: ['Restore drills at least quarterly', 'Backups copied to a second region and account']
+      },
+      secrets: {
+        keywords: ['secret', 'credential', 'key', 'certificate'],
+        practices: ['Secrets in a managed store with rotation', 'Automated certificate renewal']
+      },
+      patching: {
+        keywords: ['patch', 'upgrade', 'os', 'vulnerab'],
+        practices: ['Rebuild images on base image updates', 'Patch critical CVEs within seven days']
+      }
+    }
+  },
+
+  'microservices': {
+    expertise: [
+      'service_decomposition', 'domain_driven_design', 'service_communication',
+      'event_driven_architecture', 'resilience_patterns', 'distributed_data'
+    ],
+    tools: ['kubernetes-mcp', 'docker-mcp', 'github-mcp', 'filesystem-mcp'],
+    focus_areas: {
+      boundaries: {
+        keywords: ['boundar', 'domain', 'split', 'decompos', 'monolith'],
+        practices: ['Find bounded contexts with event storming', 'Extract along business capabilities with a strangler fig facade']
+      },
+      data_ownership: {
+        keywords: ['data', 'database', 'ownership', 'consisten'],
+        practices: ['Each service owns its data', 'No shared database tables', 'Replicate read models through events']
+      },
+      messaging: {
+        keywords: ['event', 'message', 'queue', 'kafka', 'async'],
+        practices: ['Outbox pattern for events written with the state change', 'Idempotent consumers deduplicating by event id', 'Versioned event schemas']
+      },
+      workflows: {
+        keywords: ['saga', 'workflow', 'order', 'payment', 'transaction'],
+        practices: ['Sagas with compensating actions for cross-service workflows', 'Make each step idempotent']
+      },
+      resilience: {
+        keywords: ['resilien', 'retry', 'circuit', 'timeout', 'fallback', 'outage'],
+        practices: ['Timeouts shorter than the caller\'s on every remote call', 'Retries with exponential backoff and jitter for idempotent calls only', 'Circuit breakers and bulkheads per dependency']
+      },
+      contracts: {
+        keywords: ['contract', 'api', 'version', 'schema'],
+        practices: ['Consumer-driven contract tests in CI', 'Additive changes only within a version']
+      }
+    }
+  },
+
+  'cloud-architecture': {
+    expertise: ['cloud_native_design', 'serverless', 'cost_optimization', 'multi_region', 'identity_and_access', 'managed_services'],
+    tools: ['terraform-mcp', 'kubernetes-mcp', 'docker-mcp', 'supabase-mcp'],
+    focus_areas: {
+      compute: {
+        keywords: ['compute', 'instance', 'vm', 'cluster', 'rightsiz'],
+        practices: ['Rightsize over-provisioned instances', 'Autoscale non-production environments to zero', 'Spot capacity for fault-tolerant batch work']
+      },
+      storage: {
+        keywords: ['storage', 's3', 'bucket', 'archive', 'data'],
+        practices: ['Lifecycle rules move cold data to cheaper tiers', 'Delete unattached volumes and old snapshots']
+      },
+      networking: {
+        keywords: ['egress', 'network', 'traffic', 'cdn', 'region'],
+        practices: ['Reduce cross-zone and egress traffic', 'Serve static content through a CDN']
+      },
+      serverless: {
+        keywords: ['serverless', 'lambda', 'function', 'event'],
+        practices: ['One function per responsibility with a least-privilege role', 'Idempotent handlers for at-least-once delivery', 'Dead-letter queues for failed events']
+      },
+      identity: {
+        keywords: ['iam', 'identity', 'access', 'role', 'permission', 'sso'],
+        practices: ['Single sign-on with short-lived credentials', 'No long-lived access keys', 'Least privilege by default']
+      },
+      resilience: {
+        keywords: ['multi-region', 'availab', 'failover', 'disaster', 'resilien'],
+        practices: ['Multi-AZ for every stateful service', 'Multi-region only where the RTO requires it']
+      },
+      governance: {
+        keywords: ['budget', 'tag', 'governance', 'bill', 'spend'],
+        practices: ['Mandatory cost allocation tags', 'Per-team budgets with alerts']
+      }
+    }
+  }
+};
+
+/**
+ * @param {string} specialistType - a type from the spawning registry
+ * @returns {{expertise: Array<string>, tools: Array<string>, focus_areas: Object}}
+ */
+function getSpecialistProfile(specialistType) {
+  const profile = SPECIALIST_PROFILES[specialistType];
+  if (!profile) {
+    throw new Error(`No specialist profile defined for: ${specialistType}`);
+  }
+  return profile;
+}
+
+module.exports = {
+  SPECIALIST_PROFILES,
+  getSpecialistProfile,
+  matchCatalog
+};
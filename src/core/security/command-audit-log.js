@@ -0,0 +1,325 @@
+/**
+ * BUMBA Command Audit Log
+ * Append-only JSONL record of every command SecureExecutor ran or blocked and
+ * every command the security hook judged. Each entry carries the hash of the
+ * previous one, so editing, removing or reordering entries breaks the chain
+ * and shows up in verify().
+ *
+ * Several processes (the framework and Claude Code hook runs) append to the
+ * same file, so every append takes a lock file and chains onto the entry
+ * currently last in the file.
+ *
+ * Removing entries from the end leaves a valid, shorter chain. To detect that,
+ * keep verify().head somewhere the log's writers cannot change and pass it
+ * back as verify({ anchor }) later.
+ *
+ * Secrets SecretScanner finds in the command, its arguments, the context and
+ * the reason are redacted before an entry is written.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const CommandValidator = require('./command-validator');
+const { SecretScanner } = require('./secret-scanner');
+const { getInstance } = require('../config/bumba-config');
+
+const GENESIS_HASH = '0'.repeat(64);
+const TAIL_BYTES = 64 * 1024;
+const MAX_CONTEXT_VALUE_LENGTH = 200;
+const LOCK_TIMEOUT_MS = 2000;
+// A lock older than this belongs to a writer that died
+const STALE_LOCK_MS = 10000;
+
+// Same digest the validator uses for sensitive data
+const hashEntry = data => CommandValidator.prototype.hashSensitiveData(data);
+const secretScanner = new SecretScanner();
+const redactSecrets = value => (typeof value === 'string' ? secretScanner.redactText(value) : value);
+
+class CommandAuditLog {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.lockPath = filePath ? `${filePath}.lock` : null;
+    this.lastHash = null;
+    this.lastSeq = 0;
+  }
+
+  get enabled() {
+    return Boolean(this.filePath);
+  }
+
+  /**
+   * Append an entry and return it with its seq and hash. Audit failures are
+   * reported but never stop the command being audited.
+   */
+  record(event) {
+    if (!this.enabled) {
+      return null;
+    }
+
+    let locked = false;
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      this.acquireLock();
+      locked = true;
+
+      // Another process may have appended since this one last wrote
+      this.resumeChain();
+
+      const entry = {
+        seq: this.lastSeq + 1,
+        timestamp: new Date().toISOString(),
+        source: event.source || 'secure-executor',
+        command: redactSecrets(event.command),
+        args: (event.args || []).map(redactSecrets),
+        context: summarizeContext(event.context),
+        decision: event.decision,
+        rule: event.rule || null,
+        reason: redactSecrets(event.reason || null),
+        profile: event.profile || null,
+        exit_code: event.exit_code ?? null,
+        signal: event.signal || null,
+        duration_ms: event.duration_ms ?? null,
+        prev_hash: this.lastHash
+      };
+      entry.hash = computeHash(entry);
+
+      fs.appendFileSync(this.filePath, JSON.stringify(entry) + '\n', { flag: 'a', mode: 0o600 });
+
+      this.lastHash = entry.hash;
+      this.lastSeq = entry.seq;
+      return entry;
+    } catch (error) {
+      console.warn(`⚠️ Could not write command audit log ${this.filePath}: ${error.message}`);
+      return null;
+    } finally {
+      if (locked) {
+        this.releaseLock();
+      }
+    }
+  }
+
+  /**
+   * Create the lock file exclusively, waiting for other writers. Appends are
+   * synchronous, so the wait blocks too; a lock left by a dead writer is
+   * taken over once it is stale.
+   */
+  acquireLock() {
+    const deadline = Date.now() + LOCK_TIMEOUT_MS;
+    const pause = new Int32Array(new SharedArrayBuffer(4));
+
+    for (;;) {
+      try {
+        fs.closeSync(fs.openSync(this.lockPath, 'wx', 0o600));
+        return;
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+      }
+
+      try {
+        if (Date.now() - fs.statSync(this.lockPath).mtimeMs > STALE_LOCK_MS) {
+          fs.unlinkSync(this.lockPath);
+          continue;
+        }
+      } catch (error) {
+        // Released between the open and the stat: try again
+        continue;
+      }
+
+      if (Date.now() > deadline) {
+        throw new Error(`timed out waiting for ${this.lockPath}`);
+      }
+      Atomics.wait(pause, 0, 0, 10);
+    }
+  }
+
+  releaseLock() {
+    try {
+      fs.unlinkSync(this.lockPath);
+    } catch (error) {
+      // Already gone
+    }
+  }
+
+  /**
+   * Continue the chain from the last entry in the file, checking that the
+   * entry matches its own hash
+   */
+  resumeChain() {
+    this.lastHash = GENESIS_HASH;
+    this.lastSeq = 0;
+
+    if (!fs.existsSync(this.filePath)) {
+      return;
+    }
+
+    const size = fs.statSync(this.filePath).size;
+    const length = Math.min(size, TAIL_BYTES);
+    const buffer = Buffer.alloc(length);
+    const fd = fs.openSync(this.filePath, 'r');
+    try {
+      fs.readSync(fd, buffer, 0, length, size - length);
+    } finally {
+      fs.closeSync(fd);
+    }
+
+    const lastLine = buffer.toString('utf8').trimEnd().split('\n').pop();
+    if (!lastLine) {
+      return;
+    }
+
+    let last = null;
+    try {
+      last = JSON.parse(lastLine);
+    } catch (error) {
+      // Handled below
+    }
+
+    if (last && Number.isInteger(last.seq) && last.hash === computeHash(last)) {
+      this.lastHash = last.hash;
+      this.lastSeq = last.seq;
+      return;
+    }
+
+    // Chain onto the damaged line; verify() reports the damage itself
+    console.warn('⚠️ Last command audit entry is damaged, chaining onto it as-is');
+    this.lastHash = hashEntry(lastLine);
+    this.lastSeq = last && Number.isInteger(last.seq) ? last.seq : 0;
+  }
+
+  async *entries() {
+    if (!this.enabled || !fs.existsSync(this.filePath)) {
+      return;
+    }
+
+    const lines = readline.createInterface({ input: fs.createReadStream(this.filePath, 'utf8'), crlfDelay: Infinity });
+    let lineNumber = 0;
+    for await (const line of lines) {
+      lineNumber++;
+      if (line.trim()) {
+        yield { line, lineNumber };
+      }
+    }
+  }
+
+  /**
+   * Recompute the chain from the first entry. The log alone cannot show that
+   * entries were removed from its end; `anchor`, a head kept outside the log,
+   * must still be part of the chain.
+   * @param {Object} options - { anchor }
+   * @returns {Promise<Object>} { valid, entries, head, broken_at? }
+   */
+  async verify({ anchor = null } = {}) {
+    let prevHash = GENESIS_HASH;
+    let expectedSeq = 1;
+    let count = 0;
+    let anchorFound = !anchor || anchor === GENESIS_HASH;
+
+    for await (const { line, lineNumber } of this.entries()) {
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        return { valid: false, entries: count, broken_at: { line: lineNumber, reason: 'entry is not valid JSON' } };
+      }
+
+      let problem = null;
+      if (entry.prev_hash !== prevHash) {
+        problem = 'prev_hash does not match the previous entry';
+      } else if (entry.seq !== expectedSeq) {
+        problem = `expected seq ${expectedSeq}, found ${entry.seq}`;
+      } else if (entry.hash !== computeHash(entry)) {
+        problem = 'entry content does not match its hash';
+      }
+      if (problem) {
+        return { valid: false, entries: count, broken_at: { line: lineNumber, seq: entry.seq, reason: problem } };
+      }
+
+      prevHash = entry.hash;
+      expectedSeq++;
+      count++;
+      anchorFound = anchorFound || entry.hash === anchor;
+    }
+
+    if (!anchorFound) {
+      return { valid: false, entries: count, head: prevHash, broken_at: { reason: `anchored head ${anchor.slice(0, 12)} is not in the chain; entries were removed or replaced` } };
+    }
+    return { valid: true, entries: count, head: prevHash };
+  }
+
+  /**
+   * Entries matching a filter, newest last
+   * @param {Object} filter - { command, decision, source, role, since, until, limit }
+   */
+  async query(filter = {}) {
+    const since = filter.since ? Date.parse(filter.since) : null;
+    const until = filter.until ? Date.parse(filter.until) : null;
+    const limit = filter.limit || 50;
+    const matches = [];
+
+    for await (const { line } of this.entries()) {
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        continue;
+      }
+
+      const time = Date.parse(entry.timestamp);
+      if (filter.command && entry.command !== filter.command) continue;
+      if (filter.decision && entry.decision !== filter.decision) continue;
+      if (filter.source && entry.source !== filter.source) continue;
+      if (filter.role && (entry.context || {}).role !== filter.role) continue;
+      if (since && time < since) continue;
+      if (until && time > until) continue;
+
+      matches.push(entry);
+      if (matches.length > limit) {
+        matches.shift();
+      }
+    }
+
+    return matches;
+  }
+}
+
+function computeHash(entry) {
+  const { hash, ...content } = entry;
+  return hashEntry(`${content.prev_hash}\n${JSON.stringify(content)}`);
+}
+
+// Scalar context fields only, truncated, so the log stays small and holds no payloads
+function summarizeContext(context = {}) {
+  const summary = {};
+  for (const [key, value] of Object.entries(context || {})) {
+    if (value === null || ['string', 'number', 'boolean'].includes(typeof value)) {
+      const redacted = redactSecrets(value);
+      summary[key] = typeof redacted === 'string' && redacted.length > MAX_CONTEXT_VALUE_LENGTH
+        ? `${redacted.slice(0, MAX_CONTEXT_VALUE_LENGTH)}…`
+        : redacted;
+    }
+  }
+  return summary;
+}
+
+const auditLogs = new Map();
+
+/**
+ * Shared log for a path (defaults to security.auditLog), so every writer in
+ * the process extends the same chain
+ */
+function getCommandAuditLog(filePath = getInstance().get('security.auditLog')) {
+  const key = filePath || '';
+  if (!auditLogs.has(key)) {
+    auditLogs.set(key, new CommandAuditLog(filePath));
+  }
+  return auditLogs.get(key);
+}
+
+module.exports = {
+  CommandAuditLog,
+  getCommandAuditLog,
+  GENESIS_HASH
+};
@@ -0,0 +1,397 @@
+/**
+ * BUMBA Command Policy
+ * Loads the allowlist, deny rules and permission levels that CommandValidator
+ * enforces. The shipped policy (command-policy.json next to this file) is
+ * extended by the user's ~/.claude/command-policy.json, $BUMBA_COMMAND_POLICY
+ * and the project's .bumba/command-policy.json, in that order.
+ *
+ * Rule format:
+ *   { "id": "git-read", "command": "git", "args": [["status", "log"]], "rest": "*" }
+ *
+ * - args: one matcher per leading argument, all required
+ * - rest: matcher every remaining argument must satisfy (omitted: none allowed)
+ * - options: { "-m": matcher } matches when the option is given with a matching value
+ *
+ * A matcher is a glob ("-*"), a regex ("/^\\d+$/"), a named pattern ("<number>",
+ * "<path>") or an array of matchers of which any may match. Deny rules are checked
+ * first and win over allow rules.
+ *
+ * Permissions: `permissions` sorts command prefixes ("git commit") into
+ * capability levels; `roles` grant levels ("*" grants everything, including
+ * commands no prefix covers); `departmentRoles` give every specialist type a
+ * department registers (spawning/specialist-types.js) a role, and
+ * `specialistRoles` set the role of single types; `defaultRole` applies to
+ * callers that do not name a role.
+ *
+ * Override files can never replace or disable deny rules or redefine
+ * patterns and roles. What else they may change depends on who controls them:
+ *
+ * - project file: can only narrow the policy, by adding deny rules and
+ *   patterns and disabling allow rules. A repository you check out cannot
+ *   allow itself new commands.
+ * - user files (~/.claude/command-policy.json, $BUMBA_COMMAND_POLICY): may
+ *   also add or replace allow rules and add permission prefixes, roles and
+ *   specialist roles, since the user opted into them.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createHash } = require('crypto');
+const { getInstance } = require('../config/bumba-config');
+const { SPECIALIST_MODULES, listSpecialistTypes } = require('../spawning/specialist-types');
+
+const POLICY_VERSION = 1;
+const DEFAULT_POLICY_PATH = path.join(__dirname, 'command-policy.json');
+const PROJECT_POLICY_FILE = path.join('.bumba', 'command-policy.json');
+const USER_POLICY_FILE = 'command-policy.json';
+// Fields only the base policy and user files may set
+const WIDENING_FIELDS = ['allow', 'permissions', 'roles', 'departmentRoles', 'specialistRoles'];
+
+const COMMAND_NAME = /^[a-zA-Z0-9_-]+$/;
+const SAFE_PATH = /^[a-zA-Z0-9_.\-/\\]+$/;
+const RULE_FIELDS = ['id', 'command', 'args', 'rest', 'options', 'description', 'reason'];
+const POLICY_FIELDS = ['version', 'description', 'patterns', 'allow', 'deny', 'disable', 'permissions', 'defaultRole', 'roles', 'departmentRoles', 'specialistRoles'];
+const ALL_CAPABILITIES = '*';
+
+/**
+ * Relative path without traversal, made of ordinary path characters
+ */
+function isSafePath(filePath) {
+  try {
+    return !path.normalize(filePath).includes('..') && SAFE_PATH.test(filePath);
+  } catch {
+    return false;
+  }
+}
+
+const BUILTIN_PATTERNS = {
+  path: isSafePath
+};
+
+function globToRegExp(glob) {
+  const source = glob.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp(`^${source}$`, 's');
+}
+
+/**
+ * Compile a matcher spec into a predicate. Problems are pushed onto `errors`
+ * and yield a matcher that never matches.
+ */
+function compileMatcher(spec, patterns, where, errors, depth = 0) {
+  const never = () => false;
+
+  if (Array.isArray(spec)) {
+    const matchers = spec.map(item => compileMatcher(item, patterns, where, errors, depth));
+    return value => matchers.some(matcher => matcher(value));
+  }
+
+  if (typeof spec !== 'string') {
+    errors.push(`${where}: expected a string or array of strings, got ${JSON.stringify(spec)}`);
+    return never;
+  }
+
+  const reference = spec.match(/^<([a-z0-9-]+)>$/);
+  if (reference) {
+    const name = reference[1];
+    if (BUILTIN_PATTERNS[name]) {
+      return BUILTIN_PATTERNS[name];
+    }
+    if (patterns[name] === undefined || depth > 5) {
+      errors.push(`${where}: unknown pattern <${name}> (define it under "patterns")`);
+      return never;
+    }
+    return compileMatcher(patterns[name], patterns, `${where} <${name}>`, errors, depth + 1);
+  }
+
+  const regex = spec.match(/^\/(.*)\/([a-z]*)$/s);
+  if (regex) {
+    try {
+      const compiled = new RegExp(regex[1], regex[2]);
+      return value => compiled.test(value);
+    } catch (error) {
+      errors.push(`${where}: invalid regular expression ${spec}: ${error.message}`);
+      return never;
+    }
+  }
+
+  const compiled = globToRegExp(spec);
+  return value => compiled.test(value);
+}
+
+function compileRule(rule, effect, patterns, source, errors) {
+  const where = `${source}: ${effect} rule ${rule && rule.id ? `'${rule.id}'` : JSON.stringify(rule)}`;
+  const ruleErrors = [];
+
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+    errors.push(`${where}: expected an object`);
+    return null;
+  }
+
+  for (const field of Object.keys(rule)) {
+    if (!RULE_FIELDS.includes(field)) {
+      ruleErrors.push(`${where}: unknown field "${field}" (supported: ${RULE_FIELDS.join(', ')})`);
+    }
+  }
+  if (typeof rule.id !== 'string' || !rule.id) {
+    ruleErrors.push(`${where}: needs an "id"`);
+  }
+  if (typeof rule.command !== 'string' || !COMMAND_NAME.test(rule.command)) {
+    ruleErrors.push(`${where}: "command" must be a bare command name, got ${JSON.stringify(rule.command)}`);
+  }
+  if (rule.args !== undefined && !Array.isArray(rule.args)) {
+    ruleErrors.push(`${where}: "args" must be an array of matchers`);
+  }
+  if (rule.options !== undefined && (typeof rule.options !== 'object' || Array.isArray(rule.options))) {
+    ruleErrors.push(`${where}: "options" must map option names to matchers`);
+  }
+
+  const args = (Array.isArray(rule.args) ? rule.args : [])
+    .map((spec, index) => compileMatcher(spec, patterns, `${where} args[${index}]`, ruleErrors));
+  const rest = rule.rest === undefined ? null : compileMatcher(rule.rest, patterns, `${where} rest`, ruleErrors);
+  const options = Object.entries(rule.options && typeof rule.options === 'object' ? rule.options : {})
+    .map(([option, spec]) => [option, compileMatcher(spec, patterns, `${where} options.${option}`, ruleErrors)]);
+
+  if (ruleErrors.length > 0) {
+    errors.push(...ruleErrors);
+    return null;
+  }
+
+  return {
+    id: rule.id,
+    effect: effect,
+    command: rule.command,
+    description: rule.description || null,
+    reason: rule.reason || null,
+    source: source,
+    definition: rule,
+    matches(command, commandArgs) {
+      if (command !== rule.command || commandArgs.length < args.length) {
+        return false;
+      }
+      if (!args.every((matcher, index) => matcher(commandArgs[index]))) {
+        return false;
+      }
+
+      const remaining = commandArgs.slice(args.length);
+      if (rest ? !remaining.every(rest) : remaining.length > 0) {
+        return false;
+      }
+
+      return options.every(([option, matcher]) =>
+        commandArgs.some((arg, index) => arg === option && index + 1 < commandArgs.length && matcher(commandArgs[index + 1])));
+    }
+  };
+}
+
+/**
+ * Override files in the order they apply
+ * @returns {Array<{path: string, scope: 'project'|'user'}>}
+ */
+function getPolicyFiles(options = {}) {
+  if (options.files) {
+    return options.files.map(file => (typeof file === 'string' ? { path: file, scope: 'user' } : file));
+  }
+
+  const files = [{ path: path.join(getInstance().get('paths.installation'), USER_POLICY_FILE), scope: 'user' }];
+  if (process.env.BUMBA_COMMAND_POLICY) {
+    files.push({ path: path.resolve(process.env.BUMBA_COMMAND_POLICY), scope: 'user' });
+  }
+  // Last, so its narrowing also applies to what user files allow
+  files.push({ path: path.join(options.cwd || process.cwd(), PROJECT_POLICY_FILE), scope: 'project' });
+  return files;
+}
+
+function readPolicyFile(filePath) {
+  const content = fs.readFileSync(filePath, 'utf8');
+  const policy = JSON.parse(content);
+
+  if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+    throw new Error('expected a JSON object');
+  }
+  if (policy.version !== POLICY_VERSION) {
+    throw new Error(`unsupported policy version ${JSON.stringify(policy.version)} (expected ${POLICY_VERSION})`);
+  }
+
+  const unknown = Object.keys(policy).filter(field => !POLICY_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    throw new Error(`unknown top-level field(s): ${unknown.join(', ')}`);
+  }
+
+  return { policy, sha256: createHash('sha256').update(content).digest('hex') };
+}
+
+/**
+ * Apply one policy file to the merged policy. Base-policy problems are fatal;
+ * override problems are collected so a bad project file is ignored rule by rule.
+ * @param {string} scope - 'base', 'user' or 'project'
+ */
+function applyPolicy(merged, policy, source, errors, scope) {
+  const isBase = scope === 'base';
+  if (scope === 'project') {
+    const widening = WIDENING_FIELDS.filter(field => policy[field] !== undefined);
+    if (widening.length > 0) {
+      errors.push(`${source}: project policy can only add deny rules and disable allow rules; ${widening.join(', ')} ignored (put them in ~/.claude/${USER_POLICY_FILE})`);
+      policy = Object.fromEntries(Object.entries(policy).filter(([field]) => !WIDENING_FIELDS.includes(field)));
+    }
+  }
+
+  for (const [name, spec] of Object.entries(policy.patterns || {})) {
+    if (merged.patterns[name] !== undefined || BUILTIN_PATTERNS[name]) {
+      errors.push(`${source}: pattern <${name}> is already defined and cannot be redefined`);
+    } else {
+      merged.patterns[name] = spec;
+    }
+  }
+
+  for (const id of policy.disable || []) {
+    if (merged.deny.some(rule => rule.id === id)) {
+      errors.push(`${source}: deny rule '${id}' cannot be disabled`);
+    } else if (!merged.allow.some(rule => rule.id === id)) {
+      errors.push(`${source}: cannot disable unknown allow rule '${id}'`);
+    } else {
+      merged.allow = merged.allow.filter(rule => rule.id !== id);
+    }
+  }
+
+  for (const effect of ['deny', 'allow']) {
+    for (const definition of policy[effect] || []) {
+      const rule = compileRule(definition, effect, merged.patterns, source, errors);
+      if (!rule) continue;
+
+      const existing = merged[effect].findIndex(candidate => candidate.id === rule.id);
+      if (existing === -1) {
+        merged[effect].push(rule);
+      } else if (effect === 'deny' || isBase) {
+        errors.push(`${source}: ${effect} rule '${rule.id}' is already defined${effect === 'deny' ? ' and deny rules cannot be replaced' : ''}`);
+      } else {
+        merged.allow[existing] = rule;
+      }
+    }
+  }
+
+  for (const [level, commands] of Object.entries(policy.permissions || {})) {
+    if (!Array.isArray(commands) || !commands.every(command => typeof command === 'string')) {
+      errors.push(`${source}: permissions.${level} must be an array of command prefixes`);
+      continue;
+    }
+    merged.permissions[level] = [...new Set([...(merged.permissions[level] || []), ...commands])];
+  }
+
+  for (const [role, capabilities] of Object.entries(policy.roles || {})) {
+    const unknown = Array.isArray(capabilities)
+      ? capabilities.filter(capability => capability !== ALL_CAPABILITIES && !merged.permissions[capability])
+      : [];
+    if (merged.roles[role]) {
+      errors.push(`${source}: role '${role}' is already defined and cannot be redefined`);
+    } else if (!Array.isArray(capabilities) || unknown.length > 0) {
+      errors.push(`${source}: roles.${role} must list permission levels (${[...Object.keys(merged.permissions), ALL_CAPABILITIES].join(', ')})`);
+    } else {
+      merged.roles[role] = capabilities;
+    }
+  }
+
+  for (const [department, role] of Object.entries(policy.departmentRoles || {})) {
+    if (!SPECIALIST_MODULES[department]) {
+      errors.push(`${source}: departmentRoles.${department} is not a department (${Object.keys(SPECIALIST_MODULES).join(', ')})`);
+    } else if (merged.departmentRoles[department]) {
+      errors.push(`${source}: department '${department}' already has role '${merged.departmentRoles[department]}'`);
+    } else if (!merged.roles[role]) {
+      errors.push(`${source}: departmentRoles.${department} refers to unknown role '${role}'`);
+    } else {
+      merged.departmentRoles[department] = role;
+    }
+  }
+
+  const specialistTypes = listSpecialistTypes().map(({ type }) => type);
+  for (const [specialist, role] of Object.entries(policy.specialistRoles || {})) {
+    if (!specialistTypes.includes(specialist)) {
+      errors.push(`${source}: specialistRoles.${specialist} is not a registered specialist type`);
+    } else if (merged.specialistRoles[specialist]) {
+      errors.push(`${source}: specialist '${specialist}' already has role '${merged.specialistRoles[specialist]}'`);
+    } else if (!merged.roles[role]) {
+      errors.push(`${source}: specialistRoles.${specialist} refers to unknown role '${role}'`);
+    } else {
+      merged.specialistRoles[specialist] = role;
+    }
+  }
+
+  if (policy.defaultRole !== undefined) {
+    if (!isBase) {
+      errors.push(`${source}: defaultRole can only be set by the base policy`);
+    } else if (!merged.roles[policy.defaultRole]) {
+      errors.push(`${source}: defaultRole refers to unknown role '${policy.defaultRole}'`);
+    } else {
+      merged.defaultRole = policy.defaultRole;
+    }
+  }
+}
+
+/**
+ * Build the effective command policy.
+ *
+ * @returns {{ allow: Object[], deny: Object[], permissions: Object, roles: Object,
+ *             departmentRoles: Object, specialistRoles: Object (every registered
+ *             specialist type), defaultRole: string, patterns: Object,
+ *             sources: Array<{path: string, sha256: string, scope: string}>, errors: string[] }}
+ */
+function loadCommandPolicy(options = {}) {
+  const basePath = options.policyPath || DEFAULT_POLICY_PATH;
+  const merged = {
+    allow: [],
+    deny: [],
+    permissions: {},
+    roles: {},
+    departmentRoles: {},
+    specialistRoles: {},
+    defaultRole: null,
+    patterns: {},
+    sources: [],
+    errors: []
+  };
+
+  const baseErrors = [];
+  try {
+    const { policy, sha256 } = readPolicyFile(basePath);
+    applyPolicy(merged, policy, basePath, baseErrors, 'base');
+    const unassigned = Object.keys(SPECIALIST_MODULES).filter(department => !merged.departmentRoles[department]);
+    if (unassigned.length > 0) {
+      baseErrors.push(`${basePath}: departmentRoles needs a role for ${unassigned.join(', ')}`);
+    }
+    merged.sources.push({ path: basePath, sha256, scope: 'base' });
+  } catch (error) {
+    baseErrors.push(`${basePath}: could not be read: ${error.message}`);
+  }
+  if (baseErrors.length > 0) {
+    throw new Error(`Invalid command policy:\n  ${baseErrors.join('\n  ')}`);
+  }
+
+  for (const { path: filePath, scope } of getPolicyFiles(options)) {
+    if (!fs.existsSync(filePath)) continue;
+
+    try {
+      const { policy, sha256 } = readPolicyFile(filePath);
+      applyPolicy(merged, policy, filePath, merged.errors, scope);
+      merged.sources.push({ path: filePath, sha256, scope });
+    } catch (error) {
+      merged.errors.push(`${filePath}: could not be read: ${error.message}`);
+    }
+  }
+
+  // Types without a role of their own take their department's
+  for (const { department, type } of listSpecialistTypes()) {
+    if (!merged.specialistRoles[type] && merged.departmentRoles[department]) {
+      merged.specialistRoles[type] = merged.departmentRoles[department];
+    }
+  }
+
+  return merged;
+}
+
+module.exports = {
+  POLICY_VERSION,
+  ALL_CAPABILITIES,
+  DEFAULT_POLICY_PATH,
+  loadCommandPolicy,
+  compileMatcher,
+  isSafePath
+};
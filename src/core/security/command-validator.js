@@ -5,22 +5,21 @@
 
 const path = require('path');
 const { createHash } = require('crypto');
+const { loadCommandPolicy, isSafePath, ALL_CAPABILITIES } = require('./command-policy');
 
 class CommandValidator {
-  constructor() {
-    // Whitelist of allowed system commands
-    this.allowedCommands = new Set([
-      'which',
-      'ping',
-      'npm',
-      'node',
-      'git',
-      'afplay',
-      'mpg123',
-      'ffplay',
-      'paplay',
-      'qlty'
-    ]);
+  /**
+   * @param {Object} options - Policy location overrides (see loadCommandPolicy)
+   */
+  constructor(options = {}) {
+    // Allowlist, deny rules and permission levels come from the reviewed policy file
+    this.policy = loadCommandPolicy(options);
+    for (const error of this.policy.errors) {
+      console.warn(`⚠️ Command policy: ${error}`);
+    }
+
+    this.allowedCommands = new Set(this.policy.allow.map(rule => rule.command));
+    this.permissions = this.policy.permissions;
 
     // Regex patterns for validation
     this.patterns = {
@@ -30,26 +29,6 @@ class CommandValidator {
       npmPackage: /^(@[a-zA-Z0-9_-]+\/)?[a-zA-Z0-9_-]+$/,
       url: /^https?:\/\/[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}(\/[a-zA-Z0-9._~:/?#[\]@!$&'()*+,;=-]*)?$/
     };
-
-    // Command-specific validators
-    this.commandValidators = {
-      which: (args) => args.length === 1 && this.patterns.command.test(args[0]),
-      ping: (args) => args.length >= 2 && args[0] === '-c' && /^\d+$/.test(args[1]),
-      npm: (args) => this.validateNpmCommand(args),
-      git: (args) => this.validateGitCommand(args),
-      afplay: (args) => args.length === 1 && this.isValidPath(args[0]),
-      mpg123: (args) => args.every(arg => arg.startsWith('-') || this.isValidPath(arg)),
-      ffplay: (args) => args.every(arg => arg.startsWith('-') || this.isValidPath(arg)),
-      paplay: (args) => args.length === 1 && this.isValidPath(args[0]),
-      qlty: (args) => this.validateQltyCommand(args)
-    };
-
-    // Permission levels
-    this.permissions = {
-      read: ['which', 'ping', 'git status', 'git log', 'npm list'],
-      write: ['git add', 'git commit', 'npm install'],
-      execute: ['npm run', 'node', 'qlty']
-    };
   }
 
   /**
@@ -57,48 +36,38 @@ class CommandValidator {
    * @param {string} command - The command to execute
    * @param {Array<string>} args - Command arguments
    * @param {Object} context - Execution context (user, permissions, etc.)
-   * @returns {Object} { valid: boolean, sanitized: { command, args }, error?: string }
+   * @returns {Object} { valid: boolean, sanitized: { command, args }, rule?: string, permission?: Object, error?: string }
    */
   validateCommand(command, args = [], context = {}) {
     try {
-      // 1. Check if command is in whitelist
-      if (!this.allowedCommands.has(command)) {
-        return {
-          valid: false,
-          error: `Command '${command}' is not allowed`
-        };
-      }
-
-      // 2. Validate command format
-      if (!this.patterns.command.test(command)) {
-        return {
-          valid: false,
-          error: 'Invalid command format'
-        };
-      }
-
-      // 3. Run command-specific validation
-      const validator = this.commandValidators[command];
-      if (validator && !validator(args)) {
+      // 1. Match against the policy: deny rules first, then allow rules
+      const decision = this.explainCommand(command, args);
+      if (!decision.allowed) {
         return {
           valid: false,
-          error: `Invalid arguments for command '${command}'`
+          rule: decision.rule ? decision.rule.id : null,
+          error: decision.reason
         };
       }
 
-      // 4. Check permissions
-      if (!this.checkPermissions(command, args, context)) {
+      // 2. Check the caller's role grants the command's permission level
+      const permission = this.checkPermissions(command, args, context);
+      if (!permission.allowed) {
         return {
           valid: false,
-          error: 'Insufficient permissions for this command'
+          rule: decision.rule.id,
+          error: permission.reason,
+          permission
         };
       }
 
-      // 5. Sanitize arguments
+      // 3. Sanitize arguments
       const sanitizedArgs = this.sanitizeArguments(args);
 
       return {
         valid: true,
+        rule: decision.rule.id,
+        permission,
         sanitized: {
           command,
           args: sanitizedArgs
@@ -113,78 +82,53 @@ class CommandValidator {
   }
 
   /**
-   * Validates npm commands
+   * Decide a command against the policy and say which rule decided it
+   * @returns {Object} { allowed, decision: 'allow'|'deny'|'no-match', rule, reason, candidates }
    */
-  validateNpmCommand(args) {
-    if (args.length === 0) return false;
-    
-    const subCommand = args[0];
-    const allowedNpmCommands = ['install', 'run', 'list', 'test', 'start'];
-    
-    if (!allowedNpmCommands.includes(subCommand)) return false;
-    
-    if (subCommand === 'install' && args.length > 1) {
-      // Validate package names
-      return args.slice(1).every(arg => 
-        arg.startsWith('-') || this.patterns.npmPackage.test(arg)
-      );
+  explainCommand(command, args = []) {
+    const describe = rule => ({
+      id: rule.id,
+      effect: rule.effect,
+      source: rule.source,
+      definition: rule.definition
+    });
+    const result = (allowed, decision, rule, reason, candidates = []) =>
+      ({ allowed, decision, command, args, rule: rule ? describe(rule) : null, reason, candidates });
+
+    if (typeof command !== 'string' || !this.patterns.command.test(command)) {
+      return result(false, 'no-match', null, 'Invalid command format');
     }
-    
-    return true;
-  }
 
-  /**
-   * Validates git commands
-   */
-  validateGitCommand(args) {
-    if (args.length === 0) return false;
-    
-    const subCommand = args[0];
-    const allowedGitCommands = ['status', 'log', 'add', 'commit', 'diff', 'branch'];
-    
-    if (!allowedGitCommands.includes(subCommand)) return false;
-    
-    if (subCommand === 'commit' && args.includes('-m')) {
-      // Ensure commit message doesn't contain shell metacharacters
-      const messageIndex = args.indexOf('-m') + 1;
-      if (messageIndex < args.length) {
-        const message = args[messageIndex];
-        return !this.containsShellMetacharacters(message);
-      }
+    const deny = this.policy.deny.find(rule => rule.matches(command, args));
+    if (deny) {
+      return result(false, 'deny', deny, `Blocked by deny rule '${deny.id}'${deny.reason ? `: ${deny.reason}` : ''}`);
     }
-    
-    return true;
-  }
 
-  /**
-   * Validates qlty commands
-   */
-  validateQltyCommand(args) {
-    const allowedQltyCommands = ['--version', 'check', 'fix', 'init'];
-    return args.length === 0 || allowedQltyCommands.includes(args[0]);
+    const allow = this.policy.allow.find(rule => rule.matches(command, args));
+    if (allow) {
+      return result(true, 'allow', allow, `Allowed by rule '${allow.id}'`);
+    }
+
+    // Rules for the same command that did not match the arguments
+    const candidates = this.policy.allow.filter(rule => rule.command === command).map(describe);
+    if (candidates.length === 0) {
+      return result(false, 'no-match', null, `Command '${command}' is not allowed`);
+    }
+    return result(false, 'no-match', null, `Invalid arguments for command '${command}': no allow rule matches`, candidates);
   }
 
   /**
    * Checks if a path is valid and safe
    */
   isValidPath(filePath) {
-    try {
-      // Prevent directory traversal
-      const normalized = path.normalize(filePath);
-      if (normalized.includes('..')) return false;
-      
-      // Check against pattern
-      return this.patterns.filePath.test(filePath);
-    } catch {
-      return false;
-    }
+    return isSafePath(filePath);
   }
 
   /**
    * Checks for shell metacharacters that could enable command injection
    */
   containsShellMetacharacters(str) {
-    const dangerous = /[;&|`$<>\\n\\r]/;
+    const dangerous = /[;&|`$<>\n\r]/;
     return dangerous.test(str);
   }
 
@@ -207,12 +151,93 @@ class CommandValidator {
   }
 
   /**
-   * Checks if user has permission to execute command
+   * Checks the caller's role against the permission level of the command.
+   * `context.role` is a role (viewer, developer, admin) or a specialist type;
+   * without one the policy's default role applies.
+   * @returns {Object} { allowed, role, capabilities, required, prefix, code?, reason? }
    */
-  checkPermissions(command, args, context) {
-    // For now, allow all validated commands
-    // In production, implement proper RBAC
-    return true;
+  checkPermissions(command, args = [], context = {}) {
+    const { role, via, capabilities } = this.resolveRole(context.role);
+    const { prefix, required } = this.classifyCommand(command, args);
+    const result = { role, via, capabilities, required, prefix };
+
+    if (!capabilities) {
+      return {
+        ...result,
+        allowed: false,
+        code: 'UNKNOWN_ROLE',
+        reason: role ? `Unknown role '${role}'` : 'No role given and the command policy has no default role'
+      };
+    }
+
+    if (capabilities.includes(ALL_CAPABILITIES)) {
+      return { ...result, allowed: true };
+    }
+
+    if (required.length === 0) {
+      return {
+        ...result,
+        allowed: false,
+        code: 'UNCLASSIFIED_COMMAND',
+        reason: `'${command}' has no permission level in the command policy; only roles granting '${ALL_CAPABILITIES}' may run it`
+      };
+    }
+
+    const missing = required.filter(level => !capabilities.includes(level));
+    if (missing.length > 0) {
+      return {
+        ...result,
+        allowed: false,
+        code: 'INSUFFICIENT_PERMISSION',
+        missing,
+        reason: `Role '${role}' lacks ${missing.join(', ')} permission required for '${prefix}'`
+      };
+    }
+
+    return { ...result, allowed: true };
+  }
+
+  /**
+   * Capabilities for a role name or specialist type
+   */
+  resolveRole(requested) {
+    const role = requested || this.policy.defaultRole;
+
+    if (role && this.policy.roles[role]) {
+      return { role, via: requested ? 'role' : 'default', capabilities: this.policy.roles[role] };
+    }
+
+    const specialistRole = role && this.policy.specialistRoles[role];
+    if (specialistRole) {
+      return { role, via: `specialist:${specialistRole}`, capabilities: this.policy.roles[specialistRole] };
+    }
+
+    return { role, via: null, capabilities: null };
+  }
+
+  /**
+   * Permission levels for a command: the longest matching prefix decides, and
+   * a prefix listed under several levels requires all of them
+   */
+  classifyCommand(command, args = []) {
+    const commandLine = [command, ...args].join(' ');
+    let prefix = null;
+    let required = [];
+
+    for (const [level, prefixes] of Object.entries(this.permissions)) {
+      for (const candidate of prefixes) {
+        if (commandLine !== candidate && !commandLine.startsWith(`${candidate} `)) continue;
+
+        if (!prefix || candidate.length > prefix.length) {
+          prefix = candidate;
+          required = [level];
+        } else if (candidate === prefix && !required.includes(level)) {
+          required.push(level);
+        }
+      }
+    }
+
+    return { prefix, required };
   }
 
   /**
@@ -0,0 +1,317 @@
+/**
+ * BUMBA Secret Scanner
+ * Finds credentials in text, files and staged diffs using rules for known
+ * credential formats plus Shannon entropy for unknown tokens.
+ *
+ * Suppressing findings:
+ * - a `bumba:allow-secret` (or `pragma: allowlist secret`) comment on the line
+ *   or the line above
+ * - a baseline file (.bumba/secrets-baseline.json) listing fingerprints of
+ *   known findings; fingerprints hash the secret, so the baseline holds none
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createHash } = require('crypto');
+
+const BASELINE_VERSION = 1;
+const MAX_FILE_BYTES = 1024 * 1024;
+const ALLOW_COMMENT = /bumba:allow-secret|pragma: allowlist secret/;
+
+/**
+ * Known credential formats. `group` names the capture holding the secret
+ * when the match also includes surrounding text.
+ */
+const SECRET_RULES = [
+  { id: 'aws-access-key-id', description: 'AWS access key ID', pattern: /\b(?:AKIA|ASIA|ABIA|ACCA)[0-9A-Z]{16}\b/g },
+  {
+    id: 'aws-secret-access-key',
+    description: 'AWS secret access key',
+    pattern: /aws.{0,20}?(?:secret|private).{0,20}?['"]?\s*[:=]\s*['"]?([A-Za-z0-9/+=]{40})(?![A-Za-z0-9/+=])/gi,
+    group: 1
+  },
+  { id: 'github-token', description: 'GitHub token', pattern: /\bgh[pousr]_[A-Za-z0-9]{36,255}\b/g },
+  { id: 'github-fine-grained-token', description: 'GitHub fine-grained token', pattern: /\bgithub_pat_[A-Za-z0-9_]{60,255}\b/g },
+  { id: 'private-key', description: 'Private key block', pattern: /-----BEGIN (?:[A-Z0-9]+ )*PRIVATE KEY(?: BLOCK)?-----/g },
+  { id: 'jwt', description: 'JSON Web Token', pattern: /\beyJ[A-Za-z0-9_-]{8,}\.eyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}/g },
+  {
+    id: 'connection-string',
+    description: 'Connection string with password',
+    pattern: /\b(?:mongodb(?:\+srv)?|postgres(?:ql)?|mysql|mariadb|redis|rediss|amqps?|mssql):\/\/[^\s:/@'"]+:([^\s@'"/]+)@[^\s'"]+/gi,
+    group: 1
+  },
+  { id: 'slack-token', description: 'Slack token', pattern: /\bxox[abposr]-[A-Za-z0-9-]{10,}\b/g },
+  { id: 'stripe-live-key', description: 'Stripe live key', pattern: /\b(?:sk|rk)_live_[A-Za-z0-9]{20,}\b/g },
+  { id: 'google-api-key', description: 'Google API key', pattern: /\bAIza[0-9A-Za-z_-]{35}\b/g },
+  { id: 'npm-token', description: 'npm access token', pattern: /\bnpm_[A-Za-z0-9]{36}\b/g },
+  {
+    id: 'authorization-header',
+    description: 'Credentials in an Authorization header',
+    pattern: /\bAuthorization:\s*(?:Bearer|Basic|Token)\s+([A-Za-z0-9._~+/=-]{8,})/gi,
+    group: 1
+  },
+  {
+    id: 'secret-assignment',
+    description: 'Secret assigned to an environment variable',
+    pattern: /\b[A-Z][A-Z0-9_]*(?:SECRET|TOKEN|PASSWORD|PASSWD|API_KEY)[A-Z0-9_]*=(['"]?)([^\s'"]{8,})\1/g,
+    group: 2
+  }
+];
+
+// Quoted literals are the candidates for entropy detection
+const QUOTED_LITERAL = /(['"`])([A-Za-z0-9+/=_.-]{20,})\1/g;
+const SECRET_CONTEXT = /key|secret|token|passw|auth|credential|private/i;
+// Subresource integrity hashes and similar checksums are high entropy by design
+const CHECKSUM_PREFIX = /^(?:sha1|sha256|sha384|sha512)-/;
+
+const ENTROPY_LIMITS = {
+  base64: { charset: /^[A-Za-z0-9+/=_-]+$/, minLength: 20, threshold: 4.5 },
+  // Hex is only suspicious next to a secret-like name; commit hashes are everywhere
+  hex: { charset: /^[a-fA-F0-9]+$/, minLength: 32, threshold: 3.0, requiresContext: true }
+};
+
+function shannonEntropy(value) {
+  const counts = {};
+  for (const char of value) {
+    counts[char] = (counts[char] || 0) + 1;
+  }
+  return Object.values(counts).reduce((entropy, count) => {
+    const p = count / value.length;
+    return entropy - p * Math.log2(p);
+  }, 0);
+}
+
+function redact(secret) {
+  return secret.length <= 8 ? '****' : `${secret.slice(0, 4)}****${secret.slice(-2)}`;
+}
+
+class SecretScanner {
+  /**
+   * @param {Object} options - { cwd, baselinePath, rules }
+   */
+  constructor(options = {}) {
+    this.cwd = options.cwd || process.cwd();
+    this.baselinePath = options.baselinePath || path.join(this.cwd, '.bumba', 'secrets-baseline.json');
+    this.rules = options.rules || SECRET_RULES;
+    this.baseline = null;
+  }
+
+  fingerprint(ruleId, secret) {
+    return createHash('sha256').update(`${ruleId}:${secret}`).digest('hex');
+  }
+
+  loadBaseline() {
+    if (this.baseline) {
+      return this.baseline;
+    }
+
+    this.baseline = new Set();
+    if (fs.existsSync(this.baselinePath)) {
+      try {
+        const baseline = JSON.parse(fs.readFileSync(this.baselinePath, 'utf8'));
+        if (baseline.version !== BASELINE_VERSION || !Array.isArray(baseline.findings)) {
+          throw new Error(`expected { "version": ${BASELINE_VERSION}, "findings": [...] }`);
+        }
+        baseline.findings.forEach(finding => this.baseline.add(finding.fingerprint));
+      } catch (error) {
+        console.warn(`⚠️ Ignoring secrets baseline ${this.baselinePath}: ${error.message}`);
+      }
+    }
+    return this.baseline;
+  }
+
+  /**
+   * Write the given findings as the new baseline, accepting them as known
+   */
+  writeBaseline(findings) {
+    const baseline = {
+      version: BASELINE_VERSION,
+      generated_at: new Date().toISOString(),
+      findings: findings.map(finding => ({
+        file: finding.file,
+        line: finding.line,
+        rule: finding.rule,
+        fingerprint: finding.fingerprint
+      }))
+    };
+
+    fs.mkdirSync(path.dirname(this.baselinePath), { recursive: true });
+    fs.writeFileSync(this.baselinePath, JSON.stringify(baseline, null, 2) + '\n');
+    this.baseline = new Set(baseline.findings.map(finding => finding.fingerprint));
+    return baseline;
+  }
+
+  /**
+   * Scan text. When the text is a fragment (e.g. the added lines of a diff),
+   * `lineNumbers` maps line indexes to real line numbers and `previousLines`
+   * holds the real line above each one (null when unknown).
+   * @returns {Array<Object>} findings with file, line, column, rule and a redacted match
+   */
+  scan(content, { file = '<content>', lineNumbers = null, previousLines = null } = {}) {
+    const baseline = this.loadBaseline();
+    const lines = String(content).split('\n');
+    const findings = [];
+
+    lines.forEach((text, index) => {
+      const previous = previousLines ? previousLines[index] : lines[index - 1];
+      if (ALLOW_COMMENT.test(text) || (previous != null && ALLOW_COMMENT.test(previous))) {
+        return;
+      }
+
+      const lineFindings = [...this.matchRules(text), ...this.matchEntropy(text)];
+      const seen = new Set();
+
+      for (const match of lineFindings) {
+        // A known-format secret is not reported again by the entropy check
+        if ([...seen].some(secret => secret.includes(match.secret) || match.secret.includes(secret))) continue;
+        seen.add(match.secret);
+
+        const fingerprint = this.fingerprint(match.rule, match.secret);
+        if (baseline.has(fingerprint)) continue;
+
+        findings.push({
+          file,
+          line: lineNumbers ? lineNumbers[index] : index + 1,
+          column: match.column + 1,
+          rule: match.rule,
+          description: match.description,
+          match: redact(match.secret),
+          entropy: match.entropy,
+          fingerprint
+        });
+      }
+    });
+
+    return findings;
+  }
+
+  /**
+   * Copy of `content` with every secret the rules or the entropy check find
+   * replaced by its redacted form. Allow comments and the baseline do not
+   * apply: this is for text that gets stored, such as audit log entries.
+   */
+  redactText(content) {
+    return String(content).split('\n').map(line => {
+      const secrets = [...this.matchRules(line), ...this.matchEntropy(line)]
+        .map(match => match.secret)
+        .sort((a, b) => b.length - a.length);
+      return secrets.reduce((text, secret) => text.split(secret).join(redact(secret)), line);
+    }).join('\n');
+  }
+
+  matchRules(text) {
+    const matches = [];
+    for (const rule of this.rules) {
+      rule.pattern.lastIndex = 0;
+      let match;
+      while ((match = rule.pattern.exec(text)) !== null) {
+        const secret = rule.group ? match[rule.group] : match[0];
+        matches.push({
+          rule: rule.id,
+          description: rule.description,
+          secret,
+          column: match.index + match[0].indexOf(secret)
+        });
+      }
+    }
+    return matches;
+  }
+
+  matchEntropy(text) {
+    const matches = [];
+    QUOTED_LITERAL.lastIndex = 0;
+    let match;
+
+    while ((match = QUOTED_LITERAL.exec(text)) !== null) {
+      const candidate = match[2];
+      if (CHECKSUM_PREFIX.test(candidate) || !/\d/.test(candidate) || !/[a-zA-Z]/.test(candidate)) continue;
+
+      const entropy = shannonEntropy(candidate);
+      for (const [kind, limit] of Object.entries(ENTROPY_LIMITS)) {
+        if (!limit.charset.test(candidate) || candidate.length < limit.minLength || entropy < limit.threshold) continue;
+        if (limit.requiresContext && !SECRET_CONTEXT.test(text)) continue;
+
+        matches.push({
+          rule: `high-entropy-${kind}`,
+          description: `High-entropy ${kind} string`,
+          secret: candidate,
+          column: match.index + 1,
+          entropy: Math.round(entropy * 100) / 100
+        });
+        break;
+      }
+    }
+    return matches;
+  }
+
+  scanFile(filePath) {
+    const resolved = path.resolve(this.cwd, filePath);
+    const stat = fs.statSync(resolved);
+    if (!stat.isFile() || stat.size > MAX_FILE_BYTES) {
+      return [];
+    }
+
+    const content = fs.readFileSync(resolved);
+    // Binary files have no lines to point at
+    if (content.includes(0)) {
+      return [];
+    }
+    return this.scan(content.toString('utf8'), { file: filePath });
+  }
+
+  /**
+   * Scan the added lines of a unified diff, reporting new-file line numbers.
+   * An allow comment on the line above only counts when the diff includes
+   * that line, as an addition or as context.
+   */
+  scanDiff(diff) {
+    const findings = [];
+    let file = null;
+    let lineNumber = 0;
+    // Last line of the new file seen in the diff, to find the line above an addition
+    let last = { number: 0, text: null };
+    let added = { text: [], lineNumbers: [], previousLines: [] };
+
+    const flush = () => {
+      if (file && added.text.length > 0) {
+        findings.push(...this.scan(added.text.join('\n'), { file, ...added }));
+      }
+      added = { text: [], lineNumbers: [], previousLines: [] };
+    };
+
+    for (const line of String(diff).split('\n')) {
+      if (line.startsWith('+++ ')) {
+        flush();
+        file = line.slice(4).replace(/^b\//, '');
+        file = file === '/dev/null' ? null : file;
+        last = { number: 0, text: null };
+        continue;
+      }
+
+      const hunk = line.match(/^@@ -\d+(?:,\d+)? \+(\d+)(?:,\d+)? @@/);
+      if (hunk) {
+        lineNumber = parseInt(hunk[1], 10);
+        continue;
+      }
+
+      if (line.startsWith('+') || line.startsWith(' ')) {
+        const text = line.slice(1);
+        if (line.startsWith('+')) {
+          added.text.push(text);
+          added.lineNumbers.push(lineNumber);
+          added.previousLines.push(last.number === lineNumber - 1 ? last.text : null);
+        }
+        last = { number: lineNumber++, text };
+      }
+    }
+    flush();
+
+    return findings;
+  }
+}
+
+module.exports = {
+  SecretScanner,
+  SECRET_RULES,
+  shannonEntropy
+};
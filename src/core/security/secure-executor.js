@@ -1,46 +1,256 @@
 /**
  * BUMBA Secure Command Executor
- * Safely executes system commands with validation and sanitization
+ * Safely executes system commands with validation and sanitization.
+ * Every run uses an execution profile that bounds its environment, working
+ * directory, output and runtime. Runs that name no profile get 'agent';
+ * the unrestricted 'trusted' profile must be requested explicitly.
  */
 
+const fs = require('fs');
+const path = require('path');
 const { spawn } = require('child_process');
 const CommandValidator = require('./command-validator');
+const { compileMatcher } = require('./command-policy');
+const { getCommandAuditLog } = require('./command-audit-log');
+
+// Variable names that look like credentials are never passed to sandboxed commands.
+// Terms match whole parts of the name, so SSH_AUTH_SOCK and SESSION_MANAGER pass.
+const SECRET_ENV_PATTERN = /(^|_)(TOKEN|SECRET|PASSW(OR)?D|API_?KEY|PRIVATE_?KEY|CREDENTIALS?|AUTH_?TOKEN|SESSION_(TOKEN|KEY|SECRET)|COOKIE|CONNECTION_STRING)(_|$)|_AUTH$/i;
+
+/**
+ * Execution profiles.
+ * - envAllowlist: variable names or globs passed through (null inherits everything)
+ * - scrubSecrets: drop credential-like variables even when allowlisted
+ * - setEnv: fixed variables for reproducible runs
+ * - jailCwd: cwd must pass validateFilePath, before and after resolving symlinks
+ * - maxOutputBytes: per stream; exceeding it kills the command
+ * - maxRuntimeMs: upper bound for the requested timeout
+ * - killGraceMs: time between SIGTERM and SIGKILL
+ */
+const EXECUTION_PROFILES = {
+  trusted: {
+    description: 'Framework-internal commands: inherited environment, no cwd jail',
+    envAllowlist: null,
+    scrubSecrets: false,
+    setEnv: {},
+    jailCwd: false,
+    maxOutputBytes: 10 * 1024 * 1024,
+    maxRuntimeMs: null,
+    killGraceMs: 5000
+  },
+  agent: {
+    description: 'Commands run on behalf of agents and specialists',
+    envAllowlist: [
+      'PATH', 'HOME', 'USER', 'LOGNAME', 'SHELL', 'TERM', 'LANG', 'LC_*', 'TZ', 'TMPDIR', 'TEMP', 'TMP', 'NODE_ENV',
+      // git over ssh and package managers behind a proxy
+      'SSH_AUTH_SOCK', 'HTTP_PROXY', 'HTTPS_PROXY', 'NO_PROXY', 'ALL_PROXY', 'http_proxy', 'https_proxy', 'no_proxy', 'all_proxy',
+      'npm_config_*', 'NPM_CONFIG_*'
+    ],
+    scrubSecrets: true,
+    setEnv: {},
+    jailCwd: true,
+    maxOutputBytes: 1024 * 1024,
+    maxRuntimeMs: 120000,
+    killGraceMs: 5000
+  },
+  strict: {
+    description: 'Minimal, reproducible environment with tight limits',
+    envAllowlist: ['PATH', 'HOME'],
+    scrubSecrets: true,
+    setEnv: { LC_ALL: 'C', TZ: 'UTC' },
+    jailCwd: true,
+    maxOutputBytes: 256 * 1024,
+    maxRuntimeMs: 30000,
+    killGraceMs: 2000
+  }
+};
 
 class SecureExecutor {
-  constructor() {
+  /**
+   * @param {Object} options - { profiles: extra or replacement profiles, defaultProfile, auditLog }
+   */
+  constructor(options = {}) {
     this.validator = new CommandValidator();
+    this.auditLog = options.auditLog || getCommandAuditLog();
     this.defaultTimeout = 30000; // 30 seconds
     this.activeProcesses = new Map();
+    this.profiles = { ...EXECUTION_PROFILES, ...(options.profiles || {}) };
+    this.defaultProfile = options.defaultProfile || 'agent';
+  }
+
+  getProfile(name = this.defaultProfile) {
+    const profile = this.profiles[name];
+    if (!profile) {
+      const error = new Error(`Unknown execution profile '${name}' (available: ${Object.keys(this.profiles).join(', ')})`);
+      error.code = 'UNKNOWN_PROFILE';
+      throw error;
+    }
+    return { name, ...EXECUTION_PROFILES.trusted, ...profile };
+  }
+
+  /**
+   * Resolve the profile, timeout, cwd and environment for one run
+   */
+  prepareSandbox(options = {}) {
+    const profile = this.getProfile(options.profile);
+    const requestedTimeout = options.timeout || this.defaultTimeout;
+
+    return {
+      profile,
+      timeout: profile.maxRuntimeMs ? Math.min(requestedTimeout, profile.maxRuntimeMs) : requestedTimeout,
+      cwd: this.resolveCwd(options.cwd || process.cwd(), profile),
+      env: this.buildEnv(options.env || process.env, profile)
+    };
+  }
+
+  resolveCwd(cwd, profile) {
+    if (!profile.jailCwd) {
+      return cwd;
+    }
+
+    const jailError = reason => {
+      const error = new Error(`Working directory ${cwd} rejected by '${profile.name}' profile: ${reason}`);
+      error.code = 'CWD_OUTSIDE_JAIL';
+      return error;
+    };
+
+    const resolved = path.resolve(cwd);
+    const validation = this.validator.validateFilePath(resolved);
+    if (!validation.valid) {
+      throw jailError(validation.error);
+    }
+
+    // A symlink inside the jail must not lead out of it
+    let realPath;
+    try {
+      realPath = fs.realpathSync(resolved);
+    } catch (error) {
+      throw jailError(error.message);
+    }
+    const realValidation = this.validator.validateFilePath(realPath);
+    if (!realValidation.valid) {
+      throw jailError(`resolves to ${realPath}: ${realValidation.error}`);
+    }
+
+    return realPath;
+  }
+
+  buildEnv(sourceEnv, profile) {
+    if (!profile.envAllowlist && !profile.scrubSecrets) {
+      return { ...sourceEnv, ...profile.setEnv };
+    }
+
+    const allowed = profile.envAllowlist ? compileMatcher(profile.envAllowlist, {}, `profile ${profile.name}`, []) : () => true;
+    const env = {};
+
+    for (const [name, value] of Object.entries(sourceEnv)) {
+      if (value === undefined || !allowed(name)) continue;
+      if (profile.scrubSecrets && SECRET_ENV_PATTERN.test(name)) continue;
+      env[name] = value;
+    }
+
+    return { ...env, ...profile.setEnv };
+  }
+
+  /**
+   * SIGTERM, then SIGKILL if the process is still alive after the grace period
+   */
+  terminate(child, graceMs = EXECUTION_PROFILES.trusted.killGraceMs) {
+    if (child.exitCode !== null || child.signalCode !== null) {
+      return;
+    }
+
+    child.kill('SIGTERM');
+    const escalation = setTimeout(() => {
+      if (child.exitCode === null && child.signalCode === null) {
+        child.kill('SIGKILL');
+      }
+    }, graceMs);
+    escalation.unref();
+    child.once('exit', () => clearTimeout(escalation));
+  }
+
+  /**
+   * Validates a command against the command policy and the role in `context`.
+   * Rejections throw with `code` COMMAND_REJECTED or PERMISSION_DENIED and the
+   * structured `permission` decision attached.
+   */
+  authorize(command, args = [], context = {}) {
+    const validation = this.validator.validateCommand(command, args, context);
+
+    if (!validation.valid) {
+      const error = new Error(`Command validation failed: ${validation.error}`);
+      error.code = validation.permission ? 'PERMISSION_DENIED' : 'COMMAND_REJECTED';
+      error.rule = validation.rule || null;
+      error.permission = validation.permission || null;
+      throw error;
+    }
+
+    return validation;
+  }
+
+  /**
+   * Authorize a command and prepare its sandbox, recording rejections in the
+   * audit log before rethrowing them
+   */
+  admit(command, args, options = {}) {
+    const context = options.context || {};
+
+    try {
+      const validation = this.authorize(command, args, context);
+      return { validation, sandbox: this.prepareSandbox(options) };
+    } catch (error) {
+      this.auditLog.record({
+        command: String(command),
+        args: this.validator.sanitizeArguments(Array.isArray(args) ? args.map(String) : []),
+        context,
+        decision: 'blocked',
+        rule: error.rule,
+        reason: error.message,
+        profile: options.profile || this.defaultProfile
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Record how an admitted command ended
+   */
+  auditCompletion(validation, sandbox, context, startedAt, outcome) {
+    this.auditLog.record({
+      command: validation.sanitized.command,
+      args: validation.sanitized.args,
+      context,
+      decision: 'allowed',
+      rule: validation.rule,
+      reason: outcome.reason,
+      profile: sandbox.profile.name,
+      exit_code: outcome.exit_code,
+      signal: outcome.signal,
+      duration_ms: Date.now() - startedAt
+    });
   }
 
   /**
    * Safely executes a command with validation
    * @param {string} command - Command to execute
    * @param {Array<string>} args - Command arguments
-   * @param {Object} options - Execution options
+   * @param {Object} options - Execution options (profile, timeout, context, cwd, env, encoding)
    * @returns {Promise<Object>} Execution result
    */
   async execute(command, args = [], options = {}) {
-    const {
-      timeout = this.defaultTimeout,
-      context = {},
-      cwd = process.cwd(),
-      env = process.env,
-      encoding = 'utf8'
-    } = options;
-
-    // Validate command
-    const validation = this.validator.validateCommand(command, args, context);
-    if (!validation.valid) {
-      throw new Error(`Command validation failed: ${validation.error}`);
-    }
+    const { context = {}, encoding = 'utf8' } = options;
 
+    // Validate command and the caller's permission before anything is spawned
+    const { validation, sandbox } = this.admit(command, args, options);
     const { sanitized } = validation;
+    const { profile, timeout, cwd, env } = sandbox;
+    const startedAt = Date.now();
 
     return new Promise((resolve, reject) => {
-      let stdout = '';
-      let stderr = '';
-      let processKilled = false;
+      const output = { stdout: [], stderr: [] };
+      const outputBytes = { stdout: 0, stderr: 0 };
+      let failure = null;
 
       // Spawn process with sanitized arguments
       const child = spawn(sanitized.command, sanitized.args, {
@@ -52,61 +262,83 @@ class SecureExecutor {
 
       // Track active process
       const processId = Date.now() + Math.random();
-      this.activeProcesses.set(processId, child);
+      this.activeProcesses.set(processId, { child, profile });
+
+      const stop = (code, message) => {
+        if (failure) return;
+        failure = { code, message };
+        this.terminate(child, profile.killGraceMs);
+      };
 
       // Setup timeout
-      const timer = setTimeout(() => {
-        processKilled = true;
-        child.kill('SIGTERM');
-        setTimeout(() => {
-          if (!child.killed) {
-            child.kill('SIGKILL');
-          }
-        }, 5000);
-      }, timeout);
-
-      // Collect stdout
-      child.stdout.on('data', (data) => {
-        stdout += data.toString(encoding);
-      });
+      const timer = setTimeout(() => stop('TIMEOUT', `Command timed out after ${timeout}ms`), timeout);
+
+      // Collect output up to the profile limit
+      const collect = stream => data => {
+        const room = profile.maxOutputBytes - outputBytes[stream];
+        outputBytes[stream] += data.length;
+        if (room > 0) {
+          output[stream].push(data.length > room ? data.subarray(0, room) : data);
+        }
+        if (outputBytes[stream] > profile.maxOutputBytes) {
+          stop('OUTPUT_LIMIT_EXCEEDED', `Command ${stream} exceeded ${profile.maxOutputBytes} bytes`);
+        }
+      };
+      child.stdout.on('data', collect('stdout'));
+      child.stderr.on('data', collect('stderr'));
 
-      // Collect stderr
-      child.stderr.on('data', (data) => {
-        stderr += data.toString(encoding);
-      });
+      const text = stream => Buffer.concat(output[stream]).toString(encoding);
 
       // Handle process completion
-      child.on('close', (code) => {
+      child.on('close', (code, signal) => {
         clearTimeout(timer);
-        this.activeProcesses.delete(processId);
+        // Spawn failures were already audited by the error handler
+        if (this.activeProcesses.delete(processId)) {
+          this.auditCompletion(validation, sandbox, context, startedAt, {
+            exit_code: code,
+            signal,
+            reason: failure ? failure.code : null
+          });
+        }
 
-        if (processKilled) {
-          reject(new Error(`Command timed out after ${timeout}ms`));
+        if (failure) {
+          const error = new Error(failure.message);
+          error.code = failure.code;
+          error.signal = signal;
+          error.profile = profile.name;
+          error.stdout = text('stdout');
+          error.stderr = text('stderr');
+          reject(error);
           return;
         }
 
         if (code !== 0) {
           const error = new Error(`Command failed with exit code ${code}`);
           error.code = code;
-          error.stderr = stderr;
-          error.stdout = stdout;
+          error.profile = profile.name;
+          error.stderr = text('stderr');
+          error.stdout = text('stdout');
           reject(error);
           return;
         }
 
         resolve({
-          stdout: stdout.trim(),
-          stderr: stderr.trim(),
+          stdout: text('stdout').trim(),
+          stderr: text('stderr').trim(),
           code,
           command: sanitized.command,
-          args: sanitized.args
+          args: sanitized.args,
+          profile: profile.name
         });
       });
 
       // Handle spawn errors
       child.on('error', (error) => {
         clearTimeout(timer);
-        this.activeProcesses.delete(processId);
+        // A process that never started has no close event to audit it
+        if (this.activeProcesses.delete(processId)) {
+          this.auditCompletion(validation, sandbox, context, startedAt, { reason: error.message });
+        }
         reject(error);
       });
     });
@@ -117,30 +349,39 @@ class SecureExecutor {
    * WARNING: Use async execute() instead when possible
    */
   executeSync(command, args = [], options = {}) {
-    const validation = this.validator.validateCommand(command, args, options.context || {});
-    if (!validation.valid) {
-      throw new Error(`Command validation failed: ${validation.error}`);
-    }
-
+    const { validation, sandbox } = this.admit(command, args, options);
     const { sanitized } = validation;
+    const { profile, timeout, cwd, env } = sandbox;
     const { spawnSync } = require('child_process');
+    const startedAt = Date.now();
 
     const result = spawnSync(sanitized.command, sanitized.args, {
-      cwd: options.cwd || process.cwd(),
-      env: options.env || process.env,
+      cwd,
+      env,
       shell: false,
       encoding: options.encoding || 'utf8',
-      timeout: options.timeout || this.defaultTimeout,
+      timeout,
+      maxBuffer: profile.maxOutputBytes,
+      // No chance to escalate from a blocking call, so limits kill outright
+      killSignal: 'SIGKILL',
       windowsHide: true
     });
 
+    this.auditCompletion(validation, sandbox, options.context || {}, startedAt, {
+      exit_code: result.status,
+      signal: result.signal,
+      reason: result.error ? result.error.code || result.error.message : null
+    });
+
     if (result.error) {
+      result.error.profile = profile.name;
       throw result.error;
     }
 
     if (result.status !== 0) {
       const error = new Error(`Command failed with exit code ${result.status}`);
       error.code = result.status;
+      error.profile = profile.name;
       error.stderr = result.stderr;
       error.stdout = result.stdout;
       throw error;
@@ -149,7 +390,8 @@ class SecureExecutor {
     return {
       stdout: (result.stdout || '').trim(),
       stderr: (result.stderr || '').trim(),
-      code: result.status
+      code: result.status,
+      profile: profile.name
     };
   }
 
@@ -183,15 +425,14 @@ class SecureExecutor {
   async cleanup() {
     const promises = [];
     
-    for (const [id, process] of this.activeProcesses) {
+    for (const { child, profile } of this.activeProcesses.values()) {
       promises.push(new Promise((resolve) => {
-        process.kill('SIGTERM');
-        setTimeout(() => {
-          if (!process.killed) {
-            process.kill('SIGKILL');
-          }
+        if (child.exitCode !== null || child.signalCode !== null) {
           resolve();
-        }, 5000);
+          return;
+        }
+        child.once('exit', resolve);
+        this.terminate(child, profile.killGraceMs);
       }));
     }
 
@@ -250,6 +491,8 @@ let instance = null;
 
 module.exports = {
   SecureExecutor,
+  EXECUTION_PROFILES,
+  SECRET_ENV_PATTERN,
   
   // Get singleton instance
   getInstance() {
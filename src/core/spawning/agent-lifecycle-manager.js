@@ -3,54 +3,66 @@
  * Manages spawning, coordination, and dissolution of specialist agents
  */
 
+const fs = require('fs').promises;
+const path = require('path');
+const { EventEmitter } = require('events');
 const { ConsciousnessLayer } = require('../consciousness/consciousness-layer');
+const { getInstance } = require('../config/bumba-config');
+const { SPECIALIST_MODULES } = require('./specialist-types');
+
+const KNOWLEDGE_STORE_VERSION = 1;
+
+// Events emitted by AgentLifecycleManager; each carries the event record as its payload
+const LIFECYCLE_EVENTS = {
+  SPAWNED: 'spawned',
+  TASK_STARTED: 'task-started',
+  TASK_COMPLETED: 'task-completed',
+  ERROR: 'error',
+  DISSOLVED: 'dissolved',
+  KNOWLEDGE_STORED: 'knowledge-stored'
+};
+
+// Set once dissolution starts, so a second request or an idle timer is a no-op
+const isDissolving = specialist => ['dissolving', 'dissolved'].includes(specialist.lifecycleState);
+
+class AgentLifecycleManager extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    const config = getInstance();
 
-class AgentLifecycleManager {
-  constructor() {
     this.activeAgents = new Map();
     this.agentRegistry = new Map();
     this.lifecycleEvents = [];
+    this.eventCounts = {};
+    this.maxLifecycleEvents = options.maxLifecycleEvents || config.get('limits.maxLifecycleEvents', 1000);
+    this.eventLogPath = options.eventLogPath || config.get('lifecycle.eventLog', null);
+    this.eventLogQueue = Promise.resolve();
     this.consciousnessLayer = new ConsciousnessLayer();
     this.performanceMonitor = new AgentPerformanceMonitor();
     this.knowledgeTransferSystem = new KnowledgeTransferSystem();
+    this.dissolutionScheduler = new DissolutionScheduler({
+      dissolve: (specialist, reason) => this.dissolveSpecialist(specialist, reason)
+    });
     
     this.initializeAgentRegistry();
     this.initializeLifecycleRules();
+
+    // Slots held by spawns that passed the limit check but are not registered yet
+    this.reservedSlots = new Map();
+    this.spawnQueue = new SpawnQueue({
+      maxSize: this.lifecycleRules.max_queued_spawns,
+      timeoutMs: this.lifecycleRules.spawn_queue_timeout_ms
+    });
   }
 
   initializeAgentRegistry() {
     // Register all available specialist types with safe fallbacks
-    this.agentRegistry.set('strategic', {
-      'market-research': this.safeRequire('../specialists/strategic/market-research-specialist'),
-      'competitive-analysis': this.safeRequire('../specialists/strategic/competitive-analysis-specialist'),
-      'business-model': this.safeRequire('../specialists/strategic/business-model-specialist'),
-      'stakeholder-comms': this.safeRequire('../specialists/strategic/stakeholder-comms-specialist'),
-      'roi-analysis': this.safeRequire('../specialists/strategic/roi-analysis-specialist'),
-      'requirements-engineering': this.safeRequire('../specialists/strategic/requirements-specialist'),
-      'product-strategy': this.safeRequire('../specialists/strategic/product-strategy-specialist')
-    });
-
-    this.agentRegistry.set('experience', {
-      'ux-research': this.safeRequire('../specialists/experience/ux-research-specialist'),
-      'ui-design': this.safeRequire('../specialists/experience/ui-design-specialist'),
-      'accessibility': this.safeRequire('../specialists/experience/accessibility-specialist'),
-      'performance-optimization': this.safeRequire('../specialists/experience/performance-specialist'),
-      'design-system': this.safeRequire('../specialists/experience/design-system-specialist'),
-      'frontend-architecture': this.safeRequire('../specialists/experience/frontend-architecture-specialist'),
-      'user-testing': this.safeRequire('../specialists/experience/user-testing-specialist'),
-      'interaction-design': this.safeRequire('../specialists/experience/interaction-design-specialist')
-    });
-
-    this.agentRegistry.set('technical', {
-      'database': this.safeRequire('../specialists/technical/database-specialist'),
-      'api-architecture': this.safeRequire('../specialists/technical/api-architecture-specialist'),
-      'security': this.safeRequire('../specialists/technical/security-specialist'),
-      'devops': this.safeRequire('../specialists/technical/devops-specialist'),
-      'performance-engineering': this.safeRequire('../specialists/technical/performance-specialist'),
-      'infrastructure': this.safeRequire('../specialists/technical/infrastructure-specialist'),
-      'microservices': this.safeRequire('../specialists/technical/microservices-specialist'),
-      'cloud-architecture': this.safeRequire('../specialists/technical/cloud-specialist')
-    });
+    for (const [department, types] of Object.entries(SPECIALIST_MODULES)) {
+      this.agentRegistry.set(department, Object.fromEntries(
+        Object.entries(types).map(([type, modulePath]) => [type, this.safeRequire(modulePath)])
+      ));
+    }
   }
 
   safeRequire(modulePath) {
@@ -98,10 +110,22 @@ class AgentLifecycleManager {
   }
 
   initializeLifecycleRules() {
+    const config = getInstance();
+    const maxActive = config.get('limits.maxActiveAgents', 10);
+    const quotas = config.get('lifecycle.departmentQuotas', {});
+    const departmentQuota = share => Math.max(1, Math.ceil(maxActive * share));
+
+    const departmentQuotas = {};
+    for (const department of this.agentRegistry.keys()) {
+      departmentQuotas[department] = departmentQuota(quotas[department] ?? quotas.default ?? 1);
+    }
+
     this.lifecycleRules = {
-      max_concurrent_specialists: 20,
-      max_department_specialists: 8,
-      idle_timeout_minutes: 30,
+      max_concurrent_specialists: maxActive,
+      max_department_specialists: departmentQuotas,
+      max_queued_spawns: config.get('lifecycle.maxQueuedSpawns', 100),
+      spawn_queue_timeout_ms: config.get('lifecycle.spawnQueueTimeoutMs', 120000),
+      idle_timeout_minutes: config.get('lifecycle.idleTimeoutMinutes.default', 30),
       max_task_duration_hours: 8,
       knowledge_transfer_required: true,
       consciousness_validation_required: true,
@@ -115,23 +139,41 @@ class AgentLifecycleManager {
     // Validate spawn request
     await this.validateSpawnRequest(department, specialistType, context);
 
-    // Check resource limits
-    await this.checkResourceLimits(department);
+    // Wait for a slot within the global and department limits
+    await this.acquireSpawnSlot(department, specialistType, context);
 
-    // Create specialist instance
-    const specialist = await this.createSpecialistInstance(department, specialistType, context, manager);
+    let specialist;
+    try {
+      // Create specialist instance
+      specialist = await this.createSpecialistInstance(department, specialistType, context, manager);
 
-    // Register and track specialist
-    await this.registerSpecialist(specialist, manager);
+      // Start from what earlier specialists of this type learned
+      await this.knowledgeTransferSystem.seedSpecialist(specialist);
 
-    // Initialize specialist with consciousness layer
-    await this.initializeSpecialistConsciousness(specialist);
+      // Register and track specialist
+      await this.registerSpecialist(specialist, manager);
+
+      // Initialize specialist with consciousness layer
+      await this.initializeSpecialistConsciousness(specialist);
+    } catch (error) {
+      if (specialist && this.activeAgents.has(specialist.id)) {
+        await this.unregisterSpecialist(specialist);
+      }
+      await this.logLifecycleEvent(LIFECYCLE_EVENTS.ERROR, specialist || { id: null, type: specialistType, department }, {
+        stage: 'spawn',
+        error: error.message
+      });
+      throw error;
+    } finally {
+      // The slot is now either held by the registered specialist or free again
+      this.releaseSpawnSlot(department);
+    }
 
     // Start performance monitoring
     this.performanceMonitor.startMonitoring(specialist);
 
     // Log spawning event
-    await this.logLifecycleEvent('spawn', specialist);
+    await this.logLifecycleEvent(LIFECYCLE_EVENTS.SPAWNED, specialist);
 
     console.log(`🏁 ${specialistType} specialist spawned successfully with ID: ${specialist.id}`);
 
@@ -159,22 +201,78 @@ class AgentLifecycleManager {
     return true;
   }
 
-  async checkResourceLimits(department) {
-    const totalActive = this.activeAgents.size;
-    const departmentActive = Array.from(this.activeAgents.values())
-      .filter(agent => agent.department === department).length;
+  checkResourceLimits(department) {
+    let reserved = 0;
+    for (const count of this.reservedSlots.values()) {
+      reserved += count;
+    }
 
-    if (totalActive >= this.lifecycleRules.max_concurrent_specialists) {
-      throw new Error(`Maximum concurrent specialists limit reached: ${this.lifecycleRules.max_concurrent_specialists}`);
+    const totalActive = this.activeAgents.size + reserved;
+    const departmentActive = this.getSpecialistsByDepartment(department).length
+      + (this.reservedSlots.get(department) || 0);
+
+    return totalActive < this.lifecycleRules.max_concurrent_specialists
+      && departmentActive < this.getDepartmentQuota(department);
+  }
+
+  getDepartmentQuota(department) {
+    const quota = this.lifecycleRules.max_department_specialists[department]
+      ?? this.lifecycleRules.max_concurrent_specialists;
+    return Math.min(quota, this.lifecycleRules.max_concurrent_specialists);
+  }
+
+  async acquireSpawnSlot(department, specialistType, context = {}) {
+    // Anyone already waiting gets first pick of free slots
+    this.drainSpawnQueue();
+
+    if (this.checkResourceLimits(department)) {
+      this.reserveSpawnSlot(department);
+      return true;
     }
 
-    if (departmentActive >= this.lifecycleRules.max_department_specialists) {
-      throw new Error(`Maximum department specialists limit reached for ${department}: ${this.lifecycleRules.max_department_specialists}`);
+    if (context.queue === false) {
+      throw new Error(`Specialist limit reached for ${department}: ${this.getDepartmentQuota(department)} per department, ${this.lifecycleRules.max_concurrent_specialists} total`);
     }
 
+    console.log(`🏁 ${department} at capacity, queueing ${specialistType} specialist (priority: ${this.spawnQueue.normalizePriority(context.priority)})`);
+
+    // Resolves once drainSpawnQueue has reserved a slot for this request
+    await this.spawnQueue.enqueue(department, specialistType, context.priority);
     return true;
   }
 
+  reserveSpawnSlot(department) {
+    this.reservedSlots.set(department, (this.reservedSlots.get(department) || 0) + 1);
+  }
+
+  releaseSpawnSlot(department) {
+    const reserved = (this.reservedSlots.get(department) || 0) - 1;
+    if (reserved > 0) {
+      this.reservedSlots.set(department, reserved);
+    } else {
+      this.reservedSlots.delete(department);
+    }
+
+    this.drainSpawnQueue();
+  }
+
+  drainSpawnQueue() {
+    let request;
+    while ((request = this.spawnQueue.takeNext(department => this.checkResourceLimits(department)))) {
+      this.reserveSpawnSlot(request.department);
+      request.resolve(true);
+    }
+  }
+
+  getSpawnQueueStatus() {
+    return {
+      ...this.spawnQueue.getStatus(),
+      active: this.activeAgents.size,
+      max_concurrent: this.lifecycleRules.max_concurrent_specialists,
+      department_quotas: { ...this.lifecycleRules.max_department_specialists }
+    };
+  }
+
   async createSpecialistInstance(department, specialistType, context, manager) {
     const SpecialistClass = this.agentRegistry.get(department)[specialistType];
     
@@ -231,27 +329,46 @@ class AgentLifecycleManager {
   }
 
   async dissolveSpecialist(specialist, reason = 'task_completed') {
+    // Each specialist is dissolved once, whoever asks first
+    if (isDissolving(specialist)) {
+      return false;
+    }
+
     console.log(`🏁 Dissolving ${specialist.type} specialist (${reason})`);
 
-    // Validate dissolution is appropriate
-    await this.validateDissolution(specialist, reason);
+    const previousState = specialist.lifecycleState;
+    specialist.lifecycleState = 'dissolving';
+    this.dissolutionScheduler.cancelAutoDissolution(specialist);
 
-    // Perform knowledge transfer
-    if (this.lifecycleRules.knowledge_transfer_required) {
-      await this.performKnowledgeTransfer(specialist);
-    }
+    try {
+      // Validate dissolution is appropriate
+      await this.validateDissolution(specialist, reason);
+
+      // Perform knowledge transfer
+      if (this.lifecycleRules.knowledge_transfer_required) {
+        await this.performKnowledgeTransfer(specialist);
+      }
+
+      // Stop performance monitoring
+      this.performanceMonitor.stopMonitoring(specialist);
 
-    // Stop performance monitoring
-    this.performanceMonitor.stopMonitoring(specialist);
+      // Unregister specialist while the manager reference is still set
+      await this.unregisterSpecialist(specialist);
 
-    // Clean up resources
-    await this.cleanupSpecialistResources(specialist);
+      // Hand the freed slot to the next queued spawn
+      this.drainSpawnQueue();
+
+      // Clean up resources
+      await this.cleanupSpecialistResources(specialist);
+    } catch (error) {
+      specialist.lifecycleState = previousState;
+      throw error;
+    }
 
-    // Unregister specialist
-    await this.unregisterSpecialist(specialist);
+    specialist.lifecycleState = 'dissolved';
 
     // Log dissolution event
-    await this.logLifecycleEvent('dissolve', specialist, reason);
+    await this.logLifecycleEvent(LIFECYCLE_EVENTS.DISSOLVED, specialist, { reason });
 
     console.log(`🏁 ${specialist.type} specialist dissolved successfully`);
 
@@ -283,7 +400,15 @@ class AgentLifecycleManager {
     }
 
     // Store knowledge in long-term memory
-    await this.knowledgeTransferSystem.storeKnowledge(specialist, knowledge);
+    const stored = await this.knowledgeTransferSystem.storeKnowledge(specialist, knowledge);
+
+    await this.logLifecycleEvent(LIFECYCLE_EVENTS.KNOWLEDGE_STORED, specialist, {
+      revision: stored.revision,
+      insights: knowledge.insights_generated.length,
+      patterns: knowledge.patterns_learned.length,
+      best_practices: knowledge.best_practices.length,
+      tasks_completed: knowledge.tasks_completed
+    });
 
     return knowledge;
   }
@@ -306,6 +431,29 @@ class AgentLifecycleManager {
     return true;
   }
 
+  async cleanupTools(tools) {
+    // Tools are MCP server names shared across specialists; release any per-specialist handles
+    for (const tool of tools) {
+      if (tool && typeof tool.release === 'function') {
+        await tool.release();
+      }
+    }
+    return true;
+  }
+
+  async cleanupTemporaryFiles(files) {
+    for (const file of files) {
+      try {
+        await fs.unlink(file);
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          console.error(`🏁 Could not remove temporary file ${file}: ${error.message}`);
+        }
+      }
+    }
+    return true;
+  }
+
   async unregisterSpecialist(specialist) {
     // Remove from active agents
     this.activeAgents.delete(specialist.id);
@@ -316,38 +464,25 @@ class AgentLifecycleManager {
     }
 
     // Cancel auto-dissolution timer
-    if (specialist.autoDissolutionTimer) {
-      clearTimeout(specialist.autoDissolutionTimer);
-    }
+    this.dissolutionScheduler.cancelAutoDissolution(specialist);
 
     return true;
   }
 
   scheduleAutoDissolution(specialist) {
-    const timeoutMs = this.lifecycleRules.idle_timeout_minutes * 60 * 1000;
-    
-    specialist.autoDissolutionTimer = setTimeout(async () => {
-      try {
-        const idleTime = Date.now() - specialist.lastActivity;
-        const idleMinutes = idleTime / (60 * 1000);
-        
-        if (idleMinutes >= this.lifecycleRules.idle_timeout_minutes) {
-          await this.dissolveSpecialist(specialist, 'idle_timeout');
-        }
-      } catch (error) {
-        console.error(`🏁 Error in auto-dissolution: ${error.message}`);
-      }
-    }, timeoutMs);
+    this.dissolutionScheduler.scheduleAutoDissolution(specialist);
   }
 
   updateSpecialistActivity(specialist) {
-    specialist.lastActivity = Date.now();
-    
-    // Reset auto-dissolution timer
-    if (specialist.autoDissolutionTimer) {
-      clearTimeout(specialist.autoDissolutionTimer);
-      this.scheduleAutoDissolution(specialist);
-    }
+    // Activity resets the idle timer
+    this.dissolutionScheduler.recordActivity(specialist);
+  }
+
+  shutdown() {
+    const cancelled = this.dissolutionScheduler.cancelAll();
+    const rejected = this.spawnQueue.rejectAll(new Error('Lifecycle manager shut down before a spawn slot became free'));
+    console.log(`🏁 Lifecycle manager stopped, ${cancelled} idle timer(s) cancelled, ${rejected} queued spawn(s) rejected`);
+    return cancelled;
   }
 
   generateSpecialistId(department, specialistType) {
@@ -356,25 +491,120 @@ class AgentLifecycleManager {
     return `${department}-${specialistType}-${timestamp}-${random}`;
   }
 
-  async logLifecycleEvent(eventType, specialist, reason = null) {
+  // Called by specialists around each task so subscribers see the work, not just spawn and dissolve
+  async recordTaskStarted(specialist, task) {
+    return await this.logLifecycleEvent(LIFECYCLE_EVENTS.TASK_STARTED, specialist, {
+      task: this.describeTask(task)
+    });
+  }
+
+  async recordTaskCompleted(specialist, task, startedAt) {
+    return await this.logLifecycleEvent(LIFECYCLE_EVENTS.TASK_COMPLETED, specialist, {
+      task: this.describeTask(task),
+      duration_ms: startedAt ? Date.now() - startedAt : null,
+      tasks_completed: specialist.tasksCompleted || 0
+    });
+  }
+
+  async recordTaskFailed(specialist, task, error) {
+    return await this.logLifecycleEvent(LIFECYCLE_EVENTS.ERROR, specialist, {
+      stage: 'task',
+      task: this.describeTask(task),
+      error: error.message
+    });
+  }
+
+  describeTask(task) {
+    if (!task) return '';
+    return typeof task === 'string' ? task : (task.description || '');
+  }
+
+  async logLifecycleEvent(eventType, specialist, details = {}) {
     const event = {
       type: eventType,
       specialist_id: specialist.id,
       specialist_type: specialist.type,
       department: specialist.department,
       timestamp: new Date().toISOString(),
-      reason: reason,
-      consciousness_validation: true
+      reason: details.reason || null,
+      consciousness_validation: true,
+      ...details
     };
 
     this.lifecycleEvents.push(event);
+    if (this.lifecycleEvents.length > this.maxLifecycleEvents) {
+      this.lifecycleEvents.splice(0, this.lifecycleEvents.length - this.maxLifecycleEvents);
+    }
+    this.eventCounts[eventType] = (this.eventCounts[eventType] || 0) + 1;
 
-    // In production, this would log to monitoring system
     console.log(`🏁 Lifecycle event: ${eventType} - ${specialist.type} specialist`);
 
+    this.emitLifecycleEvent(event);
+
+    if (this.eventLogPath) {
+      this.appendEventLog(event);
+    }
+
     return event;
   }
 
+  emitLifecycleEvent(event) {
+    // 'error' throws on an EventEmitter without listeners; failures are already logged
+    if (event.type !== LIFECYCLE_EVENTS.ERROR || this.listenerCount(LIFECYCLE_EVENTS.ERROR) > 0) {
+      this.emit(event.type, event);
+    }
+    this.emit('lifecycle-event', event);
+  }
+
+  appendEventLog(event) {
+    const line = JSON.stringify(event) + '\n';
+
+    this.eventLogQueue = this.eventLogQueue.then(async () => {
+      try {
+        await fs.mkdir(path.dirname(this.eventLogPath), { recursive: true });
+        await fs.appendFile(this.eventLogPath, line, 'utf8');
+      } catch (error) {
+        console.error(`🏁 Could not write lifecycle event log: ${error.message}`);
+      }
+    });
+
+    return this.eventLogQueue;
+  }
+
+  async flushEventLog() {
+    await this.eventLogQueue;
+  }
+
+  /**
+   * Re-emit the events recorded in a JSONL event log, in order, so a
+   * dashboard subscribing late can rebuild its view. Replayed events are
+   * flagged and are not written back to the log.
+   */
+  async replayEventLog(filePath = this.eventLogPath) {
+    if (!filePath) {
+      throw new Error('No lifecycle event log configured');
+    }
+
+    const content = await fs.readFile(filePath, 'utf8');
+    const events = [];
+
+    for (const line of content.split('\n')) {
+      if (!line.trim()) continue;
+
+      try {
+        events.push({ ...JSON.parse(line), replayed: true });
+      } catch (error) {
+        console.error(`🏁 Skipping malformed lifecycle event: ${error.message}`);
+      }
+    }
+
+    for (const event of events) {
+      this.emitLifecycleEvent(event);
+    }
+
+    return events;
+  }
+
   getActiveSpecialists() {
     return Array.from(this.activeAgents.values());
   }
@@ -385,14 +615,17 @@ class AgentLifecycleManager {
   }
 
   getLifecycleMetrics() {
-    const totalSpawned = this.lifecycleEvents.filter(e => e.type === 'spawn').length;
-    const totalDissolved = this.lifecycleEvents.filter(e => e.type === 'dissolve').length;
+    const totalSpawned = this.eventCounts[LIFECYCLE_EVENTS.SPAWNED] || 0;
+    const totalDissolved = this.eventCounts[LIFECYCLE_EVENTS.DISSOLVED] || 0;
     const currentlyActive = this.activeAgents.size;
 
     return {
       total_spawned: totalSpawned,
       total_dissolved: totalDissolved,
+      tasks_completed: this.eventCounts[LIFECYCLE_EVENTS.TASK_COMPLETED] || 0,
+      errors: this.eventCounts[LIFECYCLE_EVENTS.ERROR] || 0,
       currently_active: currentlyActive,
+      queued_spawns: this.spawnQueue.size,
       department_distribution: this.getDepartmentDistribution(),
       average_lifespan: this.calculateAverageLifespan(),
       consciousness_compliance: '100%'
@@ -410,13 +643,13 @@ class AgentLifecycleManager {
   }
 
   calculateAverageLifespan() {
-    const dissolvedEvents = this.lifecycleEvents.filter(e => e.type === 'dissolve');
+    const dissolvedEvents = this.lifecycleEvents.filter(e => e.type === LIFECYCLE_EVENTS.DISSOLVED);
     
     if (dissolvedEvents.length === 0) return 0;
 
     const lifespans = dissolvedEvents.map(event => {
       const spawnEvent = this.lifecycleEvents.find(e => 
-        e.type === 'spawn' && e.specialist_id === event.specialist_id
+        e.type === LIFECYCLE_EVENTS.SPAWNED && e.specialist_id === event.specialist_id
       );
       
       if (spawnEvent) {
@@ -431,6 +664,226 @@ class AgentLifecycleManager {
   }
 }
 
+/**
+ * Idle tracking for spawned specialists. Each specialist has one timer that
+ * activity resets; when it expires the specialist is dissolved through the
+ * supplied callback so knowledge transfer still runs.
+ */
+class DissolutionScheduler {
+  constructor(options = {}) {
+    this.dissolve = options.dissolve || this.dissolveThroughManager;
+    this.idleTimeoutMinutes = options.idleTimeoutMinutes
+      || getInstance().get('lifecycle.idleTimeoutMinutes');
+    this.scheduledDissolutions = new Map();
+  }
+
+  getIdleTimeoutMs(specialist) {
+    const minutes = this.idleTimeoutMinutes[specialist.department] ?? this.idleTimeoutMinutes.default;
+    return minutes * 60 * 1000;
+  }
+
+  scheduleAutoDissolution(specialist, from = specialist.lastActivity || Date.now()) {
+    this.cancelAutoDissolution(specialist);
+
+    const deadline = from + this.getIdleTimeoutMs(specialist);
+    const timer = setTimeout(() => this.handleIdleTimeout(specialist), Math.max(deadline - Date.now(), 0));
+
+    // Idle timers should never keep the process alive on their own
+    if (timer.unref) {
+      timer.unref();
+    }
+
+    this.scheduledDissolutions.set(specialist.id, { timer, specialist, deadline });
+  }
+
+  recordActivity(specialist) {
+    specialist.lastActivity = Date.now();
+
+    if (this.scheduledDissolutions.has(specialist.id)) {
+      this.scheduleAutoDissolution(specialist);
+    }
+  }
+
+  async handleIdleTimeout(specialist) {
+    this.scheduledDissolutions.delete(specialist.id);
+
+    // Already on its way out
+    if (isDissolving(specialist)) {
+      return;
+    }
+
+    // Still working: give it a full idle window from now
+    if (specialist.lifecycleState === 'active' || specialist.currentTask) {
+      this.scheduleAutoDissolution(specialist, Date.now());
+      return;
+    }
+
+    // Activity recorded without a timer reset: wait out the remainder
+    if (Date.now() - specialist.lastActivity < this.getIdleTimeoutMs(specialist)) {
+      this.scheduleAutoDissolution(specialist);
+      return;
+    }
+
+    console.log(`🏁 Auto-dissolving idle specialist: ${specialist.type}`);
+
+    try {
+      await this.dissolve(specialist, 'idle_timeout');
+    } catch (error) {
+      console.error(`🏁 Error in auto-dissolution: ${error.message}`);
+    }
+  }
+
+  async dissolveThroughManager(specialist, reason) {
+    if (specialist.manager && typeof specialist.manager.dissolveSpecialist === 'function') {
+      return await specialist.manager.dissolveSpecialist(specialist, reason);
+    }
+    throw new Error(`No dissolver available for ${specialist.type} specialist`);
+  }
+
+  cancelAutoDissolution(specialist) {
+    const scheduled = this.scheduledDissolutions.get(specialist.id);
+    if (scheduled) {
+      clearTimeout(scheduled.timer);
+      this.scheduledDissolutions.delete(specialist.id);
+    }
+  }
+
+  cancelAll() {
+    const cancelled = this.scheduledDissolutions.size;
+
+    for (const { timer } of this.scheduledDissolutions.values()) {
+      clearTimeout(timer);
+    }
+    this.scheduledDissolutions.clear();
+
+    return cancelled;
+  }
+
+  getScheduledDissolutions() {
+    return Array.from(this.scheduledDissolutions.values()).map(({ specialist, deadline }) => ({
+      specialist_id: specialist.id,
+      specialist_type: specialist.type,
+      department: specialist.department,
+      dissolves_at: new Date(deadline).toISOString()
+    }));
+  }
+}
+
+const SPAWN_PRIORITIES = ['critical', 'high', 'normal', 'low'];
+
+/**
+ * Spawn requests waiting for a free slot. Requests are served by priority and
+ * first-in-first-out within a priority; a request whose department is at its
+ * quota is skipped without losing its place, so other departments keep moving.
+ */
+class SpawnQueue {
+  constructor(options = {}) {
+    this.maxSize = options.maxSize || 100;
+    this.timeoutMs = options.timeoutMs || 0;
+    this.queues = new Map(SPAWN_PRIORITIES.map(priority => [priority, []]));
+    this.sequence = 0;
+  }
+
+  normalizePriority(priority) {
+    return SPAWN_PRIORITIES.includes(priority) ? priority : 'normal';
+  }
+
+  get size() {
+    let size = 0;
+    for (const queue of this.queues.values()) {
+      size += queue.length;
+    }
+    return size;
+  }
+
+  enqueue(department, specialistType, priority) {
+    if (this.size >= this.maxSize) {
+      throw new Error(`Spawn queue is full (${this.maxSize} waiting requests)`);
+    }
+
+    return new Promise((resolve, reject) => {
+      const request = {
+        id: ++this.sequence,
+        department,
+        specialist_type: specialistType,
+        priority: this.normalizePriority(priority),
+        enqueued_at: Date.now(),
+        resolve,
+        reject,
+        timer: null
+      };
+
+      if (this.timeoutMs > 0) {
+        request.timer = setTimeout(() => {
+          this.remove(request);
+          reject(new Error(`Timed out after ${this.timeoutMs}ms waiting for a ${department} specialist slot`));
+        }, this.timeoutMs);
+
+        if (request.timer.unref) {
+          request.timer.unref();
+        }
+      }
+
+      this.queues.get(request.priority).push(request);
+    });
+  }
+
+  // Removes and returns the first request, in priority then arrival order, that canStart accepts
+  takeNext(canStart) {
+    for (const priority of SPAWN_PRIORITIES) {
+      const queue = this.queues.get(priority);
+      const index = queue.findIndex(request => canStart(request.department));
+
+      if (index !== -1) {
+        const [request] = queue.splice(index, 1);
+        clearTimeout(request.timer);
+        return request;
+      }
+    }
+    return null;
+  }
+
+  remove(request) {
+    const queue = this.queues.get(request.priority);
+    const index = queue.indexOf(request);
+    if (index !== -1) {
+      queue.splice(index, 1);
+    }
+  }
+
+  rejectAll(error) {
+    let rejected = 0;
+
+    for (const queue of this.queues.values()) {
+      for (const request of queue.splice(0)) {
+        clearTimeout(request.timer);
+        request.reject(error);
+        rejected++;
+      }
+    }
+
+    return rejected;
+  }
+
+  getStatus() {
+    const byPriority = {};
+    const byDepartment = {};
+
+    for (const [priority, queue] of this.queues) {
+      byPriority[priority] = queue.length;
+      for (const request of queue) {
+        byDepartment[request.department] = (byDepartment[request.department] || 0) + 1;
+      }
+    }
+
+    return {
+      queued: this.size,
+      by_priority: byPriority,
+      by_department: byDepartment
+    };
+  }
+}
+
 class AgentPerformanceMonitor {
   constructor() {
     this.performanceData = new Map();
@@ -489,20 +942,36 @@ class AgentPerformanceMonitor {
   }
 }
 
+/**
+ * Knowledge extracted from dissolved specialists, persisted per department
+ * and specialist type under ~/.claude/knowledge so new specialists of the
+ * same type start from what earlier ones learned.
+ */
 class KnowledgeTransferSystem {
-  constructor() {
+  constructor(options = {}) {
+    const config = getInstance();
+
+    this.storeDir = options.storeDir || config.get('paths.knowledge');
+    this.maxEntries = options.maxEntries || config.get('limits.maxKnowledgeEntries', 50);
+    this.maxItems = options.maxItems || config.get('limits.maxKnowledgeItems', 100);
+
     this.knowledgeStore = new Map();
+    this.writeQueue = Promise.resolve();
   }
 
   async extractKnowledge(specialist) {
+    const inherited = specialist.inheritedKnowledge || {};
+    const ownItems = (items, field) => this.excludeItems(items || [], inherited[field] || []);
+
     const knowledge = {
       specialist_type: specialist.type,
       department: specialist.department,
       expertise_gained: specialist.expertise || {},
-      insights_generated: specialist.insights || [],
-      patterns_learned: specialist.patterns || [],
-      best_practices: specialist.bestPractices || [],
-      consciousness_insights: specialist.consciousnessInsights || [],
+      insights_generated: ownItems(specialist.insights, 'insights'),
+      patterns_learned: ownItems(specialist.patterns, 'patterns'),
+      best_practices: ownItems(specialist.bestPractices, 'bestPractices'),
+      consciousness_insights: ownItems(specialist.consciousnessInsights, 'consciousnessInsights'),
+      tasks_completed: specialist.tasksCompleted || 0,
       extracted_at: new Date().toISOString()
     };
 
@@ -510,31 +979,159 @@ class KnowledgeTransferSystem {
   }
 
   async storeKnowledge(specialist, knowledge) {
-    const key = `${specialist.department}-${specialist.type}`;
-    
-    if (!this.knowledgeStore.has(key)) {
-      this.knowledgeStore.set(key, []);
+    const record = await this.loadRecord(specialist.department, specialist.type);
+
+    record.revision++;
+    record.entries.push({
+      ...knowledge,
+      revision: record.revision,
+      insights_generated: knowledge.insights_generated.slice(-this.maxItems),
+      patterns_learned: knowledge.patterns_learned.slice(-this.maxItems),
+      best_practices: knowledge.best_practices.slice(-this.maxItems),
+      consciousness_insights: knowledge.consciousness_insights.slice(-this.maxItems)
+    });
+
+    this.pruneRecord(record);
+    await this.saveRecord(record);
+
+    return { revision: record.revision, entries: record.entries.length };
+  }
+
+  async getKnowledge(department, specialistType) {
+    const record = await this.loadRecord(department, specialistType);
+    return record.entries;
+  }
+
+  /**
+   * Give a newly spawned specialist the accumulated learnings of its type.
+   * Inherited items are remembered so they are not extracted again on dissolve.
+   */
+  async seedSpecialist(specialist) {
+    const entries = await this.getKnowledge(specialist.department, specialist.type);
+    if (entries.length === 0) {
+      return null;
     }
-    
-    this.knowledgeStore.get(key).push(knowledge);
-    
-    // Limit stored knowledge to prevent memory growth
-    const stored = this.knowledgeStore.get(key);
-    if (stored.length > 100) {
-      stored.splice(0, stored.length - 100);
+
+    const inherited = {
+      insights: this.mergeItems(entries, 'insights_generated'),
+      patterns: this.mergeItems(entries, 'patterns_learned'),
+      bestPractices: this.mergeItems(entries, 'best_practices'),
+      consciousnessInsights: this.mergeItems(entries, 'consciousness_insights')
+    };
+
+    for (const [field, items] of Object.entries(inherited)) {
+      specialist[field] = [...items, ...(specialist[field] || [])];
     }
 
-    return true;
+    specialist.inheritedKnowledge = inherited;
+    specialist.knowledgeRevision = entries[entries.length - 1].revision;
+
+    return inherited;
   }
 
-  async getKnowledge(department, specialistType) {
+  // Newest entries first, deduplicated, capped at maxItems
+  mergeItems(entries, field) {
+    const seen = new Set();
+    const merged = [];
+
+    for (let i = entries.length - 1; i >= 0 && merged.length < this.maxItems; i--) {
+      for (const item of entries[i][field] || []) {
+        const key = JSON.stringify(item);
+        if (!seen.has(key) && merged.length < this.maxItems) {
+          seen.add(key);
+          merged.push(item);
+        }
+      }
+    }
+
+    return merged;
+  }
+
+  excludeItems(items, excluded) {
+    const excludedKeys = new Set(excluded.map(item => JSON.stringify(item)));
+    return items.filter(item => !excludedKeys.has(JSON.stringify(item)));
+  }
+
+  pruneRecord(record) {
+    // Entries that taught nothing beyond static expertise are not worth keeping
+    record.entries = record.entries.filter((entry, index) =>
+      index === record.entries.length - 1
+      || entry.insights_generated.length > 0
+      || entry.patterns_learned.length > 0
+      || entry.best_practices.length > 0
+      || entry.consciousness_insights.length > 0);
+
+    if (record.entries.length > this.maxEntries) {
+      record.entries.splice(0, record.entries.length - this.maxEntries);
+    }
+  }
+
+  async loadRecord(department, specialistType) {
     const key = `${department}-${specialistType}`;
-    return this.knowledgeStore.get(key) || [];
+
+    if (!this.knowledgeStore.has(key)) {
+      this.knowledgeStore.set(key, this.readRecord(department, specialistType));
+    }
+
+    return this.knowledgeStore.get(key);
+  }
+
+  async readRecord(department, specialistType) {
+    const empty = {
+      version: KNOWLEDGE_STORE_VERSION,
+      department,
+      specialist_type: specialistType,
+      revision: 0,
+      entries: []
+    };
+
+    try {
+      const record = JSON.parse(await fs.readFile(this.getRecordPath(department, specialistType), 'utf8'));
+
+      if (record.version !== KNOWLEDGE_STORE_VERSION) {
+        console.log(`🏁 Ignoring ${department}/${specialistType} knowledge from store version ${record.version}`);
+        return empty;
+      }
+
+      return record;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.log(`🏁 Knowledge store unreadable for ${department}/${specialistType}: ${error.message}`);
+      }
+      return empty;
+    }
+  }
+
+  async saveRecord(record) {
+    // Chain writes so concurrent dissolutions never interleave on disk
+    this.writeQueue = this.writeQueue.then(async () => {
+      const filePath = this.getRecordPath(record.department, record.specialist_type);
+      const tempPath = `${filePath}.${process.pid}.tmp`;
+
+      try {
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.writeFile(tempPath, JSON.stringify(record, null, 2));
+        await fs.rename(tempPath, filePath);
+      } catch (error) {
+        console.log(`🏁 Failed to persist specialist knowledge: ${error.message}`);
+      }
+    });
+
+    return this.writeQueue;
+  }
+
+  getRecordPath(department, specialistType) {
+    const safe = value => String(value).replace(/[^a-zA-Z0-9_-]/g, '_');
+    return path.join(this.storeDir, safe(department), `${safe(specialistType)}.json`);
   }
 }
 
 module.exports = {
   AgentLifecycleManager,
+  LIFECYCLE_EVENTS,
+  DissolutionScheduler,
+  SpawnQueue,
+  SPAWN_PRIORITIES,
   AgentPerformanceMonitor,
   KnowledgeTransferSystem
 };
\ No newline at end of file
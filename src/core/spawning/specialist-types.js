@@ -0,0 +1,52 @@
+/**
+ * BUMBA Specialist Types
+ * The specialist types each department can spawn and the modules that
+ * implement them. AgentLifecycleManager builds its registry from this list,
+ * and the command policy assigns every type listed here a role.
+ */
+
+// Module paths are relative to src/core/spawning/
+const SPECIALIST_MODULES = {
+  strategic: {
+    'market-research': '../specialists/strategic/market-research-specialist',
+    'competitive-analysis': '../specialists/strategic/competitive-analysis-specialist',
+    'business-model': '../specialists/strategic/business-model-specialist',
+    'stakeholder-comms': '../specialists/strategic/stakeholder-comms-specialist',
+    'roi-analysis': '../specialists/strategic/roi-analysis-specialist',
+    'requirements-engineering': '../specialists/strategic/requirements-specialist',
+    'product-strategy': '../specialists/strategic/product-strategy-specialist'
+  },
+  experience: {
+    'ux-research': '../specialists/experience/ux-research-specialist',
+    'ui-design': '../specialists/experience/ui-design-specialist',
+    'accessibility': '../specialists/experience/accessibility-specialist',
+    'performance-optimization': '../specialists/experience/performance-specialist',
+    'design-system': '../specialists/experience/design-system-specialist',
+    'frontend-architecture': '../specialists/experience/frontend-architecture-specialist',
+    'user-testing': '../specialists/experience/user-testing-specialist',
+    'interaction-design': '../specialists/experience/interaction-design-specialist'
+  },
+  technical: {
+    'database': '../specialists/technical/database-specialist',
+    'api-architecture': '../specialists/technical/api-architecture-specialist',
+    'security': '../specialists/technical/security-specialist',
+    'devops': '../specialists/technical/devops-specialist',
+    'performance-engineering': '../specialists/technical/performance-specialist',
+    'infrastructure': '../specialists/technical/infrastructure-specialist',
+    'microservices': '../specialists/technical/microservices-specialist',
+    'cloud-architecture': '../specialists/technical/cloud-specialist'
+  }
+};
+
+/**
+ * @returns {Array<{department: string, type: string}>} every registered specialist type
+ */
+function listSpecialistTypes() {
+  return Object.entries(SPECIALIST_MODULES).flatMap(([department, types]) =>
+    Object.keys(types).map(type => ({ department, type })));
+}
+
+module.exports = {
+  SPECIALIST_MODULES,
+  listSpecialistTypes
+};
@@ -0,0 +1,131 @@
+/**
+ * BUMBA 2.0 Accessibility Specialist
+ * Experience Department specialist for WCAG compliance, assistive technology and inclusive design
+ */
+
+const { SpecialistAgent } = require('../../architecture-design');
+
+class AccessibilitySpecialist extends SpecialistAgent {
+  constructor(department, context) {
+    super('accessibility', department, context);
+    this.applyProfile();
+
+    this.standards = ['wcag_2_1_aa', 'section_508', 'en_301_549'];
+    this.severityOrder = ['blocker', 'major', 'minor'];
+  }
+
+  async processTask(task, context) {
+    console.log(`🏁 Accessibility Specialist analyzing: ${task.description || task}`);
+
+    const accessibilityType = await this.identifyAccessibilityType(task);
+
+    switch (accessibilityType) {
+      case 'accessibility_audit':
+        return await this.performAccessibilityAudit(task, context);
+      case 'remediation':
+        return await this.planRemediation(task, context);
+      case 'inclusive_design':
+        return await this.designInclusiveExperience(task, context);
+      default:
+        return await this.performGeneralAccessibilityReview(task, context);
+    }
+  }
+
+  async identifyAccessibilityType(task) {
+    const description = (task.description || task).toLowerCase();
+
+    if (description.includes('audit') || description.includes('wcag') || description.includes('compliance')) {
+      return 'accessibility_audit';
+    }
+    if (description.includes('fix') || description.includes('remediat') || description.includes('issue')) {
+      return 'remediation';
+    }
+    if (description.includes('inclusive') || description.includes('design')) {
+      return 'inclusive_design';
+    }
+
+    return 'general_accessibility';
+  }
+
+  async performAccessibilityAudit(task, context) {
+    console.log('🏁 Performing accessibility audit...');
+
+    return {
+      type: 'accessibility_audit',
+      personality_note: this.personalityNote(0),
+      standard: 'WCAG 2.1 AA',
+      scope: Array.isArray(task.pages) && task.pages.length > 0 ? task.pages : [task.description || task],
+      checklist: this.selectFocusAreas(task, ['keyboard', 'screen_readers', 'visual', 'media', 'forms']),
+      testing_methods: {
+        automated: 'axe-core scan through Playwright on every page in scope',
+        keyboard: 'Tab through every flow without a mouse',
+        screen_readers: 'VoiceOver (macOS/iOS) and NVDA (Windows)'
+      },
+      severity_levels: this.defineSeverityLevels(),
+      specialist: this.getSpecialistSignature(),
+      completed_at: new Date().toISOString()
+    };
+  }
+
+  async planRemediation(task, context) {
+    console.log('🏁 Planning accessibility remediation...');
+
+    return {
+      type: 'remediation',
+      personality_note: this.personalityNote(2),
+      fix_order: this.orderIssues(task),
+      focus_areas: this.selectFocusAreas(task, ['keyboard', 'screen_readers']),
+      regression_prevention: 'Add automated axe checks to CI for remediated pages',
+      specialist: this.getSpecialistSignature(),
+      completed_at: new Date().toISOString()
+    };
+  }
+
+  async designInclusiveExperience(task, context) {
+    console.log('🏁 Designing inclusive experience...');
+
+    return {
+      type: 'inclusive_design',
+      principles: [
+        'Recognize exclusion: identify who cannot use the current design',
+        'Solve for one, extend to many',
+        'Offer multiple ways to complete a task'
+      ],
+      considerations: this.selectFocusAreas(task, ['visual', 'motor', 'cognitive', 'media']),
+      specialist: this.getSpecialistSignature(),
+      completed_at: new Date().toISOString()
+    };
+  }
+
+  async performGeneralAccessibilityReview(task, context) {
+    return {
+      type: 'general_accessibility',
+      summary: `Accessibility review of: ${task.description || task}`,
+      standards: this.standards,
+      focus_areas: this.selectFocusAreas(task, ['keyboard', 'visual', 'forms']),
+      specialist: this.getSpecialistSignature(),
+      completed_at: new Date().toISOString()
+    };
+  }
+
+  defineSeverityLevels() {
+    return {
+      blocker: 'Prevents a user from completing a task',
+      major: 'Task possible only with significant difficulty',
+      minor: 'Causes friction but has a reasonable workaround'
+    };
+  }
+
+  // task.issues: [{ issue, severity, page, weekly_users }]; blockers first, then the most-used pages
+  orderIssues(task) {
+    const issues = Array.isArray(task.issues) ? task.issues : [];
+    const rank = issue => {
+      const index = this.severityOrder.indexOf(issue.severity);
+      return index === -1 ? this.severityOrder.length : index;
+    };
+
+    return [...issues].sort((a, b) => rank(a) - rank(b) || (b.weekly_users || 0) - (a.weekly_users || 0));
+  }
+}
+
+module.exports = AccessibilitySpecialist;
@@ -0,0 +1,155 @@
+/**
+ * BUMBA 2.0 Design System Specialist
+ * Experience Department specialist for design tokens, component libraries and governance
+ */
+
+const { SpecialistAgent } = require('../../architecture-design');
+
+class DesignSystemSpecialist extends SpecialistAgent {
+  constructor(department, context) {
+    super('design-system', department, context);
+    this.applyProfile();
+
+    this.tokenTiers = ['primitive', 'semantic', 'component'];
+    this.tokenCategories = ['color', 'space', 'font', 'radius', 'shadow', 'size', 'motion'];
+    this.primitiveComponents = ['box', 'stack', 'text', 'icon', 'grid'];
+    this.patternComponents = ['form', 'table', 'navigation', 'empty state', 'page header'];
+  }
+
+  async processTask(task, context) {
+    console.log(`🏁 Design System Specialist analyzing: ${task.description || task}`);
+
+    const systemType = await this.identifyDesignSystemType(task);
+
+    switch (systemType) {
+      case 'design_tokens':
+        return await this.defineDesignTokens(task, context);
+      case 'component_library':
+        return await this.planComponentLibrary(task, context);
+      case 'governance':
+        return await this.defineGovernance(task, context);
+      default:
+        return await this.performGeneralDesignSystemReview(task, context);
+    }
+  }
+
+  async identifyDesignSystemType(task) {
+    const description = (task.description || task).toLowerCase();
+
+    if (description.includes('token') || description.includes('theme') || description.includes('variable')) {
+      return 'design_tokens';
+    }
+    if (description.includes('library') || description.includes('component')) {
+      return 'component_library';
+    }
+    if (description.includes('governance') || description.includes('contribution') || description.includes('version')) {
+      return 'governance';
+    }
+
+    return 'general_design_system';
+  }
+
+  async defineDesignTokens(task, context) {
+    console.log('🏁 Defining design token architecture...');
+
+    return {
+      type: 'design_tokens',
+      personality_note: this.personalityNote(1),
+      tokens: Object.keys(task.tokens || {}).map(name => this.classifyToken(name)),
+      distribution: 'Tokens authored once, exported to CSS variables, Tailwind config and Figma variables',
+      focus_areas: this.selectFocusAreas(task, ['tokens', 'theming']),
+      specialist: this.getSpecialistSignature(),
+      completed_at: new Date().toISOString()
+    };
+  }
+
+  async planComponentLibrary(task, context) {
+    console.log('🏁 Planning component library...');
+
+    const components = Array.isArray(task.components) ? task.components : [];
+
+    return {
+      type: 'component_library',
+      personality_note: this.personalityNote(0),
+      layers: {
+        primitives: components.filter(component => this.layerOf(component) === 'primitives'),
+        components: components.filter(component => this.layerOf(component) === 'components'),
+        patterns: components.filter(component => this.layerOf(component) === 'patterns')
+      },
+      focus_areas: this.selectFocusAreas(task, ['components', 'documentation']),
+      specialist: this.getSpecialistSignature(),
+      completed_at: new Date().toISOString()
+    };
+  }
+
+  async defineGovernance(task, context) {
+    console.log('🏁 Defining design system governance...');
+
+    return {
+      type: 'governance',
+      personality_note: this.personalityNote(2),
+      next_release: this.planRelease(task),
+      focus_areas: this.selectFocusAreas(task, ['governance', 'adoption']),
+      specialist: this.getSpecialistSignature(),
+      completed_at: new Date().toISOString()
+    };
+  }
+
+  async performGeneralDesignSystemReview(task, context) {
+    return {
+      type: 'general_design_system',
+      summary: `Design system review of: ${task.description || task}`,
+      token_tiers: this.tokenTiers,
+      focus_areas: this.selectFocusAreas(task, ['tokens', 'components', 'adoption']),
+      specialist: this.getSpecialistSignature(),
+      completed_at: new Date().toISOString()
+    };
+  }
+
+  // color.blue.500 is a primitive, color.text.danger is semantic, button.background.default is a component token
+  classifyToken(name) {
+    const segments = name.split('.');
+    let tier = 'semantic';
+
+    if (!this.tokenCategories.includes(segments[0])) {
+      tier = 'component';
+    } else if (/^\d+$/.test(segments[segments.length - 1])) {
+      tier = 'primitive';
+    }
+
+    return {
+      token: name,
+      tier: tier,
+      naming: /^[a-z0-9]+(\.[a-z0-9-]+)+$/.test(name) ? 'ok' : 'rename to lowercase dot-separated segments'
+    };
+  }
+
+  layerOf(component) {
+    const name = String(component).toLowerCase();
+
+    if (this.primitiveComponents.includes(name)) return 'primitives';
+    if (this.patternComponents.some(pattern => name.includes(pattern))) return 'patterns';
+    return 'components';
+  }
+
+  // task.version: current semver, task.changes: [{ component, type: 'breaking' | 'feature' | 'fix' }]
+  planRelease(task) {
+    const changes = Array.isArray(task.changes) ? task.changes : [];
+    const [major, minor, patch] = (task.version || '1.0.0').split('.').map(Number);
+
+    let version = `${major}.${minor}.${patch + 1}`;
+    if (changes.some(change => change.type === 'breaking')) {
+      version = `${major + 1}.0.0`;
+    } else if (changes.some(change => change.type === 'feature')) {
+      version = `${major}.${minor + 1}.0`;
+    }
+
+    return {
+      version: version,
+      codemods_needed: changes.filter(change => change.type === 'breaking').map(change => change.component),
+      changelog: changes.map(change => `${change.type}: ${change.component}`)
+    };
+  }
+}
+
+module.exports = DesignSystemSpecialist;
@@ -0,0 +1,127 @@
+/**
+ * BUMBA 2.0 Frontend Architecture Specialist
+ * Experience Department specialist for application structure, state management and rendering strategy
+ */
+
+const { SpecialistAgent } = require('../../architecture-design');
+
+class FrontendArchitectureSpecialist extends SpecialistAgent {
+  constructor(department, context) {
+    super('frontend-architecture', department, context);
+    this.applyProfile();
+  }
+
+  async processTask(task, context) {
+    console.log(`🏁 Frontend Architecture Specialist analyzing: ${task.description || task}`);
+
+    const architectureType = await this.identifyArchitectureType(task);
+
+    switch (architectureType) {
+      case 'state_management':
+        return await this.designStateManagement(task, context);
+      case 'rendering_strategy':
+        return await this.selectRenderingStrategy(task, context);
+      case 'project_structure':
+        return await this.designProjectStructure(task, context);
+      default:
+        return await this.performGeneralArchitectureReview(task, context);
+    }
+  }
+
+  async identifyArchitectureType(task) {
+    const description = (task.description || task).toLowerCase();
+
+    if (description.includes('state') || description.includes('store') || description.includes('redux') || description.includes('cache')) {
+      return 'state_management';
+    }
+    if (/\bssr\b/.test(description) || description.includes('render') || description.includes('static') || description.includes('hydration')) {
+      return 'rendering_strategy';
+    }
+    if (description.includes('structure') || description.includes('folder') || description.includes('module') || description.includes('monorepo')) {
+      return 'project_structure';
+    }
+
+    return 'general_frontend_architecture';
+  }
+
+  async designStateManagement(task, context) {
+    console.log('🏁 Designing state management...');
+
+    return {
+      type: 'state_management',
+      personality_note: this.personalityNote(0),
+      placement: this.placeState(task),
+      focus_areas: this.selectFocusAreas(task, ['server_state', 'client_state', 'url_state']),
+      specialist: this.getSpecialistSignature(),
+      completed_at: new Date().toISOString()
+    };
+  }
+
+  async selectRenderingStrategy(task, context) {
+    console.log('🏁 Selecting rendering strategy...');
+
+    const routes = Array.isArray(task.routes) ? task.routes : [];
+
+    return {
+      type: 'rendering_strategy',
+      personality_note: this.personalityNote(1),
+      routes: routes.map(route => ({ path: route.path, strategy: this.renderingFor(route) })),
+      focus_areas: this.selectFocusAreas(task, ['rendering']),
+      specialist: this.getSpecialistSignature(),
+      completed_at: new Date().toISOString()
+    };
+  }
+
+  async designProjectStructure(task, context) {
+    console.log('🏁 Designing project structure...');
+
+    const features = Array.isArray(task.features) ? task.features : [];
+
+    return {
+      type: 'project_structure',
+      personality_note: this.personalityNote(2),
+      layout: {
+        'app/': 'Routes and route-level layouts',
+        ...Object.fromEntries(features.map(feature => [`features/${feature}/`, `Components, hooks and API calls for ${feature}`])),
+        'components/': 'Shared, design-system-backed UI components',
+        'lib/': 'Framework-agnostic utilities'
+      },
+      focus_areas: this.selectFocusAreas(task, ['structure']),
+      specialist: this.getSpecialistSignature(),
+      completed_at: new Date().toISOString()
+    };
+  }
+
+  async performGeneralArchitectureReview(task, context) {
+    return {
+      type: 'general_frontend_architecture',
+      summary: `Frontend architecture review of: ${task.description || task}`,
+      focus_areas: this.selectFocusAreas(task, ['structure', 'client_state', 'rendering', 'testing']),
+      specialist: this.getSpecialistSignature(),
+      completed_at: new Date().toISOString()
+    };
+  }
+
+  // task.state: [{ name, source: 'server' | 'client', shared, in_url }]
+  placeState(task) {
+    const state = Array.isArray(task.state) ? task.state : [];
+
+    return state.map(entry => {
+      let owner = 'local component state';
+      if (entry.source === 'server') owner = 'query cache';
+      else if (entry.in_url) owner = 'URL search params';
+      else if (entry.shared) owner = 'global client store';
+
+      return { state: entry.name, owner: owner };
+    });
+  }
+
+  // route: { path, personalized, seo, interactive, changes_often }
+  renderingFor(route) {
+    if (route.interactive && !route.seo) return 'client_rendered';
+    if (route.personalized || (route.seo && route.changes_often)) return 'server_rendered';
+    return 'static';
+  }
+}
+
+module.exports = FrontendArchitectureSpecialist;
@@ -0,0 +1,143 @@
+/**
+ * BUMBA 2.0 Interaction Design Specialist
+ * Experience Department specialist for flows, micro-interactions and motion
+ */
+
+const { SpecialistAgent } = require('../../architecture-design');
+
+class InteractionDesignSpecialist extends SpecialistAgent {
+  constructor(department, context) {
+    super('interaction-design', department, context);
+    this.applyProfile();
+
+    this.motionDurations = { small: '100-150ms', medium: '200-300ms', large: '300-500ms' };
+  }
+
+  async processTask(task, context) {
+    console.log(`🏁 Interaction Design Specialist analyzing: ${task.description || task}`);
+
+    const interactionType = await this.identifyInteractionType(task);
+
+    switch (interactionType) {
+      case 'user_flow':
+        return await this.designUserFlow(task, context);
+      case 'micro_interaction':
+        return await this.designMicroInteraction(task, context);
+      case 'motion':
+        return await this.defineMotion(task, context);
+      default:
+        return await this.performGeneralInteractionReview(task, context);
+    }
+  }
+
+  async identifyInteractionType(task) {
+    const description = (task.description || task).toLowerCase();
+
+    if (description.includes('flow') || description.includes('onboarding') || description.includes('checkout') || description.includes('wizard')) {
+      return 'user_flow';
+    }
+    if (description.includes('micro') || description.includes('hover') || description.includes('feedback') || description.includes('toast')) {
+      return 'micro_interaction';
+    }
+    if (description.includes('animation') || description.includes('motion') || description.includes('transition')) {
+      return 'motion';
+    }
+
+    return 'general_interaction';
+  }
+
+  async designUserFlow(task, context) {
+    console.log('🏁 Designing user flow...');
+
+    const steps = Array.isArray(task.steps) && task.steps.length > 0
+      ? task.steps
+      : ['Entry point', 'Primary decision', 'Input and validation', 'Confirmation'];
+
+    return {
+      type: 'user_flow',
+      personality_note: this.personalityNote(0),
+      steps: steps.map((step, index) => ({
+        step: step,
+        progress: `${index + 1} of ${steps.length}`,
+        states: this.statesForStep(step)
+      })),
+      focus_areas: this.selectFocusAreas(task, ['navigation', 'errors']),
+      specialist: this.getSpecialistSignature(),
+      completed_at: new Date().toISOString()
+    };
+  }
+
+  async designMicroInteraction(task, context) {
+    console.log('🏁 Designing micro-interaction...');
+
+    return {
+      type: 'micro_interaction',
+      personality_note: this.personalityNote(1),
+      structure: {
+        trigger: task.trigger || 'User action or system event that starts the interaction',
+        rules: 'What happens and in which order',
+        feedback: this.feedbackFor(task.expected_duration_ms),
+        loops_and_modes: 'Repeat behavior and any temporary modes'
+      },
+      focus_areas: this.selectFocusAreas(task, ['feedback']),
+      specialist: this.getSpecialistSignature(),
+      completed_at: new Date().toISOString()
+    };
+  }
+
+  async defineMotion(task, context) {
+    console.log('🏁 Defining motion guidelines...');
+
+    const transitions = Array.isArray(task.transitions) ? task.transitions : [];
+
+    return {
+      type: 'motion',
+      personality_note: this.personalityNote(2),
+      transitions: transitions.map(transition => ({
+        transition: transition.name,
+        duration: this.motionDurations[transition.size] || this.motionDurations.medium,
+        easing: transition.direction === 'exit' ? 'ease-in' : (transition.direction === 'move' ? 'ease-in-out' : 'ease-out'),
+        reduced_motion: 'fade'
+      })),
+      focus_areas: this.selectFocusAreas(task, ['motion']),
+      specialist: this.getSpecialistSignature(),
+      completed_at: new Date().toISOString()
+    };
+  }
+
+  async performGeneralInteractionReview(task, context) {
+    return {
+      type: 'general_interaction',
+      summary: `Interaction design review of: ${task.description || task}`,
+      heuristics: ['Visibility of system status', 'User control and freedom', 'Error prevention', 'Recognition over recall'],
+      focus_areas: this.selectFocusAreas(task, ['feedback', 'errors', 'empty_states']),
+      specialist: this.getSpecialistSignature(),
+      completed_at: new Date().toISOString()
+    };
+  }
+
+  // Steps that take input need validation states; steps that load need loading and failure states
+  statesForStep(step) {
+    const name = String(step).toLowerCase();
+    const states = ['default'];
+
+    if (/\b(input|form|detail|address|payment|sign|enter)/.test(name)) {
+      states.push('validation_error');
+    }
+    if (/\b(submit|pay|confirm|load|search|save)/.test(name)) {
+      states.push('loading', 'failed');
+    }
+    return states;
+  }
+
+  feedbackFor(durationMs) {
+    if (!Number.isFinite(durationMs)) {
+      return 'Immediate visual change, with progress for anything over 100ms';
+    }
+    if (durationMs < 100) return 'Immediate visual change on the control itself';
+    if (durationMs < 1000) return 'Indeterminate progress indicator on the control';
+    return 'Determinate progress with a cancel option and a screen reader announcement on completion';
+  }
+}
+
+module.exports = InteractionDesignSpecialist;
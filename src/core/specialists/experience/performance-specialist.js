@@ -0,0 +1,142 @@
+/**
+ * BUMBA 2.0 Frontend Performance Specialist
+ * Experience Department specialist for Core Web Vitals, bundle size and rendering performance
+ */
+
+const { SpecialistAgent } = require('../../architecture-design');
+
+class FrontendPerformanceSpecialist extends SpecialistAgent {
+  constructor(department, context) {
+    super('performance-optimization', department, context);
+    this.applyProfile();
+
+    this.budgets = {
+      lcp_ms: 2500,
+      inp_ms: 200,
+      cls: 0.1,
+      javascript_kb: 170,
+      image_kb: 200
+    };
+  }
+
+  async processTask(task, context) {
+    console.log(`🏁 Frontend Performance Specialist analyzing: ${task.description || task}`);
+
+    const performanceType = await this.identifyPerformanceType(task);
+
+    switch (performanceType) {
+      case 'web_vitals':
+        return await this.analyzeWebVitals(task, context);
+      case 'bundle_optimization':
+        return await this.optimizeBundle(task, context);
+      case 'asset_optimization':
+        return await this.optimizeAssets(task, context);
+      default:
+        return await this.performGeneralPerformanceReview(task, context);
+    }
+  }
+
+  async identifyPerformanceType(task) {
+    const description = (task.description || task).toLowerCase();
+
+    if (description.includes('vitals') || /\blcp\b/.test(description) || /\bcls\b/.test(description) || /\binp\b/.test(description)) {
+      return 'web_vitals';
+    }
+    if (description.includes('bundle') || description.includes('javascript') || description.includes('code split')) {
+      return 'bundle_optimization';
+    }
+    if (description.includes('image') || description.includes('font') || description.includes('asset')) {
+      return 'asset_optimization';
+    }
+
+    return 'general_performance';
+  }
+
+  async analyzeWebVitals(task, context) {
+    console.log('🏁 Analyzing Core Web Vitals...');
+
+    const results = this.compareToBudgets(task);
+    const failing = results.filter(result => !result.within_budget);
+    const areasByMetric = { lcp: 'loading', inp: 'interactivity', cls: 'layout_stability' };
+
+    return {
+      type: 'web_vitals',
+      personality_note: this.personalityNote(1),
+      results: results,
+      // Failing metrics decide where to look; without field data, fall back to what the task mentions
+      focus_areas: failing.length > 0
+        ? this.selectFocusAreas({ focus_areas: failing.map(result => areasByMetric[result.metric]) })
+        : this.selectFocusAreas(task, ['loading', 'interactivity', 'layout_stability']),
+      measurement: 'Field data (RUM) for decisions, lab data (Lighthouse) for debugging',
+      specialist: this.getSpecialistSignature(),
+      completed_at: new Date().toISOString()
+    };
+  }
+
+  async optimizeBundle(task, context) {
+    console.log('🏁 Optimizing JavaScript bundle...');
+
+    const modules = task.bundle || {};
+    const total = Object.values(modules).reduce((sum, size) => sum + size, 0);
+
+    return {
+      type: 'bundle_optimization',
+      personality_note: this.personalityNote(2),
+      budget: `${this.budgets.javascript_kb}KB compressed JavaScript for the initial route`,
+      current_kb: total,
+      over_budget_kb: Math.max(0, total - this.budgets.javascript_kb),
+      largest_modules: Object.entries(modules)
+        .sort(([, a], [, b]) => b - a)
+        .slice(0, 5)
+        .map(([module, size]) => ({ module: module, kb: size })),
+      focus_areas: this.selectFocusAreas(task, ['javascript']),
+      specialist: this.getSpecialistSignature(),
+      completed_at: new Date().toISOString()
+    };
+  }
+
+  async optimizeAssets(task, context) {
+    console.log('🏁 Optimizing images and fonts...');
+
+    const images = Array.isArray(task.images) ? task.images : [];
+
+    return {
+      type: 'asset_optimization',
+      oversized_images: images
+        .filter(image => image.kb > this.budgets.image_kb)
+        .map(image => ({ image: image.src, kb: image.kb, budget_kb: this.budgets.image_kb })),
+      focus_areas: this.selectFocusAreas(task, ['images', 'fonts']),
+      specialist: this.getSpecialistSignature(),
+      completed_at: new Date().toISOString()
+    };
+  }
+
+  async performGeneralPerformanceReview(task, context) {
+    return {
+      type: 'general_performance',
+      summary: `Frontend performance review of: ${task.description || task}`,
+      budgets: this.budgets,
+      results: this.compareToBudgets(task),
+      focus_areas: this.selectFocusAreas(task, ['loading', 'javascript']),
+      specialist: this.getSpecialistSignature(),
+      completed_at: new Date().toISOString()
+    };
+  }
+
+  // task.vitals: p75 field values { lcp_ms, inp_ms, cls }
+  compareToBudgets(task) {
+    const vitals = task.vitals || {};
+    const budgets = { lcp: ['lcp_ms', this.budgets.lcp_ms], inp: ['inp_ms', this.budgets.inp_ms], cls: ['cls', this.budgets.cls] };
+
+    return Object.entries(budgets)
+      .filter(([, [field]]) => Number.isFinite(vitals[field]))
+      .map(([metric, [field, budget]]) => ({
+        metric: metric,
+        value: vitals[field],
+        budget: budget,
+        within_budget: vitals[field] <= budget
+      }));
+  }
+}
+
+module.exports = FrontendPerformanceSpecialist;
@@ -0,0 +1,124 @@
+/**
+ * BUMBA 2.0 UI Design Specialist
+ * Experience Department specialist for interface, component and visual design
+ */
+
+const { SpecialistAgent } = require('../../architecture-design');
+
+class UIDesignSpecialist extends SpecialistAgent {
+  constructor(department, context) {
+    super('ui-design', department, context);
+    this.applyProfile();
+
+    this.interactiveStates = ['default', 'hover', 'focus-visible', 'active', 'disabled', 'loading', 'error'];
+  }
+
+  async processTask(task, context) {
+    console.log(`🏁 UI Design Specialist analyzing: ${task.description || task}`);
+
+    const designType = await this.identifyUIDesignType(task);
+
+    switch (designType) {
+      case 'component_design':
+        return await this.designComponents(task, context);
+      case 'visual_design':
+        return await this.createVisualDesign(task, context);
+      case 'layout_design':
+        return await this.designLayout(task, context);
+      default:
+        return await this.performGeneralUIDesign(task, context);
+    }
+  }
+
+  async identifyUIDesignType(task) {
+    const description = (task.description || task).toLowerCase();
+
+    if (description.includes('component') || description.includes('button') || description.includes('form')) {
+      return 'component_design';
+    }
+    if (description.includes('color') || description.includes('typography') || description.includes('visual') || description.includes('theme')) {
+      return 'visual_design';
+    }
+    if (description.includes('layout') || description.includes('grid') || description.includes('responsive') || description.includes('page')) {
+      return 'layout_design';
+    }
+
+    return 'general_ui';
+  }
+
+  async designComponents(task, context) {
+    console.log('🏁 Designing interface components...');
+
+    const components = Array.isArray(task.components) && task.components.length > 0
+      ? task.components
+      : [task.component || task.description || task];
+
+    return {
+      type: 'component_design',
+      personality_note: this.personalityNote(0),
+      components: components.map(component => ({
+        component: component,
+        states: this.statesFor(component),
+        sizes: ['sm', 'md', 'lg']
+      })),
+      focus_areas: this.selectFocusAreas(task, ['states']),
+      specialist: this.getSpecialistSignature(),
+      completed_at: new Date().toISOString()
+    };
+  }
+
+  async createVisualDesign(task, context) {
+    console.log('🏁 Creating visual design language...');
+
+    return {
+      type: 'visual_design',
+      personality_note: this.personalityNote(2),
+      brand_colors: Array.isArray(task.brand_colors) ? task.brand_colors : [],
+      focus_areas: this.selectFocusAreas(task, ['typography', 'color', 'spacing']),
+      specialist: this.getSpecialistSignature(),
+      completed_at: new Date().toISOString()
+    };
+  }
+
+  async designLayout(task, context) {
+    console.log('🏁 Designing responsive layout...');
+
+    const sections = Array.isArray(task.sections) ? task.sections : [];
+
+    return {
+      type: 'layout_design',
+      breakpoints: { sm: '640px', md: '768px', lg: '1024px', xl: '1280px' },
+      // Mobile stacks sections in priority order; wider breakpoints place them side by side
+      content_order: sections.map((section, index) => ({ section: section, mobile_order: index + 1 })),
+      focus_areas: this.selectFocusAreas(task, ['responsive']),
+      specialist: this.getSpecialistSignature(),
+      completed_at: new Date().toISOString()
+    };
+  }
+
+  async performGeneralUIDesign(task, context) {
+    return {
+      type: 'general_ui',
+      summary: `UI design review of: ${task.description || task}`,
+      heuristics: ['Consistency', 'Clear hierarchy', 'Visible system status', 'Forgiving interactions'],
+      focus_areas: this.selectFocusAreas(task, ['states', 'typography', 'color']),
+      specialist: this.getSpecialistSignature(),
+      completed_at: new Date().toISOString()
+    };
+  }
+
+  // Display-only components have no pointer or input states
+  statesFor(component) {
+    const name = String(component).toLowerCase();
+
+    if (/\b(badge|avatar|divider|label|heading)/.test(name)) {
+      return ['default'];
+    }
+    if (/\b(input|field|select|textarea|form)/.test(name)) {
+      return [...this.interactiveStates, 'filled', 'read-only'];
+    }
+    return this.interactiveStates;
+  }
+}
+
+module.exports = UIDesignSpecialist;
@@ -0,0 +1,163 @@
+/**
+ * BUMBA 2.0 User Testing Specialist
+ * Experience Department specialist for usability studies, A/B tests and validation
+ */
+
+const { SpecialistAgent } = require('../../architecture-design');
+
+class UserTestingSpecialist extends SpecialistAgent {
+  constructor(department, context) {
+    super('user-testing', department, context);
+    this.applyProfile();
+  }
+
+  async processTask(task, context) {
+    console.log(`🏁 User Testing Specialist analyzing: ${task.description || task}`);
+
+    const testingType = await this.identifyTestingType(task);
+
+    switch (testingType) {
+      case 'usability_study':
+        return await this.planUsabilityStudy(task, context);
+      case 'ab_test':
+        return await this.designABTest(task, context);
+      case 'survey':
+        return await this.designSurvey(task, context);
+      default:
+        return await this.performGeneralTestingPlan(task, context);
+    }
+  }
+
+  async identifyTestingType(task) {
+    const description = (task.description || task).toLowerCase();
+
+    if (description.includes('a/b') || description.includes('ab test') || description.includes('experiment') || description.includes('variant')) {
+      return 'ab_test';
+    }
+    if (description.includes('survey') || description.includes('questionnaire') || /\bnps\b/.test(description)) {
+      return 'survey';
+    }
+    if (description.includes('usability') || description.includes('study') || description.includes('participant')) {
+      return 'usability_study';
+    }
+
+    return 'general_testing';
+  }
+
+  async planUsabilityStudy(task, context) {
+    console.log('🏁 Planning usability study...');
+
+    const segments = Array.isArray(task.segments) && task.segments.length > 0 ? task.segments : ['primary users'];
+
+    return {
+      type: 'usability_study',
+      personality_note: this.personalityNote(1),
+      format: 'Moderated, remote, think-aloud sessions of 45 minutes',
+      participants: segments.map(segment => ({ segment: segment, count: 5 })),
+      total_participants: segments.length * 5,
+      scenarios: Array.isArray(task.scenarios) ? task.scenarios : [],
+      metrics: this.defineUsabilityMetrics(),
+      focus_areas: this.selectFocusAreas(task, ['recruiting', 'task_design', 'synthesis']),
+      specialist: this.getSpecialistSignature(),
+      completed_at: new Date().toISOString()
+    };
+  }
+
+  async designABTest(task, context) {
+    console.log('🏁 Designing A/B test...');
+
+    const sampleSize = this.estimateSampleSize(task.baselineRate || 0.1, task.minimumDetectableEffect || 0.02);
+
+    return {
+      type: 'ab_test',
+      personality_note: this.personalityNote(2),
+      hypothesis: task.hypothesis || 'If we <change>, then <metric> will <direction> because <rationale>',
+      sample_size: sampleSize,
+      duration_days: this.estimateDuration(sampleSize.per_variant, task.dailyUsers),
+      focus_areas: this.selectFocusAreas(task, ['experimentation']),
+      specialist: this.getSpecialistSignature(),
+      completed_at: new Date().toISOString()
+    };
+  }
+
+  async designSurvey(task, context) {
+    console.log('🏁 Designing survey...');
+
+    const questions = Array.isArray(task.questions) ? task.questions : [];
+
+    return {
+      type: 'survey',
+      structure: ['Screener', 'Behavior questions', 'Attitude questions', 'Open feedback'],
+      question_review: questions.map(question => ({ question: question, issues: this.reviewQuestion(question) })),
+      focus_areas: this.selectFocusAreas(task, ['surveys']),
+      specialist: this.getSpecialistSignature(),
+      completed_at: new Date().toISOString()
+    };
+  }
+
+  async performGeneralTestingPlan(task, context) {
+    return {
+      type: 'general_testing',
+      summary: `User testing plan for: ${task.description || task}`,
+      method_selection: {
+        why_questions: 'Moderated usability study',
+        how_many_questions: 'A/B test or analytics',
+        attitudes_at_scale: 'Survey'
+      },
+      metrics: this.defineUsabilityMetrics(),
+      focus_areas: this.selectFocusAreas(task, ['task_design', 'synthesis']),
+      specialist: this.getSpecialistSignature(),
+      completed_at: new Date().toISOString()
+    };
+  }
+
+  defineUsabilityMetrics() {
+    return ['Task success rate', 'Time on task', 'Error count', 'Single Ease Question (SEQ)', 'System Usability Scale (SUS)'];
+  }
+
+  // Per-variant sample size for a two-proportion test at 95% confidence and 80% power
+  estimateSampleSize(baselineRate, minimumDetectableEffect) {
+    const zAlpha = 1.96;
+    const zBeta = 0.84;
+    const p1 = baselineRate;
+    const p2 = baselineRate + minimumDetectableEffect;
+    const pooled = (p1 + p2) / 2;
+
+    const numerator = Math.pow(
+      zAlpha * Math.sqrt(2 * pooled * (1 - pooled)) + zBeta * Math.sqrt(p1 * (1 - p1) + p2 * (1 - p2)),
+      2
+    );
+
+    return {
+      per_variant: Math.ceil(numerator / Math.pow(minimumDetectableEffect, 2)),
+      baseline_rate: baselineRate,
+      minimum_detectable_effect: minimumDetectableEffect
+    };
+  }
+
+  // Days to reach the sample with users split across two variants, never less than a full week
+  estimateDuration(perVariant, dailyUsers) {
+    if (!Number.isFinite(dailyUsers) || dailyUsers <= 0) {
+      return null;
+    }
+    return Math.max(7, Math.ceil((perVariant * 2) / dailyUsers));
+  }
+
+  reviewQuestion(question) {
+    const text = question.toLowerCase();
+    const issues = [];
+
+    if (/\b(and|or)\b/.test(text) && text.includes('?')) {
+      issues.push('May ask about two things; split it');
+    }
+    if (/\b(would you|will you|might you)\b/.test(text)) {
+      issues.push('Asks about hypothetical behavior; ask about the last time instead');
+    }
+    if (/\b(don't you|isn't it|how much do you love|how great)\b/.test(text)) {
+      issues.push('Leading wording; use a neutral phrasing');
+    }
+    return issues;
+  }
+}
+
+module.exports = UserTestingSpecialist;
@@ -8,28 +8,16 @@ const { SpecialistAgent } = require('../../architecture-design');
 class UXResearchSpecialist extends SpecialistAgent {
   constructor(department, context) {
     super('ux-research', department, context);
-    
-    this.expertise = {
-      user_research: true,
-      usability_testing: true,
-      user_interviews: true,
-      survey_design: true,
-      persona_development: true,
-      journey_mapping: true,
-      behavioral_analysis: true,
-      accessibility_research: true,
-      inclusive_design: true
-    };
-
-    this.tools = [
-      'figma-context-mcp', 'playwright-mcp', 'ref-mcp', 'memory-mcp'
-    ];
+    this.applyProfile();
 
     this.researchMethods = [
       'qualitative_research', 'quantitative_research', 'mixed_methods',
       'ethnographic_studies', 'usability_testing', 'a_b_testing',
       'card_sorting', 'tree_testing', 'accessibility_testing'
     ];
+
+    // Average task completion rate across published usability studies
+    this.completionBenchmark = 0.78;
   }
 
   async processTask(task, context) {
@@ -56,22 +44,16 @@ class UXResearchSpecialist extends SpecialistAgent {
   async conductUserResearch(task, context) {
     console.log('🏁 Conducting comprehensive user research...');
 
+    const segments = Array.isArray(task.segments) && task.segments.length > 0 ? task.segments : ['primary users'];
+
     return {
       type: 'user_research',
-      research_objectives: await this.defineResearchObjectives(task),
-      target_audience: await this.identifyTargetAudience(task),
-      research_methodology: await this.selectResearchMethodology(task),
-      user_interviews: await this.conductUserInterviews(task),
-      behavioral_analysis: await this.analyzeBehavior(task),
-      pain_points: await this.identifyPainPoints(task),
-      user_needs: await this.identifyUserNeeds(task),
-      opportunities: await this.identifyOpportunities(task),
-      personas: await this.createPersonas(task),
-      user_journeys: await this.mapJourneys(task),
-      accessibility_considerations: await this.assessAccessibility(task),
+      personality_note: this.personalityNote(0),
+      research_plan: this.selectMethods(task),
+      participants: segments.map(segment => ({ segment: segment, count: 5 })),
+      focus_areas: this.selectFocusAreas(task, ['discovery']),
       consciousness_insights: await this.analyzeConsciousnessAlignment(task),
-      recommendations: await this.generateRecommendations(task),
-      specialist: 'UX Research Specialist',
+      specialist: this.getSpecialistSignature(),
       completed_at: new Date().toISOString()
     };
   }
@@ -79,22 +61,17 @@ class UXResearchSpecialist extends SpecialistAgent {
   async performUsabilityTesting(task, context) {
     console.log('🏁 Performing comprehensive usability testing...');
 
+    const results = this.measureTaskCompletion(task);
+
     return {
       type: 'usability_testing',
-      test_plan: await this.createTestPlan(task),
-      participant_criteria: await this.defineParticipantCriteria(task),
-      test_scenarios: await this.createTestScenarios(task),
-      testing_methodology: await this.selectTestingMethodology(task),
-      test_execution: await this.executeUsabilityTests(task),
-      task_completion_rates: await this.measureTaskCompletion(task),
-      error_analysis: await this.analyzeErrors(task),
-      user_satisfaction: await this.measureSatisfaction(task),
-      accessibility_testing: await this.testAccessibility(task),
-      performance_metrics: await this.collectPerformanceMetrics(task),
-      insights: await this.extractInsights(task),
+      personality_note: this.personalityNote(1),
+      task_completion_rates: results,
+      below_benchmark: results.filter(result => result.completion_rate < this.completionBenchmark).map(result => result.task),
+      benchmark: this.completionBenchmark,
+      focus_areas: this.selectFocusAreas(task, ['usability']),
       consciousness_validation: await this.validateConsciousnessDesign(task),
-      improvement_recommendations: await this.recommendImprovements(task),
-      specialist: 'UX Research Specialist',
+      specialist: this.getSpecialistSignature(),
       completed_at: new Date().toISOString()
     };
   }
@@ -102,21 +79,31 @@ class UXResearchSpecialist extends SpecialistAgent {
   async developPersonas(task, context) {
     console.log('🏁 Developing user personas and archetypes...');
 
+    const personas = this.clusterObservations(task);
+
     return {
       type: 'persona_development',
-      research_foundation: await this.establishResearchFoundation(task),
-      primary_personas: await this.createPrimaryPersonas(task),
-      secondary_personas: await this.createSecondaryPersonas(task),
-      persona_validation: await this.validatePersonas(task),
-      behavioral_patterns: await this.identifyBehavioralPatterns(task),
-      goals_motivations: await this.mapGoalsMotivations(task),
-      pain_points_frustrations: await this.documentPainPoints(task),
-      accessibility_needs: await this.identifyAccessibilityNeeds(task),
-      technology_preferences: await this.analyzeTechnologyPreferences(task),
-      consciousness_values: await this.identifyConsciousnessValues(task),
-      persona_scenarios: await this.createPersonaScenarios(task),
-      design_implications: await this.analyzeDesignImplications(task),
-      specialist: 'UX Research Specialist',
+      personality_note: this.personalityNote(2),
+      primary_persona: personas[0] || null,
+      secondary_personas: personas.slice(1),
+      focus_areas: this.selectFocusAreas(task, ['personas']),
+      specialist: this.getSpecialistSignature(),
+      completed_at: new Date().toISOString()
+    };
+  }
+
+  async mapUserJourneys(task, context) {
+    console.log('🏁 Mapping user journeys...');
+
+    const steps = this.measureDropOff(task);
+    const worst = steps.reduce((max, step) => (max === null || step.drop_off > max.drop_off ? step : max), null);
+
+    return {
+      type: 'journey_mapping',
+      steps: steps,
+      biggest_drop_off: worst,
+      focus_areas: this.selectFocusAreas(task, ['journeys']),
+      specialist: this.getSpecialistSignature(),
       completed_at: new Date().toISOString()
     };
   }
@@ -124,21 +111,28 @@ class UXResearchSpecialist extends SpecialistAgent {
   async conductAccessibilityResearch(task, context) {
     console.log('🏁 Conducting accessibility and inclusive design research...');
 
+    const technologies = Array.isArray(task.assistive_technologies) && task.assistive_technologies.length > 0
+      ? task.assistive_technologies
+      : ['screen reader', 'screen magnification', 'keyboard only', 'voice control'];
+
     return {
       type: 'accessibility_research',
-      accessibility_audit: await this.performAccessibilityAudit(task),
-      assistive_technology_testing: await this.testAssistiveTechnology(task),
-      inclusive_design_analysis: await this.analyzeInclusiveDesign(task),
-      disability_user_research: await this.researchDisabilityUsers(task),
-      wcag_compliance_assessment: await this.assessWCAGCompliance(task),
-      cognitive_accessibility: await this.assessCognitiveAccessibility(task),
-      motor_accessibility: await this.assessMotorAccessibility(task),
-      visual_accessibility: await this.assessVisualAccessibility(task),
-      auditory_accessibility: await this.assessAuditoryAccessibility(task),
-      accessibility_barriers: await this.identifyAccessibilityBarriers(task),
-      inclusive_solutions: await this.recommendInclusiveSolutions(task),
+      sessions: technologies.map(technology => ({ assistive_technology: technology, participants: 2 })),
+      standard: 'WCAG 2.1 AA',
+      focus_areas: this.selectFocusAreas(task, ['accessibility']),
       consciousness_inclusion: await this.validateConsciousnessInclusion(task),
-      specialist: 'UX Research Specialist',
+      specialist: this.getSpecialistSignature(),
+      completed_at: new Date().toISOString()
+    };
+  }
+
+  async conductGeneralUXResearch(task, context) {
+    return {
+      type: 'general_ux_research',
+      summary: `UX research for: ${task.description || task}`,
+      research_plan: this.selectMethods(task),
+      focus_areas: this.selectFocusAreas(task, ['discovery', 'usability']),
+      specialist: this.getSpecialistSignature(),
       completed_at: new Date().toISOString()
     };
   }
@@ -165,39 +159,66 @@ class UXResearchSpecialist extends SpecialistAgent {
     return 'general_ux_research';
   }
 
-  async defineResearchObjectives(task) {
-    return {
-      primary_objective: 'Understand user needs and validate design decisions',
-      secondary_objectives: [
-        'Identify usability issues and improvement opportunities',
-        'Validate accessibility and inclusive design',
-        'Ensure consciousness-driven design principles'
-      ],
-      success_metrics: 'Task completion rates, user satisfaction, accessibility compliance',
-      consciousness_alignment: 'Research prioritizes user well-being and inclusive access'
-    };
+  // One method per research question: why and how questions need observation, how many and how often need numbers
+  selectMethods(task) {
+    const questions = Array.isArray(task.questions) ? task.questions : [];
+
+    return questions.map(question => {
+      const text = question.toLowerCase();
+      let method = 'qualitative_research';
+      if (/\b(how many|how often|what percentage|which of)\b/.test(text)) method = 'quantitative_research';
+      else if (/\b(where would|find|navigate|label)\b/.test(text)) method = 'tree_testing';
+      return { question: question, method: method };
+    });
   }
 
-  async identifyTargetAudience(task) {
-    return {
-      primary_users: 'Core user base aligned with consciousness-driven values',
-      secondary_users: 'Broader community seeking ethical technology solutions',
-      accessibility_users: 'Users with diverse abilities and accessibility needs',
-      demographic_considerations: 'Age, technical proficiency, cultural background',
-      consciousness_factors: 'Users who value ethical, sustainable, community-centered approach'
-    };
+  // task.results: [{ task, attempts, successes, median_seconds }]
+  measureTaskCompletion(task) {
+    const results = Array.isArray(task.results) ? task.results : [];
+
+    return results
+      .filter(result => result.attempts > 0)
+      .map(result => ({
+        task: result.task,
+        completion_rate: Math.round((result.successes / result.attempts) * 100) / 100,
+        median_seconds: Number.isFinite(result.median_seconds) ? result.median_seconds : null
+      }));
   }
 
-  async assessAccessibility(task) {
-    return {
-      wcag_compliance: 'WCAG 2.1 AA standards assessment',
-      keyboard_navigation: 'Full keyboard accessibility evaluation',
-      screen_reader_support: 'Screen reader compatibility testing',
-      color_contrast: 'Color contrast ratio validation',
-      cognitive_accessibility: 'Cognitive load and comprehension assessment',
-      motor_accessibility: 'Motor impairment accommodation evaluation',
-      consciousness_inclusion: 'Inclusive design principles validation'
-    };
+  // task.observations: [{ participant, segment, behaviors: [...] }]; a persona keeps behaviors seen in at least half its participants
+  clusterObservations(task) {
+    const bySegment = {};
+    for (const observation of Array.isArray(task.observations) ? task.observations : []) {
+      (bySegment[observation.segment] = bySegment[observation.segment] || []).push(observation);
+    }
+
+    return Object.entries(bySegment)
+      .map(([segment, observations]) => {
+        const counts = {};
+        for (const observation of observations) {
+          for (const behavior of new Set(observation.behaviors || [])) {
+            counts[behavior] = (counts[behavior] || 0) + 1;
+          }
+        }
+        return {
+          segment: segment,
+          participants: observations.length,
+          behaviors: Object.keys(counts).filter(behavior => counts[behavior] * 2 >= observations.length)
+        };
+      })
+      .sort((a, b) => b.participants - a.participants);
+  }
+
+  // task.steps: [{ step, entered, completed }]
+  measureDropOff(task) {
+    const steps = Array.isArray(task.steps) ? task.steps : [];
+
+    return steps
+      .filter(step => step.entered > 0)
+      .map(step => ({
+        step: step.step,
+        drop_off: Math.round((1 - step.completed / step.entered) * 100) / 100
+      }));
   }
 
   async analyzeConsciousnessAlignment(task) {
@@ -232,29 +253,6 @@ class UXResearchSpecialist extends SpecialistAgent {
     };
   }
 
-  async generateRecommendations(task) {
-    return [
-      {
-        category: 'User Experience',
-        recommendation: 'Implement user-centered design improvements based on research findings',
-        priority: 'high',
-        consciousness_alignment: 'Prioritizes genuine user needs and well-being'
-      },
-      {
-        category: 'Accessibility',
-        recommendation: 'Enhance accessibility features for inclusive user experience',
-        priority: 'high',
-        consciousness_alignment: 'Ensures equitable access for all community members'
-      },
-      {
-        category: 'Community Engagement',
-        recommendation: 'Develop features that strengthen community connections',
-        priority: 'medium',
-        consciousness_alignment: 'Builds community-centered user experience'
-      }
-    ];
-  }
-
   async reportToManager(result) {
     if (this.manager) {
       console.log(`🏁 UX Research Specialist reporting to ${this.manager.name}`);
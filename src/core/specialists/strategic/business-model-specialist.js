@@ -0,0 +1,169 @@
+/**
+ * BUMBA 2.0 Business Model Specialist
+ * Strategic Department specialist for business model design, revenue and unit economics
+ */
+
+const { SpecialistAgent } = require('../../architecture-design');
+
+class BusinessModelSpecialist extends SpecialistAgent {
+  constructor(department, context) {
+    super('business-model', department, context);
+    this.applyProfile();
+
+    this.canvases = [
+      'business_model_canvas', 'value_proposition_canvas', 'lean_canvas'
+    ];
+    this.canvasBlocks = [
+      'customer_segments', 'value_propositions', 'channels', 'customer_relationships',
+      'revenue_streams', 'key_resources', 'key_activities', 'key_partnerships', 'cost_structure'
+    ];
+  }
+
+  async processTask(task, context) {
+    console.log(`🏁 Business Model Specialist analyzing: ${task.description || task}`);
+
+    const modelType = await this.identifyBusinessModelType(task);
+
+    switch (modelType) {
+      case 'model_design':
+        return await this.designBusinessModel(task, context);
+      case 'revenue_optimization':
+        return await this.optimizeRevenue(task, context);
+      case 'unit_economics':
+        return await this.analyzeUnitEconomics(task, context);
+      default:
+        return await this.performGeneralBusinessModelAnalysis(task, context);
+    }
+  }
+
+  async identifyBusinessModelType(task) {
+    const description = (task.description || task).toLowerCase();
+
+    if (description.includes('unit economics') || /\bltv\b/.test(description) || /\bcac\b/.test(description) || description.includes('margin')) {
+      return 'unit_economics';
+    }
+    if (description.includes('pricing') || description.includes('revenue') || description.includes('monetiz')) {
+      return 'revenue_optimization';
+    }
+    if (description.includes('canvas') || description.includes('business model') || description.includes('value proposition')) {
+      return 'model_design';
+    }
+
+    return 'general_business_model';
+  }
+
+  async designBusinessModel(task, context) {
+    console.log('🏁 Designing business model canvas...');
+
+    const canvas = this.buildCanvas(task);
+
+    return {
+      type: 'model_design',
+      personality_note: this.personalityNote(0),
+      canvas: canvas,
+      open_blocks: Object.keys(canvas).filter(block => canvas[block] === null),
+      revenue_models: this.selectFocusAreas(task, ['subscription']),
+      sustainability_check: this.checkSustainability(),
+      specialist: this.getSpecialistSignature(),
+      completed_at: new Date().toISOString()
+    };
+  }
+
+  async optimizeRevenue(task, context) {
+    console.log('🏁 Evaluating revenue models and pricing...');
+
+    const economics = this.calculateUnitEconomics(task);
+
+    return {
+      type: 'revenue_optimization',
+      personality_note: this.personalityNote(1),
+      revenue_models: this.selectFocusAreas(task, ['subscription', 'usage_based', 'freemium']),
+      unit_economics: economics,
+      levers: this.identifyLevers(economics),
+      sustainability_check: this.checkSustainability(),
+      specialist: this.getSpecialistSignature(),
+      completed_at: new Date().toISOString()
+    };
+  }
+
+  async analyzeUnitEconomics(task, context) {
+    console.log('🏁 Modeling unit economics...');
+
+    const economics = this.calculateUnitEconomics(task);
+
+    return {
+      type: 'unit_economics',
+      personality_note: this.personalityNote(1),
+      unit_economics: economics,
+      targets: { ltv_to_cac: 3, payback_months: 12, gross_margin: 0.7 },
+      levers: this.identifyLevers(economics),
+      focus_areas: this.selectFocusAreas(task, ['cost_structure']),
+      specialist: this.getSpecialistSignature(),
+      completed_at: new Date().toISOString()
+    };
+  }
+
+  async performGeneralBusinessModelAnalysis(task, context) {
+    return {
+      type: 'general_business_model',
+      summary: `Business model review of: ${task.description || task}`,
+      canvas: this.buildCanvas(task),
+      focus_areas: this.selectFocusAreas(task, ['subscription', 'cost_structure']),
+      specialist: this.getSpecialistSignature(),
+      completed_at: new Date().toISOString()
+    };
+  }
+
+  // task.canvas fills the blocks that are known; the rest stay null until researched
+  buildCanvas(task) {
+    const known = task.canvas || {};
+    return Object.fromEntries(this.canvasBlocks.map(block => [block, known[block] || null]));
+  }
+
+  // task.unit_economics: { price, cost_to_serve, acquisition_cost, monthly_churn }, per customer per month
+  calculateUnitEconomics(task) {
+    const data = task.unit_economics;
+    const required = ['price', 'cost_to_serve', 'acquisition_cost', 'monthly_churn'];
+    if (!data || required.some(field => !Number.isFinite(data[field])) || data.monthly_churn <= 0) {
+      return { status: 'requires_data', inputs_needed: required };
+    }
+
+    const margin = data.price - data.cost_to_serve;
+    const lifetimeValue = margin / data.monthly_churn;
+    return {
+      status: 'calculated',
+      gross_margin: margin / data.price,
+      ltv: lifetimeValue,
+      ltv_to_cac: lifetimeValue / data.acquisition_cost,
+      payback_months: data.acquisition_cost / margin
+    };
+  }
+
+  identifyLevers(economics) {
+    if (economics.status !== 'calculated') {
+      return [];
+    }
+
+    const levers = [];
+    if (economics.ltv_to_cac < 3) {
+      levers.push('Lower acquisition cost or raise retention: LTV/CAC is below 3');
+    }
+    if (economics.payback_months > 12) {
+      levers.push('Shorten payback with annual prepayment or a lower-cost channel: payback is over 12 months');
+    }
+    if (economics.gross_margin < 0.7) {
+      levers.push('Reduce cost to serve: gross margin is below 70%');
+    }
+    return levers;
+  }
+
+  checkSustainability() {
+    return {
+      stakeholder_value: 'Value is shared with customers and partners, not only extracted',
+      ethical_monetization: 'No dark patterns in upgrade or cancellation flows',
+      transparency: 'Pricing is published and predictable'
+    };
+  }
+}
+
+module.exports = BusinessModelSpecialist;
@@ -0,0 +1,218 @@
+/**
+ * BUMBA 2.0 Competitive Analysis Specialist
+ * Strategic Department specialist for competitive mapping, positioning and scenario planning
+ */
+
+const { SpecialistAgent } = require('../../architecture-design');
+
+class CompetitiveAnalysisSpecialist extends SpecialistAgent {
+  constructor(department, context) {
+    super('competitive-analysis', department, context);
+    this.applyProfile();
+
+    this.frameworks = [
+      'porters_five_forces', 'strategic_group_mapping', 'competitive_positioning',
+      'value_chain_analysis', 'blue_ocean_strategy'
+    ];
+  }
+
+  async processTask(task, context) {
+    console.log(`🏁 Competitive Analysis Specialist analyzing: ${task.description || task}`);
+
+    const analysisType = await this.identifyCompetitiveType(task);
+
+    switch (analysisType) {
+      case 'competitive_mapping':
+        return await this.createCompetitiveMap(task, context);
+      case 'positioning_analysis':
+        return await this.analyzePositioning(task, context);
+      case 'swot_analysis':
+        return await this.performSWOTAnalysis(task, context);
+      case 'strategic_scenarios':
+        return await this.developScenarios(task, context);
+      default:
+        return await this.performGeneralCompetitiveAnalysis(task, context);
+    }
+  }
+
+  async identifyCompetitiveType(task) {
+    const description = (task.description || task).toLowerCase();
+
+    if (description.includes('landscape') || description.includes('map') || description.includes('competitor list')) {
+      return 'competitive_mapping';
+    }
+    if (description.includes('position') || description.includes('differentiat')) {
+      return 'positioning_analysis';
+    }
+    if (description.includes('swot') || description.includes('strength') || description.includes('weakness')) {
+      return 'swot_analysis';
+    }
+    if (description.includes('scenario') || description.includes('next move') || description.includes('response')) {
+      return 'strategic_scenarios';
+    }
+
+    return 'general_competitive';
+  }
+
+  async createCompetitiveMap(task, context) {
+    console.log('🏁 Mapping the competitive landscape...');
+
+    return {
+      type: 'competitive_mapping',
+      personality_note: this.personalityNote(0),
+      competitor_tiers: this.defineCompetitorTiers(task),
+      five_forces: this.assessFiveForces(task),
+      whitespace: this.identifyWhitespace(task),
+      focus_areas: this.selectFocusAreas(task, ['positioning', 'distribution']),
+      ethical_boundaries: this.defineEthicalBoundaries(),
+      specialist: this.getSpecialistSignature(),
+      completed_at: new Date().toISOString()
+    };
+  }
+
+  async analyzePositioning(task, context) {
+    console.log('🏁 Analyzing competitive positioning...');
+
+    return {
+      type: 'positioning_analysis',
+      personality_note: this.personalityNote(1),
+      price_position: this.comparePrice(task),
+      differentiation_options: this.recommendDifferentiation(task),
+      proof_points: 'Each positioning claim needs a verifiable proof point before launch',
+      focus_areas: this.selectFocusAreas(task, ['positioning', 'pricing']),
+      ethical_boundaries: this.defineEthicalBoundaries(),
+      specialist: this.getSpecialistSignature(),
+      completed_at: new Date().toISOString()
+    };
+  }
+
+  async performSWOTAnalysis(task, context) {
+    console.log('🏁 Performing SWOT analysis...');
+
+    const competitors = this.getCompetitors(task);
+
+    return {
+      type: 'swot_analysis',
+      strengths: Array.isArray(task.strengths) ? task.strengths : [],
+      weaknesses: Array.isArray(task.weaknesses) ? task.weaknesses : [],
+      opportunities: this.identifyWhitespace(task),
+      threats: competitors.flatMap(competitor =>
+        (competitor.strengths || []).map(strength => `${competitor.name}: ${strength}`)
+      ),
+      strategic_implications: 'Invest where strengths meet opportunities; mitigate where weaknesses meet threats',
+      focus_areas: this.selectFocusAreas(task, ['product_depth']),
+      specialist: this.getSpecialistSignature(),
+      completed_at: new Date().toISOString()
+    };
+  }
+
+  async developScenarios(task, context) {
+    console.log('🏁 Developing competitive response scenarios...');
+
+    const tiers = this.defineCompetitorTiers(task);
+    const undercutting = this.comparePrice(task).cheaper_competitors;
+
+    return {
+      type: 'strategic_scenarios',
+      personality_note: this.personalityNote(2),
+      scenarios: [
+        { name: 'fast_follow', likelihood: tiers.direct.length > 0 ? 'high' : 'low', competitors: tiers.direct, response: 'Compete on depth and integration quality' },
+        { name: 'price_war', likelihood: undercutting.length > 0 ? 'medium' : 'low', competitors: undercutting, response: 'Hold price, emphasize total value and switching benefits' },
+        { name: 'new_entrant', likelihood: tiers.potential.length > 0 ? 'medium' : 'low', competitors: tiers.potential, response: 'Deepen community and partner lock-in early' }
+      ],
+      early_warning_signals: ['Competitor hiring patterns', 'Changelog and pricing page changes', 'Analyst and community sentiment'],
+      focus_areas: this.selectFocusAreas(task, ['new_entrants']),
+      ethical_boundaries: this.defineEthicalBoundaries(),
+      specialist: this.getSpecialistSignature(),
+      completed_at: new Date().toISOString()
+    };
+  }
+
+  async performGeneralCompetitiveAnalysis(task, context) {
+    return {
+      type: 'general_competitive',
+      summary: `Competitive review of: ${task.description || task}`,
+      frameworks_applied: this.frameworks.slice(0, 3),
+      competitor_tiers: this.defineCompetitorTiers(task),
+      differentiation_options: this.recommendDifferentiation(task),
+      focus_areas: this.selectFocusAreas(task, ['positioning']),
+      specialist: this.getSpecialistSignature(),
+      completed_at: new Date().toISOString()
+    };
+  }
+
+  // task.competitors: [{ name, tier, price, segments, strengths, weaknesses }]
+  getCompetitors(task) {
+    return Array.isArray(task.competitors) ? task.competitors : [];
+  }
+
+  defineCompetitorTiers(task) {
+    const tiers = { direct: [], indirect: [], potential: [] };
+    for (const competitor of this.getCompetitors(task)) {
+      (tiers[competitor.tier] || tiers.direct).push(competitor.name);
+    }
+    return tiers;
+  }
+
+  assessFiveForces(task) {
+    const tiers = this.defineCompetitorTiers(task);
+    return {
+      rivalry: tiers.direct.length > 3 ? 'high' : (tiers.direct.length > 0 ? 'medium' : 'low'),
+      new_entrants: tiers.potential.length > 0 ? 'medium' : 'unknown',
+      substitutes: tiers.indirect.length > 0 ? 'medium' : 'unknown',
+      buyer_power: 'Assess concentration of buyers and switching costs',
+      supplier_power: 'Assess dependency on platforms and data providers'
+    };
+  }
+
+  // Segments from task.segments that no listed competitor serves
+  identifyWhitespace(task) {
+    const served = new Set(this.getCompetitors(task).flatMap(competitor => competitor.segments || []));
+    const segments = Array.isArray(task.segments) ? task.segments : [];
+    return segments.filter(segment => !served.has(segment));
+  }
+
+  comparePrice(task) {
+    const priced = this.getCompetitors(task).filter(competitor => Number.isFinite(competitor.price));
+    if (!Number.isFinite(task.price) || priced.length === 0) {
+      return { status: 'requires_data', inputs_needed: ['price', 'competitors[].price'], cheaper_competitors: [] };
+    }
+
+    const prices = priced.map(competitor => competitor.price).sort((a, b) => a - b);
+    const median = prices[Math.floor(prices.length / 2)];
+    return {
+      status: 'calculated',
+      our_price: task.price,
+      median_competitor_price: median,
+      position: task.price > median ? 'premium' : (task.price < median ? 'value' : 'parity'),
+      cheaper_competitors: priced.filter(competitor => competitor.price < task.price).map(competitor => competitor.name)
+    };
+  }
+
+  // Competitor weaknesses that are not also ours are the openings to differentiate on
+  recommendDifferentiation(task) {
+    const ours = new Set(Array.isArray(task.weaknesses) ? task.weaknesses : []);
+    const openings = {};
+    for (const competitor of this.getCompetitors(task)) {
+      for (const weakness of competitor.weaknesses || []) {
+        if (!ours.has(weakness)) {
+          (openings[weakness] = openings[weakness] || []).push(competitor.name);
+        }
+      }
+    }
+
+    return Object.entries(openings)
+      .sort(([, a], [, b]) => b.length - a.length)
+      .map(([weakness, competitors]) => ({ lever: weakness, competitors: competitors }));
+  }
+
+  defineEthicalBoundaries() {
+    return {
+      sources: 'Only publicly available information and voluntary customer feedback',
+      conduct: 'Compete on differentiation, never on disparagement',
+      transparency: 'Assumptions and confidence levels stated with every conclusion'
+    };
+  }
+}
+
+module.exports = CompetitiveAnalysisSpecialist;
@@ -0,0 +1,186 @@
+/**
+ * BUMBA 2.0 Product Strategy Specialist
+ * Strategic Department specialist for product vision, roadmaps and success metrics
+ */
+
+const { SpecialistAgent } = require('../../architecture-design');
+
+class ProductStrategySpecialist extends SpecialistAgent {
+  constructor(department, context) {
+    super('product-strategy', department, context);
+    this.applyProfile();
+
+    this.frameworks = ['jobs_to_be_done', 'okrs', 'now_next_later', 'north_star_metric'];
+    this.inputMetrics = {
+      activation: 'Activation rate',
+      retention: 'Retention at week 4',
+      monetization: 'Free-to-paid conversion',
+      expansion: 'Net revenue retention',
+      platform: 'Active integrations per account'
+    };
+  }
+
+  async processTask(task, context) {
+    console.log(`🏁 Product Strategy Specialist analyzing: ${task.description || task}`);
+
+    const strategyType = await this.identifyStrategyType(task);
+
+    switch (strategyType) {
+      case 'vision':
+        return await this.defineProductVision(task, context);
+      case 'roadmap':
+        return await this.planRoadmap(task, context);
+      case 'metrics':
+        return await this.defineSuccessMetrics(task, context);
+      case 'go_to_market':
+        return await this.planGoToMarket(task, context);
+      default:
+        return await this.performGeneralStrategyReview(task, context);
+    }
+  }
+
+  async identifyStrategyType(task) {
+    const description = (task.description || task).toLowerCase();
+
+    if (description.includes('vision') || description.includes('mission')) {
+      return 'vision';
+    }
+    if (description.includes('roadmap') || description.includes('timeline') || description.includes('quarter')) {
+      return 'roadmap';
+    }
+    if (/\bokrs?\b/.test(description) || description.includes('metric') || /\bkpis?\b/.test(description) || description.includes('north star')) {
+      return 'metrics';
+    }
+    if (description.includes('launch') || description.includes('go-to-market') || /\bgtm\b/.test(description)) {
+      return 'go_to_market';
+    }
+
+    return 'general_strategy';
+  }
+
+  async defineProductVision(task, context) {
+    console.log('🏁 Defining product vision...');
+
+    const fields = ['target_users', 'need', 'product', 'category', 'benefit', 'alternative', 'differentiator'];
+    const vision = task.vision || {};
+    const missing = fields.filter(field => !vision[field]);
+
+    return {
+      type: 'vision',
+      personality_note: this.personalityNote(0),
+      vision_statement: missing.length === 0
+        ? `For ${vision.target_users} who ${vision.need}, ${vision.product} is a ${vision.category} that ${vision.benefit}. Unlike ${vision.alternative}, we ${vision.differentiator}.`
+        : null,
+      missing_fields: missing,
+      principles: this.definePrinciples(),
+      specialist: this.getSpecialistSignature(),
+      completed_at: new Date().toISOString()
+    };
+  }
+
+  async planRoadmap(task, context) {
+    console.log('🏁 Planning outcome-based roadmap...');
+
+    const horizons = this.placeOnHorizons(task);
+
+    return {
+      type: 'roadmap',
+      personality_note: this.personalityNote(1),
+      format: 'Now / Next / Later, organized by outcome rather than feature',
+      horizons: horizons,
+      blocked: this.findBlockedItems(task, horizons),
+      focus_areas: this.selectFocusAreas(task),
+      review_cadence: 'Roadmap reviewed monthly, re-planned quarterly',
+      specialist: this.getSpecialistSignature(),
+      completed_at: new Date().toISOString()
+    };
+  }
+
+  async defineSuccessMetrics(task, context) {
+    console.log('🏁 Defining success metrics...');
+
+    const areas = this.selectFocusAreas(task, ['activation', 'retention']);
+    const metrics = task.metrics || {};
+
+    return {
+      type: 'metrics',
+      personality_note: this.personalityNote(2),
+      north_star: task.north_star || null,
+      input_metrics: areas.map(({ area }) => this.inputMetrics[area]),
+      key_results: Object.entries(metrics)
+        .filter(([, value]) => Number.isFinite(value.current) && Number.isFinite(value.target))
+        .map(([name, value]) => `${name} from ${value.current} to ${value.target}`),
+      guardrail_metrics: ['Support ticket rate', 'Performance budgets', 'Accessibility regressions'],
+      focus_areas: areas,
+      specialist: this.getSpecialistSignature(),
+      completed_at: new Date().toISOString()
+    };
+  }
+
+  async planGoToMarket(task, context) {
+    console.log('🏁 Planning go-to-market...');
+
+    const tiers = { new_product: 'tier_1', feature: 'tier_2', improvement: 'tier_3' };
+    const checklist = ['documentation', 'support_training', 'pricing_and_packaging', 'success_dashboard'];
+    const ready = new Set(Array.isArray(task.ready) ? task.ready : []);
+
+    return {
+      type: 'go_to_market',
+      launch_tier: tiers[task.change] || 'tier_2',
+      outstanding: checklist.filter(item => !ready.has(item)),
+      focus_areas: this.selectFocusAreas(task, ['activation']),
+      feedback_loop: 'First-week feedback triaged daily by product and support',
+      specialist: this.getSpecialistSignature(),
+      completed_at: new Date().toISOString()
+    };
+  }
+
+  async performGeneralStrategyReview(task, context) {
+    return {
+      type: 'general_strategy',
+      summary: `Product strategy review of: ${task.description || task}`,
+      frameworks_applied: this.frameworks,
+      principles: this.definePrinciples(),
+      key_questions: [
+        'What user outcome does this move?',
+        'Why now, and what happens if we wait?',
+        'How will we know it worked?'
+      ],
+      focus_areas: this.selectFocusAreas(task),
+      specialist: this.getSpecialistSignature(),
+      completed_at: new Date().toISOString()
+    };
+  }
+
+  // task.features: [{ name, status: 'committed' | 'validated' | 'exploring', depends_on }]
+  placeOnHorizons(task) {
+    const horizonByStatus = { committed: 'now', validated: 'next', exploring: 'later' };
+    const horizons = { now: [], next: [], later: [] };
+
+    for (const feature of Array.isArray(task.features) ? task.features : []) {
+      horizons[horizonByStatus[feature.status] || 'later'].push(feature.name);
+    }
+    return horizons;
+  }
+
+  // Items scheduled before the work they depend on
+  findBlockedItems(task, horizons) {
+    const order = ['now', 'next', 'later'];
+    const horizonOf = name => order.find(horizon => horizons[horizon].includes(name));
+
+    return (Array.isArray(task.features) ? task.features : [])
+      .flatMap(feature => (feature.depends_on || [])
+        .filter(dependency => order.indexOf(horizonOf(dependency)) > order.indexOf(horizonOf(feature.name)))
+        .map(dependency => ({ feature: feature.name, depends_on: dependency })));
+  }
+
+  definePrinciples() {
+    return [
+      'Outcomes over output',
+      'Validate the problem before designing the solution',
+      'Business success and user wellbeing are inseparable'
+    ];
+  }
+}
+
+module.exports = ProductStrategySpecialist;
@@ -0,0 +1,186 @@
+/**
+ * BUMBA 2.0 Requirements Engineering Specialist
+ * Strategic Department specialist for requirements elicitation, user stories and acceptance criteria
+ */
+
+const { SpecialistAgent } = require('../../architecture-design');
+
+class RequirementsSpecialist extends SpecialistAgent {
+  constructor(department, context) {
+    super('requirements-engineering', department, context);
+    this.applyProfile();
+
+    this.prioritizationMethods = ['moscow', 'rice', 'kano'];
+    this.nonFunctionalTargets = {
+      performance: 'p95 response time under 300ms for primary interactions',
+      availability: '99.9% monthly uptime for user-facing services',
+      security: 'Authentication required for all non-public data; secrets never logged',
+      accessibility: 'WCAG 2.1 AA conformance',
+      privacy: 'Personal data minimized and deletable on request',
+      observability: 'Errors and latency visible on a shared dashboard'
+    };
+  }
+
+  async processTask(task, context) {
+    console.log(`🏁 Requirements Specialist analyzing: ${task.description || task}`);
+
+    const requirementsType = await this.identifyRequirementsType(task);
+
+    switch (requirementsType) {
+      case 'user_stories':
+        return await this.writeUserStories(task, context);
+      case 'acceptance_criteria':
+        return await this.defineAcceptanceCriteria(task, context);
+      case 'non_functional':
+        return await this.specifyNonFunctionalRequirements(task, context);
+      case 'prioritization':
+        return await this.prioritizeRequirements(task, context);
+      default:
+        return await this.elicitRequirements(task, context);
+    }
+  }
+
+  async identifyRequirementsType(task) {
+    const description = (task.description || task).toLowerCase();
+
+    if (description.includes('user story') || description.includes('user stories') || description.includes('epic')) {
+      return 'user_stories';
+    }
+    if (description.includes('acceptance') || description.includes('criteria') || description.includes('definition of done')) {
+      return 'acceptance_criteria';
+    }
+    if (description.includes('non-functional') || /\bnfrs?\b/.test(description) || /\bslas?\b/.test(description)) {
+      return 'non_functional';
+    }
+    if (description.includes('priorit') || description.includes('backlog') || description.includes('moscow')) {
+      return 'prioritization';
+    }
+
+    return 'elicitation';
+  }
+
+  async writeUserStories(task, context) {
+    console.log('🏁 Writing user stories...');
+
+    const stories = this.draftStories(task);
+
+    return {
+      type: 'user_stories',
+      personality_note: this.personalityNote(0),
+      format: 'As a <role>, I want <capability>, so that <outcome>',
+      stories: stories,
+      needs_splitting: stories.filter(story => /\b(and|or)\b/.test(story.capability)).map(story => story.capability),
+      focus_areas: this.selectFocusAreas(task),
+      specialist: this.getSpecialistSignature(),
+      completed_at: new Date().toISOString()
+    };
+  }
+
+  async defineAcceptanceCriteria(task, context) {
+    console.log('🏁 Defining acceptance criteria...');
+
+    // task.rules: [{ given, when, then }]
+    const rules = Array.isArray(task.rules) ? task.rules : [];
+
+    return {
+      type: 'acceptance_criteria',
+      personality_note: this.personalityNote(1),
+      format: 'Given <context>, when <action>, then <observable result>',
+      criteria: rules
+        .filter(rule => rule.given && rule.when && rule.then)
+        .map(rule => `Given ${rule.given}, when ${rule.when}, then ${rule.then}`),
+      incomplete: rules.filter(rule => !(rule.given && rule.when && rule.then)),
+      non_functional: this.selectFocusAreas(task).map(({ area }) => this.nonFunctionalTargets[area]),
+      definition_of_done: ['Criteria verified by tests', 'Accessibility checked', 'Documentation updated'],
+      specialist: this.getSpecialistSignature(),
+      completed_at: new Date().toISOString()
+    };
+  }
+
+  async specifyNonFunctionalRequirements(task, context) {
+    console.log('🏁 Specifying non-functional requirements...');
+
+    const areas = this.selectFocusAreas(task, Object.keys(this.nonFunctionalTargets));
+    const targets = task.targets || {};
+
+    return {
+      type: 'non_functional',
+      personality_note: this.personalityNote(2),
+      requirements: Object.fromEntries(areas.map(({ area }) => [area, targets[area] || this.nonFunctionalTargets[area]])),
+      focus_areas: areas,
+      verification: 'Each requirement names the test or metric that proves it',
+      specialist: this.getSpecialistSignature(),
+      completed_at: new Date().toISOString()
+    };
+  }
+
+  async prioritizeRequirements(task, context) {
+    console.log('🏁 Prioritizing requirements...');
+
+    return {
+      type: 'prioritization',
+      methods: this.prioritizationMethods,
+      rice_formula: '(Reach x Impact x Confidence) / Effort',
+      ranked: this.scoreRice(task),
+      specialist: this.getSpecialistSignature(),
+      completed_at: new Date().toISOString()
+    };
+  }
+
+  async elicitRequirements(task, context) {
+    return {
+      type: 'elicitation',
+      summary: `Requirements elicitation for: ${task.description || task}`,
+      techniques: ['Stakeholder interviews', 'Workflow observation', 'Document analysis', 'Prototype walkthroughs'],
+      open_questions: this.generateOpenQuestions(task),
+      focus_areas: this.selectFocusAreas(task),
+      traceability: 'Every requirement links to a stakeholder need and at least one test',
+      specialist: this.getSpecialistSignature(),
+      completed_at: new Date().toISOString()
+    };
+  }
+
+  // task.roles: [{ role, capabilities: [...], outcome }]
+  draftStories(task) {
+    const roles = Array.isArray(task.roles) ? task.roles : [];
+
+    return roles.flatMap(entry => (entry.capabilities || []).map(capability => ({
+      role: entry.role,
+      capability: capability,
+      outcome: entry.outcome || null,
+      story: `As a ${entry.role}, I want to ${capability}${entry.outcome ? `, so that ${entry.outcome}` : ''}`
+    })));
+  }
+
+  // task.requirements: [{ name, reach, impact, confidence, effort }]
+  scoreRice(task) {
+    const requirements = Array.isArray(task.requirements) ? task.requirements : [];
+
+    return requirements
+      .filter(requirement => requirement.effort > 0)
+      .map(requirement => ({
+        name: requirement.name,
+        score: Math.round((requirement.reach * requirement.impact * requirement.confidence / requirement.effort) * 100) / 100
+      }))
+      .sort((a, b) => b.score - a.score);
+  }
+
+  // Questions for whatever the task leaves unstated
+  generateOpenQuestions(task) {
+    const questions = [];
+
+    if (!Array.isArray(task.roles) || task.roles.length === 0) {
+      questions.push('Who is the primary user and what triggers their need?');
+    }
+    if (!task.success_metric) {
+      questions.push('What does success look like and how will it be measured?');
+    }
+    if (!Array.isArray(task.constraints)) {
+      questions.push('Which constraints (legal, technical, budget) are fixed?');
+    }
+    questions.push('What happens today when this need is unmet?');
+    return questions;
+  }
+}
+
+module.exports = RequirementsSpecialist;
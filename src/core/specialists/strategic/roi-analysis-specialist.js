@@ -0,0 +1,187 @@
+/**
+ * BUMBA 2.0 ROI Analysis Specialist
+ * Strategic Department specialist for investment cases, cost-benefit and payback analysis
+ */
+
+const { SpecialistAgent } = require('../../architecture-design');
+
+class ROIAnalysisSpecialist extends SpecialistAgent {
+  constructor(department, context) {
+    super('roi-analysis', department, context);
+    this.applyProfile();
+
+    this.defaultDiscountRate = 0.1;
+  }
+
+  async processTask(task, context) {
+    console.log(`🏁 ROI Analysis Specialist analyzing: ${task.description || task}`);
+
+    const analysisType = await this.identifyROIType(task);
+
+    switch (analysisType) {
+      case 'investment_case':
+        return await this.buildInvestmentCase(task, context);
+      case 'cost_benefit':
+        return await this.performCostBenefitAnalysis(task, context);
+      case 'benefit_tracking':
+        return await this.planBenefitRealization(task, context);
+      default:
+        return await this.performGeneralROIAnalysis(task, context);
+    }
+  }
+
+  async identifyROIType(task) {
+    const description = (task.description || task).toLowerCase();
+
+    if (/\bnpv\b/.test(description) || description.includes('investment') || description.includes('business case')) {
+      return 'investment_case';
+    }
+    if (description.includes('cost-benefit') || description.includes('cost benefit') || description.includes('trade-off')) {
+      return 'cost_benefit';
+    }
+    if (description.includes('track') || description.includes('realiz') || description.includes('measure')) {
+      return 'benefit_tracking';
+    }
+
+    return 'general_roi';
+  }
+
+  async buildInvestmentCase(task, context) {
+    console.log('🏁 Building investment case...');
+
+    const cashFlows = (task.cashFlows || context?.cashFlows || null);
+    const rate = Number.isFinite(task.discount_rate) ? task.discount_rate : this.defaultDiscountRate;
+
+    return {
+      type: 'investment_case',
+      personality_note: this.personalityNote(0),
+      method: 'Discounted cash flow over the years given in cashFlows',
+      discount_rate: rate,
+      npv: cashFlows ? this.calculateNPV(cashFlows, rate) : null,
+      roi: cashFlows ? this.calculateROI(cashFlows) : null,
+      payback_period: cashFlows ? this.calculatePaybackPeriod(cashFlows) : null,
+      inputs_required: cashFlows ? [] : ['Upfront investment', 'Annual incremental revenue', 'Annual operating cost'],
+      sensitivity: this.defineSensitivityCases(cashFlows, rate),
+      focus_areas: this.selectFocusAreas(task, ['revenue_uplift', 'cost_reduction']),
+      specialist: this.getSpecialistSignature(),
+      completed_at: new Date().toISOString()
+    };
+  }
+
+  async performCostBenefitAnalysis(task, context) {
+    console.log('🏁 Performing cost-benefit analysis...');
+
+    return {
+      type: 'cost_benefit',
+      personality_note: this.personalityNote(1),
+      totals: this.totalCostsAndBenefits(task),
+      comparison_basis: 'Compare against the do-nothing baseline, not against zero',
+      focus_areas: this.selectFocusAreas(task, ['cost_reduction', 'productivity']),
+      specialist: this.getSpecialistSignature(),
+      completed_at: new Date().toISOString()
+    };
+  }
+
+  async planBenefitRealization(task, context) {
+    console.log('🏁 Planning benefit realization tracking...');
+
+    const benefits = Array.isArray(task.benefits) ? task.benefits : [];
+
+    return {
+      type: 'benefit_tracking',
+      personality_note: this.personalityNote(2),
+      benefits: benefits.map(benefit => ({
+        benefit: benefit.name,
+        owner: benefit.owner || null,
+        baseline: Number.isFinite(benefit.baseline) ? benefit.baseline : null,
+        target: Number.isFinite(benefit.target) ? benefit.target : null,
+        checkpoints: ['30 days after launch', '90 days after launch', '12 months after launch']
+      })),
+      unowned: benefits.filter(benefit => !benefit.owner).map(benefit => benefit.name),
+      focus_areas: this.selectFocusAreas(task, ['retention', 'productivity']),
+      specialist: this.getSpecialistSignature(),
+      completed_at: new Date().toISOString()
+    };
+  }
+
+  async performGeneralROIAnalysis(task, context) {
+    const cashFlows = task.cashFlows || context?.cashFlows || null;
+
+    return {
+      type: 'general_roi',
+      summary: `ROI review of: ${task.description || task}`,
+      approach: 'Quantify costs and benefits against the do-nothing baseline, then test sensitivity',
+      sensitivity: this.defineSensitivityCases(cashFlows, this.defaultDiscountRate),
+      focus_areas: this.selectFocusAreas(task, ['revenue_uplift', 'risk_reduction']),
+      specialist: this.getSpecialistSignature(),
+      completed_at: new Date().toISOString()
+    };
+  }
+
+  // task.costs: { one_time: { item: amount }, recurring: { item: amount per year } }; task.benefits_per_year: { item: amount }
+  totalCostsAndBenefits(task) {
+    const sum = values => Object.values(values || {}).reduce((total, amount) => total + amount, 0);
+    const years = Number.isFinite(task.horizon_years) ? task.horizon_years : 3;
+    const costs = task.costs || {};
+
+    const totalCost = sum(costs.one_time) + sum(costs.recurring) * years;
+    const totalBenefit = sum(task.benefits_per_year) * years;
+
+    return {
+      horizon_years: years,
+      total_cost: totalCost,
+      total_benefit: totalBenefit,
+      net_benefit: totalBenefit - totalCost,
+      benefit_cost_ratio: totalCost > 0 ? Math.round((totalBenefit / totalCost) * 100) / 100 : null
+    };
+  }
+
+  // cashFlows[0] is the upfront investment (negative), followed by yearly net flows
+  calculateNPV(cashFlows, rate) {
+    const npv = cashFlows.reduce((sum, flow, year) => sum + flow / Math.pow(1 + rate, year), 0);
+    return Math.round(npv * 100) / 100;
+  }
+
+  calculateROI(cashFlows) {
+    const investment = Math.abs(Math.min(cashFlows[0], 0));
+    if (investment === 0) return null;
+
+    const returns = cashFlows.slice(1).reduce((sum, flow) => sum + flow, 0);
+    return Math.round(((returns - investment) / investment) * 1000) / 1000;
+  }
+
+  calculatePaybackPeriod(cashFlows) {
+    let cumulative = cashFlows[0];
+
+    for (let year = 1; year < cashFlows.length; year++) {
+      const previous = cumulative;
+      cumulative += cashFlows[year];
+
+      if (cumulative >= 0) {
+        const fraction = cashFlows[year] === 0 ? 0 : -previous / cashFlows[year];
+        return Math.round((year - 1 + fraction) * 100) / 100;
+      }
+    }
+
+    return null;
+  }
+
+  // With cash flows, each case is recomputed with the upfront cost and later flows adjusted
+  defineSensitivityCases(cashFlows, rate) {
+    const cases = [
+      { case: 'pessimistic', benefits: -0.3, costs: 0.2 },
+      { case: 'expected', benefits: 0, costs: 0 },
+      { case: 'optimistic', benefits: 0.2, costs: -0.1 }
+    ];
+
+    return cases.map(entry => ({
+      case: entry.case,
+      adjustments: `Benefits ${Math.round(entry.benefits * 100)}%, costs ${Math.round(entry.costs * 100)}%`,
+      npv: cashFlows
+        ? this.calculateNPV(cashFlows.map((flow, year) => year === 0 ? flow * (1 + entry.costs) : flow * (1 + entry.benefits)), rate)
+        : null
+    }));
+  }
+}
+
+module.exports = ROIAnalysisSpecialist;
@@ -0,0 +1,171 @@
+/**
+ * BUMBA 2.0 Stakeholder Communications Specialist
+ * Strategic Department specialist for stakeholder mapping, updates and approvals
+ */
+
+const { SpecialistAgent } = require('../../architecture-design');
+
+class StakeholderCommsSpecialist extends SpecialistAgent {
+  constructor(department, context) {
+    super('stakeholder-comms', department, context);
+    this.applyProfile();
+
+    this.channels = [
+      'executive_brief', 'status_update', 'decision_memo', 'demo', 'all_hands'
+    ];
+  }
+
+  async processTask(task, context) {
+    console.log(`🏁 Stakeholder Communications Specialist analyzing: ${task.description || task}`);
+
+    const commsType = await this.identifyCommsType(task);
+
+    switch (commsType) {
+      case 'stakeholder_mapping':
+        return await this.mapStakeholders(task, context);
+      case 'approval_workflow':
+        return await this.designApprovalWorkflow(task, context);
+      case 'presentation':
+        return await this.preparePresentation(task, context);
+      default:
+        return await this.planCommunications(task, context);
+    }
+  }
+
+  async identifyCommsType(task) {
+    const description = (task.description || task).toLowerCase();
+
+    if (description.includes('stakeholder map') || description.includes('raci') || description.includes('who needs')) {
+      return 'stakeholder_mapping';
+    }
+    if (description.includes('approval') || description.includes('sign-off') || description.includes('signoff')) {
+      return 'approval_workflow';
+    }
+    if (description.includes('presentation') || description.includes('deck') || description.includes('pitch')) {
+      return 'presentation';
+    }
+
+    return 'communication_plan';
+  }
+
+  async mapStakeholders(task, context) {
+    console.log('🏁 Mapping stakeholders by influence and interest...');
+
+    const raci = this.buildRaci(task);
+
+    return {
+      type: 'stakeholder_mapping',
+      personality_note: this.personalityNote(0),
+      power_interest_grid: this.placeOnGrid(task),
+      raci: raci,
+      risks: this.identifyRaciGaps(raci),
+      focus_areas: this.selectFocusAreas(task, ['executives', 'risk_escalation']),
+      specialist: this.getSpecialistSignature(),
+      completed_at: new Date().toISOString()
+    };
+  }
+
+  async designApprovalWorkflow(task, context) {
+    console.log('🏁 Designing approval workflow...');
+
+    const raci = this.buildRaci(task);
+
+    return {
+      type: 'approval_workflow',
+      personality_note: this.personalityNote(1),
+      stages: [
+        { stage: 'draft_review', approvers: raci.responsible, sla: '2 business days' },
+        { stage: 'functional_review', approvers: raci.consulted, sla: '3 business days' },
+        { stage: 'final_approval', approvers: raci.accountable, sla: '2 business days' }
+      ].filter(stage => stage.approvers.length > 0),
+      risks: this.identifyRaciGaps(raci),
+      decision_record: 'Every approval captures decision, rationale, approver and date',
+      escalation_path: 'Unresolved objections escalate to the accountable sponsor after one SLA miss',
+      focus_areas: this.selectFocusAreas(task, ['risk_escalation']),
+      specialist: this.getSpecialistSignature(),
+      completed_at: new Date().toISOString()
+    };
+  }
+
+  async preparePresentation(task, context) {
+    console.log('🏁 Structuring stakeholder presentation...');
+
+    return {
+      type: 'presentation',
+      personality_note: this.personalityNote(2),
+      narrative: [
+        'Situation: what changed and why it matters now',
+        'Complication: the problem or opportunity in user terms',
+        'Resolution: the proposal and what it costs',
+        `Ask: ${task.decision || 'the specific decision needed from this audience'}`
+      ],
+      focus_areas: this.selectFocusAreas(task, ['executives']),
+      appendix: 'Data sources, assumptions and open questions',
+      specialist: this.getSpecialistSignature(),
+      completed_at: new Date().toISOString()
+    };
+  }
+
+  async planCommunications(task, context) {
+    const grid = this.placeOnGrid(task);
+
+    return {
+      type: 'communication_plan',
+      summary: `Communication plan for: ${task.description || task}`,
+      cadence: [
+        { channel: 'decision_memo', audience: grid.manage_closely, frequency: 'per decision' },
+        { channel: 'executive_brief', audience: grid.keep_satisfied, frequency: 'bi-weekly' },
+        { channel: 'status_update', audience: grid.keep_informed, frequency: 'weekly' }
+      ].filter(entry => entry.audience.length > 0),
+      focus_areas: this.selectFocusAreas(task, ['executives', 'engineering', 'customers']),
+      feedback_loop: 'Collect questions from every update and answer them in the next one',
+      specialist: this.getSpecialistSignature(),
+      completed_at: new Date().toISOString()
+    };
+  }
+
+  // task.stakeholders: [{ name, influence: 'high' | 'low', interest: 'high' | 'low', raci }]
+  getStakeholders(task) {
+    return Array.isArray(task.stakeholders) ? task.stakeholders : [];
+  }
+
+  placeOnGrid(task) {
+    const grid = { manage_closely: [], keep_satisfied: [], keep_informed: [], monitor: [] };
+
+    for (const stakeholder of this.getStakeholders(task)) {
+      const influential = stakeholder.influence === 'high';
+      const interested = stakeholder.interest === 'high';
+      const quadrant = influential
+        ? (interested ? 'manage_closely' : 'keep_satisfied')
+        : (interested ? 'keep_informed' : 'monitor');
+      grid[quadrant].push(stakeholder.name);
+    }
+    return grid;
+  }
+
+  buildRaci(task) {
+    const raci = { responsible: [], accountable: [], consulted: [], informed: [] };
+    for (const stakeholder of this.getStakeholders(task)) {
+      if (raci[stakeholder.raci]) {
+        raci[stakeholder.raci].push(stakeholder.name);
+      }
+    }
+    return raci;
+  }
+
+  identifyRaciGaps(raci) {
+    const gaps = [];
+    if (raci.accountable.length === 0) {
+      gaps.push('No accountable owner: decisions will stall');
+    }
+    if (raci.accountable.length > 1) {
+      gaps.push(`More than one accountable owner (${raci.accountable.join(', ')}): pick exactly one`);
+    }
+    if (raci.responsible.length === 0) {
+      gaps.push('Nobody is responsible for doing the work');
+    }
+    return gaps;
+  }
+}
+
+module.exports = StakeholderCommsSpecialist;
@@ -0,0 +1,148 @@
+/**
+ * BUMBA 2.0 API Architecture Specialist
+ * Technical Department specialist for API design, versioning and integration contracts
+ */
+
+const { SpecialistAgent } = require('../../architecture-design');
+
+class APIArchitectureSpecialist extends SpecialistAgent {
+  constructor(department, context) {
+    super('api-architecture', department, context);
+    this.applyProfile();
+
+    this.apiStyles = ['REST', 'GraphQL', 'gRPC', 'WebSocket', 'Webhooks'];
+  }
+
+  async processTask(task, context) {
+    console.log(`🏁 API Architecture Specialist analyzing: ${task.description || task}`);
+
+    const apiType = await this.identifyAPIType(task);
+
+    switch (apiType) {
+      case 'rest_design':
+        return await this.designRESTAPI(task, context);
+      case 'graphql_design':
+        return await this.designGraphQLAPI(task, context);
+      case 'versioning':
+        return await this.planVersioning(task, context);
+      default:
+        return await this.performGeneralAPIReview(task, context);
+    }
+  }
+
+  async identifyAPIType(task) {
+    const description = (task.description || task).toLowerCase();
+
+    if (description.includes('graphql') || description.includes('schema')) {
+      return 'graphql_design';
+    }
+    if (description.includes('version') || description.includes('deprecat') || description.includes('breaking')) {
+      return 'versioning';
+    }
+    if (/\brest(ful)?\b/.test(description) || description.includes('endpoint') || /\bapis?\b/.test(description)) {
+      return 'rest_design';
+    }
+
+    return 'general_api';
+  }
+
+  async designRESTAPI(task, context) {
+    console.log('🏁 Designing REST API...');
+
+    return {
+      type: 'rest_design',
+      personality_note: this.personalityNote(0),
+      endpoints: this.identifyResources(task).flatMap(resource => [
+        `GET /${resource}`, `POST /${resource}`, `GET /${resource}/{id}`, `PATCH /${resource}/{id}`, `DELETE /${resource}/{id}`
+      ]),
+      status_codes: '201 on create, 204 on empty success, 400/422 for validation, 404, 409 for conflicts',
+      contract: 'OpenAPI 3 specification is the source of truth and is linted in CI',
+      focus_areas: this.selectFocusAreas(task, ['errors', 'authentication', 'pagination']),
+      specialist: this.getSpecialistSignature(),
+      completed_at: new Date().toISOString()
+    };
+  }
+
+  async designGraphQLAPI(task, context) {
+    console.log('🏁 Designing GraphQL API...');
+
+    return {
+      type: 'graphql_design',
+      personality_note: this.personalityNote(2),
+      schema: this.identifyResources(task).map(resource => {
+        const typeName = this.toTypeName(resource);
+        return {
+          type: typeName,
+          query: `${resource}(first: Int, after: String): ${typeName}Connection!`,
+          mutation: `create${typeName}(input: Create${typeName}Input!): Create${typeName}Payload!`
+        };
+      }),
+      performance: ['DataLoader batching to avoid N+1', 'Query depth and complexity limits', 'Persisted queries for public clients'],
+      focus_areas: this.selectFocusAreas(task, ['errors', 'authentication']),
+      specialist: this.getSpecialistSignature(),
+      completed_at: new Date().toISOString()
+    };
+  }
+
+  async planVersioning(task, context) {
+    console.log('🏁 Planning API versioning...');
+
+    const changes = this.classifyChanges(task);
+
+    return {
+      type: 'versioning',
+      strategy: 'Additive changes without a new version; major version in the URL path for breaking changes',
+      changes: changes,
+      new_major_version: changes.some(change => change.breaking),
+      deprecation: {
+        notice: 'Deprecation and Sunset headers on affected responses',
+        window: 'At least six months between deprecation and removal',
+        tracking: 'Usage metrics per client before removal'
+      },
+      focus_areas: this.selectFocusAreas(task, ['documentation']),
+      specialist: this.getSpecialistSignature(),
+      completed_at: new Date().toISOString()
+    };
+  }
+
+  async performGeneralAPIReview(task, context) {
+    return {
+      type: 'general_api',
+      summary: `API architecture review of: ${task.description || task}`,
+      styles: this.apiStyles,
+      focus_areas: this.selectFocusAreas(task, ['errors', 'idempotency', 'documentation']),
+      specialist: this.getSpecialistSignature(),
+      completed_at: new Date().toISOString()
+    };
+  }
+
+  identifyResources(task) {
+    if (Array.isArray(task.resources) && task.resources.length > 0) {
+      return task.resources;
+    }
+    return task.resource ? [task.resource] : ['resources'];
+  }
+
+  // task.changes: [{ type: 'add_field' | 'add_endpoint' | 'remove_field' | 'remove_endpoint' | 'change_type' | 'add_required_param', target }]
+  classifyChanges(task) {
+    const breakingTypes = ['remove_field', 'remove_endpoint', 'change_type', 'add_required_param'];
+    const changes = Array.isArray(task.changes) ? task.changes : [];
+
+    return changes.map(change => ({
+      change: change.type,
+      target: change.target,
+      breaking: breakingTypes.includes(change.type)
+    }));
+  }
+
+  // orders => Order, line_items => LineItem
+  toTypeName(resource) {
+    return resource
+      .replace(/s$/, '')
+      .split(/[_-]/)
+      .map(part => part.charAt(0).toUpperCase() + part.slice(1))
+      .join('');
+  }
+}
+
+module.exports = APIArchitectureSpecialist;
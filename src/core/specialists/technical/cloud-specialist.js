@@ -0,0 +1,146 @@
+/**
+ * BUMBA 2.0 Cloud Architecture Specialist
+ * Technical Department specialist for cloud service selection, cost and well-architected design
+ */
+
+const { SpecialistAgent } = require('../../architecture-design');
+
+class CloudArchitectureSpecialist extends SpecialistAgent {
+  constructor(department, context) {
+    super('cloud-architecture', department, context);
+    this.applyProfile();
+
+    this.wellArchitectedPillars = [
+      'operational_excellence', 'security', 'reliability',
+      'performance_efficiency', 'cost_optimization', 'sustainability'
+    ];
+  }
+
+  async processTask(task, context) {
+    console.log(`🏁 Cloud Architecture Specialist analyzing: ${task.description || task}`);
+
+    const cloudType = await this.identifyCloudType(task);
+
+    switch (cloudType) {
+      case 'cost_optimization':
+        return await this.optimizeCost(task, context);
+      case 'serverless':
+        return await this.designServerless(task, context);
+      case 'migration':
+        return await this.planCloudMigration(task, context);
+      default:
+        return await this.performWellArchitectedReview(task, context);
+    }
+  }
+
+  async identifyCloudType(task) {
+    const description = (task.description || task).toLowerCase();
+
+    if (description.includes('cost') || description.includes('bill') || description.includes('spend')) {
+      return 'cost_optimization';
+    }
+    if (description.includes('serverless') || description.includes('lambda') || description.includes('function')) {
+      return 'serverless';
+    }
+    if (description.includes('migrat') || description.includes('lift') || description.includes('move to')) {
+      return 'migration';
+    }
+
+    return 'well_architected';
+  }
+
+  async optimizeCost(task, context) {
+    console.log('🏁 Optimizing cloud cost...');
+
+    return {
+      type: 'cost_optimization',
+      personality_note: this.personalityNote(0),
+      spend_breakdown: this.rankSpend(task),
+      commitments: 'Reserved capacity or savings plans for steady baseline usage',
+      focus_areas: this.selectFocusAreas(task, ['compute', 'storage', 'governance']),
+      specialist: this.getSpecialistSignature(),
+      completed_at: new Date().toISOString()
+    };
+  }
+
+  async designServerless(task, context) {
+    console.log('🏁 Designing serverless architecture...');
+
+    return {
+      type: 'serverless',
+      personality_note: this.personalityNote(1),
+      workloads: this.assessServerlessFit(task),
+      focus_areas: this.selectFocusAreas(task, ['serverless', 'identity']),
+      specialist: this.getSpecialistSignature(),
+      completed_at: new Date().toISOString()
+    };
+  }
+
+  async planCloudMigration(task, context) {
+    console.log('🏁 Planning cloud migration...');
+
+    return {
+      type: 'migration',
+      workloads: this.chooseMigrationStrategies(task),
+      phases: ['Discovery and dependency mapping', 'Landing zone setup', 'Pilot workload', 'Migration waves', 'Optimization'],
+      focus_areas: this.selectFocusAreas(task, ['identity', 'resilience']),
+      specialist: this.getSpecialistSignature(),
+      completed_at: new Date().toISOString()
+    };
+  }
+
+  async performWellArchitectedReview(task, context) {
+    return {
+      type: 'well_architected',
+      summary: `Cloud architecture review of: ${task.description || task}`,
+      pillars: this.wellArchitectedPillars,
+      focus_areas: this.selectFocusAreas(task, ['identity', 'resilience', 'governance']),
+      specialist: this.getSpecialistSignature(),
+      completed_at: new Date().toISOString()
+    };
+  }
+
+  // task.monthly_costs: { service: monthly cost }, ranked with each service's share of the bill
+  rankSpend(task) {
+    const costs = task.monthly_costs || {};
+    const total = Object.values(costs).reduce((sum, cost) => sum + cost, 0);
+
+    return Object.entries(costs)
+      .sort(([, a], [, b]) => b - a)
+      .map(([service, cost]) => ({
+        service: service,
+        monthly_cost: cost,
+        share: total > 0 ? Math.round((cost / total) * 1000) / 1000 : 0
+      }));
+  }
+
+  // task.workloads: [{ name, traffic: 'spiky' | 'steady', duration_seconds, latency_critical }]
+  assessServerlessFit(task) {
+    const workloads = Array.isArray(task.workloads) ? task.workloads : [];
+
+    return workloads.map(workload => {
+      const concerns = [];
+      if (workload.duration_seconds > 900) concerns.push('runs longer than function time limits');
+      if (workload.traffic === 'steady') concerns.push('steady throughput is cheaper on containers');
+      if (workload.latency_critical) concerns.push('cold starts affect a latency-critical path');
+
+      return { workload: workload.name, fit: concerns.length === 0 ? 'serverless' : 'containers', concerns: concerns };
+    });
+  }
+
+  // task.workloads: [{ name, managed_equivalent, still_used, needs_rework }]
+  chooseMigrationStrategies(task) {
+    const workloads = Array.isArray(task.workloads) ? task.workloads : [];
+
+    return workloads.map(workload => {
+      let strategy = 'rehost';
+      if (workload.still_used === false) strategy = 'retire';
+      else if (workload.needs_rework) strategy = 'refactor';
+      else if (workload.managed_equivalent) strategy = 'replatform';
+
+      return { workload: workload.name, strategy: strategy };
+    });
+  }
+}
+
+module.exports = CloudArchitectureSpecialist;
@@ -0,0 +1,173 @@
+/**
+ * BUMBA 2.0 Database Specialist
+ * Technical Department specialist for data modeling, query optimization and migrations
+ */
+
+const { SpecialistAgent } = require('../../architecture-design');
+
+class DatabaseSpecialist extends SpecialistAgent {
+  constructor(department, context) {
+    super('database', department, context);
+    this.applyProfile();
+
+    this.databaseEngines = ['PostgreSQL', 'MySQL', 'MongoDB', 'Redis', 'SQLite'];
+  }
+
+  async processTask(task, context) {
+    console.log(`🏁 Database Specialist analyzing: ${task.description || task}`);
+
+    const databaseType = await this.identifyDatabaseType(task);
+
+    switch (databaseType) {
+      case 'schema_design':
+        return await this.designSchema(task, context);
+      case 'query_optimization':
+        return await this.optimizeQueries(task, context);
+      case 'migration':
+        return await this.planMigration(task, context);
+      case 'scaling':
+        return await this.planScaling(task, context);
+      default:
+        return await this.performGeneralDatabaseAnalysis(task, context);
+    }
+  }
+
+  async identifyDatabaseType(task) {
+    const description = (task.description || task).toLowerCase();
+
+    if (description.includes('slow') || description.includes('query') || description.includes('index') || description.includes('optimi')) {
+      return 'query_optimization';
+    }
+    if (description.includes('migrat')) {
+      return 'migration';
+    }
+    if (description.includes('shard') || description.includes('replica') || description.includes('scale') || description.includes('partition')) {
+      return 'scaling';
+    }
+    if (description.includes('schema') || description.includes('model') || description.includes('table') || description.includes('database')) {
+      return 'schema_design';
+    }
+
+    return 'general_database';
+  }
+
+  async designSchema(task, context) {
+    console.log('🏁 Designing database schema...');
+
+    return {
+      type: 'schema_design',
+      personality_note: this.personalityNote(0),
+      focus_areas: this.selectFocusAreas(task, ['modeling', 'indexing']),
+      conventions: {
+        keys: 'Surrogate primary keys; natural keys enforced with unique constraints',
+        naming: 'snake_case, plural table names, <table>_id foreign keys',
+        timestamps: 'created_at and updated_at on every table',
+        integrity: 'Foreign keys and NOT NULL by default'
+      },
+      indexing: this.recommendIndexes(task),
+      specialist: this.getSpecialistSignature(),
+      completed_at: new Date().toISOString()
+    };
+  }
+
+  async optimizeQueries(task, context) {
+    console.log('🏁 Optimizing database queries...');
+
+    return {
+      type: 'query_optimization',
+      personality_note: this.personalityNote(1),
+      focus_areas: this.selectFocusAreas(task, ['indexing']),
+      indexing: this.recommendIndexes(task),
+      specialist: this.getSpecialistSignature(),
+      completed_at: new Date().toISOString()
+    };
+  }
+
+  async planMigration(task, context) {
+    console.log('🏁 Planning schema migration...');
+
+    return {
+      type: 'migration',
+      focus_areas: this.selectFocusAreas(task, ['migrations']),
+      steps: this.planMigrationSteps(task),
+      verification: 'Row counts and checksums compared before the contract step',
+      specialist: this.getSpecialistSignature(),
+      completed_at: new Date().toISOString()
+    };
+  }
+
+  async planScaling(task, context) {
+    console.log('🏁 Planning database scaling...');
+
+    return {
+      type: 'scaling',
+      focus_areas: this.selectFocusAreas(task, ['scaling']),
+      next_stage: this.recommendScalingStage(task),
+      specialist: this.getSpecialistSignature(),
+      completed_at: new Date().toISOString()
+    };
+  }
+
+  async performGeneralDatabaseAnalysis(task, context) {
+    return {
+      type: 'general_database',
+      summary: `Database review of: ${task.description || task}`,
+      engines: this.databaseEngines,
+      focus_areas: this.selectFocusAreas(task, ['modeling', 'indexing', 'backups']),
+      specialist: this.getSpecialistSignature(),
+      completed_at: new Date().toISOString()
+    };
+  }
+
+  // task.queries: [{ table, filters: [equality columns], range, order_by }]
+  recommendIndexes(task) {
+    const queries = Array.isArray(task.queries) ? task.queries : [];
+
+    return queries.map(query => {
+      // Equality columns first, then the range or sort column
+      const columns = [...new Set([...(query.filters || []), query.range, query.order_by].filter(Boolean))];
+      return {
+        table: query.table,
+        columns: columns,
+        statement: `CREATE INDEX CONCURRENTLY ON ${query.table} (${columns.join(', ')})`
+      };
+    });
+  }
+
+  // task.changes: [{ type: 'add_column' | 'rename_column' | 'drop_column' | 'add_index', table, column, to }]
+  planMigrationSteps(task) {
+    const changes = Array.isArray(task.changes) ? task.changes : [];
+
+    return changes.flatMap(change => {
+      const target = `${change.table}.${change.column}`;
+      switch (change.type) {
+        case 'rename_column':
+          return [`Add ${change.table}.${change.to}`, `Dual-write ${target} and ${change.table}.${change.to}`, `Backfill ${change.table}.${change.to} in batches`, `Switch reads to ${change.table}.${change.to}`, `Drop ${target} in a later deploy`];
+        case 'drop_column':
+          return [`Stop reading ${target}`, `Drop ${target} in a later deploy`];
+        case 'add_index':
+          return [`Create the index on ${target} concurrently`];
+        default:
+          return [`Add ${target} as nullable`, `Backfill ${target} in batches`, `Add constraints on ${target} once backfilled`];
+      }
+    });
+  }
+
+  // task.metrics: { cpu_percent, read_ratio, largest_table_gb }
+  recommendScalingStage(task) {
+    const metrics = task.metrics || {};
+
+    if (metrics.largest_table_gb > 500) {
+      return { stage: 'partitioning', reason: `Largest table is ${metrics.largest_table_gb}GB; partition it by time or tenant` };
+    }
+    if (metrics.read_ratio > 0.8) {
+      return { stage: 'read_replicas', reason: `${Math.round(metrics.read_ratio * 100)}% of queries are reads; route them to replicas` };
+    }
+    if (metrics.cpu_percent > 70) {
+      return { stage: 'vertical', reason: `CPU at ${metrics.cpu_percent}%; scale the instance and tune memory settings` };
+    }
+    return { stage: 'measure', reason: 'Collect CPU, read ratio and table sizes before choosing a stage' };
+  }
+}
+
+module.exports = DatabaseSpecialist;
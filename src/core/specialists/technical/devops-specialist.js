@@ -0,0 +1,132 @@
+/**
+ * BUMBA 2.0 DevOps Specialist
+ * Technical Department specialist for CI/CD, containerization and operational practices
+ */
+
+const { SpecialistAgent } = require('../../architecture-design');
+
+class DevOpsSpecialist extends SpecialistAgent {
+  constructor(department, context) {
+    super('devops', department, context);
+    this.applyProfile();
+  }
+
+  async processTask(task, context) {
+    console.log(`🏁 DevOps Specialist analyzing: ${task.description || task}`);
+
+    const devopsType = await this.identifyDevOpsType(task);
+
+    switch (devopsType) {
+      case 'ci_cd':
+        return await this.designPipeline(task, context);
+      case 'containerization':
+        return await this.planContainerization(task, context);
+      case 'observability':
+        return await this.designObservability(task, context);
+      default:
+        return await this.performGeneralDevOpsReview(task, context);
+    }
+  }
+
+  async identifyDevOpsType(task) {
+    const description = (task.description || task).toLowerCase();
+
+    if (description.includes('pipeline') || /\bci\b/.test(description) || description.includes('deploy') || description.includes('release')) {
+      return 'ci_cd';
+    }
+    if (description.includes('docker') || description.includes('container') || description.includes('image')) {
+      return 'containerization';
+    }
+    if (description.includes('monitor') || description.includes('alert') || description.includes('logging') || description.includes('observab')) {
+      return 'observability';
+    }
+
+    return 'general_devops';
+  }
+
+  async designPipeline(task, context) {
+    console.log('🏁 Designing CI/CD pipeline...');
+
+    const environments = Array.isArray(task.environments) && task.environments.length > 0
+      ? task.environments
+      : ['staging', 'production'];
+
+    return {
+      type: 'ci_cd',
+      personality_note: this.personalityNote(1),
+      stages: [
+        { stage: 'verify', steps: ['Install with lockfile', 'Lint', 'Unit tests', 'Security scan'] },
+        { stage: 'build', steps: ['Build immutable artifact', 'Tag with commit SHA', 'Publish to registry'] },
+        ...environments.map((environment, index) => ({
+          stage: environment,
+          steps: index === environments.length - 1
+            ? ['Progressive rollout', 'Automated health checks', 'Automatic rollback on failure']
+            : ['Deploy artifact', 'Run migrations', 'Smoke and integration tests']
+        }))
+      ],
+      focus_areas: this.selectFocusAreas(task, ['pipeline', 'releases']),
+      specialist: this.getSpecialistSignature(),
+      completed_at: new Date().toISOString()
+    };
+  }
+
+  async planContainerization(task, context) {
+    console.log('🏁 Planning containerization...');
+
+    const services = Array.isArray(task.services) ? task.services : [];
+
+    return {
+      type: 'containerization',
+      services: services.map(service => ({
+        service: service.name,
+        image: `${service.name}:<commit-sha>`,
+        health_checks: service.port ? `GET :${service.port}/healthz for liveness, /readyz for readiness` : 'exec probe',
+        workload: service.stateful ? 'StatefulSet with persistent volume claims' : 'Deployment with a horizontal pod autoscaler'
+      })),
+      focus_areas: this.selectFocusAreas(task, ['containers', 'secrets']),
+      specialist: this.getSpecialistSignature(),
+      completed_at: new Date().toISOString()
+    };
+  }
+
+  async designObservability(task, context) {
+    console.log('🏁 Designing observability...');
+
+    return {
+      type: 'observability',
+      personality_note: this.personalityNote(2),
+      slo_alerts: this.defineBurnRateAlerts(task),
+      focus_areas: this.selectFocusAreas(task, ['observability', 'incidents']),
+      specialist: this.getSpecialistSignature(),
+      completed_at: new Date().toISOString()
+    };
+  }
+
+  async performGeneralDevOpsReview(task, context) {
+    return {
+      type: 'general_devops',
+      summary: `DevOps review of: ${task.description || task}`,
+      dora_metrics: ['Deployment frequency', 'Lead time for changes', 'Change failure rate', 'Time to restore service'],
+      focus_areas: this.selectFocusAreas(task, ['pipeline', 'releases', 'observability']),
+      specialist: this.getSpecialistSignature(),
+      completed_at: new Date().toISOString()
+    };
+  }
+
+  // task.slos: [{ service, target }] where target is the availability objective, e.g. 0.999
+  defineBurnRateAlerts(task) {
+    const slos = Array.isArray(task.slos) ? task.slos : [];
+
+    return slos.map(slo => {
+      const errorBudget = 1 - slo.target;
+      return {
+        service: slo.service,
+        error_budget: Math.round(errorBudget * 100000) / 100000,
+        page: `Error rate above ${Math.round(errorBudget * 14.4 * 10000) / 100}% over 1 hour`,
+        ticket: `Error rate above ${Math.round(errorBudget * 6 * 10000) / 100}% over 6 hours`
+      };
+    });
+  }
+}
+
+module.exports = DevOpsSpecialist;
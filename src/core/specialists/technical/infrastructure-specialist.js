@@ -0,0 +1,134 @@
+/**
+ * BUMBA 2.0 Infrastructure Specialist
+ * Technical Department specialist for infrastructure as code, networking and reliability
+ */
+
+const { SpecialistAgent } = require('../../architecture-design');
+
+class InfrastructureSpecialist extends SpecialistAgent {
+  constructor(department, context) {
+    super('infrastructure', department, context);
+    this.applyProfile();
+
+    // Ordered from cheapest to fastest recovery; recovery_minutes is the typical best case
+    this.recoveryStrategies = [
+      { name: 'backup_restore', cost: 'low', recovery_minutes: 240 },
+      { name: 'pilot_light', cost: 'medium', recovery_minutes: 30 },
+      { name: 'warm_standby', cost: 'high', recovery_minutes: 5 },
+      { name: 'multi_region_active', cost: 'highest', recovery_minutes: 0 }
+    ];
+  }
+
+  async processTask(task, context) {
+    console.log(`🏁 Infrastructure Specialist analyzing: ${task.description || task}`);
+
+    const infrastructureType = await this.identifyInfrastructureType(task);
+
+    switch (infrastructureType) {
+      case 'infrastructure_as_code':
+        return await this.designInfrastructureAsCode(task, context);
+      case 'networking':
+        return await this.designNetworking(task, context);
+      case 'disaster_recovery':
+        return await this.planDisasterRecovery(task, context);
+      default:
+        return await this.performGeneralInfrastructureReview(task, context);
+    }
+  }
+
+  async identifyInfrastructureType(task) {
+    const description = (task.description || task).toLowerCase();
+
+    if (description.includes('terraform') || /\biac\b/.test(description) || description.includes('provision')) {
+      return 'infrastructure_as_code';
+    }
+    if (description.includes('network') || /\bvpcs?\b/.test(description) || /\bdns\b/.test(description) || description.includes('load balancer')) {
+      return 'networking';
+    }
+    if (description.includes('backup') || description.includes('disaster') || description.includes('recovery') || description.includes('failover')) {
+      return 'disaster_recovery';
+    }
+
+    return 'general_infrastructure';
+  }
+
+  async designInfrastructureAsCode(task, context) {
+    console.log('🏁 Designing infrastructure as code...');
+
+    const components = Array.isArray(task.components) && task.components.length > 0
+      ? task.components
+      : ['network', 'database', 'service'];
+    const environments = Array.isArray(task.environments) && task.environments.length > 0
+      ? task.environments
+      : ['staging', 'production'];
+
+    return {
+      type: 'infrastructure_as_code',
+      personality_note: this.personalityNote(0),
+      modules: components.map(component => `modules/${component}`),
+      environments: environments.map(environment => ({
+        root: `environments/${environment}`,
+        modules: components,
+        state: `remote state "${environment}" with locking`
+      })),
+      focus_areas: this.selectFocusAreas(task, ['iac']),
+      specialist: this.getSpecialistSignature(),
+      completed_at: new Date().toISOString()
+    };
+  }
+
+  async designNetworking(task, context) {
+    console.log('🏁 Designing network topology...');
+
+    const zones = Number.isInteger(task.zones) && task.zones > 1 ? task.zones : 2;
+
+    return {
+      type: 'networking',
+      subnets: ['public', 'private', 'isolated'].flatMap(tier =>
+        Array.from({ length: zones }, (_, zone) => `${tier}-${String.fromCharCode(97 + zone)}`)),
+      focus_areas: this.selectFocusAreas(task, ['networking', 'availability']),
+      specialist: this.getSpecialistSignature(),
+      completed_at: new Date().toISOString()
+    };
+  }
+
+  async planDisasterRecovery(task, context) {
+    console.log('🏁 Planning disaster recovery...');
+
+    return {
+      type: 'disaster_recovery',
+      personality_note: this.personalityNote(2),
+      objectives: {
+        rpo: task.rpo || 'Maximum acceptable data loss, e.g. 15 minutes',
+        rto: task.rto || 'Maximum acceptable downtime, e.g. 1 hour'
+      },
+      strategy: this.selectRecoveryStrategy(task.rto_minutes),
+      focus_areas: this.selectFocusAreas(task, ['recovery']),
+      specialist: this.getSpecialistSignature(),
+      completed_at: new Date().toISOString()
+    };
+  }
+
+  async performGeneralInfrastructureReview(task, context) {
+    return {
+      type: 'general_infrastructure',
+      summary: `Infrastructure review of: ${task.description || task}`,
+      focus_areas: this.selectFocusAreas(task, ['availability', 'secrets', 'patching']),
+      specialist: this.getSpecialistSignature(),
+      completed_at: new Date().toISOString()
+    };
+  }
+
+  // The cheapest strategy that recovers within rtoMinutes
+  selectRecoveryStrategy(rtoMinutes) {
+    if (!Number.isFinite(rtoMinutes)) {
+      return { options: this.recoveryStrategies, recommendation: 'Set rto_minutes to choose a strategy' };
+    }
+
+    const strategy = this.recoveryStrategies.find(option => option.recovery_minutes <= rtoMinutes)
+      || this.recoveryStrategies[this.recoveryStrategies.length - 1];
+    return { ...strategy, rto_minutes: rtoMinutes };
+  }
+}
+
+module.exports = InfrastructureSpecialist;
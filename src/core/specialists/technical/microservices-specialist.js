@@ -0,0 +1,129 @@
+/**
+ * BUMBA 2.0 Microservices Specialist
+ * Technical Department specialist for service decomposition, communication and resilience
+ */
+
+const { SpecialistAgent } = require('../../architecture-design');
+
+class MicroservicesSpecialist extends SpecialistAgent {
+  constructor(department, context) {
+    super('microservices', department, context);
+    this.applyProfile();
+  }
+
+  async processTask(task, context) {
+    console.log(`🏁 Microservices Specialist analyzing: ${task.description || task}`);
+
+    const microservicesType = await this.identifyMicroservicesType(task);
+
+    switch (microservicesType) {
+      case 'decomposition':
+        return await this.planDecomposition(task, context);
+      case 'communication':
+        return await this.designCommunication(task, context);
+      case 'resilience':
+        return await this.designResilience(task, context);
+      default:
+        return await this.performGeneralMicroservicesReview(task, context);
+    }
+  }
+
+  async identifyMicroservicesType(task) {
+    const description = (task.description || task).toLowerCase();
+
+    if (description.includes('split') || description.includes('decompos') || description.includes('monolith') || description.includes('boundar')) {
+      return 'decomposition';
+    }
+    if (description.includes('event') || description.includes('message') || description.includes('queue') || description.includes('communicat')) {
+      return 'communication';
+    }
+    if (description.includes('resilien') || description.includes('retry') || description.includes('circuit') || description.includes('timeout')) {
+      return 'resilience';
+    }
+
+    return 'general_microservices';
+  }
+
+  async planDecomposition(task, context) {
+    console.log('🏁 Planning service decomposition...');
+
+    return {
+      type: 'decomposition',
+      personality_note: this.personalityNote(0),
+      extraction_order: this.orderExtraction(task),
+      pattern: 'Strangler fig: route traffic to the new service incrementally behind a facade',
+      focus_areas: this.selectFocusAreas(task, ['boundaries', 'data_ownership']),
+      specialist: this.getSpecialistSignature(),
+      completed_at: new Date().toISOString()
+    };
+  }
+
+  async designCommunication(task, context) {
+    console.log('🏁 Designing service communication...');
+
+    const interactions = Array.isArray(task.interactions) ? task.interactions : [];
+
+    return {
+      type: 'communication',
+      // Callers that need an answer query synchronously; everything else reacts to events
+      interactions: interactions.map(interaction => ({
+        from: interaction.from,
+        to: interaction.to,
+        style: interaction.needs_response ? 'synchronous HTTP/gRPC' : 'asynchronous event',
+        ...(interaction.needs_response ? {} : { event: `${interaction.from}.${interaction.action || 'changed'}` })
+      })),
+      focus_areas: this.selectFocusAreas(task, ['messaging', 'contracts']),
+      specialist: this.getSpecialistSignature(),
+      completed_at: new Date().toISOString()
+    };
+  }
+
+  async designResilience(task, context) {
+    console.log('🏁 Designing resilience patterns...');
+
+    return {
+      type: 'resilience',
+      personality_note: this.personalityNote(2),
+      timeout_budget: this.allocateTimeouts(task),
+      verification: 'Fault injection tests in staging',
+      focus_areas: this.selectFocusAreas(task, ['resilience']),
+      specialist: this.getSpecialistSignature(),
+      completed_at: new Date().toISOString()
+    };
+  }
+
+  async performGeneralMicroservicesReview(task, context) {
+    return {
+      type: 'general_microservices',
+      summary: `Microservices review of: ${task.description || task}`,
+      focus_areas: this.selectFocusAreas(task, ['boundaries', 'data_ownership', 'resilience']),
+      specialist: this.getSpecialistSignature(),
+      completed_at: new Date().toISOString()
+    };
+  }
+
+  // task.capabilities: [{ name, change_frequency, inbound_dependencies }]; extract frequently
+  // changing capabilities with few inbound dependencies first
+  orderExtraction(task) {
+    const capabilities = Array.isArray(task.capabilities) ? task.capabilities : [];
+    const score = capability => (capability.change_frequency || 0) - (capability.inbound_dependencies || 0);
+
+    return [...capabilities]
+      .sort((a, b) => score(b) - score(a))
+      .map(capability => capability.name);
+  }
+
+  // task.call_chain: service names from the edge inward, task.latency_budget_ms for the whole chain.
+  // Each hop gets a timeout shorter than its caller's.
+  allocateTimeouts(task) {
+    const chain = Array.isArray(task.call_chain) ? task.call_chain : [];
+    const budget = Number.isFinite(task.latency_budget_ms) ? task.latency_budget_ms : 1000;
+
+    return chain.map((service, hop) => ({
+      service: service,
+      timeout_ms: Math.floor(budget * Math.pow(0.8, hop))
+    }));
+  }
+}
+
+module.exports = MicroservicesSpecialist;
@@ -0,0 +1,146 @@
+/**
+ * BUMBA 2.0 Performance Engineering Specialist
+ * Technical Department specialist for backend profiling, load testing and capacity planning
+ */
+
+const { SpecialistAgent } = require('../../architecture-design');
+
+class PerformanceEngineeringSpecialist extends SpecialistAgent {
+  constructor(department, context) {
+    super('performance-engineering', department, context);
+    this.applyProfile();
+  }
+
+  async processTask(task, context) {
+    console.log(`🏁 Performance Engineering Specialist analyzing: ${task.description || task}`);
+
+    const performanceType = await this.identifyPerformanceType(task);
+
+    switch (performanceType) {
+      case 'profiling':
+        return await this.profileBottlenecks(task, context);
+      case 'load_testing':
+        return await this.planLoadTest(task, context);
+      case 'caching':
+        return await this.designCaching(task, context);
+      default:
+        return await this.performGeneralPerformanceAnalysis(task, context);
+    }
+  }
+
+  async identifyPerformanceType(task) {
+    const description = (task.description || task).toLowerCase();
+
+    if (description.includes('load') || description.includes('stress') || description.includes('capacity') || description.includes('throughput')) {
+      return 'load_testing';
+    }
+    if (description.includes('cache') || description.includes('caching')) {
+      return 'caching';
+    }
+    if (description.includes('profil') || description.includes('slow') || description.includes('latency') || description.includes('memory') || description.includes('cpu')) {
+      return 'profiling';
+    }
+
+    return 'general_performance';
+  }
+
+  async profileBottlenecks(task, context) {
+    console.log('🏁 Profiling performance bottlenecks...');
+
+    return {
+      type: 'profiling',
+      personality_note: this.personalityNote(1),
+      time_breakdown: this.rankSpans(task),
+      focus_areas: this.selectFocusAreas(task, ['cpu', 'io']),
+      specialist: this.getSpecialistSignature(),
+      completed_at: new Date().toISOString()
+    };
+  }
+
+  async planLoadTest(task, context) {
+    console.log('🏁 Planning load test...');
+
+    const expectedRps = task.expectedRps || 100;
+
+    return {
+      type: 'load_testing',
+      personality_note: this.personalityNote(2),
+      scenarios: [
+        { name: 'baseline', requests_per_second: expectedRps, duration: '30 minutes' },
+        { name: 'peak', requests_per_second: expectedRps * 3, duration: '15 minutes' },
+        { name: 'soak', requests_per_second: expectedRps, duration: '4 hours' },
+        { name: 'spike', requests_per_second: expectedRps * 10, duration: '2 minutes' }
+      ],
+      pass_criteria: 'p99 latency and error rate within SLO for every scenario',
+      capacity: this.estimateCapacity(expectedRps, task.latencyMs || 50),
+      focus_areas: this.selectFocusAreas(task, ['concurrency']),
+      specialist: this.getSpecialistSignature(),
+      completed_at: new Date().toISOString()
+    };
+  }
+
+  async designCaching(task, context) {
+    console.log('🏁 Designing caching strategy...');
+
+    return {
+      type: 'caching',
+      key_patterns: this.reviewHitRatios(task),
+      focus_areas: this.selectFocusAreas(task, ['caching']),
+      specialist: this.getSpecialistSignature(),
+      completed_at: new Date().toISOString()
+    };
+  }
+
+  async performGeneralPerformanceAnalysis(task, context) {
+    return {
+      type: 'general_performance',
+      summary: `Performance engineering review of: ${task.description || task}`,
+      process: ['Define SLOs', 'Measure', 'Find the largest bottleneck', 'Fix', 'Verify under load'],
+      focus_areas: this.selectFocusAreas(task, ['cpu', 'database', 'io']),
+      specialist: this.getSpecialistSignature(),
+      completed_at: new Date().toISOString()
+    };
+  }
+
+  // Little's law: concurrent requests in flight = arrival rate x time in system
+  estimateCapacity(requestsPerSecond, latencyMs) {
+    const concurrency = requestsPerSecond * (latencyMs / 1000);
+
+    return {
+      requests_per_second: requestsPerSecond,
+      latency_ms: latencyMs,
+      required_concurrency: Math.ceil(concurrency),
+      recommended_with_headroom: Math.ceil(concurrency * 1.5)
+    };
+  }
+
+  // task.spans: [{ name, duration_ms }] from a trace of the slow request, largest share first
+  rankSpans(task) {
+    const spans = Array.isArray(task.spans) ? task.spans : [];
+    const total = spans.reduce((sum, span) => sum + span.duration_ms, 0);
+
+    return [...spans]
+      .sort((a, b) => b.duration_ms - a.duration_ms)
+      .map(span => ({
+        span: span.name,
+        duration_ms: span.duration_ms,
+        share: total > 0 ? Math.round((span.duration_ms / total) * 1000) / 1000 : 0
+      }));
+  }
+
+  // task.cache_stats: { key_pattern: { hits, misses } }; caches under a 50% hit ratio are removal candidates
+  reviewHitRatios(task) {
+    const stats = task.cache_stats || {};
+
+    return Object.entries(stats).map(([pattern, { hits, misses }]) => {
+      const ratio = hits + misses > 0 ? hits / (hits + misses) : 0;
+      return {
+        key_pattern: pattern,
+        hit_ratio: Math.round(ratio * 1000) / 1000,
+        action: ratio < 0.5 ? 'remove or re-key' : 'keep'
+      };
+    });
+  }
+}
+
+module.exports = PerformanceEngineeringSpecialist;
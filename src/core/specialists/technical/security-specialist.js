@@ -8,25 +8,7 @@ const { SpecialistAgent } = require('../../architecture-design');
 class SecuritySpecialist extends SpecialistAgent {
   constructor(department, context) {
     super('security', department, context);
-    
-    this.expertise = {
-      security_architecture: true,
-      vulnerability_assessment: true,
-      penetration_testing: true,
-      threat_modeling: true,
-      cryptography: true,
-      authentication_systems: true,
-      authorization_frameworks: true,
-      secure_coding: true,
-      compliance_validation: true,
-      incident_response: true,
-      security_monitoring: true,
-      ai_security: true
-    };
-
-    this.tools = [
-      'semgrep-mcp', 'github-mcp', 'filesystem-mcp', 'playwright-mcp'
-    ];
+    this.applyProfile();
 
     this.securityFrameworks = [
       'OWASP', 'NIST', 'ISO27001', 'SOC2', 'GDPR', 'CCPA'
@@ -35,6 +17,8 @@ class SecuritySpecialist extends SpecialistAgent {
     this.threatModels = [
       'STRIDE', 'PASTA', 'TRIKE', 'VAST', 'OCTAVE'
     ];
+
+    this.remediationWindows = { critical: '24 hours', high: '7 days', medium: '30 days', low: '90 days' };
   }
 
   async processTask(task, context) {
@@ -65,19 +49,11 @@ class SecuritySpecialist extends SpecialistAgent {
 
     return {
       type: 'vulnerability_assessment',
-      scan_scope: await this.defineScanScope(task),
-      static_analysis: await this.performStaticAnalysis(task),
-      dynamic_analysis: await this.performDynamicAnalysis(task),
-      dependency_scan: await this.scanDependencies(task),
-      configuration_review: await this.reviewConfigurations(task),
-      code_review: await this.performSecurityCodeReview(task),
-      infrastructure_scan: await this.scanInfrastructure(task),
-      vulnerability_catalog: await this.catalogVulnerabilities(task),
-      risk_assessment: await this.assessRisks(task),
-      remediation_plan: await this.createRemediationPlan(task),
+      personality_note: this.personalityNote(0),
+      remediation_plan: this.createRemediationPlan(task),
+      focus_areas: this.selectFocusAreas(task, ['dependencies', 'injection']),
       consciousness_security: await this.validateConsciousnessSecurity(task),
-      compliance_mapping: await this.mapComplianceRequirements(task),
-      specialist: 'Security Specialist',
+      specialist: this.getSpecialistSignature(),
       completed_at: new Date().toISOString()
     };
   }
@@ -85,21 +61,17 @@ class SecuritySpecialist extends SpecialistAgent {
   async performThreatModeling(task, context) {
     console.log('🏁 Performing comprehensive threat modeling...');
 
+    const threats = this.applyStride(task);
+
     return {
       type: 'threat_modeling',
-      system_decomposition: await this.decomposeSystem(task),
-      asset_identification: await this.identifyAssets(task),
-      threat_identification: await this.identifyThreats(task),
-      vulnerability_mapping: await this.mapVulnerabilities(task),
-      attack_vectors: await this.analyzeAttackVectors(task),
-      impact_analysis: await this.analyzeImpact(task),
-      likelihood_assessment: await this.assessLikelihood(task),
-      risk_matrix: await this.createRiskMatrix(task),
-      mitigation_strategies: await this.developMitigationStrategies(task),
-      security_controls: await this.recommendSecurityControls(task),
+      personality_note: this.personalityNote(1),
+      method: 'STRIDE',
+      assets: [...new Set(this.getComponents(task).flatMap(component => component.data || []))],
+      threats: threats,
+      mitigations: this.selectFocusAreas(task, ['authentication', 'authorization', 'data_protection']),
       consciousness_threats: await this.identifyConsciousnessThreats(task),
-      ethical_considerations: await this.analyzeEthicalConsiderations(task),
-      specialist: 'Security Specialist',
+      specialist: this.getSpecialistSignature(),
       completed_at: new Date().toISOString()
     };
   }
@@ -109,19 +81,54 @@ class SecuritySpecialist extends SpecialistAgent {
 
     return {
       type: 'security_architecture',
-      architecture_principles: await this.defineSecurityPrinciples(task),
-      defense_in_depth: await this.implementDefenseInDepth(task),
-      zero_trust_model: await this.implementZeroTrust(task),
-      authentication_architecture: await this.designAuthentication(task),
-      authorization_framework: await this.designAuthorization(task),
-      encryption_strategy: await this.designEncryptionStrategy(task),
-      network_security: await this.designNetworkSecurity(task),
-      data_protection: await this.designDataProtection(task),
-      monitoring_strategy: await this.designSecurityMonitoring(task),
-      incident_response: await this.designIncidentResponse(task),
+      personality_note: this.personalityNote(2),
+      principles: ['Zero trust: authenticate and authorize every request', 'Defense in depth', 'Least privilege'],
+      trust_boundaries: this.getComponents(task)
+        .filter(component => component.exposed)
+        .map(component => ({ component: component.name, controls: ['TLS', 'authentication', 'rate limiting', 'input validation'] })),
+      controls: this.selectFocusAreas(task, ['authentication', 'authorization', 'data_protection']),
       consciousness_security_principles: await this.integrateConsciousnessSecurity(task),
-      ethical_security_framework: await this.designEthicalSecurity(task),
-      specialist: 'Security Specialist',
+      specialist: this.getSpecialistSignature(),
+      completed_at: new Date().toISOString()
+    };
+  }
+
+  async conductPenetrationTesting(task, context) {
+    console.log('🏁 Planning penetration test...');
+
+    const targets = Array.isArray(task.targets) ? task.targets : [];
+
+    // Testing starts only against systems the owner has authorized in writing
+    if (!task.authorized) {
+      return {
+        type: 'penetration_testing',
+        status: 'requires_authorization',
+        targets: targets,
+        specialist: this.getSpecialistSignature(),
+        completed_at: new Date().toISOString()
+      };
+    }
+
+    return {
+      type: 'penetration_testing',
+      status: 'planned',
+      methodology: 'OWASP Web Security Testing Guide',
+      targets: targets,
+      out_of_scope: Array.isArray(task.out_of_scope) ? task.out_of_scope : [],
+      focus_areas: this.selectFocusAreas(task, ['authentication', 'authorization', 'injection']),
+      specialist: this.getSpecialistSignature(),
+      completed_at: new Date().toISOString()
+    };
+  }
+
+  async validateCompliance(task, context) {
+    console.log('🏁 Validating compliance controls...');
+
+    return {
+      type: 'compliance_validation',
+      coverage: this.measureControlCoverage(task),
+      focus_areas: this.selectFocusAreas(task, ['compliance']),
+      specialist: this.getSpecialistSignature(),
       completed_at: new Date().toISOString()
     };
   }
@@ -129,21 +136,26 @@ class SecuritySpecialist extends SpecialistAgent {
   async implementAISecurityMeasures(task, context) {
     console.log('🏁 Implementing AI-specific security measures...');
 
+    const tools = Array.isArray(task.agent_tools) ? task.agent_tools : [];
+
     return {
       type: 'ai_security',
+      focus_areas: this.selectFocusAreas(task, ['ai_security']),
+      // Tools that change state are the ones a prompt injection can turn against the user
+      tools_requiring_approval: tools.filter(tool => tool.writes).map(tool => tool.name),
       prompt_injection_protection: await this.implementPromptInjectionProtection(task),
-      model_access_controls: await this.implementModelAccessControls(task),
-      data_privacy_protection: await this.implementDataPrivacyProtection(task),
-      adversarial_input_handling: await this.implementAdversarialInputHandling(task),
-      ai_output_validation: await this.implementOutputValidation(task),
-      model_poisoning_protection: await this.implementModelPoisoningProtection(task),
-      bias_detection: await this.implementBiasDetection(task),
-      transparency_measures: await this.implementTransparencyMeasures(task),
-      consent_management: await this.implementConsentManagement(task),
-      ethical_ai_constraints: await this.implementEthicalConstraints(task),
       consciousness_ai_alignment: await this.ensureConsciousnessAlignment(task),
-      responsible_ai_practices: await this.implementResponsibleAI(task),
-      specialist: 'Security Specialist',
+      specialist: this.getSpecialistSignature(),
+      completed_at: new Date().toISOString()
+    };
+  }
+
+  async performGeneralSecurityAnalysis(task, context) {
+    return {
+      type: 'general_security',
+      summary: `Security review of: ${task.description || task}`,
+      focus_areas: this.selectFocusAreas(task, ['authentication', 'authorization', 'injection']),
+      specialist: this.getSpecialistSignature(),
       completed_at: new Date().toISOString()
     };
   }
@@ -173,58 +185,70 @@ class SecuritySpecialist extends SpecialistAgent {
     return 'general_security';
   }
 
-  async performStaticAnalysis(task) {
-    return {
-      semgrep_scan: 'Comprehensive static analysis using 5,000+ security rules',
-      code_quality_scan: 'Security-focused code quality analysis',
-      secret_detection: 'Scanning for hardcoded secrets and credentials',
-      dependency_analysis: 'Analysis of third-party dependencies for vulnerabilities',
-      configuration_scan: 'Security configuration validation',
-      consciousness_compliance: 'Code analysis for consciousness-driven security principles'
-    };
+  // task.components: [{ name, exposed, stores, data: [...] }]
+  getComponents(task) {
+    return Array.isArray(task.components) ? task.components : [];
   }
 
-  async scanDependencies(task) {
-    return {
-      known_vulnerabilities: 'Scan against CVE database for known vulnerabilities',
-      license_compliance: 'License compatibility and legal compliance check',
-      dependency_freshness: 'Analysis of outdated dependencies',
-      transitive_dependencies: 'Deep scan of indirect dependencies',
-      supply_chain_security: 'Supply chain attack vector analysis',
-      consciousness_dependencies: 'Evaluation of dependencies against ethical criteria'
-    };
+  applyStride(task) {
+    return this.getComponents(task).flatMap(component => {
+      const threats = [];
+      if (component.exposed) {
+        threats.push('spoofing', 'denial_of_service');
+      }
+      if (component.stores) {
+        threats.push('tampering', 'repudiation');
+      }
+      if ((component.data || []).length > 0) {
+        threats.push('information_disclosure');
+      }
+      if (component.exposed && component.stores) {
+        threats.push('elevation_of_privilege');
+      }
+      return threats.map(threat => ({ component: component.name, threat: threat }));
+    });
   }
 
-  async implementPromptInjectionProtection(task) {
-    return {
-      input_sanitization: 'Comprehensive input validation and sanitization',
-      prompt_filtering: 'AI-specific prompt injection pattern detection',
-      context_isolation: 'Isolation of user input from system prompts',
-      output_validation: 'Validation of AI outputs for malicious content',
-      rate_limiting: 'Request rate limiting to prevent abuse',
-      consciousness_protection: 'Protection against prompts that violate ethical principles'
-    };
+  // task.findings: [{ id, severity, component }]
+  createRemediationPlan(task) {
+    const order = Object.keys(this.remediationWindows);
+    const findings = Array.isArray(task.findings) ? task.findings : [];
+
+    return findings
+      .filter(finding => this.remediationWindows[finding.severity])
+      .sort((a, b) => order.indexOf(a.severity) - order.indexOf(b.severity))
+      .map(finding => ({
+        finding: finding.id,
+        component: finding.component || null,
+        severity: finding.severity,
+        fix_within: this.remediationWindows[finding.severity]
+      }));
   }
 
-  async implementModelAccessControls(task) {
-    return {
-      authentication_required: 'Strong authentication for all model access',
-      authorization_matrix: 'Role-based access control for different model capabilities',
-      api_key_management: 'Secure API key generation and rotation',
-      usage_monitoring: 'Comprehensive logging and monitoring of model usage',
-      quota_management: 'Usage quotas and fair access policies',
-      consciousness_access: 'Access controls aligned with consciousness principles'
-    };
+  // task.controls: [{ id, frameworks: [...], implemented }]
+  measureControlCoverage(task) {
+    const controls = Array.isArray(task.controls) ? task.controls : [];
+    const frameworks = Array.isArray(task.frameworks) ? task.frameworks : this.securityFrameworks;
+
+    return frameworks
+      .map(framework => {
+        const mapped = controls.filter(control => (control.frameworks || []).includes(framework));
+        return {
+          framework: framework,
+          controls: mapped.length,
+          coverage: mapped.length > 0 ? Math.round((mapped.filter(control => control.implemented).length / mapped.length) * 100) / 100 : null,
+          gaps: mapped.filter(control => !control.implemented).map(control => control.id)
+        };
+      })
+      .filter(entry => entry.controls > 0);
   }
 
-  async implementEthicalConstraints(task) {
+  async implementPromptInjectionProtection(task) {
     return {
-      content_filtering: 'Filtering of harmful or unethical content generation',
-      bias_mitigation: 'Active measures to reduce model bias',
-      privacy_protection: 'Strong privacy protections for user data',
-      transparency_requirements: 'Clear disclosure of AI capabilities and limitations',
-      user_consent: 'Informed consent for AI interactions',
-      consciousness_alignment: 'All constraints align with consciousness-driven principles'
+      context_isolation: 'Isolation of user input from system prompts',
+      output_validation: 'Validation of AI outputs before they reach tools or users',
+      rate_limiting: 'Request rate limiting to prevent abuse',
+      consciousness_protection: 'Protection against prompts that violate ethical principles'
     };
   }
 
@@ -272,29 +296,6 @@ class SecuritySpecialist extends SpecialistAgent {
     };
   }
 
-  async createRemediationPlan(task) {
-    return [
-      {
-        vulnerability: 'High-priority security vulnerabilities',
-        remediation: 'Immediate patching and security control implementation',
-        timeline: 'Within 24 hours',
-        consciousness_priority: 'Protect user data and community safety'
-      },
-      {
-        vulnerability: 'Medium-priority security gaps',
-        remediation: 'Systematic security control enhancement',
-        timeline: 'Within 1 week',
-        consciousness_priority: 'Strengthen ethical security practices'
-      },
-      {
-        vulnerability: 'Low-priority security improvements',
-        remediation: 'Proactive security hardening',
-        timeline: 'Within 1 month',
-        consciousness_priority: 'Maintain consciousness-driven security standards'
-      }
-    ];
-  }
-
   async reportToManager(result) {
     if (this.manager) {
       console.log(`🏁 Security Specialist reporting to ${this.manager.name}`);
@@ -805,29 +805,69 @@ def process_user_data(data: dict) -> Result:
   return true;
 };
 
+// The hook runner and every module it loads, copied under ~/.claude so the
+// hooks keep working once the npx cache that ran the installer is evicted
+const HOOK_RUNTIME_DIR = path.join(INSTALL_DIR, 'bumba-runtime');
+const HOOK_RUNTIME_SOURCES = [
+  'core/hooks', 'core/security', 'core/config', 'core/error-handling', 'core/audio-fallback-system.js'
+];
+const HOOK_RUNTIME_PACKAGES = ['@babel/parser'];
+
+const installHookRuntime = () => {
+  fs.rmSync(HOOK_RUNTIME_DIR, { recursive: true, force: true });
+
+  for (const source of HOOK_RUNTIME_SOURCES) {
+    fs.cpSync(path.join(__dirname, source), path.join(HOOK_RUNTIME_DIR, 'src', source), { recursive: true });
+  }
+
+  for (const packageName of HOOK_RUNTIME_PACKAGES) {
+    try {
+      const packageDir = path.dirname(require.resolve(packageName + '/package.json'));
+      fs.cpSync(packageDir, path.join(HOOK_RUNTIME_DIR, 'node_modules', packageName), { recursive: true });
+    } catch (error) {
+      // Optional: without it the quality hook skips AST checks
+      console.log('⚠️  ' + packageName + ' not copied to the hook runtime: ' + error.message);
+    }
+  }
+
+  return path.join(HOOK_RUNTIME_DIR, 'src', 'core', 'hooks', 'claude-hook-runner.js');
+};
+
 // Generate BUMBA Quality Hooks
 /* eslint-disable */
 const generateQualityHooks = async () => {
   const spinner = ora('Generating BUMBA Quality Enforcement System...').start();
 
-  // BUMBA pre-execution hook - simplified for reliability
-  const preExecutionHook =
-    '#!' +
-    '/bin/bash\n' +
-    '# BUMBA Pre-execution Security & Quality Scan\n' +
-    'set -euo pipefail\n' +
-    'echo "BUMBA cognitive safeguard: Verifying before execution..." >&2\n' +
-    'echo "BUMBA security pre-check passed" >&2\n' +
-    'exit 0';
+  // Pre/post execution hooks hand the Claude Code payload on stdin to the
+  // Node hook system, which exits 2 with a reason to block the tool call.
+  // Without node or the runner, pre-execution blocks too (fails closed).
+  const hookRunner = installHookRuntime();
+  const shellQuote = value => "'" + value.replace(/'/g, "'\\''") + "'";
+  const nodeHook = (title, event) => {
+    const unavailableExit = event === 'pre-execution' ? 2 : 1;
+    const unavailableAction = event === 'pre-execution' ? 'blocked' : 'skipped';
+    return '#!' +
+      '/bin/bash\n' +
+      '# ' + title + '\n' +
+      '# Generated by BUMBA - runs the ' + event + ' chain of the BUMBA hook system\n' +
+      'set -uo pipefail\n' +
+      '\n' +
+      'BUMBA_HOOK_RUNNER=' + shellQuote(hookRunner) + '\n' +
+      '\n' +
+      'if ! command -v node >/dev/null 2>&1; then\n' +
+      '  echo "BUMBA ' + event + ' hook ' + unavailableAction + ': node not found on PATH" >&2\n' +
+      '  exit ' + unavailableExit + '\n' +
+      'fi\n' +
+      'if [[ ! -f "$BUMBA_HOOK_RUNNER" ]]; then\n' +
+      '  echo "BUMBA ' + event + ' hook ' + unavailableAction + ': $BUMBA_HOOK_RUNNER not found, reinstall bumba-claude" >&2\n' +
+      '  exit ' + unavailableExit + '\n' +
+      'fi\n' +
+      '\n' +
+      'exec node "$BUMBA_HOOK_RUNNER" ' + event + '\n';
+  };
 
-  // BUMBA post-execution hook - simplified for reliability
-  const postExecutionHook =
-    '#!' +
-    '/bin/bash\n' +
-    '# BUMBA Post-execution Quality Validation\n' +
-    'set -euo pipefail\n' +
-    'echo "BUMBA quality validation completed" >&2\n' +
-    'exit 0';
+  const preExecutionHook = nodeHook('BUMBA Pre-execution Security & Quality Scan', 'pre-execution');
+  const postExecutionHook = nodeHook('BUMBA Post-execution Quality Validation', 'post-execution');
 
   // BUMBA completion hook
   const completionHook =
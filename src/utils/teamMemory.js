@@ -61,6 +61,7 @@ class BumbaTeamMemory {
         sessions: [],
         handoffs: [],
         collaborations: [],
+        commands: [],
       };
       this.saveAgentHistory(initialHistory);
     }
@@ -331,6 +332,43 @@ class BumbaTeamMemory {
     return this.saveAgentHistory(history);
   }
 
+  /**
+   * Record an executed command for workflow learning
+   */
+  recordCommandExecution(command, args = [], details = {}) {
+    const history = this.getAgentHistory();
+    if (!history) return false;
+
+    if (!history.commands) {
+      history.commands = [];
+    }
+
+    history.commands.push({
+      command: command,
+      args: args,
+      session: details.session || null,
+      success: details.success !== false,
+      timestamp: new Date().toISOString(),
+    });
+
+    // Keep only last 1000 commands
+    if (history.commands.length > 1000) {
+      history.commands = history.commands.slice(-1000);
+    }
+
+    return this.saveAgentHistory(history);
+  }
+
+  /**
+   * Get recorded command executions, oldest first
+   */
+  getCommandHistory() {
+    const history = this.getAgentHistory();
+    if (!history || !history.commands) return [];
+
+    return history.commands;
+  }
+
   /**
    * Get collaboration state
    */
@@ -441,6 +479,12 @@ class BumbaTeamMemory {
         session => new Date(session.timestamp) > cutoffDate
       );
 
+      if (history.commands) {
+        history.commands = history.commands.filter(
+          entry => new Date(entry.timestamp) > cutoffDate
+        );
+      }
+
       this.saveAgentHistory(history);
     }
 
@@ -0,0 +1,87 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The runner uses the shared hook system, which reads its config once
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'bumba-hook-runner-'));
+Object.assign(process.env, { HOME: home, BUMBA_AUDIT_LOG: '', BUMBA_HOOK_CACHE: '', BUMBA_QUALITY_IMPORT_INDEX: '' });
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const { spawnSync } = require('child_process');
+const {
+  runClaudeHook,
+  EXIT_ALLOW,
+  EXIT_ERROR,
+  EXIT_BLOCK
+} = require('../src/core/hooks/claude-hook-runner');
+const { bumbaHookSystem, SecurityHook } = require('../src/core/hooks/bumba-hook-system');
+
+const RUNNER = path.join(__dirname, '..', 'src', 'core', 'hooks', 'claude-hook-runner.js');
+
+after(() => {
+  fs.rmSync(home, { recursive: true, force: true });
+});
+
+const write = content => ({ tool_name: 'Write', tool_input: { file_path: path.join(home, 'app.js'), content } });
+
+function runCli(event, stdin) {
+  return spawnSync(process.execPath, [RUNNER, event], { input: stdin, env: process.env, encoding: 'utf8', timeout: 30000 });
+}
+
+test('an allowed tool call exits 0 without a message', async () => {
+  const { code, message } = await runClaudeHook('pre-execution', write('module.exports = 1;\n'));
+  assert.strictEqual(code, EXIT_ALLOW);
+  assert.strictEqual(message, null);
+});
+
+test('a denied tool call exits 2 with the reason and the denying hook', async () => {
+  const { code, message } = await runClaudeHook('pre-execution', { tool_name: 'Bash', tool_input: { command: 'sudo rm -rf /' } });
+  assert.strictEqual(code, EXIT_BLOCK);
+  assert.match(message, /^BUMBA blocked Bash: Contains suspicious patterns \(hook: security\)$/);
+});
+
+test('a security handler that throws blocks the tool call', async t => {
+  t.mock.method(SecurityHook.prototype, 'execute', async () => {
+    throw new Error('scanner crashed');
+  });
+  bumbaHookSystem.resetFailureCount('pre-execution:security');
+
+  const { code, message } = await runClaudeHook('pre-execution', write('module.exports = 2;\n'));
+  assert.strictEqual(code, EXIT_BLOCK);
+  assert.match(message, /scanner crashed \(hook: security\)/);
+});
+
+test('a runner error blocks pre-execution and only reports post-execution', async t => {
+  t.mock.method(bumbaHookSystem, 'executeHook', async () => {
+    throw new Error('hook system unavailable');
+  });
+
+  const pre = await runClaudeHook('pre-execution', write(''));
+  assert.strictEqual(pre.code, EXIT_BLOCK);
+  assert.match(pre.message, /tool call blocked: hook system unavailable/);
+
+  const post = await runClaudeHook('post-execution', write(''));
+  assert.strictEqual(post.code, EXIT_ERROR);
+});
+
+test('post-execution reports quality findings without blocking', async () => {
+  const file = path.join(home, 'broken.js');
+  fs.writeFileSync(file, 'const a = ;\n');
+
+  const { code, message } = await runClaudeHook('post-execution', { tool_name: 'Edit', tool_input: { file_path: file } });
+  assert.strictEqual(code, EXIT_ALLOW);
+  assert.match(message, /^BUMBA quality score \d+:\n {2}.*broken\.js:1 .*\[parse-error\]/);
+});
+
+test('an unknown event is an error', async () => {
+  assert.strictEqual((await runClaudeHook('completion', {})).code, EXIT_ERROR);
+});
+
+test('an unreadable payload blocks pre-execution from the command line', () => {
+  const pre = runCli('pre-execution', '{ not json');
+  assert.strictEqual(pre.status, EXIT_BLOCK);
+  assert.match(pre.stderr, /BUMBA pre-execution hook failed, tool call blocked/);
+
+  assert.strictEqual(runCli('post-execution', '{ not json').status, EXIT_ERROR);
+});
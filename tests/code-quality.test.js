@@ -0,0 +1,155 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CodeQualityAnalyzer, DEFAULT_WEIGHTS } = require('../src/core/hooks/code-quality-analyzer');
+const { QualityHook } = require('../src/core/hooks/bumba-hook-system');
+
+let dir;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bumba-quality-'));
+  write('package.json', '{ "main": "app.js" }');
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function write(file, content) {
+  fs.writeFileSync(path.join(dir, file), content);
+}
+
+const analyzer = (thresholds = {}) => new CodeQualityAnalyzer({ cwd: dir, thresholds });
+const rules = findings => findings.map(finding => finding.rule);
+
+// A function spanning `lines` lines
+function functionOf(name, lines) {
+  return [`function ${name}() {`, ...Array(lines - 2).fill('  work();'), '}'].join('\n');
+}
+
+test('functions longer than the limit are reported, as errors at twice the limit', () => {
+  const findings = analyzer({ maxFunctionLines: 5 })
+    .analyzeCode([functionOf('short', 5), functionOf('long', 8), functionOf('huge', 10)].join('\n'));
+
+  assert.deepStrictEqual(findings.map(finding => [finding.rule, finding.line, finding.value, finding.severity]), [
+    ['function-length', 6, 8, 'warning'],
+    ['function-length', 14, 10, 'error']
+  ]);
+  assert.strictEqual(findings[0].message, 'long is 8 lines long');
+});
+
+test('cyclomatic complexity counts branches and logical operators', () => {
+  const code = `
+const check = (a, b) => {
+  if (a && b) return 1;
+  for (const item of a) {
+    if (item) continue;
+  }
+  return b ? 2 : 3;
+};`;
+  const [finding] = analyzer({ maxComplexity: 3 }).analyzeCode(code);
+
+  assert.strictEqual(finding.rule, 'complexity');
+  assert.strictEqual(finding.value, 6);
+  assert.strictEqual(finding.severity, 'error');
+  assert.match(finding.message, /^check has cyclomatic complexity 6/);
+  assert.deepStrictEqual(analyzer({ maxComplexity: 6 }).analyzeCode(code), []);
+});
+
+test('TODO markers are reported when their density passes the limit', () => {
+  const code = ['// TODO: split', 'run();', '// FIXME: handle errors', 'stop();'].join('\n');
+  const [finding] = analyzer({ maxTodoPer100Lines: 2 }).analyzeCode(code);
+
+  assert.strictEqual(finding.rule, 'todo-density');
+  assert.strictEqual(finding.value, 50);
+  assert.deepStrictEqual(finding.lines, [1, 3]);
+  assert.deepStrictEqual(analyzer({ maxTodoPer100Lines: 50 }).analyzeCode(code), []);
+});
+
+test('exports no other project file imports are reported', () => {
+  write('lib.js', '/** a */\nexport function a() {}\n/** b */\nexport function b() {}\n');
+  write('app.js', "import { a } from './lib';\na();\n");
+  const { findings } = analyzer().analyze(['lib.js', 'app.js']);
+
+  assert.deepStrictEqual(findings.map(finding => [finding.file, finding.rule, finding.line]), [['lib.js', 'unused-export', 4]]);
+});
+
+test('a CommonJS module required as a whole has no unused exports', () => {
+  write('lib.js', '/** a */\nfunction a() {}\n/** b */\nfunction b() {}\nmodule.exports = { a, b };\n');
+  write('app.js', "const lib = require('./lib');\nlib.a();\n");
+
+  assert.deepStrictEqual(analyzer().analyze(['lib.js']).findings, []);
+});
+
+test('exported functions and classes need a JSDoc comment', () => {
+  write('app.js', [
+    '/** Documented */',
+    'export function documented() {}',
+    '// Not JSDoc',
+    'export function commented() {}',
+    'export class Widget {}',
+    'export const LIMIT = 5;'
+  ].join('\n'));
+  const { findings } = analyzer().analyze(['app.js']);
+
+  assert.deepStrictEqual(findings.map(finding => [finding.rule, finding.line]), [['missing-jsdoc', 4], ['missing-jsdoc', 5]]);
+});
+
+test('images larger than the limit are reported', () => {
+  write('small.png', Buffer.alloc(100 * 1024));
+  write('large.png', Buffer.alloc(300 * 1024));
+  write('huge.png', Buffer.alloc(600 * 1024));
+  const { findings } = analyzer({ maxImageKB: 250 }).analyze(['small.png', 'large.png', 'huge.png']);
+
+  assert.deepStrictEqual(findings.map(finding => [finding.file, finding.rule, finding.value, finding.severity]), [
+    ['large.png', 'oversized-image', 300, 'warning'],
+    ['huge.png', 'oversized-image', 600, 'error']
+  ]);
+});
+
+test('syntax errors are reported as parse errors', () => {
+  const findings = analyzer().analyzeCode('const a = ;\nfunction (');
+
+  assert.ok(findings.length > 0);
+  assert.ok(findings.every(finding => finding.rule === 'parse-error' && finding.severity === 'error'));
+});
+
+test('the score loses each finding\'s weight, doubled for errors', () => {
+  const scorer = analyzer();
+  const finding = (rule, severity) => ({ rule, severity });
+
+  assert.strictEqual(scorer.score([]), 100);
+  assert.strictEqual(scorer.score([finding('complexity', 'warning')]), 100 - DEFAULT_WEIGHTS.complexity);
+  assert.strictEqual(scorer.score([finding('complexity', 'error')]), 100 - 2 * DEFAULT_WEIGHTS.complexity);
+  assert.strictEqual(scorer.score([finding('missing-jsdoc', 'warning'), finding('function-length', 'error')]),
+    100 - DEFAULT_WEIGHTS['missing-jsdoc'] - 2 * DEFAULT_WEIGHTS['function-length']);
+  assert.strictEqual(scorer.score(Array(10).fill(finding('parse-error', 'error'))), 0);
+  assert.strictEqual(new CodeQualityAnalyzer({ cwd: dir, weights: { complexity: 1 } }).score([finding('complexity', 'warning')]), 99);
+});
+
+test('QualityHook passes files within the configured thresholds and reports those outside them', async () => {
+  write('app.js', `/** Entry */\nexport ${functionOf('main', 8)}\n`);
+  const context = { files: ['app.js'], cwd: dir };
+
+  const passing = await new QualityHook({ importIndexFile: null, thresholds: { maxFunctionLines: 10 } }).execute(context);
+  assert.strictEqual(passing.allow, true);
+  assert.strictEqual(passing.quality_score, 100);
+  assert.deepStrictEqual(passing.findings, []);
+
+  const failing = await new QualityHook({ importIndexFile: null, thresholds: { maxFunctionLines: 4 } }).execute(context);
+  assert.strictEqual(failing.allow, true);
+  assert.deepStrictEqual(rules(failing.findings), ['function-length']);
+  assert.strictEqual(failing.quality_score, 100 - 2 * DEFAULT_WEIGHTS['function-length']);
+  assert.strictEqual(failing.thresholds.maxFunctionLines, 4);
+  assert.deepStrictEqual(failing.recommendations, ['Split long functions into smaller ones']);
+});
+
+test('QualityHook analyzes inline code when no files are given', async () => {
+  const result = await new QualityHook({ importIndexFile: null }).execute({ code: 'const a = ;', file: 'snippet.js' });
+
+  assert.deepStrictEqual([...new Set(rules(result.findings))], ['parse-error']);
+  assert.strictEqual(result.files[0].file, 'snippet.js');
+  assert.ok(result.quality_score < 100);
+});
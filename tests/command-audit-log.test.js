@@ -0,0 +1,142 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CommandAuditLog, GENESIS_HASH } = require('../src/core/security/command-audit-log');
+
+let dir;
+let logPath;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bumba-audit-'));
+  logPath = path.join(dir, 'commands.jsonl');
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const readLines = () => fs.readFileSync(logPath, 'utf8').trimEnd().split('\n');
+const writeLines = lines => fs.writeFileSync(logPath, lines.join('\n') + '\n');
+
+function recordSome(log, count) {
+  for (let i = 0; i < count; i++) {
+    log.record({ command: 'git', args: ['status'], decision: 'allowed', context: { role: 'developer' } });
+  }
+}
+
+test('entries chain from the genesis hash and verify', async () => {
+  const log = new CommandAuditLog(logPath);
+  recordSome(log, 3);
+
+  const entries = readLines().map(line => JSON.parse(line));
+  assert.deepStrictEqual(entries.map(entry => entry.seq), [1, 2, 3]);
+  assert.strictEqual(entries[0].prev_hash, GENESIS_HASH);
+  assert.strictEqual(entries[1].prev_hash, entries[0].hash);
+
+  const result = await log.verify();
+  assert.strictEqual(result.valid, true);
+  assert.strictEqual(result.entries, 3);
+  assert.strictEqual(result.head, entries[2].hash);
+  assert.strictEqual(fs.existsSync(`${logPath}.lock`), false);
+});
+
+test('an edited entry breaks the chain at that entry', async () => {
+  const log = new CommandAuditLog(logPath);
+  recordSome(log, 3);
+
+  const lines = readLines();
+  const edited = JSON.parse(lines[1]);
+  edited.decision = 'blocked';
+  lines[1] = JSON.stringify(edited);
+  writeLines(lines);
+
+  const result = await log.verify();
+  assert.strictEqual(result.valid, false);
+  assert.strictEqual(result.broken_at.line, 2);
+  assert.match(result.broken_at.reason, /does not match its hash/);
+});
+
+test('a removed entry breaks the chain', async () => {
+  const log = new CommandAuditLog(logPath);
+  recordSome(log, 3);
+
+  const lines = readLines();
+  lines.splice(1, 1);
+  writeLines(lines);
+
+  const result = await log.verify();
+  assert.strictEqual(result.valid, false);
+  assert.strictEqual(result.broken_at.line, 2);
+});
+
+test('entries removed from the end are only caught with an anchor', async () => {
+  const log = new CommandAuditLog(logPath);
+  recordSome(log, 3);
+  const { head } = await log.verify();
+
+  writeLines(readLines().slice(0, 2));
+
+  assert.strictEqual((await log.verify()).valid, true);
+  const anchored = await log.verify({ anchor: head });
+  assert.strictEqual(anchored.valid, false);
+  assert.match(anchored.broken_at.reason, /not in the chain/);
+});
+
+test('an anchor stays valid while the log grows', async () => {
+  const log = new CommandAuditLog(logPath);
+  recordSome(log, 2);
+  const { head } = await log.verify();
+  recordSome(log, 2);
+
+  assert.strictEqual((await log.verify({ anchor: head })).valid, true);
+});
+
+test('writers sharing a file extend one chain', async () => {
+  // Two instances stand in for two processes appending to the same log
+  const first = new CommandAuditLog(logPath);
+  const second = new CommandAuditLog(logPath);
+  for (let i = 0; i < 5; i++) {
+    recordSome(first, 1);
+    recordSome(second, 1);
+  }
+
+  const result = await first.verify();
+  assert.strictEqual(result.valid, true);
+  assert.strictEqual(result.entries, 10);
+});
+
+test('a stale lock left by a dead writer is taken over', () => {
+  const log = new CommandAuditLog(logPath);
+  fs.writeFileSync(`${logPath}.lock`, '');
+  const old = new Date(Date.now() - 60000);
+  fs.utimesSync(`${logPath}.lock`, old, old);
+
+  assert.strictEqual(log.record({ command: 'git', args: ['log'], decision: 'allowed' }).seq, 1);
+});
+
+test('a log without a path records nothing', async () => {
+  const log = new CommandAuditLog(null);
+  assert.strictEqual(log.record({ command: 'git', decision: 'allowed' }), null);
+  assert.deepStrictEqual(await log.verify(), { valid: true, entries: 0, head: GENESIS_HASH });
+});
+
+test('secrets in commands, arguments and context are redacted before they are written', async () => {
+  const token = 'f3a9c1d27b5e48a0b6c2d9e1f7a3b5c8';
+  const awsSecret = 'wJalrXUtnFEMI/K7MDENG/bPxRfiCYEXAMPLEKEY';
+  const log = new CommandAuditLog(logPath);
+
+  log.record({ source: 'hook:pre-execution', command: `curl -H "Authorization: Bearer ${token}" https://api.example.com`, decision: 'allowed' });
+  log.record({ source: 'hook:pre-execution', command: `export AWS_SECRET_ACCESS_KEY=${awsSecret} && deploy`, decision: 'allowed' });
+  log.record({ command: 'curl', args: ['-H', `Authorization: Bearer ${token}`], context: { note: `API_TOKEN=${token}` }, decision: 'blocked' });
+
+  const content = fs.readFileSync(logPath, 'utf8');
+  assert.ok(!content.includes(token));
+  assert.ok(!content.includes(awsSecret));
+
+  const [bearer, exported] = readLines().map(line => JSON.parse(line));
+  assert.strictEqual(bearer.command, 'curl -H "Authorization: Bearer f3a9****c8" https://api.example.com');
+  assert.match(exported.command, /^export AWS_SECRET_ACCESS_KEY=wJal\*\*\*\*EY && deploy$/);
+  assert.strictEqual((await log.verify()).valid, true);
+});
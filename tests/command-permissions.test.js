@@ -0,0 +1,69 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const CommandValidator = require('../src/core/security/command-validator');
+const { listSpecialistTypes } = require('../src/core/spawning/specialist-types');
+
+const validator = new CommandValidator({ files: [] });
+
+test('the default role applies when the caller names none', () => {
+  const permission = validator.checkPermissions('git', ['commit', '-m', 'message']);
+  assert.strictEqual(permission.allowed, true);
+  assert.strictEqual(permission.role, 'developer');
+  assert.strictEqual(permission.via, 'default');
+});
+
+test('a viewer may read but not write', () => {
+  assert.strictEqual(validator.checkPermissions('git', ['status'], { role: 'viewer' }).allowed, true);
+
+  const commit = validator.checkPermissions('git', ['commit', '-m', 'message'], { role: 'viewer' });
+  assert.strictEqual(commit.allowed, false);
+  assert.strictEqual(commit.code, 'INSUFFICIENT_PERMISSION');
+  assert.deepStrictEqual(commit.missing, ['write']);
+});
+
+test('the longest matching prefix decides the required level', () => {
+  assert.deepStrictEqual(validator.classifyCommand('npm', ['test']), { prefix: 'npm test', required: ['execute'] });
+  assert.deepStrictEqual(validator.classifyCommand('npm', ['list', '--depth=0']), { prefix: 'npm list', required: ['read'] });
+});
+
+test('specialist types resolve to their mapped role', () => {
+  const permission = validator.checkPermissions('npm', ['install', 'lodash'], { role: 'market-research' });
+  assert.strictEqual(permission.via, 'specialist:viewer');
+  assert.strictEqual(permission.allowed, false);
+
+  assert.strictEqual(validator.checkPermissions('npm', ['install', 'lodash'], { role: 'devops' }).allowed, true);
+});
+
+test('every registered specialist type resolves to a role', () => {
+  for (const { department, type } of listSpecialistTypes()) {
+    const { via, capabilities } = validator.resolveRole(type);
+    assert.ok(capabilities, `${department}/${type} has no role`);
+    assert.match(via, /^specialist:/);
+  }
+  assert.strictEqual(validator.checkPermissions('git', ['status'], { role: 'stakeholder-comms' }).allowed, true);
+});
+
+test('single specialist types override their department role', () => {
+  assert.strictEqual(validator.resolveRole('frontend-architecture').via, 'specialist:developer');
+  assert.strictEqual(validator.resolveRole('ux-research').via, 'specialist:viewer');
+  assert.strictEqual(validator.resolveRole('security').via, 'specialist:viewer');
+  assert.strictEqual(validator.resolveRole('database').via, 'specialist:developer');
+});
+
+test('unknown roles are refused', () => {
+  const permission = validator.checkPermissions('git', ['status'], { role: 'intern' });
+  assert.strictEqual(permission.allowed, false);
+  assert.strictEqual(permission.code, 'UNKNOWN_ROLE');
+});
+
+test('commands without a permission level need the * capability', () => {
+  assert.strictEqual(validator.checkPermissions('ls', [], { role: 'developer' }).code, 'UNCLASSIFIED_COMMAND');
+  assert.strictEqual(validator.checkPermissions('ls', [], { role: 'admin' }).allowed, true);
+});
+
+test('validateCommand reports a permission denial for an allowed command', () => {
+  const result = validator.validateCommand('git', ['add', '.'], { role: 'viewer' });
+  assert.strictEqual(result.valid, false);
+  assert.strictEqual(result.rule, 'git-write');
+  assert.strictEqual(result.permission.code, 'INSUFFICIENT_PERMISSION');
+});
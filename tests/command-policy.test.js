@@ -0,0 +1,108 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadCommandPolicy } = require('../src/core/security/command-policy');
+const CommandValidator = require('../src/core/security/command-validator');
+
+let dir;
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bumba-policy-'));
+});
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function writePolicy(name, policy) {
+  const filePath = path.join(dir, name);
+  fs.writeFileSync(filePath, JSON.stringify({ version: 1, ...policy }));
+  return filePath;
+}
+
+test('the base policy loads without override files', () => {
+  const policy = loadCommandPolicy({ files: [] });
+  assert.deepStrictEqual(policy.errors, []);
+  assert.ok(policy.allow.some(rule => rule.id === 'git-read'));
+  assert.strictEqual(policy.defaultRole, 'developer');
+});
+
+test('a user file adds and replaces allow rules', () => {
+  const file = writePolicy('user-allow.json', {
+    allow: [
+      { id: 'ls', command: 'ls', rest: '*' },
+      { id: 'git-read', command: 'git', args: ['status'] }
+    ],
+    permissions: { read: ['ls'] }
+  });
+  const validator = new CommandValidator({ files: [file] });
+
+  assert.deepStrictEqual(validator.policy.errors, []);
+  assert.strictEqual(validator.validateCommand('ls', ['-la']).valid, true);
+  assert.strictEqual(validator.validateCommand('git', ['status']).valid, true);
+  // The replaced rule no longer allows log
+  assert.strictEqual(validator.validateCommand('git', ['log']).valid, false);
+});
+
+test('a project file cannot widen the policy', () => {
+  const file = writePolicy('project-widen.json', {
+    allow: [{ id: 'curl', command: 'curl', rest: '*' }],
+    roles: { root: ['*'] }
+  });
+  const validator = new CommandValidator({ files: [{ path: file, scope: 'project' }] });
+
+  assert.strictEqual(validator.validateCommand('curl', ['https://example.com']).valid, false);
+  assert.strictEqual(validator.policy.roles.root, undefined);
+  assert.match(validator.policy.errors.join('\n'), /project policy can only add deny rules/);
+});
+
+test('a project file narrows with deny rules and disabled allow rules', () => {
+  const file = writePolicy('project-narrow.json', {
+    deny: [{ id: 'no-git-log', command: 'git', args: ['log'], rest: '*' }],
+    disable: ['node']
+  });
+  const validator = new CommandValidator({ files: [{ path: file, scope: 'project' }] });
+
+  assert.deepStrictEqual(validator.policy.errors, []);
+  const log = validator.validateCommand('git', ['log', '--oneline']);
+  assert.strictEqual(log.valid, false);
+  assert.strictEqual(log.rule, 'no-git-log');
+  assert.strictEqual(validator.validateCommand('node', ['script.js']).valid, false);
+  assert.strictEqual(validator.validateCommand('git', ['status']).valid, true);
+});
+
+test('deny rules cannot be replaced or disabled by any override', () => {
+  const file = writePolicy('user-deny.json', {
+    deny: [{ id: 'git-commit-message-shell-metacharacters', command: 'git', args: ['push'] }],
+    disable: ['git-commit-message-shell-metacharacters']
+  });
+  const validator = new CommandValidator({ files: [file] });
+
+  assert.strictEqual(validator.policy.errors.length, 2);
+  const commit = validator.validateCommand('git', ['commit', '-m', 'x; rm -rf /']);
+  assert.strictEqual(commit.valid, false);
+  assert.strictEqual(commit.rule, 'git-commit-message-shell-metacharacters');
+});
+
+test('an unreadable override file is reported and skipped', () => {
+  const file = path.join(dir, 'broken.json');
+  fs.writeFileSync(file, '{ not json');
+  const policy = loadCommandPolicy({ files: [file] });
+
+  assert.strictEqual(policy.errors.length, 1);
+  assert.match(policy.errors[0], /could not be read/);
+  assert.ok(policy.allow.length > 0);
+});
+
+test('specialist roles must name registered specialist types', () => {
+  const file = writePolicy('user-specialists.json', {
+    specialistRoles: { 'go-to-market': 'viewer', 'product-strategy': 'developer' }
+  });
+  const validator = new CommandValidator({ files: [file] });
+
+  assert.deepStrictEqual(validator.policy.errors, [`${file}: specialistRoles.go-to-market is not a registered specialist type`]);
+  assert.strictEqual(validator.policy.specialistRoles['go-to-market'], undefined);
+  assert.strictEqual(validator.policy.specialistRoles['product-strategy'], 'developer');
+});
@@ -0,0 +1,73 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { ComplexityAnalyzer } = require('../src/core/intelligent-router');
+const { getInstance } = require('../src/core/config/bumba-config');
+
+test('weights and vocabularies come from BumbaConfig by default', () => {
+  const analyzer = new ComplexityAnalyzer();
+  assert.deepStrictEqual(analyzer.settings, getInstance().get('complexity'));
+});
+
+test('explain breaks the score down into the factors that produced it', async () => {
+  const analyzer = new ComplexityAnalyzer();
+  const breakdown = await analyzer.explain('implement', ['auth', 'api']);
+
+  assert.strictEqual(breakdown.base, 0.3);
+  assert.strictEqual(breakdown.score, 0.66);
+  assert.strictEqual(breakdown.capped, false);
+  assert.deepStrictEqual(breakdown.totals, { keywords: 0.21, scope: 0, technology: 0.05, arguments: 0.1, context: 0 });
+  assert.deepStrictEqual(breakdown.factors.map(factor => [factor.factor, factor.term || factor.detail, factor.contribution]), [
+    ['keywords', 'implement', 0.21],
+    ['arguments', '2 argument(s)', 0.1],
+    ['technology', 'api', 0.05]
+  ]);
+  assert.strictEqual(await analyzer.analyze('implement', ['auth', 'api']), breakdown.score);
+});
+
+test('terms match whole words and their inflections, not substrings', async () => {
+  const analyzer = new ComplexityAnalyzer();
+
+  const redesign = await analyzer.explain('redesign', []);
+  assert.deepStrictEqual(redesign.factors, []);
+  assert.strictEqual(redesign.score, 0.3);
+
+  const implementing = await analyzer.explain('implementing', ['databases']);
+  assert.deepStrictEqual(implementing.factors.filter(factor => factor.term).map(factor => [factor.term, factor.matched]), [
+    ['implement', 'implementing'],
+    ['database', 'databases']
+  ]);
+
+  const ml = await analyzer.explain('analyze', ['machine learning pipeline']);
+  assert.ok(ml.factors.some(factor => factor.term === 'machine-learning' && factor.matched === 'machine learning'));
+});
+
+test('scores above maxScore are capped and report the raw score', async () => {
+  const analyzer = new ComplexityAnalyzer();
+  const breakdown = await analyzer.explain('build', ['complete', 'enterprise', 'platform', 'architecture']);
+
+  assert.strictEqual(breakdown.score, 1);
+  assert.strictEqual(breakdown.capped, true);
+  assert.ok(breakdown.raw_score > 1);
+});
+
+test('custom settings and scorers change the score', async () => {
+  const analyzer = new ComplexityAnalyzer({
+    settings: {
+      base: 0.1,
+      maxScore: 1,
+      vocabularies: { risk: { multiplier: 0.5, terms: { migration: 0.8 } } },
+      args: { perArgument: 0, max: 0 },
+      context: { perPreviousTask: 0.1, max: 0.2 }
+    }
+  });
+
+  const breakdown = await analyzer.explain('plan', ['migrations'], { previousTasks: ['a', 'b', 'c'] });
+  assert.strictEqual(breakdown.score, 0.7);
+  assert.deepStrictEqual(breakdown.totals, { risk: 0.4, arguments: 0, context: 0.2 });
+
+  analyzer.addScorer('compliance', ({ text }) => /\bgdpr\b/i.test(text) ? [{ detail: 'regulated data', contribution: 0.25 }] : []);
+  analyzer.removeScorer('context');
+  const custom = await analyzer.explain('plan', ['gdpr', 'migration']);
+  assert.strictEqual(custom.score, 0.75);
+  assert.deepStrictEqual(Object.keys(custom.totals), ['risk', 'arguments', 'compliance']);
+});
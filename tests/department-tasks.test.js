@@ -0,0 +1,79 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const ProductStrategistManager = require('../src/core/departments/product-strategist-manager');
+const BackendEngineerManager = require('../src/core/departments/backend-engineer-manager');
+const DesignEngineerManager = require('../src/core/departments/design-engineer-manager');
+const { BumbaSpecialistDefinitions } = require('../src/core/persona/specialist-definitions');
+
+test('each department routes every task type to its own handler', async () => {
+  const cases = [
+    [new ProductStrategistManager(), 'executeStrategicTask', {
+      'Write the PRD for checkout': 'prd',
+      'Gather requirements for checkout': 'requirements_analysis',
+      'Plan the roadmap for checkout': 'roadmap',
+      'Research the market for checkout': 'market_research',
+      'Set the strategy for checkout': 'strategy'
+    }],
+    [new BackendEngineerManager(), 'executeTechnicalTask', {
+      'Build the orders endpoint': 'api_development',
+      'Model the orders database': 'database_design',
+      'Add auth to orders': 'security_implementation',
+      'Move the orders server to aws': 'infrastructure_design',
+      'Improve orders performance': 'performance_optimization',
+      'Deploy orders with a canary': 'deployment_setup'
+    }],
+    [new DesignEngineerManager(), 'executeDesignTask', {
+      'Design the orders page': 'design_creation',
+      'Sync the orders file from figma': 'figma_integration',
+      'Review orders accessibility': 'accessibility_audit',
+      'Build the orders ui': 'ui_development',
+      'Compress the orders visual assets': 'visual_asset_optimization'
+    }]
+  ];
+
+  for (const [manager, method, types] of cases) {
+    for (const [description, type] of Object.entries(types)) {
+      assert.strictEqual((await manager[method]({ description }, {})).type, type, description);
+    }
+  }
+});
+
+test('PRDs and API designs are built from the task', async () => {
+  const strategist = new ProductStrategistManager();
+  const prd = await strategist.createPRD({
+    description: 'PRD for customer onboarding with email verification and social login',
+    velocity: 5
+  }, {});
+
+  assert.deepStrictEqual(prd.sections.user_stories.map(story => story.story), [
+    'As a customer, I want customer onboarding',
+    'As a customer, I want email verification',
+    'As a customer, I want social login'
+  ]);
+  assert.strictEqual(prd.sections.timeline.total_sprints, 5);
+
+  const backend = new BackendEngineerManager();
+  const api = await backend.developAPI({ description: 'orders api', resources: ['orders', 'refunds'] }, {});
+  assert.deepStrictEqual(api.api_specification.endpoints.filter(endpoint => endpoint.startsWith('POST')), ['POST /orders', 'POST /refunds']);
+  assert.ok(api.testing_suite.tests.includes('DELETE /refunds/:id returns 404 for an unknown id'));
+});
+
+test('persona specialists answer with the handler for the task type', async () => {
+  const definitions = new BumbaSpecialistDefinitions();
+  const specialist = type => new (definitions.getSpecialistClass(type))('strategic', {});
+
+  const revenue = await specialist('business-model').executeTask({
+    description: 'Improve subscription pricing',
+    unit_economics: { price: 50, cost_to_serve: 10, acquisition_cost: 100, monthly_churn: 0.05 }
+  });
+  assert.strictEqual(revenue.type, 'revenue_optimization');
+  assert.strictEqual(revenue.specialist, 'Priya Patel - Business Model Innovation Specialist');
+  assert.strictEqual(revenue.unit_economics.ltv_to_cac, 8);
+
+  const threats = await specialist('security').executeTask({ description: 'Threat model the payment flow' });
+  assert.strictEqual(threats.type, 'threat_modeling');
+  assert.deepStrictEqual(threats.assets, ['payment_data']);
+
+  const general = await specialist('api-architecture').executeTask({ description: 'Anything else' });
+  assert.strictEqual(general.type, 'general_api');
+});
@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+
+/**
+ * BUMBA Stub MCP Server
+ * Minimal MCP server speaking newline-delimited JSON-RPC over stdio, for
+ * testing MCPServerConnection without npx or network access. Tools:
+ *
+ *   echo   returns its `text` argument
+ *   fail   returns a tool-level error (isError)
+ *   hang   never answers, for timeouts
+ *
+ * tools/list is paginated one tool per page so clients must follow nextCursor.
+ */
+
+const readline = require('readline');
+
+const TOOLS = [
+  { name: 'echo', description: 'Return the given text', inputSchema: { type: 'object', properties: { text: { type: 'string' } } } },
+  { name: 'fail', description: 'Always report a tool error', inputSchema: { type: 'object' } },
+  { name: 'hang', description: 'Never answer', inputSchema: { type: 'object' } }
+];
+
+const send = message => process.stdout.write(JSON.stringify({ jsonrpc: '2.0', ...message }) + '\n');
+
+function handleRequest(method, params = {}) {
+  switch (method) {
+    case 'initialize':
+      return {
+        protocolVersion: params.protocolVersion,
+        capabilities: { tools: {} },
+        serverInfo: { name: 'stub-mcp-server', version: '1.0.0' }
+      };
+    case 'ping':
+      return {};
+    case 'tools/list': {
+      const index = params.cursor ? Number(params.cursor) : 0;
+      const nextCursor = index + 1 < TOOLS.length ? String(index + 1) : undefined;
+      return { tools: [TOOLS[index]], nextCursor };
+    }
+    case 'tools/call':
+      switch (params.name) {
+        case 'echo':
+          return { content: [{ type: 'text', text: String((params.arguments || {}).text) }] };
+        case 'fail':
+          return { content: [{ type: 'text', text: 'stub failure' }], isError: true };
+        case 'hang':
+          return null;
+        default:
+          throw Object.assign(new Error(`Unknown tool: ${params.name}`), { code: -32602 });
+      }
+    default:
+      throw Object.assign(new Error(`Method not found: ${method}`), { code: -32601 });
+  }
+}
+
+readline.createInterface({ input: process.stdin }).on('line', line => {
+  if (!line.trim()) return;
+
+  const message = JSON.parse(line);
+  // Notifications (initialized, cancelled) need no answer
+  if (message.id === undefined) return;
+
+  try {
+    const result = handleRequest(message.method, message.params);
+    if (result !== null) {
+      send({ id: message.id, result });
+    }
+  } catch (error) {
+    send({ id: message.id, error: { code: error.code || -32603, message: error.message } });
+  }
+});
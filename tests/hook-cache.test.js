@@ -0,0 +1,160 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { BumbaHookSystem, BaseHook, QualityHook } = require('../src/core/hooks/bumba-hook-system');
+const { CodeQualityAnalyzer } = require('../src/core/hooks/code-quality-analyzer');
+
+class CountingHook extends BaseHook {
+  constructor(name, options = {}) {
+    super(name, options);
+    this.calls = 0;
+    this.result = { allow: true };
+  }
+
+  async execute() {
+    this.calls++;
+    return this.result;
+  }
+}
+
+let dir;
+let cacheFile;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bumba-hook-cache-'));
+  cacheFile = path.join(dir, 'hook-cache.json');
+  fs.writeFileSync(path.join(dir, 'app.js'), 'module.exports = 1;\n');
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function setup(hookOptions, systemOptions = {}) {
+  const system = new BumbaHookSystem({ loadPlugins: false, cacheFile: null, ...systemOptions });
+  const hook = new CountingHook('lint', hookOptions);
+  system.registerHook('review', hook);
+  return { system, hook };
+}
+
+test('hooks are not cached unless they opt in', async () => {
+  const { system, hook } = setup({});
+  await system.executeHook('review', { file: 'app.js', cwd: dir });
+  const second = await system.executeHook('review', { file: 'app.js', cwd: dir });
+
+  assert.strictEqual(hook.calls, 2);
+  assert.strictEqual(second.handlers[0].cached, false);
+  assert.strictEqual(system.cache.size, 0);
+});
+
+test('a cacheable hook reuses its result for the same context', async () => {
+  const { system, hook } = setup({ cacheable: true });
+  await system.executeHook('review', { file: 'app.js', cwd: dir });
+  const second = await system.executeHook('review', { file: 'app.js', cwd: dir });
+
+  assert.strictEqual(hook.calls, 1);
+  assert.strictEqual(second.handlers[0].cached, true);
+
+  await system.executeHook('review', { file: 'app.js', cwd: dir, strict: true });
+  assert.strictEqual(hook.calls, 2);
+});
+
+test('editing a file the context names misses the cache', async () => {
+  const { system, hook } = setup({ cacheable: true });
+  await system.executeHook('review', { file: 'app.js', cwd: dir });
+  fs.writeFileSync(path.join(dir, 'app.js'), 'module.exports = 2;\n');
+  await system.executeHook('review', { file: 'app.js', cwd: dir });
+
+  assert.strictEqual(hook.calls, 2);
+});
+
+test('a new hook version misses the cache', async () => {
+  const { system, hook } = setup({ cacheable: true });
+  await system.executeHook('review', { file: 'app.js', cwd: dir });
+  hook.version = '2';
+  await system.executeHook('review', { file: 'app.js', cwd: dir });
+
+  assert.strictEqual(hook.calls, 2);
+});
+
+test('results marked cacheable: false and failures are not cached', async () => {
+  const { system, hook } = setup({ cacheable: true });
+  hook.result = { allow: true, cacheable: false };
+  await system.executeHook('review', { file: 'app.js', cwd: dir });
+  await system.executeHook('review', { file: 'app.js', cwd: dir });
+  assert.strictEqual(hook.calls, 2);
+
+  hook.execute = async () => {
+    throw new Error('crashed');
+  };
+  await system.executeHook('review', { command: 'npm test' });
+  assert.strictEqual(system.cache.size, 0);
+});
+
+test('invalidating a file drops only the results that depend on it', async () => {
+  const { system, hook } = setup({ cacheable: true });
+  fs.writeFileSync(path.join(dir, 'other.js'), '');
+  await system.executeHook('review', { file: 'app.js', cwd: dir });
+  await system.executeHook('review', { file: 'other.js', cwd: dir });
+
+  assert.strictEqual(system.invalidateCache({ file: path.join(dir, 'app.js') }), 1);
+  await system.executeHook('review', { file: 'app.js', cwd: dir });
+  await system.executeHook('review', { file: 'other.js', cwd: dir });
+  assert.strictEqual(hook.calls, 3);
+});
+
+test('cached results persist for other hook system instances', async () => {
+  const first = setup({ cacheable: true }, { cacheFile });
+  await first.system.executeHook('review', { file: 'app.js', cwd: dir });
+
+  const second = setup({ cacheable: true }, { cacheFile });
+  const result = await second.system.executeHook('review', { file: 'app.js', cwd: dir });
+  assert.strictEqual(second.hook.calls, 0);
+  assert.strictEqual(result.handlers[0].cached, true);
+});
+
+test('quality results stay cached when files outside the import graph change', async t => {
+  const write = (file, content) => fs.writeFileSync(path.join(dir, file), content);
+  write('package.json', '{ "main": "app.js" }');
+  write('lib.js', '/** a */\nexport function a() {}\n/** b */\nexport function b() {}\n');
+  write('app.js', "import { a } from './lib';\na();\n");
+  write('other.js', 'export const x = 1;\n');
+
+  const scan = t.mock.method(CodeQualityAnalyzer.prototype, 'listProjectFiles');
+  const system = new BumbaHookSystem({ loadPlugins: false, cacheFile: null });
+  system.registerHook('post-execution', new QualityHook({ importIndexFile: null }), { name: 'quality' });
+  const run = () => system.executeHook('post-execution', { files: ['lib.js'], cwd: dir });
+
+  const first = await run();
+  assert.deepStrictEqual(first.findings.map(finding => finding.rule), ['unused-export']);
+  const scans = scan.mock.callCount();
+
+  write('other.js', 'export const x = 2;\n');
+  assert.strictEqual((await run()).handlers[0].cached, true);
+  assert.strictEqual(scan.mock.callCount(), scans);
+
+  write('app.js', "import { a, b } from './lib';\na(); b();\n");
+  const afterImport = await run();
+  assert.strictEqual(afterImport.handlers[0].cached, false);
+  assert.deepStrictEqual(afterImport.findings, []);
+});
+
+test('a new importer analyzed by the hook invalidates the imported file', async () => {
+  const write = (file, content) => fs.writeFileSync(path.join(dir, file), content);
+  write('package.json', '{ "main": "app.js" }');
+  write('lib.js', '/** a */\nexport function a() {}\n');
+
+  const system = new BumbaHookSystem({ loadPlugins: false, cacheFile: null });
+  system.registerHook('post-execution', new QualityHook({ importIndexFile: null }), { name: 'quality' });
+  const run = files => system.executeHook('post-execution', { files, cwd: dir });
+
+  assert.strictEqual((await run(['lib.js'])).findings.length, 1);
+  write('feature.js', "import { a } from './lib';\n");
+  await run(['feature.js']);
+
+  const result = await run(['lib.js']);
+  assert.strictEqual(result.handlers[0].cached, false);
+  assert.deepStrictEqual(result.findings, []);
+});
@@ -0,0 +1,152 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { BumbaHookSystem, BaseHook } = require('../src/core/hooks/bumba-hook-system');
+
+class StubHook extends BaseHook {
+  constructor(name, run, options = {}) {
+    super(name, options);
+    this.run = run;
+    this.calls = 0;
+  }
+
+  async execute(context) {
+    this.calls++;
+    return this.run(context);
+  }
+}
+
+const allow = () => ({ allow: true });
+const createSystem = () => new BumbaHookSystem({ loadPlugins: false, cacheFile: null });
+
+test('handlers run in priority order, then registration order', async () => {
+  const system = createSystem();
+  const order = [];
+  const record = name => () => {
+    order.push(name);
+    return { allow: true };
+  };
+
+  system.registerHook('review', new StubHook('late', record('late')), { priority: 200 });
+  system.registerHook('review', new StubHook('first', record('first')), { priority: 10 });
+  system.registerHook('review', new StubHook('second', record('second')), { priority: 10 });
+
+  const result = await system.executeHook('review', {});
+  assert.deepStrictEqual(order, ['first', 'second', 'late']);
+  assert.strictEqual(result.allow, true);
+  assert.deepStrictEqual(result.handlers.map(handler => handler.name), order);
+});
+
+test('the first denial stops the chain and is named in the result', async () => {
+  const system = createSystem();
+  const after = new StubHook('after', allow);
+
+  system.registerHook('review', new StubHook('before', allow), { priority: 1 });
+  system.registerHook('review', new StubHook('deny', () => ({ allow: false, reason: 'not today' })), { priority: 2 });
+  system.registerHook('review', after, { priority: 3 });
+
+  const result = await system.executeHook('review', {});
+  assert.strictEqual(result.allow, false);
+  assert.strictEqual(result.denied_by, 'deny');
+  assert.strictEqual(result.reason, 'not today');
+  assert.strictEqual(after.calls, 0);
+  assert.deepStrictEqual(result.handlers.map(handler => handler.allow), [true, false]);
+});
+
+test('a denial without a reason is described by its violations', async () => {
+  const system = createSystem();
+  system.registerHook('review', new StubHook('violations', () => ({
+    allow: false,
+    violations: [{ type: 'secret', details: 'AWS key in config.js' }, { type: 'size' }]
+  })));
+
+  assert.strictEqual((await system.executeHook('review', {})).reason, 'AWS key in config.js; size');
+});
+
+test('array fields from every handler are kept and each result stays available', async () => {
+  const system = createSystem();
+  system.registerHook('review', new StubHook('secrets', () => ({
+    allow: true,
+    violations: [{ type: 'secret' }],
+    warnings: ['baseline is stale'],
+    metadata: { scanned: 3 }
+  })), { priority: 1 });
+  system.registerHook('review', new StubHook('paths', () => ({
+    allow: true,
+    violations: [{ type: 'path' }],
+    warnings: ['symlink followed'],
+    metadata: { checked: 2 }
+  })), { priority: 2 });
+
+  const result = await system.executeHook('review', {});
+  assert.deepStrictEqual(result.violations.map(violation => violation.type), ['secret', 'path']);
+  assert.deepStrictEqual(result.warnings, ['baseline is stale', 'symlink followed']);
+  // Other fields keep the first handler's value
+  assert.deepStrictEqual(result.metadata, { scanned: 3 });
+  assert.deepStrictEqual(result.results.paths.metadata, { checked: 2 });
+  assert.deepStrictEqual(Object.keys(result.results), ['secrets', 'paths']);
+});
+
+test('handlers cannot overwrite the chain decision', async () => {
+  const system = createSystem();
+  system.registerHook('review', new StubHook('sneaky', () => ({ allow: true, handlers: [], denied_by: 'nobody' })));
+
+  const result = await system.executeHook('review', {});
+  assert.strictEqual(result.denied_by, undefined);
+  assert.deepStrictEqual(result.handlers.map(handler => handler.name), ['sneaky']);
+});
+
+test('disabled handlers are skipped', async () => {
+  const system = createSystem();
+  system.registerHook('review', new StubHook('deny', () => ({ allow: false })));
+  system.disableHook('review', 'deny');
+
+  assert.strictEqual((await system.executeHook('review', {})).allow, true);
+  system.enableHook('review', 'deny');
+  assert.strictEqual((await system.executeHook('review', {})).allow, false);
+});
+
+test('a failing handler allows under the open policy and denies under the closed one', async () => {
+  const system = createSystem();
+  const fail = () => {
+    throw new Error('scanner crashed');
+  };
+
+  system.registerHook('review', new StubHook('open', fail));
+  const open = await system.executeHook('review', {});
+  assert.strictEqual(open.allow, true);
+  assert.strictEqual(open.handlers[0].warning, 'scanner crashed');
+
+  system.registerHook('review', new StubHook('open', fail, { failurePolicy: 'closed' }));
+  const closed = await system.executeHook('review', {});
+  assert.strictEqual(closed.allow, false);
+  assert.strictEqual(closed.denied_by, 'open');
+  assert.match(closed.reason, /scanner crashed/);
+});
+
+test('a handler that runs out of time fails under its policy', async () => {
+  const system = createSystem();
+  system.registerHook('review', new StubHook('hang', () => new Promise(() => {}), { timeout: 20, failurePolicy: 'closed' }));
+
+  const result = await system.executeHook('review', {});
+  assert.strictEqual(result.allow, false);
+  assert.match(result.reason, /timed out after 20ms/);
+});
+
+test('a handler failing repeatedly is disabled until it succeeds', async () => {
+  const system = createSystem();
+  const hook = new StubHook('flaky', () => {
+    throw new Error('down');
+  });
+  system.registerHook('review', hook);
+
+  for (let i = 0; i < system.config.failureThreshold + 1; i++) {
+    await system.executeHook('review', {});
+  }
+
+  assert.strictEqual(hook.calls, system.config.failureThreshold);
+  assert.strictEqual(system.getStatus().hook_status.review[0].disabled, true);
+});
+
+test('an unknown hook type allows', async () => {
+  assert.strictEqual((await createSystem().executeHook('no-such-hook', {})).allow, true);
+});
@@ -0,0 +1,93 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { BumbaHookSystem } = require('../src/core/hooks/bumba-hook-system');
+
+let dir;
+let pluginDir;
+let system;
+
+// Each plugin declares one pre-execution hook whose execute() body is `body`
+function writePlugin(file, name, body, options = {}) {
+  fs.writeFileSync(path.join(pluginDir, file), `
+module.exports = ({ BaseHook }) => class ${name.replace(/-/g, '')}Hook extends BaseHook {
+  constructor() {
+    super('${name}', ${JSON.stringify({ event: 'pre-execution', ...options })});
+  }
+  async execute(context) {
+    ${body}
+  }
+};
+`);
+}
+
+before(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bumba-hook-plugins-'));
+  pluginDir = path.join(dir, 'hooks');
+  fs.mkdirSync(pluginDir);
+
+  writePlugin('a-pid.js', 'pid', 'return { allow: true, pid: process.pid, seen: context.tag, modules: Object.keys(require.cache) };', { priority: 1 });
+  writePlugin('b-async-throw.js', 'async-throw', "setTimeout(() => { throw new Error('late failure'); }, 0); return new Promise(() => {});", { priority: 2 });
+  writePlugin('c-bad-event.js', 'bad-event', 'return { allow: true };', { event: 'pre-commit' });
+  writePlugin('d-hang.js', 'hang', 'return new Promise(() => {});', { priority: 3, timeout: 200, failurePolicy: 'closed' });
+  fs.writeFileSync(path.join(dir, 'outside.js'), 'module.exports = [];');
+  fs.symlinkSync(path.join(dir, 'outside.js'), path.join(pluginDir, 'e-link.js'));
+
+  system = new BumbaHookSystem({ pluginDir, plugins: [], cacheFile: null });
+  await system.ensurePluginsLoaded();
+});
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const pluginNamed = file => system.plugins.find(plugin => plugin.source.endsWith(file));
+
+test('plugins are not loaded until a hook runs', () => {
+  const idle = new BumbaHookSystem({ pluginDir, plugins: [], cacheFile: null });
+  assert.strictEqual(idle.pluginsLoaded, null);
+  assert.deepStrictEqual(idle.plugins, []);
+});
+
+test('invalid plugins are reported and skipped', () => {
+  assert.match(pluginNamed('c-bad-event.js').error, /event must be one of/);
+  assert.match(pluginNamed('e-link.js').error, /resolves outside/);
+  assert.deepStrictEqual(
+    system.getChain('pre-execution').filter(handler => handler.source).map(handler => handler.name),
+    ['pid', 'async-throw', 'hang']
+  );
+});
+
+test('plugin hooks run in a child process with a copy of the context', async () => {
+  const result = await system.executeHook('pre-execution', { tag: 'checked', callback: () => {} });
+  const pid = result.handlers.find(handler => handler.name === 'pid');
+
+  assert.strictEqual(pid.allow, true);
+  assert.strictEqual(result.seen, 'checked');
+  assert.notStrictEqual(result.pid, process.pid);
+});
+
+test('the plugin worker loads only the plugin, BaseHook and the loader', async () => {
+  const { modules } = await system.executeHook('pre-execution', { tag: 'checked' });
+  const hooksDir = path.join(__dirname, '..', 'src', 'core', 'hooks');
+
+  assert.deepStrictEqual(modules.map(file => path.relative(hooksDir, file)).sort(), [
+    'base-hook.js',
+    'hook-plugin-loader.js',
+    'hook-plugin-worker.js',
+    path.relative(hooksDir, fs.realpathSync(path.join(pluginDir, 'a-pid.js')))
+  ].sort());
+});
+
+test('an asynchronous throw fails only its own hook and a hang times out', async () => {
+  const result = await system.executeHook('pre-execution', { tag: 'checked' });
+  const asyncThrow = result.handlers.find(handler => handler.name === 'async-throw');
+
+  assert.strictEqual(asyncThrow.allow, true);
+  assert.strictEqual(asyncThrow.warning, 'late failure');
+  assert.strictEqual(result.allow, false);
+  assert.strictEqual(result.denied_by, 'hang');
+  assert.match(result.reason, /timed out after 200ms/);
+});
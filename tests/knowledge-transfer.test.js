@@ -0,0 +1,111 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { KnowledgeTransferSystem } = require('../src/core/spawning/agent-lifecycle-manager');
+
+let dir;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bumba-knowledge-'));
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function specialist(learned = {}, type = 'security', department = 'technical') {
+  return { type, department, insights: [], patterns: [], bestPractices: [], consciousnessInsights: [], ...learned };
+}
+
+async function dissolve(system, dissolved) {
+  return await system.storeKnowledge(dissolved, await system.extractKnowledge(dissolved));
+}
+
+test('knowledge survives a restart in a versioned file per department and type', async () => {
+  const first = new KnowledgeTransferSystem({ storeDir: dir });
+  const stored = await dissolve(first, specialist({ insights: ['Uploads skip virus scanning'], tasksCompleted: 3 }));
+  assert.deepStrictEqual(stored, { revision: 1, entries: 1 });
+
+  const record = JSON.parse(fs.readFileSync(path.join(dir, 'technical', 'security.json'), 'utf8'));
+  assert.strictEqual(record.version, 1);
+  assert.strictEqual(record.revision, 1);
+  assert.strictEqual(record.entries[0].tasks_completed, 3);
+  assert.deepStrictEqual(fs.readdirSync(path.join(dir, 'technical')), ['security.json']);
+
+  const second = new KnowledgeTransferSystem({ storeDir: dir });
+  const spawned = specialist();
+  await second.seedSpecialist(spawned);
+
+  assert.deepStrictEqual(spawned.insights, ['Uploads skip virus scanning']);
+  assert.strictEqual(spawned.knowledgeRevision, 1);
+});
+
+test('seeding only uses knowledge from the same department and type', async () => {
+  const system = new KnowledgeTransferSystem({ storeDir: dir });
+  await dissolve(system, specialist({ patterns: ['Token bucket per tenant'] }));
+
+  const otherType = specialist({}, 'database');
+  const otherDepartment = specialist({}, 'security', 'strategic');
+  assert.strictEqual(await system.seedSpecialist(otherType), null);
+  assert.strictEqual(await system.seedSpecialist(otherDepartment), null);
+  assert.deepStrictEqual(otherType.patterns, []);
+});
+
+test('inherited learnings are not stored again when the seeded specialist dissolves', async () => {
+  const system = new KnowledgeTransferSystem({ storeDir: dir });
+  await dissolve(system, specialist({ bestPractices: ['Pin dependency versions'] }));
+
+  const spawned = specialist({ bestPractices: ['Scan images in CI'] });
+  await system.seedSpecialist(spawned);
+  assert.deepStrictEqual(spawned.bestPractices, ['Pin dependency versions', 'Scan images in CI']);
+
+  spawned.bestPractices.push('Sign release artifacts');
+  const knowledge = await system.extractKnowledge(spawned);
+  assert.deepStrictEqual(knowledge.best_practices, ['Scan images in CI', 'Sign release artifacts']);
+});
+
+test('seeding merges entries newest first without duplicates, capped at maxItems', async () => {
+  const system = new KnowledgeTransferSystem({ storeDir: dir, maxItems: 3 });
+  await dissolve(system, specialist({ insights: ['a', 'b'] }));
+  await dissolve(system, specialist({ insights: ['b', 'c', 'd', 'e'] }));
+
+  const entries = await system.getKnowledge('technical', 'security');
+  assert.deepStrictEqual(entries.map(entry => entry.insights_generated), [['a', 'b'], ['c', 'd', 'e']]);
+
+  const spawned = specialist();
+  await system.seedSpecialist(spawned);
+  assert.deepStrictEqual(spawned.insights, ['c', 'd', 'e']);
+});
+
+test('the store keeps at most maxEntries and drops entries that taught nothing', async () => {
+  const system = new KnowledgeTransferSystem({ storeDir: dir, maxEntries: 2 });
+  await dissolve(system, specialist({ insights: ['first'] }));
+  await dissolve(system, specialist());
+  await dissolve(system, specialist({ insights: ['third'] }));
+  await dissolve(system, specialist({ insights: ['fourth'] }));
+
+  const record = JSON.parse(fs.readFileSync(path.join(dir, 'technical', 'security.json'), 'utf8'));
+  assert.strictEqual(record.revision, 4);
+  assert.deepStrictEqual(record.entries.map(entry => entry.revision), [3, 4]);
+});
+
+test('stores from another version or that cannot be parsed start empty', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  fs.mkdirSync(path.join(dir, 'technical'));
+  fs.writeFileSync(path.join(dir, 'technical', 'security.json'), JSON.stringify({ version: 0, revision: 9, entries: [{ insights_generated: ['old'] }] }));
+  fs.writeFileSync(path.join(dir, 'technical', 'database.json'), '{ not json');
+
+  const system = new KnowledgeTransferSystem({ storeDir: dir });
+  assert.deepStrictEqual(await system.getKnowledge('technical', 'security'), []);
+  assert.deepStrictEqual(await system.getKnowledge('technical', 'database'), []);
+
+  const stored = await dissolve(system, specialist({ insights: ['new'] }));
+  assert.strictEqual(stored.revision, 1);
+});
+
+test('department and type names cannot escape the store directory', () => {
+  const system = new KnowledgeTransferSystem({ storeDir: dir });
+  assert.strictEqual(system.getRecordPath('../technical', 'api/../../x'), path.join(dir, '___technical', 'api_______x.json'));
+});
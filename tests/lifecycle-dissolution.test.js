@@ -0,0 +1,168 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { once } = require('events');
+const {
+  AgentLifecycleManager,
+  DissolutionScheduler,
+  KnowledgeTransferSystem
+} = require('../src/core/spawning/agent-lifecycle-manager');
+
+const MINUTE = 60 * 1000;
+
+let dir;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bumba-dissolution-'));
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function idleSpecialist(department = 'technical') {
+  return { id: `${department}-1`, type: 'security', department, lifecycleState: 'idle', lastActivity: Date.now() };
+}
+
+// A manager whose consciousness checks always pass and whose knowledge stays in the temp dir
+function lifecycleManager(t) {
+  t.mock.method(console, 'log', () => {});
+  const manager = new AgentLifecycleManager();
+  manager.consciousnessLayer = {
+    validateIntent: async () => ({ is_aligned: true }),
+    ethicalFramework: { validateEthicalCompliance: async () => ({ compliant: true }) }
+  };
+  manager.knowledgeTransferSystem = new KnowledgeTransferSystem({ storeDir: dir });
+  return manager;
+}
+
+function departmentManager(lifecycle) {
+  const received = [];
+  return {
+    lifecycleManager: lifecycle,
+    activeSpecialists: new Set(),
+    receiveSpecialistKnowledge: async (specialist, knowledge) => received.push(knowledge),
+    received
+  };
+}
+
+test('idle timeouts come from config per department', () => {
+  const scheduler = new DissolutionScheduler({ dissolve: async () => {} });
+  assert.strictEqual(scheduler.getIdleTimeoutMs(idleSpecialist('technical')), 30 * MINUTE);
+
+  const custom = new DissolutionScheduler({ dissolve: async () => {}, idleTimeoutMinutes: { default: 30, experience: 5 } });
+  assert.strictEqual(custom.getIdleTimeoutMs(idleSpecialist('experience')), 5 * MINUTE);
+  assert.strictEqual(custom.getIdleTimeoutMs(idleSpecialist('strategic')), 30 * MINUTE);
+});
+
+test('activity resets the idle timer', (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+  t.mock.method(console, 'log', () => {});
+
+  const dissolved = [];
+  const scheduler = new DissolutionScheduler({
+    dissolve: async (specialist, reason) => dissolved.push([specialist.id, reason]),
+    idleTimeoutMinutes: { default: 10 }
+  });
+  const specialist = idleSpecialist();
+
+  scheduler.scheduleAutoDissolution(specialist);
+  t.mock.timers.tick(8 * MINUTE);
+  scheduler.recordActivity(specialist);
+  t.mock.timers.tick(8 * MINUTE);
+  assert.deepStrictEqual(dissolved, []);
+
+  t.mock.timers.tick(2 * MINUTE);
+  assert.deepStrictEqual(dissolved, [['technical-1', 'idle_timeout']]);
+  assert.deepStrictEqual(scheduler.getScheduledDissolutions(), []);
+});
+
+test('a specialist still working gets a fresh idle window instead of dissolving', (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+  t.mock.method(console, 'log', () => {});
+
+  const dissolved = [];
+  const scheduler = new DissolutionScheduler({
+    dissolve: async specialist => dissolved.push(specialist.id),
+    idleTimeoutMinutes: { default: 10 }
+  });
+  const specialist = { ...idleSpecialist(), lifecycleState: 'active', currentTask: 'audit uploads' };
+
+  scheduler.scheduleAutoDissolution(specialist);
+  t.mock.timers.tick(10 * MINUTE);
+  assert.deepStrictEqual(dissolved, []);
+  assert.strictEqual(scheduler.getScheduledDissolutions().length, 1);
+
+  specialist.lifecycleState = 'idle';
+  specialist.currentTask = null;
+  t.mock.timers.tick(10 * MINUTE);
+  assert.deepStrictEqual(dissolved, ['technical-1']);
+});
+
+test('an idle specialist is dissolved through the manager with knowledge transfer', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+  const lifecycle = lifecycleManager(t);
+  const department = departmentManager(lifecycle);
+
+  const specialist = await lifecycle.spawnSpecialist('technical', 'security', {}, department);
+  specialist.insights.push('Rotate signing keys with the deploy');
+  assert.strictEqual(department.activeSpecialists.has(specialist), true);
+
+  const dissolved = once(lifecycle, 'dissolved');
+  t.mock.timers.tick(30 * MINUTE);
+  const [event] = await dissolved;
+
+  assert.strictEqual(event.reason, 'idle_timeout');
+  assert.strictEqual(specialist.lifecycleState, 'dissolved');
+  assert.strictEqual(lifecycle.activeAgents.size, 0);
+  assert.strictEqual(department.activeSpecialists.size, 0);
+  assert.deepStrictEqual(department.received.map(knowledge => knowledge.insights_generated), [['Rotate signing keys with the deploy']]);
+
+  const stored = await lifecycle.knowledgeTransferSystem.getKnowledge('technical', 'security');
+  assert.deepStrictEqual(stored[0].insights_generated, ['Rotate signing keys with the deploy']);
+});
+
+test('task execution keeps the specialist alive past its idle timeout', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+  const lifecycle = lifecycleManager(t);
+  const specialist = await lifecycle.spawnSpecialist('technical', 'security', {}, departmentManager(lifecycle));
+
+  t.mock.timers.tick(20 * MINUTE);
+  await specialist.executeTask({ description: 'Review the upload service' });
+  t.mock.timers.tick(20 * MINUTE);
+
+  assert.strictEqual(lifecycle.activeAgents.has(specialist.id), true);
+  assert.strictEqual(lifecycle.shutdown(), 1);
+});
+
+test('an explicit dissolve cancels the idle timer and runs once', async (t) => {
+  const lifecycle = lifecycleManager(t);
+  const specialist = await lifecycle.spawnSpecialist('technical', 'security', {}, departmentManager(lifecycle));
+
+  const [first, second] = await Promise.all([
+    lifecycle.dissolveSpecialist(specialist, 'task_completed'),
+    lifecycle.dissolveSpecialist(specialist, 'idle_timeout')
+  ]);
+
+  assert.deepStrictEqual([first, second], [true, false]);
+  assert.deepStrictEqual(lifecycle.dissolutionScheduler.getScheduledDissolutions(), []);
+  assert.strictEqual(lifecycle.getLifecycleMetrics().total_dissolved, 1);
+});
+
+test('shutdown cancels every scheduled dissolution', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+  const lifecycle = lifecycleManager(t);
+  const department = departmentManager(lifecycle);
+
+  await lifecycle.spawnSpecialist('technical', 'security', {}, department);
+  await lifecycle.spawnSpecialist('experience', 'accessibility', {}, department);
+
+  assert.strictEqual(lifecycle.shutdown(), 2);
+  assert.deepStrictEqual(lifecycle.dissolutionScheduler.getScheduledDissolutions(), []);
+
+  t.mock.timers.tick(60 * MINUTE);
+  assert.strictEqual(lifecycle.activeAgents.size, 2);
+  assert.strictEqual(lifecycle.getLifecycleMetrics().total_dissolved, 0);
+});
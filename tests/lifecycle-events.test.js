@@ -0,0 +1,146 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  AgentLifecycleManager,
+  LIFECYCLE_EVENTS,
+  KnowledgeTransferSystem
+} = require('../src/core/spawning/agent-lifecycle-manager');
+
+let dir;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bumba-lifecycle-events-'));
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// A manager whose consciousness checks always pass and whose knowledge stays in the temp dir
+function lifecycleManager(t, options = {}) {
+  t.mock.method(console, 'log', () => {});
+  const manager = new AgentLifecycleManager(options);
+  manager.consciousnessLayer = {
+    validateIntent: async () => ({ is_aligned: true }),
+    ethicalFramework: { validateEthicalCompliance: async () => ({ compliant: true }) }
+  };
+  manager.knowledgeTransferSystem = new KnowledgeTransferSystem({ storeDir: path.join(dir, 'knowledge') });
+  t.after(() => manager.shutdown());
+  return manager;
+}
+
+function departmentManager(lifecycle) {
+  return { lifecycleManager: lifecycle, activeSpecialists: new Set(), receiveSpecialistKnowledge: async () => {} };
+}
+
+function recordEvents(manager) {
+  const events = [];
+  manager.on('lifecycle-event', event => events.push(event));
+  return events;
+}
+
+test('a specialist lifetime emits typed events in order', async (t) => {
+  const manager = lifecycleManager(t);
+  const events = recordEvents(manager);
+  const typed = [];
+  for (const type of Object.values(LIFECYCLE_EVENTS)) {
+    manager.on(type, event => typed.push([type, event.type]));
+  }
+
+  const specialist = await manager.spawnSpecialist('technical', 'security', {}, departmentManager(manager));
+  await specialist.executeTask({ description: 'Review the upload service' });
+  specialist.insights.push('Uploads skip virus scanning');
+  await manager.dissolveSpecialist(specialist);
+
+  assert.deepStrictEqual(events.map(event => event.type), [
+    'spawned',
+    'task-started',
+    'task-completed',
+    'knowledge-stored',
+    'dissolved'
+  ]);
+  assert.ok(typed.every(([listened, emitted]) => listened === emitted));
+  assert.ok(events.every(event => event.specialist_id === specialist.id && event.department === 'technical'));
+
+  const completed = events.find(event => event.type === 'task-completed');
+  assert.strictEqual(completed.task, 'Review the upload service');
+  assert.strictEqual(completed.tasks_completed, 1);
+  assert.strictEqual(typeof completed.duration_ms, 'number');
+
+  const stored = events.find(event => event.type === 'knowledge-stored');
+  assert.deepStrictEqual([stored.revision, stored.insights], [1, 1]);
+});
+
+test('failures are emitted as error events and never throw without a listener', async (t) => {
+  const manager = lifecycleManager(t);
+  const events = recordEvents(manager);
+  const specialist = await manager.spawnSpecialist('technical', 'security', {}, departmentManager(manager));
+
+  await manager.recordTaskFailed(specialist, 'Rotate keys', new Error('vault unreachable'));
+
+  const failure = events.find(event => event.type === 'error');
+  assert.deepStrictEqual([failure.stage, failure.task, failure.error], ['task', 'Rotate keys', 'vault unreachable']);
+
+  const errors = [];
+  manager.on('error', event => errors.push(event.error));
+  manager.consciousnessLayer.validateIntent = async ({ description }) => {
+    if (description.startsWith('Initialize')) throw new Error('not aligned');
+  };
+  await assert.rejects(manager.spawnSpecialist('technical', 'database', {}, departmentManager(manager)), /not aligned/);
+
+  assert.deepStrictEqual(errors, ['not aligned']);
+  assert.strictEqual(manager.getLifecycleMetrics().errors, 2);
+  assert.strictEqual(manager.getActiveSpecialists().length, 1);
+});
+
+test('events are appended to the JSONL log and replayed in order', async (t) => {
+  const eventLogPath = path.join(dir, 'logs', 'lifecycle.jsonl');
+  const manager = lifecycleManager(t, { eventLogPath });
+
+  const specialist = await manager.spawnSpecialist('experience', 'accessibility', {}, departmentManager(manager));
+  await manager.dissolveSpecialist(specialist, 'task_completed');
+  await manager.flushEventLog();
+
+  const logged = fs.readFileSync(eventLogPath, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+  assert.deepStrictEqual(logged.map(event => event.type), ['spawned', 'knowledge-stored', 'dissolved']);
+  assert.strictEqual(logged[2].reason, 'task_completed');
+
+  fs.appendFileSync(eventLogPath, '{ truncated\n');
+  t.mock.method(console, 'error', () => {});
+
+  const dashboard = lifecycleManager(t);
+  const replayed = recordEvents(dashboard);
+  const dissolved = [];
+  dashboard.on('dissolved', event => dissolved.push(event.specialist_id));
+
+  const events = await dashboard.replayEventLog(eventLogPath);
+  assert.strictEqual(events.length, 3);
+  assert.deepStrictEqual(replayed.map(event => [event.type, event.replayed]), [
+    ['spawned', true],
+    ['knowledge-stored', true],
+    ['dissolved', true]
+  ]);
+  assert.deepStrictEqual(dissolved, [specialist.id]);
+  assert.strictEqual(fs.readFileSync(eventLogPath, 'utf8').trim().split('\n').length, 4);
+});
+
+test('replay needs a log to read', async (t) => {
+  const manager = lifecycleManager(t);
+  await assert.rejects(manager.replayEventLog(), /No lifecycle event log configured/);
+});
+
+test('in-memory history is capped but metrics count every event', async (t) => {
+  const manager = lifecycleManager(t, { maxLifecycleEvents: 2 });
+  const specialist = await manager.spawnSpecialist('strategic', 'market-research', {}, departmentManager(manager));
+
+  await manager.recordTaskStarted(specialist, 'Size the market');
+  await manager.recordTaskCompleted(specialist, 'Size the market', Date.now());
+  await manager.recordTaskStarted(specialist, 'Rank competitors');
+
+  assert.deepStrictEqual(manager.lifecycleEvents.map(event => event.type), ['task-completed', 'task-started']);
+  assert.strictEqual(manager.getLifecycleMetrics().total_spawned, 1);
+  assert.strictEqual(manager.getLifecycleMetrics().tasks_completed, 1);
+});
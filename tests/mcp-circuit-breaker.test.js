@@ -0,0 +1,164 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('events');
+const { BumbaError } = require('../src/core/error-handling/bumba-error-system');
+const {
+  MCPServerManager,
+  MCPCircuitBreaker,
+  CIRCUIT_STATES,
+  NullMCPServer,
+  computeBackoff
+} = require('../src/core/mcp/mcp-resilience-system');
+
+const BREAKER = { windowSize: 4, minimumRequests: 2, failureRateThreshold: 0.5, openDelayMs: 1000, maxOpenDelayMs: 4000, backoffFactor: 2, jitter: 0 };
+
+// Stands in for a server process; `up` decides whether connecting works
+class FakeConnection extends EventEmitter {
+  constructor(name, server) {
+    super();
+    this.name = name;
+    this.server = server;
+    this.connected = false;
+  }
+
+  async connect() {
+    this.server.connects++;
+    if (!this.server.up) {
+      throw new BumbaError('MCP_CONNECTION_FAILED', `${this.name} refused the connection`);
+    }
+    this.connected = true;
+  }
+
+  async healthCheck() {
+    return { status: this.server.up ? 'healthy' : 'unreachable' };
+  }
+
+  async execute(operation) {
+    return { success: true, server: this.name, operation };
+  }
+
+  disconnect() {
+    this.connected = false;
+  }
+}
+
+function serverManager(t, servers) {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+
+  const manager = new MCPServerManager({ defaults: {}, files: [] });
+  manager.retryConfig.maxRetries = 1;
+  for (const name of Object.keys(servers)) {
+    manager.registerServer(name, { command: 'stub-server', circuitBreaker: BREAKER });
+  }
+  manager.createConnection = name => new FakeConnection(name, servers[name]);
+
+  t.after(() => manager.shutdown());
+  return manager;
+}
+
+test('backoff grows by the factor up to the cap, with jitter taken off the delay', (t) => {
+  const policy = { baseDelay: 1000, maxDelay: 5000, backoffFactor: 2 };
+  assert.deepStrictEqual([1, 2, 3, 4].map(attempt => computeBackoff(attempt, policy)), [1000, 2000, 4000, 5000]);
+
+  t.mock.method(Math, 'random', () => 0);
+  assert.strictEqual(computeBackoff(2, { ...policy, jitter: 0.5 }), 1000);
+  Math.random.mock.mockImplementation(() => 0.999);
+  assert.strictEqual(computeBackoff(2, { ...policy, jitter: 0.5 }), 1999);
+});
+
+test('the circuit opens at the failure-rate threshold once enough requests were seen', (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const breaker = new MCPCircuitBreaker('github', BREAKER);
+
+  breaker.recordFailure(new Error('ECONNRESET'));
+  assert.strictEqual(breaker.state, CIRCUIT_STATES.CLOSED);
+
+  // Outcomes older than the window no longer count
+  breaker.recordSuccess();
+  breaker.recordSuccess();
+  breaker.recordSuccess();
+  breaker.recordFailure(new Error('ECONNRESET'));
+  assert.strictEqual(breaker.state, CIRCUIT_STATES.CLOSED);
+  assert.strictEqual(breaker.getState().failure_rate, 0.25);
+
+  breaker.recordFailure(new Error('ECONNRESET'));
+  assert.strictEqual(breaker.state, CIRCUIT_STATES.OPEN);
+  assert.strictEqual(breaker.allowRequest(), false);
+  assert.deepStrictEqual(
+    [breaker.getState().failure_rate, breaker.getState().last_failure.message],
+    [0.5, 'ECONNRESET']
+  );
+});
+
+test('an expired open circuit admits one trial that closes or re-opens it with a longer delay', (t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+  t.mock.timers.enable({ apis: ['Date'] });
+  const breaker = new MCPCircuitBreaker('notion', BREAKER);
+
+  breaker.recordFailure(new Error('timeout'));
+  breaker.recordFailure(new Error('timeout'));
+  assert.strictEqual(breaker.nextAttemptAt - breaker.openedAt, 1000);
+
+  t.mock.timers.tick(1000);
+  assert.strictEqual(breaker.allowRequest(), true);
+  assert.strictEqual(breaker.state, CIRCUIT_STATES.HALF_OPEN);
+  assert.strictEqual(breaker.allowRequest(), false);
+
+  breaker.recordFailure(new Error('timeout'));
+  assert.strictEqual(breaker.state, CIRCUIT_STATES.OPEN);
+  assert.strictEqual(breaker.nextAttemptAt - breaker.openedAt, 2000);
+
+  t.mock.timers.tick(2000);
+  assert.strictEqual(breaker.allowRequest(), true);
+  breaker.recordSuccess();
+  assert.deepStrictEqual(
+    [breaker.state, breaker.consecutiveOpenings, breaker.getState().recent_requests],
+    [CIRCUIT_STATES.CLOSED, 0, 0]
+  );
+});
+
+test('an open circuit serves the fallback without touching the server or its neighbours', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'] });
+  const flaky = { up: false, connects: 0 };
+  const steady = { up: true, connects: 0 };
+  const manager = serverManager(t, { flaky, steady });
+
+  assert.ok(await manager.getServer('flaky') instanceof NullMCPServer);
+  assert.ok(await manager.getServer('flaky') instanceof NullMCPServer);
+  assert.strictEqual(manager.getCircuitBreaker('flaky').state, CIRCUIT_STATES.OPEN);
+
+  assert.ok(await manager.getServer('flaky') instanceof NullMCPServer);
+  assert.strictEqual(flaky.connects, 2);
+
+  const result = await manager.execute('steady', 'list_issues');
+  assert.deepStrictEqual([result.success, result.server], [true, 'steady']);
+
+  const health = manager.getSystemHealth();
+  assert.deepStrictEqual(health.open_circuits, ['flaky']);
+  assert.strictEqual(health.circuit_breakers.steady.state, 'closed');
+  assert.strictEqual(manager.getServerStats().circuit_breakers.flaky.state, 'open');
+  assert.strictEqual(manager.getServerStats().circuit_breakers.flaky.last_failure.message, 'flaky refused the connection');
+
+  flaky.up = true;
+  t.mock.timers.tick(1000);
+  assert.ok(!(await manager.getServer('flaky') instanceof NullMCPServer));
+  assert.strictEqual(manager.getCircuitBreaker('flaky').state, CIRCUIT_STATES.CLOSED);
+  assert.deepStrictEqual(manager.getSystemHealth().open_circuits, []);
+});
+
+test('reconnectAll only restarts running servers whose circuit allows it', async (t) => {
+  const flaky = { up: true, connects: 0 };
+  const steady = { up: true, connects: 0 };
+  const manager = serverManager(t, { flaky, steady });
+
+  await manager.getServer('flaky');
+  await manager.getServer('steady');
+  manager.getCircuitBreaker('flaky').open();
+
+  await manager.reconnectAll();
+
+  assert.deepStrictEqual([flaky.connects, steady.connects], [1, 2]);
+  assert.deepStrictEqual(manager.getServerStats().active_connections, ['steady']);
+});
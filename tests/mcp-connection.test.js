@@ -0,0 +1,62 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { MCPServerConnection } = require('../src/core/mcp/mcp-resilience-system');
+
+const STUB_SERVER = path.join(__dirname, 'fixtures', 'stub-mcp-server.js');
+
+let connection;
+
+before(async () => {
+  connection = new MCPServerConnection('stub', {
+    command: process.execPath,
+    args: [STUB_SERVER],
+    connectTimeout: 5000,
+    requestTimeout: 2000
+  });
+  await connection.connect();
+});
+
+after(() => {
+  connection.disconnect();
+});
+
+test('handshake records the server info and capabilities', () => {
+  assert.strictEqual(connection.connected, true);
+  assert.strictEqual(connection.protocolVersion, '2024-11-05');
+  assert.deepStrictEqual(connection.serverInfo, { name: 'stub-mcp-server', version: '1.0.0' });
+  assert.ok(connection.serverCapabilities.tools);
+});
+
+test('tools/list follows pagination to the last page', async () => {
+  const tools = await connection.listTools();
+  assert.deepStrictEqual(tools.map(tool => tool.name), ['echo', 'fail', 'hang']);
+});
+
+test('tools/call returns the tool result', async () => {
+  const result = await connection.execute('echo', { text: 'hello' });
+  assert.strictEqual(result.success, true);
+  assert.deepStrictEqual(result.content, [{ type: 'text', text: 'hello' }]);
+});
+
+test('tool-level errors are reported, not thrown', async () => {
+  const result = await connection.execute('fail');
+  assert.strictEqual(result.success, false);
+});
+
+test('protocol errors reject with MCP_REQUEST_FAILED', async () => {
+  await assert.rejects(connection.callTool('missing'), error => error.type === 'MCP_REQUEST_FAILED' && error.context.code === -32602);
+});
+
+test('ping answers the health check', async () => {
+  const health = await connection.healthCheck();
+  assert.strictEqual(health.status, 'healthy');
+});
+
+test('a request without an answer times out and the connection stays usable', async () => {
+  await assert.rejects(connection.callTool('hang', {}, { timeout: 200 }), error => error.type === 'MCP_REQUEST_TIMEOUT');
+  assert.strictEqual(connection.pendingRequests.size, 0);
+
+  const result = await connection.execute('echo', { text: 'still here' });
+  assert.deepStrictEqual(result.content, [{ type: 'text', text: 'still here' }]);
+});
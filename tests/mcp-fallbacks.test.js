@@ -0,0 +1,185 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  LocalMemoryGraph,
+  SandboxedFileSystem,
+  JsonFileDatabase,
+  LocalNotes,
+  LocalGit
+} = require('../src/core/mcp/mcp-fallbacks');
+const { NullMCPServer } = require('../src/core/mcp/mcp-resilience-system');
+
+let dir;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bumba-fallbacks-'));
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('the memory graph persists entities, observations and relations', async () => {
+  const memory = new LocalMemoryGraph({ storeDir: dir });
+  await memory.execute('create_entities', { entities: [
+    { name: 'checkout', entityType: 'service', observations: ['owns payments'] },
+    { name: 'ledger', entityType: 'service' },
+    { name: 'checkout', entityType: 'duplicate' }
+  ] });
+  const writes = { from: 'checkout', to: 'ledger', relationType: 'writes to' };
+  assert.deepStrictEqual(await memory.execute('create_relations', { relations: [writes, writes] }), [writes]);
+  assert.deepStrictEqual(await memory.execute('create_relations', { relations: [writes] }), []);
+  await memory.execute('add_observations', { observations: [{ entityName: 'ledger', contents: ['append only', 'append only'] }] });
+
+  const reopened = new LocalMemoryGraph({ storeDir: dir });
+  const graph = await reopened.execute('read_graph');
+  assert.deepStrictEqual(graph.entities.map(entity => [entity.name, entity.entityType, entity.observations]), [
+    ['checkout', 'service', ['owns payments']],
+    ['ledger', 'service', ['append only']]
+  ]);
+
+  const found = await reopened.execute('search_nodes', { query: 'APPEND' });
+  assert.deepStrictEqual(found, { entities: [graph.entities[1]], relations: [] });
+
+  const opened = await reopened.execute('open_nodes', { names: ['checkout', 'ledger'] });
+  assert.deepStrictEqual(opened.relations, [{ from: 'checkout', to: 'ledger', relationType: 'writes to' }]);
+
+  await reopened.execute('delete_entities', { entityNames: ['ledger'] });
+  assert.deepStrictEqual(await reopened.execute('read_graph'), { entities: [graph.entities[0]], relations: [] });
+
+  await assert.rejects(reopened.execute('add_observations', { observations: [{ entityName: 'ledger', contents: ['gone'] }] }), /Entity not found: ledger/);
+  await assert.rejects(reopened.execute('forget_everything'), /Unsupported local_memory operation: forget_everything/);
+});
+
+test('the filesystem fallback works inside its root and refuses to leave it', async () => {
+  const root = path.join(dir, 'project');
+  fs.mkdirSync(root);
+  fs.writeFileSync(path.join(dir, 'secret.txt'), 'outside');
+  fs.symlinkSync(dir, path.join(root, 'escape'));
+  const files = new SandboxedFileSystem({ root });
+
+  assert.deepStrictEqual(await files.execute('write_file', { path: 'src/app.js', content: 'run()' }), { path: path.join('src', 'app.js'), bytes: 5 });
+  assert.deepStrictEqual(await files.execute('read_file', { path: 'src/app.js' }), { path: path.join('src', 'app.js'), content: 'run()' });
+  assert.deepStrictEqual(await files.execute('search_files', { pattern: 'APP' }), [path.join('src', 'app.js')]);
+
+  await files.execute('move_file', { source: 'src/app.js', destination: 'lib/app.js' });
+  assert.deepStrictEqual(await files.execute('list_directory', { path: 'lib' }), [{ name: 'app.js', type: 'file' }]);
+
+  await assert.rejects(files.execute('read_file', { path: '../secret.txt' }), /Access denied: \.\.\/secret\.txt is outside/);
+  await assert.rejects(files.execute('read_file', { path: 'escape/secret.txt' }), /Access denied/);
+  await assert.rejects(files.execute('write_file', { path: 'escape/new.txt', content: 'x' }), /Access denied/);
+  assert.strictEqual(fs.existsSync(path.join(dir, 'new.txt')), false);
+});
+
+test('the JSON file database supports CRUD with Mongo-style queries', async () => {
+  const db = new JsonFileDatabase({ storeDir: dir });
+  const target = { database: 'shop', collection: 'orders' };
+
+  const { inserted_count: inserted } = await db.execute('insert-many', { ...target, documents: [
+    { customer: 'ada', total: 120, tags: ['priority'], address: { city: 'Lisbon' } },
+    { customer: 'grace', total: 40, tags: [] },
+    { customer: 'linus', total: 75, address: { city: 'Porto' } }
+  ] });
+  assert.strictEqual(inserted, 3);
+
+  const large = await db.execute('find', { ...target, filter: { total: { $gte: 75 } }, sort: { total: -1 } });
+  assert.deepStrictEqual(large.map(order => order.customer), ['ada', 'linus']);
+  assert.ok(large.every(order => typeof order._id === 'string'));
+
+  assert.strictEqual(await db.execute('count', { ...target, query: { tags: 'priority' } }), 1);
+  assert.strictEqual(await db.execute('count', { ...target, query: { 'address.city': { $in: ['Porto', 'Faro'] } } }), 1);
+  assert.strictEqual(await db.execute('count', { ...target, query: { address: { $exists: false } } }), 1);
+  assert.deepStrictEqual(
+    (await db.execute('find', { ...target, filter: { customer: { $regex: '^G', $options: 'i' } } })).map(order => order.customer),
+    ['grace']
+  );
+
+  assert.deepStrictEqual(
+    await db.execute('update-many', { ...target, filter: { total: { $lt: 100 } }, update: { $inc: { total: 10 }, $set: { 'address.country': 'PT' } } }),
+    { matched_count: 2, modified_count: 2 }
+  );
+  const grace = await db.execute('find', { ...target, filter: { customer: 'grace' } });
+  assert.deepStrictEqual([grace[0].total, grace[0].address], [50, { country: 'PT' }]);
+
+  assert.deepStrictEqual(await db.execute('delete-many', { ...target, filter: { customer: { $ne: 'ada' } } }), { deleted_count: 2 });
+  assert.strictEqual(await db.execute('count', target), 1);
+
+  assert.deepStrictEqual(await db.execute('list-databases'), ['shop']);
+  assert.deepStrictEqual(await db.execute('list-collections', { database: 'shop' }), ['orders']);
+  await assert.rejects(db.execute('find', { ...target, filter: { total: { $where: 'true' } } }), /Unsupported query operator: \$where/);
+});
+
+test('database names cannot escape the store and slow regexes fail instead of hanging', async () => {
+  const db = new JsonFileDatabase({ storeDir: dir });
+  await db.execute('insert-many', { database: '../../outside', collection: '../orders', documents: [{ code: 'aaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa!' }] });
+
+  assert.deepStrictEqual(fs.readdirSync(dir), ['db']);
+  assert.deepStrictEqual(await db.execute('list-collections', { database: '../../outside' }), ['___orders']);
+
+  await assert.rejects(
+    db.execute('find', { database: '../../outside', collection: '../orders', filter: { code: { $regex: '^(a+)+$' } } }),
+    /took longer than 100ms/
+  );
+});
+
+test('notes are markdown pages with front matter', async () => {
+  const notes = new LocalNotes({ storeDir: dir });
+  const page = await notes.execute('create_page', { title: 'Release plan: v2!', content: '- ship billing', tags: ['release'] });
+
+  assert.match(page.id, /^release-plan-v2-[a-z0-9]+$/);
+  const raw = fs.readFileSync(path.join(dir, 'notes', `${page.id}.md`), 'utf8');
+  assert.match(raw, /^---\ntitle: "Release plan: v2!"\ntags: \["release"\]\n/);
+  assert.match(raw, /\n---\n\n- ship billing\n$/);
+
+  await notes.execute('update_page', { id: page.id, content: '- migrate invoices', append: true });
+  assert.strictEqual((await notes.execute('get_page', { id: page.id })).content, '- ship billing\n\n- migrate invoices');
+
+  assert.deepStrictEqual((await notes.execute('search', { query: 'INVOICES' })).map(found => found.id), [page.id]);
+  assert.deepStrictEqual((await notes.execute('list_pages')).map(summary => [summary.title, 'content' in summary]), [['Release plan: v2!', false]]);
+
+  await assert.rejects(notes.execute('get_page', { id: '../secret' }), /Invalid page id/);
+  await notes.execute('delete_page', { id: page.id });
+  assert.deepStrictEqual(await notes.execute('list_pages'), []);
+});
+
+test('git runs through the secure executor with the agent profile', async () => {
+  const calls = [];
+  const executor = {
+    execute: async (command, args, options) => {
+      calls.push({ command, args, profile: options.profile, cwd: options.cwd });
+      return { stdout: args[0] === 'status' ? '## main...origin/main\n M src/app.js\n?? notes.md\n' : '' };
+    }
+  };
+  const git = new LocalGit({ cwd: dir, executor });
+
+  assert.deepStrictEqual(await git.execute('git_status'), {
+    branch: 'main...origin/main',
+    files: [{ status: 'M', path: 'src/app.js' }, { status: '??', path: 'notes.md' }]
+  });
+  await git.execute('git_diff', { staged: true, path: 'src/app.js' });
+  await git.execute('git_commit', { message: 'Ship billing' });
+
+  assert.deepStrictEqual(calls, [
+    { command: 'git', args: ['status', '--porcelain=v1', '--branch'], profile: 'agent', cwd: dir },
+    { command: 'git', args: ['diff', '--cached', '--', 'src/app.js'], profile: 'agent', cwd: dir },
+    { command: 'git', args: ['commit', '-m', 'Ship billing'], profile: 'agent', cwd: dir }
+  ]);
+  await assert.rejects(git.execute('git_add', {}), /No files given to add/);
+});
+
+test('NullMCPServer answers from its fallback and reports failures in the result', async () => {
+  const server = new NullMCPServer('notion', 'local-notes', { storeDir: dir });
+  assert.deepStrictEqual(await server.healthCheck(), { status: 'fallback', available: false, functional: true });
+
+  const created = await server.execute('create_page', { title: 'Offline' });
+  assert.deepStrictEqual([created.success, created.method, created.fallback_type], [true, 'local_notes', 'local-notes']);
+
+  const failed = await server.execute('create_page', {});
+  assert.deepStrictEqual([failed.success, failed.error], [false, 'A page title is required']);
+
+  const unavailable = new NullMCPServer('analytics', 'none');
+  assert.strictEqual((await unavailable.execute('query')).error, 'analytics server unavailable');
+});
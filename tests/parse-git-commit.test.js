@@ -0,0 +1,26 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseGitCommit } = require('../src/core/hooks/bumba-hook-system');
+
+test('commands other than git commit are ignored', () => {
+  assert.strictEqual(parseGitCommit('git status'), null);
+  assert.strictEqual(parseGitCommit('echo "git commit -m x"'), null);
+  assert.strictEqual(parseGitCommit(undefined), null);
+});
+
+test('a commit of staged changes runs in the current directory', () => {
+  assert.deepStrictEqual(parseGitCommit('git commit -m "fix; tests"', '/repo'), { cwd: '/repo', all: false });
+  assert.deepStrictEqual(parseGitCommit('git -c user.name=dev commit -m msg', '/repo'), { cwd: '/repo', all: false });
+});
+
+test('cd and -C move the commit to another directory', () => {
+  assert.deepStrictEqual(parseGitCommit('cd packages/api && git commit -m msg', '/repo'), { cwd: '/repo/packages/api', all: false });
+  assert.deepStrictEqual(parseGitCommit('git -C ../other commit -m msg', '/repo'), { cwd: '/other', all: false });
+});
+
+test('-a, --all and pathspecs also commit unstaged changes', () => {
+  assert.strictEqual(parseGitCommit('git commit -am msg', '/repo').all, true);
+  assert.strictEqual(parseGitCommit('git commit --all -m msg', '/repo').all, true);
+  assert.strictEqual(parseGitCommit('git commit -m msg src/app.js', '/repo').all, true);
+  assert.strictEqual(parseGitCommit('git commit -m msg --', '/repo').all, false);
+});
@@ -0,0 +1,90 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PatternDatabase } = require('../src/core/intelligent-router');
+
+let dir;
+let storePath;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bumba-patterns-'));
+  storePath = path.join(dir, 'routing-patterns.json');
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('recorded runs survive a restart and report real frequency and success rate', async () => {
+  const first = new PatternDatabase({ storePath });
+  await first.storePattern('implement', ['auth', 'api'], { success: true });
+  await first.storePattern('implement', ['auth', 'api'], new Error('build failed'));
+  await first.storePattern('design', ['landing', 'page'], { success: true });
+  await first.flush();
+
+  const second = new PatternDatabase({ storePath });
+  const similar = await second.findSimilarPatterns('implement', ['auth']);
+
+  assert.deepStrictEqual(similar.similar_commands, ['implement']);
+  assert.strictEqual(similar.total_runs, 2);
+  assert.strictEqual(similar.success_rate, 0.5);
+  assert.strictEqual(Math.round(similar.frequency * 100) / 100, 0.67);
+  assert.strictEqual(similar.patterns[0].similarity, 0.67);
+
+  const unrelated = await second.findSimilarPatterns('deploy', ['staging']);
+  assert.deepStrictEqual(unrelated.similar_commands, []);
+  assert.strictEqual(unrelated.success_rate, null);
+});
+
+test('args that differ only in spacing are stored as separate patterns', async () => {
+  const db = new PatternDatabase({ storePath });
+  await db.storePattern('implement', ['auth api'], true);
+  await db.storePattern('implement', ['auth', 'api'], true);
+
+  assert.strictEqual(db.patterns.size, 2);
+  await db.flush();
+});
+
+test('saves are batched until flush and the store is written atomically', async () => {
+  const db = new PatternDatabase({ storePath, saveDelayMs: 60000 });
+  await db.storePattern('analyze', ['repo'], true);
+  await db.storePattern('analyze', ['repo'], true);
+  assert.strictEqual(fs.existsSync(storePath), false);
+
+  await db.flush();
+  const stored = JSON.parse(fs.readFileSync(storePath, 'utf8'));
+  assert.strictEqual(stored.version, 1);
+  assert.strictEqual(stored.patterns[0].count, 2);
+  assert.strictEqual('tokens' in stored.patterns[0], false);
+  assert.deepStrictEqual(fs.readdirSync(dir), ['routing-patterns.json']);
+});
+
+test('the least recently used patterns are pruned along with their index entries', async (t) => {
+  let now = 1000;
+  t.mock.method(Date, 'now', () => now++);
+
+  const db = new PatternDatabase({ storePath, maxPatterns: 2 });
+  await db.storePattern('design', ['onboarding'], true);
+  await db.storePattern('implement', ['billing'], true);
+  await db.storePattern('design', ['onboarding'], true);
+  await db.storePattern('secure', ['uploads'], true);
+
+  assert.deepStrictEqual([...db.patterns.values()].map(pattern => pattern.command).sort(), ['design', 'secure']);
+  assert.strictEqual(db.tokenIndex.has('billing'), false);
+  assert.strictEqual(db.tokenIndex.has('implement'), false);
+
+  const similar = await db.findSimilarPatterns('implement', ['billing']);
+  assert.strictEqual(similar.total_runs, 0);
+  await db.flush();
+});
+
+test('an unreadable store starts empty instead of failing the route', async (t) => {
+  fs.writeFileSync(storePath, '{ not json');
+  t.mock.method(console, 'log', () => {});
+
+  const db = new PatternDatabase({ storePath });
+  const similar = await db.findSimilarPatterns('implement', ['auth']);
+  assert.strictEqual(similar.total_runs, 0);
+});
@@ -0,0 +1,95 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { BumbaIntelligentRouter } = require('../src/core/intelligent-router');
+const BumbaCommandHandler = require('../src/core/command-handler');
+
+// A router that fails the test if the dry run executes or spawns anything
+function dryRouter(t, router = new BumbaIntelligentRouter()) {
+  t.mock.method(console, 'log', () => {});
+  router.predictiveEngine = {
+    predictNextSteps: async () => ({ nextCommands: ['bumba:test'] }),
+    recordOutcome: async () => assert.fail('dry run recorded an outcome')
+  };
+  router.executeRoute = async () => assert.fail('dry run executed the route');
+  for (const manager of router.departments.values()) {
+    manager.spawnSpecialist = async () => assert.fail('dry run spawned a specialist');
+  }
+  return router;
+}
+
+test('a dry run reports complexity, keywords, route and specialists without executing', async (t) => {
+  const router = dryRouter(t);
+  const explanation = await router.routeCommand('implement', ['user', 'authentication', 'api'], { dryRun: true });
+
+  assert.strictEqual(explanation.dry_run, true);
+  assert.strictEqual(explanation.complexity, 0.71);
+  assert.deepStrictEqual(explanation.complexity_breakdown.factors.map(factor => factor.contribution), [0.21, 0.15, 0.05]);
+  assert.deepStrictEqual(explanation.matched_keywords, { strategic: [], experience: [], technical: ['api', 'auth'] });
+  assert.deepStrictEqual(explanation.departments, ['technical']);
+  assert.strictEqual(explanation.executive_need.needed, false);
+  assert.strictEqual(explanation.route_type, 'department-with-specialists');
+  assert.deepStrictEqual(explanation.specialists_to_spawn, { technical: ['api-architecture', 'security'] });
+  assert.deepStrictEqual(explanation.predicted_next_commands, ['bumba:test']);
+
+  assert.deepStrictEqual(explanation.decision_tree, [
+    'implement user authentication api',
+    '├─ complexity 0.71 (base 0.3)',
+    '│  ├─ +0.21 keywords: implement ← "implement"',
+    '│  ├─ +0.15 arguments: 3 argument(s)',
+    '│  ├─ +0.05 technology: api ← "api"',
+    '├─ departments',
+    '│  ├─ ✗ strategic: no keywords',
+    '│  ├─ ✗ experience: no keywords',
+    '│  ├─ ✓ technical: api, auth',
+    '├─ executive need: no',
+    '├─ route: department-with-specialists',
+    '└─ specialists that would spawn',
+    '   └─ technical: api-architecture, security'
+  ]);
+});
+
+test('the decision tree says why executive mode was chosen', async (t) => {
+  const router = dryRouter(t);
+  const explanation = await router.explainRoute('build', ['enterprise', 'platform']);
+
+  assert.strictEqual(explanation.route_type, 'executive');
+  assert.deepStrictEqual(explanation.executive_need, {
+    needed: true,
+    executive_keywords: ['enterprise', 'platform'],
+    high_complexity: true,
+    coordination_terms: ['platform']
+  });
+  assert.ok(explanation.decision_tree.includes('├─ complexity 1 (base 0.3, capped from 1.15)'));
+  assert.ok(explanation.decision_tree.includes('│  ├─ complexity 1 > 0.8'));
+});
+
+test('tasks without department keywords show the all-departments default', async (t) => {
+  const router = dryRouter(t);
+  const explanation = await router.explainRoute('fix', ['typo']);
+
+  assert.strictEqual(explanation.route_type, 'single-department');
+  assert.deepStrictEqual(explanation.departments, ['strategic', 'experience', 'technical']);
+  assert.deepStrictEqual(explanation.specialists_to_spawn, {});
+  assert.ok(explanation.decision_tree.includes('│  ├─ ✓ technical: no keywords, ambiguous task default'));
+  assert.strictEqual(explanation.decision_tree[explanation.decision_tree.length - 1], '└─ specialists: none');
+});
+
+test('--dry-run and bumba:route-explain explain routed commands only', async (t) => {
+  const handler = new BumbaCommandHandler();
+  dryRouter(t, handler.framework.router);
+
+  const flagged = await handler.handleCommand('bumba:implement', ['user', 'authentication', '--dry-run'], {});
+  assert.strictEqual(flagged.dry_run, true);
+  assert.strictEqual(flagged.command, 'implement');
+  assert.deepStrictEqual(flagged.args, ['user', 'authentication']);
+
+  const explicit = await handler.handleCommand('bumba:route-explain', ['implement', 'user', 'authentication'], {});
+  assert.deepStrictEqual(explicit.decision_tree, flagged.decision_tree);
+
+  const usage = await handler.handleCommand('bumba:route-explain', [], {});
+  assert.match(usage.error, /^Usage: \/bumba:route-explain/);
+
+  // Commands the handler answers itself ignore the flag
+  const status = await handler.handleCommand('bumba:status', ['--dry-run'], {});
+  assert.strictEqual(status.dry_run, undefined);
+});
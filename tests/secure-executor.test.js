@@ -0,0 +1,77 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { SecureExecutor } = require('../src/core/security/secure-executor');
+const { CommandAuditLog } = require('../src/core/security/command-audit-log');
+
+const executor = new SecureExecutor({
+  auditLog: new CommandAuditLog(null),
+  profiles: { scrubbed: { envAllowlist: null, scrubSecrets: true } }
+});
+
+const sourceEnv = {
+  PATH: '/usr/bin',
+  HOME: '/home/dev',
+  SSH_AUTH_SOCK: '/tmp/ssh-agent.sock',
+  HTTPS_PROXY: 'http://proxy.internal:3128',
+  no_proxy: 'localhost',
+  npm_config_registry: 'https://registry.internal/',
+  npm_config__authToken: 'npm-secret',
+  SESSION_MANAGER: 'local/host:@/tmp/.ICE-unix/1',
+  GITHUB_TOKEN: 'ghp-secret',
+  AWS_SECRET_ACCESS_KEY: 'aws-secret',
+  AWS_SESSION_TOKEN: 'aws-session',
+  DB_PASSWORD: 'db-secret',
+  OPENAI_API_KEY: 'openai-secret',
+  EDITOR: 'vim'
+};
+
+test('runs without a profile use the agent profile', () => {
+  assert.strictEqual(executor.prepareSandbox({ cwd: process.cwd() }).profile.name, 'agent');
+});
+
+test('the agent profile passes ssh-agent, proxy and npm settings but no credentials', () => {
+  const env = executor.buildEnv(sourceEnv, executor.getProfile('agent'));
+
+  assert.deepStrictEqual(Object.keys(env).sort(), [
+    'HOME', 'HTTPS_PROXY', 'PATH', 'SSH_AUTH_SOCK', 'no_proxy', 'npm_config_registry'
+  ]);
+});
+
+test('secret scrubbing matches whole parts of variable names', () => {
+  const env = executor.buildEnv(sourceEnv, executor.getProfile('scrubbed'));
+
+  for (const kept of ['SSH_AUTH_SOCK', 'SESSION_MANAGER', 'EDITOR', 'npm_config_registry']) {
+    assert.ok(kept in env, `${kept} was scrubbed`);
+  }
+  for (const scrubbed of ['GITHUB_TOKEN', 'AWS_SECRET_ACCESS_KEY', 'AWS_SESSION_TOKEN', 'DB_PASSWORD', 'OPENAI_API_KEY', 'npm_config__authToken']) {
+    assert.ok(!(scrubbed in env), `${scrubbed} was passed through`);
+  }
+});
+
+test('the trusted profile inherits the environment unchanged', () => {
+  assert.deepStrictEqual(executor.buildEnv(sourceEnv, executor.getProfile('trusted')), sourceEnv);
+});
+
+test('the strict profile pins locale and timezone', () => {
+  const env = executor.buildEnv(sourceEnv, executor.getProfile('strict'));
+  assert.deepStrictEqual(env, { PATH: '/usr/bin', HOME: '/home/dev', LC_ALL: 'C', TZ: 'UTC' });
+});
+
+test('an agent run sees only the filtered environment', async () => {
+  const env = { ...sourceEnv, PATH: process.env.PATH };
+  const result = await executor.execute('node', ['-p', 'Object.keys(process.env).sort().join()'], { env, cwd: process.cwd() });
+
+  assert.strictEqual(result.stdout.trim(), 'HOME,HTTPS_PROXY,PATH,SSH_AUTH_SOCK,no_proxy,npm_config_registry');
+});
+
+test('output beyond the profile limit stops the command', async () => {
+  const limited = new SecureExecutor({
+    auditLog: new CommandAuditLog(null),
+    profiles: { tiny: { envAllowlist: ['PATH'], maxOutputBytes: 16 } }
+  });
+
+  await assert.rejects(
+    limited.execute('node', ['-e', 'setInterval(() => process.stdout.write("x".repeat(64)), 10)'], { profile: 'tiny', cwd: process.cwd() }),
+    error => error.code === 'OUTPUT_LIMIT_EXCEEDED'
+  );
+});
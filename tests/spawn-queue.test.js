@@ -0,0 +1,154 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  AgentLifecycleManager,
+  SpawnQueue,
+  KnowledgeTransferSystem
+} = require('../src/core/spawning/agent-lifecycle-manager');
+
+let dir;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bumba-spawn-queue-'));
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// A manager with small limits, passing consciousness checks and knowledge kept in the temp dir
+function lifecycleManager(t, { maxActive = 2, departmentQuota = 1 } = {}) {
+  t.mock.method(console, 'log', () => {});
+  const manager = new AgentLifecycleManager();
+  manager.consciousnessLayer = {
+    validateIntent: async () => ({ is_aligned: true }),
+    ethicalFramework: { validateEthicalCompliance: async () => ({ compliant: true }) }
+  };
+  manager.knowledgeTransferSystem = new KnowledgeTransferSystem({ storeDir: dir });
+  manager.lifecycleRules.max_concurrent_specialists = maxActive;
+  for (const department of Object.keys(manager.lifecycleRules.max_department_specialists)) {
+    manager.lifecycleRules.max_department_specialists[department] = departmentQuota;
+  }
+  t.after(() => manager.shutdown());
+  return manager;
+}
+
+const department = { activeSpecialists: new Set(), receiveSpecialistKnowledge: async () => {} };
+
+test('department quotas are a share of limits.maxActiveAgents', (t) => {
+  t.mock.method(console, 'log', () => {});
+  const manager = new AgentLifecycleManager();
+
+  assert.strictEqual(manager.lifecycleRules.max_concurrent_specialists, 10);
+  assert.deepStrictEqual(manager.lifecycleRules.max_department_specialists, { strategic: 5, experience: 5, technical: 5 });
+  assert.strictEqual(manager.lifecycleRules.max_queued_spawns, 100);
+});
+
+test('requests are served by priority, first in first out within a priority', async () => {
+  const queue = new SpawnQueue();
+  const order = ['low-1', 'normal-1', 'critical-1', 'normal-2', 'unknown-1', 'high-1'];
+  for (const name of order) {
+    queue.enqueue('technical', name, name.split('-')[0]);
+  }
+
+  assert.deepStrictEqual(queue.getStatus().by_priority, { critical: 1, high: 1, normal: 3, low: 1 });
+
+  const served = [];
+  let request;
+  while ((request = queue.takeNext(() => true))) {
+    served.push(request.specialist_type);
+  }
+  assert.deepStrictEqual(served, ['critical-1', 'high-1', 'normal-1', 'normal-2', 'unknown-1', 'low-1']);
+});
+
+test('a request whose department is full is skipped without losing its place', () => {
+  const queue = new SpawnQueue();
+  queue.enqueue('technical', 'security', 'high');
+  queue.enqueue('experience', 'accessibility', 'high');
+  queue.enqueue('technical', 'database', 'high');
+
+  assert.strictEqual(queue.takeNext(department => department !== 'technical').specialist_type, 'accessibility');
+  assert.strictEqual(queue.takeNext(() => true).specialist_type, 'security');
+  assert.strictEqual(queue.takeNext(() => true).specialist_type, 'database');
+  assert.strictEqual(queue.takeNext(() => true), null);
+});
+
+test('a full queue refuses new requests and waiting requests time out', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const queue = new SpawnQueue({ maxSize: 1, timeoutMs: 5000 });
+
+  const waiting = queue.enqueue('technical', 'security');
+  assert.throws(() => queue.enqueue('technical', 'database'), /Spawn queue is full \(1 waiting requests\)/);
+
+  t.mock.timers.tick(5000);
+  await assert.rejects(waiting, /Timed out after 5000ms waiting for a technical specialist slot/);
+  assert.strictEqual(queue.size, 0);
+});
+
+test('a spawn over quota waits and starts when a specialist dissolves', async (t) => {
+  const manager = lifecycleManager(t);
+  const first = await manager.spawnSpecialist('technical', 'security', {}, department);
+
+  let spawned = null;
+  const queued = manager.spawnSpecialist('technical', 'database', {}, department).then(specialist => (spawned = specialist));
+  await new Promise(resolve => setImmediate(resolve));
+
+  assert.strictEqual(spawned, null);
+  assert.deepStrictEqual(manager.getSpawnQueueStatus().by_department, { technical: 1 });
+
+  await manager.dissolveSpecialist(first);
+  await queued;
+
+  assert.strictEqual(spawned.type, 'database');
+  assert.deepStrictEqual(manager.getActiveSpecialists(), [spawned]);
+  assert.strictEqual(manager.getSpawnQueueStatus().queued, 0);
+});
+
+test('queued spawns start by priority when a slot frees up', async (t) => {
+  const manager = lifecycleManager(t);
+  const first = await manager.spawnSpecialist('technical', 'security', {}, department);
+
+  const started = [];
+  const spawns = [
+    ['database', 'low'],
+    ['devops', 'normal'],
+    ['cloud-architecture', 'critical']
+  ].map(([type, priority]) => manager.spawnSpecialist('technical', type, { priority }, department)
+    .then(specialist => {
+      started.push(specialist.type);
+      return manager.dissolveSpecialist(specialist);
+    }));
+  await new Promise(resolve => setImmediate(resolve));
+
+  await manager.dissolveSpecialist(first);
+  await Promise.all(spawns);
+
+  assert.deepStrictEqual(started, ['cloud-architecture', 'devops', 'database']);
+});
+
+test('other departments keep spawning while one is at its quota', async (t) => {
+  const manager = lifecycleManager(t, { maxActive: 3 });
+  await manager.spawnSpecialist('technical', 'security', {}, department);
+  const waiting = manager.spawnSpecialist('technical', 'database', {}, department);
+
+  const design = await manager.spawnSpecialist('experience', 'ui-design', {}, department);
+  assert.strictEqual(design.department, 'experience');
+  assert.strictEqual(manager.getSpawnQueueStatus().queued, 1);
+
+  manager.shutdown();
+  await assert.rejects(waiting, /Lifecycle manager shut down before a spawn slot became free/);
+});
+
+test('queue: false fails immediately instead of waiting', async (t) => {
+  const manager = lifecycleManager(t);
+  await manager.spawnSpecialist('technical', 'security', {}, department);
+
+  await assert.rejects(
+    manager.spawnSpecialist('technical', 'database', { queue: false }, department),
+    /Specialist limit reached for technical: 1 per department, 2 total/
+  );
+  assert.strictEqual(manager.getSpawnQueueStatus().queued, 0);
+});
@@ -0,0 +1,105 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { listSpecialistTypes } = require('../src/core/spawning/specialist-types');
+const { getSpecialistProfile } = require('../src/core/persona/specialist-profiles');
+const { BumbaPersonaEngine } = require('../src/core/persona/persona-engine');
+const DatabaseSpecialist = require('../src/core/specialists/technical/database-specialist');
+const AccessibilitySpecialist = require('../src/core/specialists/experience/accessibility-specialist');
+const StakeholderCommsSpecialist = require('../src/core/specialists/strategic/stakeholder-comms-specialist');
+const ProductStrategySpecialist = require('../src/core/specialists/strategic/product-strategy-specialist');
+const MarketResearchSpecialist = require('../src/core/specialists/strategic/market-research-specialist');
+const UXResearchSpecialist = require('../src/core/specialists/experience/ux-research-specialist');
+const SecuritySpecialist = require('../src/core/specialists/technical/security-specialist');
+
+test('every registered specialist type has a profile and a persona', () => {
+  const personas = new BumbaPersonaEngine();
+
+  for (const { type } of listSpecialistTypes()) {
+    const profile = getSpecialistProfile(type);
+    assert.ok(profile.expertise.length > 0, type);
+    assert.ok(profile.tools.length > 0, type);
+    assert.ok(Object.keys(profile.focus_areas).length > 0, type);
+    assert.ok(personas.getPersona(null, type), type);
+  }
+
+  assert.throws(() => getSpecialistProfile('astrology'), /No specialist profile defined for: astrology/);
+});
+
+test('specialist output follows the task description and data', async () => {
+  const database = new DatabaseSpecialist('technical', {});
+  const slowQuery = await database.processTask({
+    description: 'Speed up the slow orders query with an index',
+    queries: [{ table: 'orders', filters: ['customer_id', 'status'], order_by: 'created_at' }]
+  }, {});
+  assert.strictEqual(slowQuery.specialist, `${database.persona.name} - ${database.persona.role}`);
+  assert.deepStrictEqual(slowQuery.indexing.map(index => index.statement), [
+    'CREATE INDEX CONCURRENTLY ON orders (customer_id, status, created_at)'
+  ]);
+  assert.deepStrictEqual(slowQuery.focus_areas.map(entry => entry.area), ['indexing']);
+
+  const accessibility = new AccessibilitySpecialist('experience', {});
+  const audit = await accessibility.processTask({
+    description: 'Fix keyboard access on checkout',
+    issues: [
+      { issue: 'Low contrast footer', severity: 'minor', weekly_users: 9000 },
+      { issue: 'Pay button unreachable by keyboard', severity: 'blocker', weekly_users: 1200 }
+    ]
+  }, {});
+  assert.deepStrictEqual(audit.fix_order.map(entry => entry.issue), ['Pay button unreachable by keyboard', 'Low contrast footer']);
+  assert.deepStrictEqual(audit.focus_areas.map(entry => entry.area), ['keyboard', 'forms']);
+});
+
+test('strategic specialists work from the stakeholders and features they are given', async () => {
+  const comms = new StakeholderCommsSpecialist('strategic', {});
+  const map = await comms.processTask({
+    description: 'Stakeholder map for the billing migration',
+    stakeholders: [
+      { name: 'CFO', influence: 'high', interest: 'high', raci: 'accountable' },
+      { name: 'Support lead', influence: 'low', interest: 'high', raci: 'consulted' }
+    ]
+  }, {});
+  assert.deepStrictEqual(map.power_interest_grid.manage_closely, ['CFO']);
+  assert.deepStrictEqual(map.power_interest_grid.keep_informed, ['Support lead']);
+  assert.deepStrictEqual(map.risks, ['Nobody is responsible for doing the work']);
+
+  const strategy = new ProductStrategySpecialist('strategic', {});
+  const roadmap = await strategy.processTask({
+    description: 'Roadmap for retention',
+    features: [
+      { name: 'Saved carts', status: 'committed', depends_on: ['Accounts v2'] },
+      { name: 'Accounts v2', status: 'exploring' }
+    ]
+  }, {});
+  assert.deepStrictEqual(roadmap.horizons, { now: ['Saved carts'], next: [], later: ['Accounts v2'] });
+  assert.deepStrictEqual(roadmap.blocked, [{ feature: 'Saved carts', depends_on: 'Accounts v2' }]);
+  assert.deepStrictEqual(roadmap.focus_areas.map(entry => entry.area), ['retention']);
+});
+
+test('market research, UX research and security specialists compute from task data', async () => {
+  const market = new MarketResearchSpecialist('strategic', {});
+  const sizing = await market.processTask({
+    description: 'Market size for team scheduling',
+    market: { potential_customers: 10000, annual_value_per_customer: 1200, serviceable_share: 0.5, obtainable_share: 0.1 }
+  }, {});
+  assert.deepStrictEqual(sizing.market_size, { status: 'calculated', tam: 12000000, sam: 6000000, som: 600000 });
+
+  const research = new UXResearchSpecialist('experience', {});
+  const journey = await research.processTask({
+    description: 'Journey map for onboarding',
+    steps: [{ step: 'Sign up', entered: 100, completed: 90 }, { step: 'Invite team', entered: 90, completed: 45 }]
+  }, {});
+  assert.deepStrictEqual(journey.biggest_drop_off, { step: 'Invite team', drop_off: 0.5 });
+
+  const security = new SecuritySpecialist('technical', {});
+  const scan = await security.processTask({
+    description: 'Vulnerability scan of the api',
+    findings: [{ id: 'CVE-2 in lodash', severity: 'medium' }, { id: 'SQL injection in search', severity: 'critical' }]
+  }, {});
+  assert.deepStrictEqual(scan.remediation_plan.map(entry => [entry.finding, entry.fix_within]), [
+    ['SQL injection in search', '24 hours'],
+    ['CVE-2 in lodash', '30 days']
+  ]);
+
+  const pentest = await security.processTask({ description: 'Pentest the admin panel', targets: ['admin.example.com'] }, {});
+  assert.strictEqual(pentest.status, 'requires_authorization');
+});
@@ -0,0 +1,109 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { WorkflowPredictor } = require('../src/core/intelligent-router');
+
+const start = Date.parse('2026-03-02T09:00:00Z');
+
+// Each session runs its commands one minute apart
+function history(sessions) {
+  return Object.entries(sessions).flatMap(([session, commands]) =>
+    commands.map((command, index) => ({
+      command,
+      session,
+      timestamp: new Date(start + index * 60 * 1000).toISOString()
+    })));
+}
+
+function predictor(entries, options = {}) {
+  const recorded = [];
+  const teamMemory = {
+    getCommandHistory: () => entries,
+    recordCommandExecution: (command, args, details) => {
+      recorded.push({ command, args, details });
+      return true;
+    }
+  };
+  return { predictor: new WorkflowPredictor({ teamMemory, sessionId: 'current', ...options }), recorded };
+}
+
+test('next commands are ranked by how often they followed the command', async () => {
+  const { predictor: workflow } = predictor(history({
+    a: ['bumba:status', 'bumba:analyze', 'bumba:implement'],
+    b: ['bumba:status', 'bumba:analyze', 'bumba:test'],
+    c: ['bumba:status', 'bumba:analyze', 'bumba:implement']
+  }));
+
+  const prediction = await workflow.predict('bumba:analyze', null);
+
+  assert.deepStrictEqual(prediction.likely_next_commands, ['bumba:implement', 'bumba:test']);
+  assert.deepStrictEqual(prediction.ranked_predictions.map(entry => entry.confidence), [0.67, 0.33]);
+  assert.strictEqual(prediction.confidence_score, 0.67);
+  assert.strictEqual(prediction.ranked_predictions[0].explanation, '"bumba:implement" followed "bumba:analyze" 2 of 3 times');
+  assert.deepStrictEqual(prediction.ranked_predictions[0].evidence, [
+    { sequence: ['bumba:analyze', 'bumba:implement'], count: 2, out_of: 3 }
+  ]);
+});
+
+test('a sequence that always continues the same way predicts it with confidence 1', async () => {
+  const { predictor: workflow } = predictor(history({
+    a: ['bumba:design', 'bumba:figma'],
+    b: ['bumba:design', 'bumba:figma']
+  }));
+
+  const prediction = await workflow.predict('bumba:design', null);
+  assert.deepStrictEqual(prediction.ranked_predictions.map(entry => [entry.command, entry.confidence]), [['bumba:figma', 1]]);
+});
+
+test('the previous command shifts the ranking through the trigram', async () => {
+  const { predictor: workflow } = predictor(history({
+    a: ['bumba:lint', 'bumba:analyze', 'bumba:test'],
+    b: ['bumba:lint', 'bumba:analyze', 'bumba:test'],
+    c: ['bumba:status', 'bumba:analyze', 'bumba:implement'],
+    d: ['bumba:status', 'bumba:analyze', 'bumba:implement'],
+    e: ['bumba:status', 'bumba:analyze', 'bumba:implement']
+  }));
+
+  const withoutContext = await workflow.predict('bumba:analyze', null);
+  assert.strictEqual(withoutContext.likely_next_commands[0], 'bumba:implement');
+
+  const afterLint = await workflow.predict('bumba:analyze', null, { previousCommand: 'bumba:lint' });
+  assert.deepStrictEqual(afterLint.ranked_predictions.map(entry => [entry.command, entry.confidence]), [
+    ['bumba:test', 0.7],
+    ['bumba:implement', 0.3]
+  ]);
+  assert.match(afterLint.ranked_predictions[0].explanation, /including 2 of 2 times after "bumba:lint → bumba:analyze"/);
+});
+
+test('the previous command comes from the current session while it is active', async (t) => {
+  const entries = [
+    ...history({ a: ['bumba:lint', 'bumba:analyze', 'bumba:test'], b: ['bumba:status', 'bumba:analyze', 'bumba:implement'] }),
+    { command: 'bumba:lint', session: 'current', timestamp: new Date(start + 60 * 60 * 1000).toISOString() }
+  ];
+  t.mock.method(Date, 'now', () => start + 61 * 60 * 1000);
+
+  const { predictor: workflow } = predictor(entries);
+  const prediction = await workflow.predict('bumba:analyze', null);
+
+  assert.strictEqual(prediction.likely_next_commands[0], 'bumba:test');
+});
+
+test('commands separated by a long idle gap are not treated as a transition', async () => {
+  const entries = [
+    { command: 'bumba:status', session: 'a', timestamp: new Date(start).toISOString() },
+    { command: 'bumba:implement', session: 'a', timestamp: new Date(start + 2 * 60 * 60 * 1000).toISOString() }
+  ];
+  const { predictor: workflow } = predictor(entries);
+
+  const prediction = await workflow.predict('bumba:status', null);
+  assert.deepStrictEqual(prediction.likely_next_commands, []);
+  assert.strictEqual(prediction.confidence_score, 0);
+});
+
+test('commands are recorded with the session and outcome', async () => {
+  const { predictor: workflow, recorded } = predictor([]);
+
+  await workflow.recordCommand('bumba:implement', ['auth'], {}, false);
+  assert.deepStrictEqual(recorded, [
+    { command: 'bumba:implement', args: ['auth'], details: { session: 'current', success: false } }
+  ]);
+});